@@ -6,7 +6,7 @@ export default [
   {
     files: ['**/*.{js,jsx}'],
     languageOptions: {
-      ecmaVersion: 2024,
+      ecmaVersion: 2025,
       sourceType: 'module',
       globals: {
         ...globals.browser,
@@ -31,6 +31,7 @@ export default [
     rules: {
       // React rules
       'react/jsx-uses-react': 'off',
+      'react/jsx-uses-vars': 'error',
       'react/react-in-jsx-scope': 'off',
       'react/prop-types': 'warn',
       'react/jsx-no-duplicate-props': 'error',
@@ -148,6 +148,41 @@ describe('Database Module', () => {
     });
   });
 
+  describe('screening_sessions table', () => {
+    it('should add the adjudications column to session tables created before it existed', async () => {
+      const legacyPath = path.join(__dirname, '../data/test-legacy-sessions.db');
+      const Database = (await import('better-sqlite3')).default;
+      const legacy = new Database(legacyPath);
+      legacy.exec(`CREATE TABLE screening_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_code TEXT UNIQUE NOT NULL,
+        status TEXT DEFAULT 'in_progress',
+        response TEXT,
+        answers TEXT,
+        current_cluster INTEGER DEFAULT 0,
+        completed_clusters TEXT DEFAULT '[]',
+        results TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        completed_at TEXT
+      )`);
+      legacy.close();
+
+      await closeDatabase();
+      const migrated = await initDatabase(legacyPath);
+      const columns = await migrated.allAsync('PRAGMA table_info(screening_sessions)');
+      await closeDatabase();
+      for (const suffix of ['', '-wal', '-shm']) {
+        if (fs.existsSync(legacyPath + suffix)) {
+          fs.unlinkSync(legacyPath + suffix);
+        }
+      }
+      db = await initDatabase(testDbPath);
+
+      expect(columns.map((column) => column.name)).toContain('adjudications');
+    });
+  });
+
   describe('parallel queries', () => {
     it('should support parallel queries with Promise.all', async () => {
       const [drugs, cache, limits] = await Promise.all([
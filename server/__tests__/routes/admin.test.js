@@ -163,6 +163,70 @@ describe('Admin Route', () => {
     });
   });
 
+  describe('Drug pharmacokinetics', () => {
+    const login = async () => {
+      const loginRes = await request(app)
+        .post('/api/admin/login')
+        .send({ password: 'test-admin-password' });
+      return loginRes.body.token;
+    };
+
+    it('should list catalog half-lives and washouts', async () => {
+      const token = await login();
+
+      const response = await request(app)
+        .get('/api/admin/drugs/pharmacokinetics')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.drugs.find(d => d.drugName === 'ustekinumab')).toMatchObject({
+        halfLifeDays: 21,
+        washoutWeeks: 24,
+        edited: false,
+      });
+    });
+
+    it('should update and reset a drug half-life', async () => {
+      const token = await login();
+
+      const updated = await request(app)
+        .put('/api/admin/drugs/ustekinumab/pharmacokinetics')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ halfLifeDays: 19, washoutWeeks: null });
+
+      expect(updated.status).toBe(200);
+      expect(updated.body.drug).toMatchObject({ drugName: 'ustekinumab', halfLifeDays: 19, washoutWeeks: 24, edited: true });
+
+      const reset = await request(app)
+        .delete('/api/admin/drugs/ustekinumab/pharmacokinetics')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(reset.status).toBe(200);
+    });
+
+    it('should return 400 for invalid values', async () => {
+      const token = await login();
+
+      const response = await request(app)
+        .put('/api/admin/drugs/ustekinumab/pharmacokinetics')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ halfLifeDays: -3 });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('error');
+    });
+
+    it('should return 404 when resetting a drug without edited values', async () => {
+      const token = await login();
+
+      const response = await request(app)
+        .delete('/api/admin/drugs/adalimumab/pharmacokinetics')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
   describe('GET /api/admin/pending', () => {
     it('should return pending reviews', async () => {
       const loginRes = await request(app)
@@ -0,0 +1,136 @@
+/**
+ * @file Trial import route tests
+ * @description Real HTTP tests for /api/admin/import and /api/admin/pending-criteria
+ * against temporary copies of the data files
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import request from 'supertest';
+import { initDatabase, closeDatabase, db } from '../../db.js';
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const dataDir = path.join(__dirname, '../../../src/data');
+const study = JSON.parse(fs.readFileSync(path.join(__dirname, '../fixtures/ctgov-study.json'), 'utf-8'));
+
+let app;
+let token;
+
+describe('Trial Import Routes', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trial-import-'));
+  const criteriaPath = path.join(tmpDir, 'criteria.json');
+  const metadataPath = path.join(tmpDir, 'trial-metadata.json');
+
+  beforeAll(async () => {
+    fs.copyFileSync(path.join(dataDir, 'improved_slot_filled_database.json'), criteriaPath);
+    fs.copyFileSync(path.join(dataDir, 'trial-metadata.json'), metadataPath);
+    process.env.CRITERIA_DB_PATH = criteriaPath;
+    process.env.TRIAL_METADATA_PATH = metadataPath;
+    process.env.ADMIN_PASSWORD = 'test-admin-password';
+
+    await initDatabase(':memory:');
+    const serverModule = await import('../../index.js');
+    app = serverModule.app;
+
+    const loginRes = await request(app)
+      .post('/api/admin/login')
+      .send({ password: 'test-admin-password' });
+    token = loginRes.body.token;
+  });
+
+  beforeEach(async () => {
+    await db.runAsync('DELETE FROM rate_limits');
+  });
+
+  afterAll(async () => {
+    delete process.env.CRITERIA_DB_PATH;
+    delete process.env.TRIAL_METADATA_PATH;
+    await closeDatabase();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('requires authentication', async () => {
+    const res = await request(app).post('/api/admin/import/preview').send({ study });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('returns 400 for an invalid study', async () => {
+    const res = await request(app)
+      .post('/api/admin/import/preview')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ study: { protocolSection: {} } });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toHaveProperty('error');
+  });
+
+  it('previews without writing the data files', async () => {
+    const before = fs.readFileSync(criteriaPath, 'utf-8');
+
+    const res = await request(app)
+      .post('/api/admin/import/preview')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ study });
+
+    expect(res.status).toBe(200);
+    expect(res.body.nctId).toBe('NCT09999901');
+    expect(res.body.added).toBeGreaterThan(0);
+    expect(res.body.unslotted).toBe(1);
+    expect(res.body.preview).toMatch(/Import preview for NCT09999901/);
+    expect(fs.readFileSync(criteriaPath, 'utf-8')).toBe(before);
+  });
+
+  it('commits criteria, metadata and the review queue', async () => {
+    const res = await request(app)
+      .post('/api/admin/import/commit')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ study });
+
+    expect(res.status).toBe(200);
+    expect(res.body.queued).toBe(1);
+
+    const database = JSON.parse(fs.readFileSync(criteriaPath, 'utf-8'));
+    const imported = Object.values(database)
+      .filter((cluster) => cluster.criteria)
+      .flatMap((cluster) => cluster.criteria)
+      .filter((c) => c.nct_id === 'NCT09999901');
+    expect(imported).toHaveLength(res.body.added);
+    expect(database.metadata.total_criteria).toBe(res.body.totalCriteria);
+
+    const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf-8'));
+    expect(metadata.trials.NCT09999901.title).toMatch(/Fixture Study/);
+
+    const trialRes = await request(app).get('/api/trials/NCT09999901');
+    expect(trialRes.status).toBe(200);
+    expect(trialRes.body.sponsor).toBe('Fixture Sponsor');
+  });
+
+  it('lists and resolves queued criteria', async () => {
+    const listRes = await request(app)
+      .get('/api/admin/pending-criteria')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(listRes.status).toBe(200);
+    expect(listRes.body.criteria).toHaveLength(1);
+
+    const { id } = listRes.body.criteria[0];
+    const resolveRes = await request(app)
+      .post(`/api/admin/pending-criteria/${id}/resolve`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status: 'dismissed' });
+
+    expect(resolveRes.status).toBe(200);
+
+    const againRes = await request(app)
+      .post(`/api/admin/pending-criteria/${id}/resolve`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({});
+    expect(againRes.status).toBe(404);
+  });
+});
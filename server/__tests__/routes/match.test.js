@@ -107,4 +107,42 @@ describe('Match Route', () => {
       expect(secondResponse.body).toEqual(firstResponse.body);
     });
   });
+
+  describe('POST /api/match/patient', () => {
+    it('should return 400 if responses is missing', async () => {
+      const response = await request(app)
+        .post('/api/match/patient')
+        .send({ timestamp: new Date().toISOString() });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatch(/responses/i);
+    });
+
+    it('should return serialized match results for a slot-filled response', async () => {
+      const response = await request(app)
+        .post('/api/match/patient')
+        .send({
+          timestamp: new Date().toISOString(),
+          version: '3.0',
+          responses: {
+            AGE: { age: 16 },
+            BMI: { bmi: 24 },
+          },
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.summary.totalEvaluated).toBeGreaterThan(0);
+      expect(response.body.summary.totalEvaluated).toBe(
+        response.body.eligibleTrials.length + response.body.needsReviewTrials.length
+          + response.body.insufficientInformationTrials.length + response.body.eligibleAfterWashoutTrials.length
+          + response.body.ineligibleTrials.length
+      );
+
+      // Age 16 fails the adult inclusion criteria of most trials
+      const ageFailure = response.body.ineligibleTrials
+        .flatMap((t) => t.failedInclusions)
+        .find((c) => c.criterionId.startsWith('AGE_'));
+      expect(ageFailure).toMatchObject({ matches: false, causesIneligibility: true });
+    });
+  });
 });
@@ -0,0 +1,157 @@
+/**
+ * @file Re-screening route tests
+ * @description Real HTTP tests for /api/admin/rescreen against stored screening sessions
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import request from 'supertest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { initDatabase, closeDatabase, db } from '../../db.js';
+import { MATCHING_RULES_PATH } from '../../services/PatientMatcher.js';
+
+let app;
+let token;
+
+const patientResponse = { responses: { AGE: { age: 12 } } };
+
+describe('Re-screening Route', () => {
+  beforeAll(async () => {
+    process.env.ADMIN_PASSWORD = 'test-admin-password';
+    await initDatabase(':memory:');
+    const serverModule = await import('../../index.js');
+    app = serverModule.app;
+
+    const loginRes = await request(app)
+      .post('/api/admin/login')
+      .send({ password: 'test-admin-password' });
+    token = loginRes.body.token;
+  });
+
+  beforeEach(async () => {
+    await db.runAsync('DELETE FROM rate_limits');
+    await db.runAsync('DELETE FROM screening_sessions');
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  /**
+   * Store a completed session whose results say one ineligible trial was eligible
+   */
+  async function createStaleSession() {
+    const current = await request(app).post('/api/match/patient').send(patientResponse);
+    const [moved, ...ineligible] = current.body.ineligibleTrials;
+    const previous = {
+      ...current.body,
+      eligibleTrials: [...current.body.eligibleTrials, { ...moved, status: 'eligible', failedInclusions: [], matchedExclusions: [] }],
+      ineligibleTrials: ineligible,
+    };
+
+    const session = await request(app).post('/api/sessions').send({ response: patientResponse });
+    await request(app).put(`/api/sessions/${session.body.code}`).send({ results: previous });
+    return { code: session.body.code, moved };
+  }
+
+  it('requires authentication', async () => {
+    const res = await request(app).post('/api/admin/rescreen').send({});
+
+    expect(res.status).toBe(401);
+  });
+
+  it('reports trials that changed status with the criteria responsible', async () => {
+    const { code, moved } = await createStaleSession();
+
+    const res = await request(app)
+      .post('/api/admin/rescreen')
+      .set('Authorization', `Bearer ${token}`)
+      .send({});
+
+    expect(res.status).toBe(200);
+    expect(res.body.applied).toBe(false);
+    expect(res.body.sessionsRescreened).toBe(1);
+    const [patient] = res.body.patients;
+    expect(patient.sessionCode).toBe(code);
+    expect(patient.changes).toHaveLength(1);
+    expect(patient.changes[0]).toMatchObject({ nctId: moved.nctId, from: 'eligible', to: 'ineligible' });
+    expect(patient.changes[0].criteria.length).toBeGreaterThan(0);
+    expect(patient.changes[0].criteria.every((c) => c.change === 'added')).toBe(true);
+    expect(res.body.text).toContain(`Session ${code}`);
+  });
+
+  it('stores the new results when applied', async () => {
+    await createStaleSession();
+
+    const applied = await request(app)
+      .post('/api/admin/rescreen')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ apply: true });
+    expect(applied.body.patients).toHaveLength(1);
+
+    const again = await request(app)
+      .post('/api/admin/rescreen')
+      .set('Authorization', `Bearer ${token}`)
+      .send({});
+    expect(again.body.patients).toEqual([]);
+  });
+
+  it('keeps reviewer adjudications when re-screening', async () => {
+    const current = await request(app).post('/api/match/patient').send(patientResponse);
+    // A trial the age criterion alone rules out; the patient answered nothing else
+    const trial = current.body.ineligibleTrials.find((t) => t.failedInclusions.length === 1 && t.matchedExclusions.length === 0);
+    const [failed] = trial.failedInclusions;
+    expect(trial.skippedCriteria).toEqual([]);
+    const adjudications = {
+      [trial.nctId]: {
+        [failed.criterionId]: { decision: 'met', comment: 'Age confirmed in the chart', reviewer: 'Dr Lee' },
+      },
+    };
+
+    const session = await request(app).post('/api/sessions').send({ response: patientResponse });
+    await request(app).put(`/api/sessions/${session.body.code}`).send({ results: current.body, adjudications });
+
+    const res = await request(app)
+      .post('/api/admin/rescreen')
+      .set('Authorization', `Bearer ${token}`)
+      .send({});
+
+    const [patient] = res.body.patients;
+    expect(patient.changes.map((change) => change.nctId)).toEqual([trial.nctId]);
+    expect(patient.changes[0].from).toBe('ineligible');
+    // Every other criterion was evaluated and depends on answers the patient has not given
+    expect(patient.changes[0].to).toBe('insufficient_information');
+  });
+
+  it('picks up matching rule changes without a restart', async () => {
+    const measured = { responses: { AGE: { age: 40 }, AAO: { PASI: { value: 15 }, BSA: { value: 15 } } } };
+    const current = await request(app).post('/api/match/patient').send(measured);
+    const session = await request(app).post('/api/sessions').send({ response: measured });
+    await request(app).put(`/api/sessions/${session.body.code}`).send({ results: current.body });
+
+    // Narrower valid ranges turn PASI/BSA thresholds read from raw text into ignored misreads
+    const rules = JSON.parse(fs.readFileSync(MATCHING_RULES_PATH, 'utf-8'));
+    rules.measurementRanges.PASI.max = 1;
+    rules.measurementRanges.BSA.max = 1;
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'matching-rules-'));
+    process.env.MATCHING_RULES_PATH = path.join(tmpDir, 'matching-rules.json');
+    fs.writeFileSync(process.env.MATCHING_RULES_PATH, JSON.stringify(rules));
+
+    try {
+      const res = await request(app)
+        .post('/api/admin/rescreen')
+        .set('Authorization', `Bearer ${token}`)
+        .send({});
+
+      const [patient] = res.body.patients;
+      expect(patient.sessionCode).toBe(session.body.code);
+      expect(patient.changes.length).toBeGreaterThan(0);
+    } finally {
+      delete process.env.MATCHING_RULES_PATH;
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+      // Re-screen once more so the bundled rules are loaded again
+      await request(app).post('/api/admin/rescreen').set('Authorization', `Bearer ${token}`).send({});
+    }
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * @file Screening session routes integration tests
+ * @description Real HTTP tests for /api/sessions endpoints (NO MOCKS)
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import request from 'supertest';
+import { app } from '../../index.js';
+import { initDatabase, db } from '../../db.js';
+
+describe('Screening Session Routes (Real Integration)', () => {
+  let token;
+
+  beforeAll(async () => {
+    await initDatabase(':memory:');
+    process.env.ADMIN_PASSWORD = 'test-admin-password';
+
+    const loginRes = await request(app)
+      .post('/api/admin/login')
+      .send({ password: 'test-admin-password' });
+    token = loginRes.body.token;
+  });
+
+  beforeEach(async () => {
+    await db.runAsync('DELETE FROM rate_limits');
+  });
+
+  describe('POST /api/sessions', () => {
+    it('creates a session with an opaque code', async () => {
+      const res = await request(app).post('/api/sessions').send({});
+
+      expect(res.status).toBe(201);
+      expect(res.body.code).toMatch(/^[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}$/);
+      expect(res.body.status).toBe('in_progress');
+      expect(res.body.currentCluster).toBe(0);
+      expect(res.body.completedClusters).toEqual([]);
+    });
+
+    it('rejects malformed progress', async () => {
+      const res = await request(app).post('/api/sessions').send({ currentCluster: -1 });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toHaveProperty('error');
+    });
+  });
+
+  describe('PUT and GET /api/sessions/:code', () => {
+    it('saves progress and resumes it case-insensitively', async () => {
+      const created = await request(app).post('/api/sessions').send({});
+      const { code } = created.body;
+
+      const saved = await request(app).put(`/api/sessions/${code}`).send({
+        response: { responses: { AGE: { age: 42 } } },
+        answers: { age_value: '42' },
+        currentCluster: 5,
+        completedClusters: [0, 1, 2, 3, 4],
+      });
+      expect(saved.status).toBe(200);
+
+      const res = await request(app).get(`/api/sessions/${code.toLowerCase()}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.answers).toEqual({ age_value: '42' });
+      expect(res.body.response.responses.AGE.age).toBe(42);
+      expect(res.body.currentCluster).toBe(5);
+      expect(res.body.completedClusters).toEqual([0, 1, 2, 3, 4]);
+      expect(res.body.status).toBe('in_progress');
+    });
+
+    it('marks the session completed when results are stored', async () => {
+      const created = await request(app).post('/api/sessions').send({});
+      const results = { summary: { eligible: 2, ineligible: 3, needsReview: 1 } };
+
+      const res = await request(app).put(`/api/sessions/${created.body.code}`).send({ results });
+
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe('completed');
+      expect(res.body.completedAt).toBeTruthy();
+      expect(res.body.results).toEqual(results);
+    });
+
+    it('stores reviewer adjudications with the session', async () => {
+      const created = await request(app).post('/api/sessions').send({});
+      expect(created.body.adjudications).toEqual({});
+      const adjudications = {
+        NCT1: {
+          BIO_1: { decision: 'not_met', comment: 'No biologic in the chart', reviewer: 'Dr Lee', adjudicatedAt: '2026-10-19T10:00:00.000Z' },
+        },
+      };
+
+      const saved = await request(app).put(`/api/sessions/${created.body.code}`).send({ adjudications });
+      expect(saved.status).toBe(200);
+      expect(saved.body.status).toBe('in_progress');
+
+      const res = await request(app).get(`/api/sessions/${created.body.code}`);
+      expect(res.body.adjudications).toEqual(adjudications);
+    });
+
+    it('rejects adjudications without a valid decision, reviewer or comment', async () => {
+      const created = await request(app).post('/api/sessions').send({});
+      const entry = { decision: 'met', comment: 'Chart', reviewer: 'Dr Lee' };
+
+      for (const invalid of [{ ...entry, decision: 'maybe' }, { ...entry, reviewer: ' ' }, { ...entry, comment: undefined }]) {
+        const res = await request(app).put(`/api/sessions/${created.body.code}`).send({ adjudications: { NCT1: { AGE_1: invalid } } });
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/^adjudications\.NCT1\.AGE_1\./);
+      }
+    });
+
+    it('returns 404 for an unknown code', async () => {
+      const res = await request(app).get('/api/sessions/0000-0000-0000');
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/admin/sessions', () => {
+    it('is not listed publicly', async () => {
+      const res = await request(app).get('/api/sessions');
+
+      expect(res.status).toBe(404);
+    });
+
+    it('requires authentication', async () => {
+      const res = await request(app).get('/api/admin/sessions');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('lists session history with result summaries', async () => {
+      const created = await request(app).post('/api/sessions').send({});
+      await request(app).put(`/api/sessions/${created.body.code}`).send({
+        results: { summary: { eligible: 1 } },
+      });
+
+      const res = await request(app)
+        .get('/api/admin/sessions?status=completed')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.count).toBe(res.body.sessions.length);
+      const entry = res.body.sessions.find((s) => s.code === created.body.code);
+      expect(entry.summary).toEqual({ eligible: 1 });
+      expect(entry).not.toHaveProperty('answers');
+      expect(res.body.sessions.every((s) => s.status === 'completed')).toBe(true);
+    });
+  });
+
+  describe('Rate limiting', () => {
+    it('limits lookups across different codes', async () => {
+      const statuses = [];
+      for (let i = 0; i < 61; i++) {
+        const code = `0000-0000-${i.toString(16).toUpperCase().padStart(4, '0')}`;
+        statuses.push((await request(app).get(`/api/sessions/${code}`)).status);
+      }
+
+      expect(statuses.slice(0, 60).every((status) => status === 404)).toBe(true);
+      expect(statuses[60]).toBe(429);
+    });
+  });
+
+  describe('DELETE /api/sessions/:code', () => {
+    it('deletes a session', async () => {
+      const created = await request(app).post('/api/sessions').send({});
+
+      const res = await request(app).delete(`/api/sessions/${created.body.code}`);
+      expect(res.status).toBe(200);
+
+      const after = await request(app).get(`/api/sessions/${created.body.code}`);
+      expect(after.status).toBe(404);
+    });
+
+    it('returns 404 when the session does not exist', async () => {
+      const res = await request(app).delete('/api/sessions/0000-0000-0000');
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
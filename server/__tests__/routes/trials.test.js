@@ -0,0 +1,80 @@
+/**
+ * @file Trials routes integration tests
+ * @description Real HTTP tests for /api/trials endpoints (NO MOCKS)
+ * against a temporary metadata file built from the ClinicalTrials.gov fixture
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+import { fileURLToPath } from 'url';
+import { app } from '../../index.js';
+import { initDatabase } from '../../db.js';
+import { parseStudy } from '../../services/TrialImporter.js';
+import { reloadTrialRegistry } from '../../services/TrialRegistry.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const study = JSON.parse(fs.readFileSync(path.join(__dirname, '../fixtures/ctgov-study.json'), 'utf-8'));
+
+describe('Trials Routes (Real Integration)', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trial-registry-'));
+  const metadataPath = path.join(tmpDir, 'trial-metadata.json');
+
+  beforeAll(async () => {
+    const { nctId, metadata } = parseStudy(study);
+    fs.writeFileSync(metadataPath, JSON.stringify({ trials: { [nctId]: metadata } }));
+    process.env.TRIAL_METADATA_PATH = metadataPath;
+    reloadTrialRegistry();
+
+    await initDatabase(':memory:');
+  });
+
+  afterAll(() => {
+    delete process.env.TRIAL_METADATA_PATH;
+    reloadTrialRegistry();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('GET /api/trials', () => {
+    it('returns all registered trials', async () => {
+      const res = await request(app).get('/api/trials');
+
+      expect(res.status).toBe(200);
+      expect(res.body.count).toBe(res.body.trials.length);
+      expect(res.body.count).toBeGreaterThan(0);
+      expect(res.body.trials[0].nctId).toBe('NCT09999901');
+      expect(res.body.trials[0].title).toMatch(/Fixture Study/);
+      expect(res.body.trials[0]).toHaveProperty('sites');
+    });
+
+    it('filters by recruitment status', async () => {
+      const res = await request(app).get('/api/trials?status=not_a_status');
+
+      expect(res.status).toBe(200);
+      expect(res.body.trials).toEqual([]);
+    });
+  });
+
+  describe('GET /api/trials/:nctId', () => {
+    it('returns metadata for a known trial', async () => {
+      const list = await request(app).get('/api/trials');
+      const { nctId } = list.body.trials[0];
+
+      const res = await request(app).get(`/api/trials/${nctId}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.nctId).toBe(nctId);
+    });
+
+    it('returns 404 for an unknown trial', async () => {
+      const res = await request(app).get('/api/trials/NCT00000000');
+
+      expect(res.status).toBe(404);
+      expect(res.body).toHaveProperty('error');
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * @file Re-screening diff tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { diffMatchResults, formatRescreenReport } from '../../services/Rescreener.js';
+
+const ageInclusion = { criterionId: 'AGE_001', rawText: 'Age 18 to 75 years', exclusionStrength: 'inclusion' };
+const tbExclusion = { criterionId: 'AIC_004', rawText: 'Active tuberculosis', exclusionStrength: 'mandatory_exclude' };
+
+/**
+ * Minimal PatientMatchResults.toJSON() with the given trials
+ */
+function makeResults(trials) {
+  const group = (status) => trials.filter((t) => t.status === status);
+  return {
+    timestamp: '2026-10-01T00:00:00.000Z',
+    eligibleTrials: group('eligible'),
+    needsReviewTrials: group('needs_review'),
+    insufficientInformationTrials: group('insufficient_information'),
+    ineligibleTrials: group('ineligible'),
+  };
+}
+
+describe('diffMatchResults', () => {
+  it('ignores trials whose status did not change', () => {
+    const results = makeResults([{ nctId: 'NCT001', status: 'eligible', failedInclusions: [], matchedExclusions: [] }]);
+
+    expect(diffMatchResults(results, results)).toEqual([]);
+  });
+
+  it('reports a move to ineligible with the criteria that now exclude', () => {
+    const previous = makeResults([{ nctId: 'NCT001', status: 'eligible', failedInclusions: [], matchedExclusions: [] }]);
+    const current = makeResults([{
+      nctId: 'NCT001',
+      status: 'ineligible',
+      failedInclusions: [ageInclusion],
+      matchedExclusions: [],
+      metadata: { title: 'Psoriasis Study' },
+    }]);
+
+    expect(diffMatchResults(previous, current)).toEqual([{
+      nctId: 'NCT001',
+      title: 'Psoriasis Study',
+      from: 'eligible',
+      to: 'ineligible',
+      criteria: [{ criterionId: 'AGE_001', rawText: 'Age 18 to 75 years', reason: 'failed_inclusion', change: 'added' }],
+    }]);
+  });
+
+  it('reports criteria that stopped excluding when a trial becomes eligible', () => {
+    const previous = makeResults([{ nctId: 'NCT001', status: 'ineligible', failedInclusions: [], matchedExclusions: [tbExclusion] }]);
+    const current = makeResults([{ nctId: 'NCT001', status: 'eligible', failedInclusions: [], matchedExclusions: [] }]);
+
+    const [change] = diffMatchResults(previous, current);
+
+    expect(change.from).toBe('ineligible');
+    expect(change.to).toBe('eligible');
+    expect(change.criteria).toEqual([
+      { criterionId: 'AIC_004', rawText: 'Active tuberculosis', reason: 'matched_exclusion', change: 'removed' },
+    ]);
+  });
+
+  it('reports flagged criteria behind a move to needs_review', () => {
+    const previous = makeResults([{ nctId: 'NCT001', status: 'eligible', failedInclusions: [], matchedExclusions: [] }]);
+    const current = makeResults([{
+      nctId: 'NCT001', status: 'needs_review', failedInclusions: [], matchedExclusions: [], flaggedCriteria: [tbExclusion],
+    }]);
+
+    expect(diffMatchResults(previous, current)[0].criteria[0]).toMatchObject({ criterionId: 'AIC_004', reason: 'flagged' });
+  });
+
+  it('reports the open questions behind a move to insufficient_information', () => {
+    const previous = makeResults([{ nctId: 'NCT001', status: 'eligible', failedInclusions: [], matchedExclusions: [] }]);
+    const current = makeResults([{
+      nctId: 'NCT001',
+      status: 'insufficient_information',
+      failedInclusions: [],
+      matchedExclusions: [],
+      openQuestions: [{ question: 'Do you have recent lab results?', items: ['ALT'], criteria: ['LAB_001'] }],
+    }]);
+
+    expect(diffMatchResults(previous, current)[0].criteria).toEqual([
+      { criterionId: 'LAB_001', rawText: 'Do you have recent lab results?', reason: 'unknown', change: 'added' },
+    ]);
+  });
+
+  it('reports trials added to or removed from the database', () => {
+    const previous = makeResults([{ nctId: 'NCT001', status: 'eligible' }]);
+    const current = makeResults([{ nctId: 'NCT002', status: 'eligible' }]);
+
+    const changes = diffMatchResults(previous, current);
+
+    expect(changes.map(({ nctId, from, to }) => ({ nctId, from, to }))).toEqual([
+      { nctId: 'NCT001', from: 'eligible', to: null },
+      { nctId: 'NCT002', from: null, to: 'eligible' },
+    ]);
+  });
+});
+
+describe('formatRescreenReport', () => {
+  it('lists each patient change with its responsible criteria', () => {
+    const text = formatRescreenReport({
+      applied: false,
+      sessionsRescreened: 2,
+      patients: [{
+        sessionCode: 'AB12-CD34-EF56',
+        changes: [{
+          nctId: 'NCT001',
+          title: 'NCT001',
+          from: 'eligible',
+          to: 'ineligible',
+          criteria: [{ criterionId: 'AGE_001', rawText: 'Age 18 to 75 years', reason: 'failed_inclusion', change: 'added' }],
+        }],
+      }],
+    });
+
+    expect(text).toContain('Re-screened 2 session(s): 1 with status changes (dry run)');
+    expect(text).toContain('NCT001: eligible → ineligible');
+    expect(text).toContain('+ [failed_inclusion] AGE_001: Age 18 to 75 years');
+  });
+});
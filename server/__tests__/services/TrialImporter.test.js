@@ -0,0 +1,297 @@
+/**
+ * @file Trial importer tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  parseStudy,
+  splitEligibilityText,
+  classifyCriterion,
+  extractSlots,
+  parseTimeframe,
+  buildImportPlan,
+  applyImportPlan,
+  formatImportPreview,
+  listDatabaseTrials,
+  writeTrialMetadata,
+} from '../../services/TrialImporter.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const study = JSON.parse(fs.readFileSync(path.join(__dirname, '../fixtures/ctgov-study.json'), 'utf-8'));
+
+/**
+ * Minimal criteria database with two clusters
+ */
+function makeDatabase() {
+  return {
+    metadata: {
+      total_criteria: 2,
+      clusters: [
+        { code: 'AGE', count: 1 },
+        { code: 'PTH', count: 1 },
+      ],
+    },
+    CLUSTER_AGE: {
+      cluster_code: 'AGE',
+      total_criteria: 1,
+      criteria: [{ id: 'AGE_1054', nct_id: 'NCT00000001', raw_text: 'Age 18-65', AGE_MIN: 18, AGE_MAX: 65 }],
+    },
+    CLUSTER_PTH: {
+      cluster_code: 'PTH',
+      total_criteria: 1,
+      criteria: [{ id: 'PTH_030', nct_id: 'NCT00000001', raw_text: 'Prior biologics', conditions: [] }],
+    },
+    CLUSTER_CPD: { cluster_code: 'CPD', total_criteria: 0, criteria: [] },
+    CLUSTER_SEV: { cluster_code: 'SEV', total_criteria: 0, criteria: [] },
+    CLUSTER_BMI: { cluster_code: 'BMI', total_criteria: 0, criteria: [] },
+    CLUSTER_AIC: { cluster_code: 'AIC', total_criteria: 0, criteria: [] },
+    CLUSTER_CMB: { cluster_code: 'CMB', total_criteria: 0, criteria: [] },
+  };
+}
+
+describe('TrialImporter', () => {
+  describe('parseStudy', () => {
+    it('extracts NCT ID and trial metadata', () => {
+      const parsed = parseStudy(study);
+
+      expect(parsed.nctId).toBe('NCT09999901');
+      expect(parsed.metadata.title).toMatch(/Fixture Study/);
+      expect(parsed.metadata.phase).toBe('PHASE2');
+      expect(parsed.metadata.recruitment_status).toBe('RECRUITING');
+      expect(parsed.metadata.sites[0].city).toBe('Boston');
+    });
+
+    it('rejects studies without an NCT ID', () => {
+      expect(() => parseStudy({ protocolSection: {} })).toThrow(/nctId/);
+    });
+  });
+
+  describe('splitEligibilityText', () => {
+    it('splits bullets by section and joins wrapped lines', () => {
+      const { inclusion, exclusion } = splitEligibilityText(
+        study.protocolSection.eligibilityModule.eligibilityCriteria
+      );
+
+      expect(inclusion).toHaveLength(4);
+      expect(exclusion).toHaveLength(4);
+      expect(exclusion[3]).toBe('Unable to comply with study visits in the opinion of the investigator');
+    });
+  });
+
+  describe('classifyCriterion / extractSlots', () => {
+    it('extracts age bounds', () => {
+      expect(classifyCriterion('Male or female, 18 years and above')).toBe('AGE');
+      expect(extractSlots('AGE', 'Age 18 to 75 years')).toMatchObject({ AGE_MIN: 18, AGE_MAX: 75 });
+    });
+
+    it('extracts treatment types and timeframe for PTH', () => {
+      const text = 'Received secukinumab within 12 weeks prior to baseline';
+      expect(classifyCriterion(text)).toBe('PTH');
+
+      const slots = extractSlots('PTH', text);
+      expect(slots.conditions[0].TREATMENT_TYPE).toContain('secukinumab');
+      expect(slots.conditions[0].TIMEFRAME).toEqual({
+        relation: 'within', amount: 12, unit: 'weeks', reference: 'baseline',
+      });
+    });
+
+    it('extracts response and count requirements for PTH', () => {
+      const text = 'Inadequate response to at least one TNF inhibitor';
+      expect(classifyCriterion(text)).toBe('PTH');
+      expect(extractSlots('PTH', text).conditions[0]).toMatchObject({
+        TREATMENT_RESPONSE: ['inadequate_response'],
+        TREATMENT_COUNT: { comparator: '>=', value: 1 },
+      });
+    });
+
+    it('extracts joint counts and PsA features for AAO', () => {
+      const counts = '≥3 tender and ≥3 swollen joints at screening';
+      expect(classifyCriterion(counts)).toBe('AAO');
+      expect(extractSlots('AAO', counts).conditions).toMatchObject([
+        { MEASUREMENT: 'TJC', COMPARATOR: '>=', VALUE: 3 },
+        { MEASUREMENT: 'SJC', COMPARATOR: '>=', VALUE: 3 },
+      ]);
+
+      const features = 'Presence of dactylitis or enthesitis';
+      expect(classifyCriterion(features)).toBe('AAO');
+      expect(extractSlots('AAO', features)).toEqual({
+        PSA_FEATURES: { DACTYLITIS: true, ENTHESITIS: true },
+        PSA_FEATURES_OPERATOR: 'OR',
+      });
+    });
+
+    it('classifies special-area criteria as AAO with body-map regions', () => {
+      const text = 'Pustules on the palms of the hands and/or soles of the feet';
+      expect(classifyCriterion(text)).toBe('AAO');
+      expect(extractSlots('AAO', text)).toEqual({ ANATOMICAL_LOCATION: ['palms', 'soles'] });
+      expect(extractSlots('AAO', 'BSA ≥ 10% (excluding the scalp, palms and soles)')).not.toHaveProperty('ANATOMICAL_LOCATION');
+    });
+
+    it('extracts route, dose and stable-dose requirements for PTH', () => {
+      expect(extractSlots('PTH', 'Stable dose of methotrexate ≤ 25 mg/week for at least 8 weeks').conditions[0]).toMatchObject({
+        DOSE: { comparator: '<=', value: 25, unit: 'mg/week' },
+        STABLE_DURATION: { amount: 8, unit: 'weeks' },
+      });
+      expect(extractSlots('PTH', 'Systemic corticosteroids within 4 weeks (topical corticosteroids permitted)').conditions[0]).toMatchObject({
+        ROUTE: ['systemic'],
+        PERMITTED: { ROUTE: ['topical'] },
+      });
+    });
+
+    it('extracts structured severity thresholds and rejects unparseable ones', () => {
+      expect(extractSlots('SEV', 'PASI ≥ 12 at baseline')).toEqual({
+        MEASUREMENT: 'PASI', COMPARATOR: '>=', VALUE: 12, UNIT: null, TIMEPOINT: ['baseline'],
+      });
+      expect(extractSlots('SEV', 'PASI score 12 at baseline')).toBeNull();
+      expect(extractSlots('AAO', 'Plaques on the scalp')).toEqual({ ANATOMICAL_LOCATION: ['scalp'] });
+    });
+
+    it('classifies nail, scalp and palmoplantar scores as SEV with their thresholds', () => {
+      expect(classifyCriterion('Fingernail psoriasis with NAPSI ≥ 20')).toBe('SEV');
+      expect(extractSlots('SEV', 'Fingernail psoriasis with NAPSI ≥ 20')).toMatchObject({ MEASUREMENT: 'NAPSI', COMPARATOR: '>=', VALUE: 20 });
+      expect(classifyCriterion('ppPASI ≥ 12 at screening')).toBe('SEV');
+      expect(extractSlots('SEV', 'ss-IGA ≥ 3')).toMatchObject({ MEASUREMENT: 'SS_IGA', VALUE: 3 });
+    });
+
+    it('classifies pregnancy and contraception criteria as REP', () => {
+      const text = 'Women who are pregnant or breastfeeding';
+      expect(classifyCriterion(text)).toBe('REP');
+      expect(extractSlots('REP', text)).toEqual({ REPRODUCTIVE_STATUS: ['pregnant', 'breastfeeding'] });
+    });
+
+    it('classifies lab thresholds as LAB and combines lists by strength', () => {
+      const text = 'Hemoglobin < 9 g/dL, platelets < 100,000/mm3';
+      expect(classifyCriterion(text)).toBe('LAB');
+      expect(extractSlots('LAB', text, 'mandatory_exclude')).toMatchObject({ LOGICAL_OPERATOR: 'OR' });
+      expect(extractSlots('LAB', text, 'inclusion')).toMatchObject({ LOGICAL_OPERATOR: 'AND' });
+      expect(extractSlots('LAB', text)).toBeNull();
+    });
+
+    it('classifies live vaccine exclusions as VAC with their window', () => {
+      const text = 'Received a live vaccine within 4 weeks prior to baseline';
+      expect(classifyCriterion(text)).toBe('VAC');
+      expect(extractSlots('VAC', text)).toEqual({
+        VACCINE_TYPE: 'live',
+        TIMEFRAME: { relation: 'within', amount: 4, unit: 'weeks', reference: 'baseline' },
+      });
+    });
+
+    it('returns null for text no rule covers', () => {
+      expect(classifyCriterion('Able to provide written informed consent')).toBeNull();
+    });
+
+    it('parses "N units before" timeframes', () => {
+      expect(parseTimeframe('8 weeks before screening')).toMatchObject({ amount: 8, unit: 'weeks' });
+      expect(parseTimeframe('no timeframe here')).toBeNull();
+    });
+  });
+
+  describe('buildImportPlan', () => {
+    it('assigns stable sequential ids per cluster', () => {
+      const plan = buildImportPlan(makeDatabase(), study);
+      const ids = plan.additions.map((a) => a.criterion.id);
+
+      expect(ids).toContain('AGE_1055');
+      expect(ids).toContain('PTH_031');
+      expect(plan.additions.every((a) => a.criterion.nct_id === 'NCT09999901')).toBe(true);
+    });
+
+    it('queues criteria that cannot be slotted', () => {
+      const plan = buildImportPlan(makeDatabase(), study);
+
+      expect(plan.unslotted).toHaveLength(1);
+      expect(plan.unslotted[0].rawText).toMatch(/comply with study visits/);
+      expect(plan.unslotted[0].exclusionStrength).toBe('mandatory_exclude');
+    });
+
+    it('marks "unless" exclusions as conditional', () => {
+      const conditionalStudy = JSON.parse(
+        JSON.stringify(study).replace('History of malignancy within 5 years', 'History of malignancy unless cured for at least 5 years')
+      );
+      const plan = buildImportPlan(makeDatabase(), conditionalStudy);
+      const malignancy = plan.additions.find((a) => /malignancy/.test(a.criterion.raw_text));
+
+      expect(malignancy.criterion.EXCLUSION_STRENGTH).toBe('conditional_exclude');
+      expect(plan.additions.find((a) => /tuberculosis/.test(a.criterion.raw_text)).criterion.EXCLUSION_STRENGTH)
+        .toBe('mandatory_exclude');
+    });
+
+    it('keeps ids when a trial is re-imported', () => {
+      const database = makeDatabase();
+      const first = buildImportPlan(database, study);
+      const imported = applyImportPlan(database, first);
+
+      const second = buildImportPlan(imported, study);
+
+      expect(second.replacesExisting).toBe(true);
+      expect(second.removals).toHaveLength(0);
+      expect(second.additions.map((a) => a.criterion.id)).toEqual(first.additions.map((a) => a.criterion.id));
+    });
+  });
+
+  describe('applyImportPlan', () => {
+    it('keeps cluster counts and metadata in sync without mutating input', () => {
+      const database = makeDatabase();
+      const plan = buildImportPlan(database, study);
+      const updated = applyImportPlan(database, plan, '2026-01-01');
+
+      expect(database.CLUSTER_AGE.criteria).toHaveLength(1);
+      expect(updated.CLUSTER_AGE.total_criteria).toBe(updated.CLUSTER_AGE.criteria.length);
+      expect(updated.metadata.clusters.find((c) => c.code === 'PTH').count).toBe(updated.CLUSTER_PTH.criteria.length);
+      expect(updated.metadata.total_criteria).toBe(2 + plan.additions.length);
+      expect(updated.metadata.last_updated).toBe('2026-01-01');
+    });
+  });
+
+  describe('formatImportPreview', () => {
+    it('lists count changes, added criteria and unslotted criteria', () => {
+      const database = makeDatabase();
+      const preview = formatImportPreview(database, buildImportPlan(database, study));
+
+      expect(preview).toMatch(/Import preview for NCT09999901/);
+      expect(preview).toMatch(/AGE: 1 -> 2 \(\+1\)/);
+      expect(preview).toMatch(/\+ PTH_031 \[mandatory_exclude\]/);
+      expect(preview).toMatch(/Unslotted \(queued for admin review\): 1/);
+    });
+  });
+
+  describe('listDatabaseTrials', () => {
+    it('lists each trial with criteria once, sorted', () => {
+      const database = makeDatabase();
+      database.CLUSTER_CMB.criteria.push({ id: 'CMB_1', nct_id: 'NCT00000000', raw_text: 'History of cancer' });
+
+      expect(listDatabaseTrials(database)).toEqual(['NCT00000000', 'NCT00000001']);
+    });
+  });
+
+  describe('writeTrialMetadata', () => {
+    it('adds study metadata sorted by NCT ID and keeps the trial count in sync', async () => {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trial-metadata-'));
+      const metadataPath = path.join(tmpDir, 'trial-metadata.json');
+      fs.writeFileSync(metadataPath, JSON.stringify({
+        metadata: { total_trials: 1 },
+        trials: { NCT09999999: { nct_id: 'NCT09999999', title: 'Existing Study' } },
+      }, null, 2) + '\n');
+
+      try {
+        const total = await writeTrialMetadata([parseStudy(study).metadata], metadataPath);
+        const written = fs.readFileSync(metadataPath, 'utf-8');
+        const data = JSON.parse(written);
+
+        expect(total).toBe(2);
+        expect(data.metadata.total_trials).toBe(2);
+        expect(Object.keys(data.trials)).toEqual(['NCT09999901', 'NCT09999999']);
+        expect(data.trials.NCT09999901).toMatchObject({ title: expect.stringMatching(/Fixture Study/), sponsor: 'Fixture Sponsor' });
+        expect(written.endsWith('\n')).toBe(true);
+      } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -138,6 +138,15 @@ export async function initDatabase(dbPath) {
     CREATE INDEX IF NOT EXISTS idx_approved_drugs_drug_class 
     ON approved_drugs(drug_class);
 
+    -- Admin-edited half-life / standard washout, applied over the drug catalog
+    CREATE TABLE IF NOT EXISTS drug_pharmacokinetics (
+      drug_name TEXT PRIMARY KEY,
+      half_life_days REAL,
+      washout_weeks REAL,
+      updated_at TEXT NOT NULL,
+      updated_by TEXT DEFAULT 'admin'
+    );
+
     -- Follow-up questions cache
     CREATE TABLE IF NOT EXISTS followup_cache (
       drug_class TEXT PRIMARY KEY,
@@ -205,6 +214,45 @@ export async function initDatabase(dbPath) {
     CREATE INDEX IF NOT EXISTS idx_pending_terms_approved 
     ON pending_terms(status, type) WHERE status = 'approved';
 
+    -- Imported criteria the extractor could not slot (admin review queue)
+    CREATE TABLE IF NOT EXISTS pending_criteria (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      nct_id TEXT NOT NULL,
+      raw_text TEXT NOT NULL,
+      exclusion_strength TEXT NOT NULL,
+      suggested_cluster TEXT,
+      reason TEXT,
+      status TEXT DEFAULT 'pending',
+      submitted_at TEXT NOT NULL,
+      reviewed_at TEXT,
+      reviewed_by TEXT,
+      UNIQUE(nct_id, raw_text)
+    );
+
+    -- Index for pending criteria by status
+    CREATE INDEX IF NOT EXISTS idx_pending_criteria_status 
+    ON pending_criteria(status);
+
+    -- Patient screening sessions (keyed by an opaque code, no patient identity)
+    CREATE TABLE IF NOT EXISTS screening_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_code TEXT UNIQUE NOT NULL,
+      status TEXT DEFAULT 'in_progress',
+      response TEXT,
+      answers TEXT,
+      current_cluster INTEGER DEFAULT 0,
+      completed_clusters TEXT DEFAULT '[]',
+      results TEXT,
+      adjudications TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      completed_at TEXT
+    );
+
+    -- Index for session history ordered by last activity
+    CREATE INDEX IF NOT EXISTS idx_screening_sessions_updated_at
+    ON screening_sessions(updated_at);
+
     -- Configuration table for API keys and settings
     CREATE TABLE IF NOT EXISTS config (
       key TEXT PRIMARY KEY,
@@ -213,6 +261,12 @@ export async function initDatabase(dbPath) {
     );
   `);
 
+  // Session tables created before reviewer adjudications were stored lack the column
+  const sessionColumns = await dbInstance.allAsync('PRAGMA table_info(screening_sessions)');
+  if (!sessionColumns.some((column) => column.name === 'adjudications')) {
+    dbInstance.exec('ALTER TABLE screening_sessions ADD COLUMN adjudications TEXT');
+  }
+
   return dbInstance;
 }
 
@@ -76,12 +76,16 @@ import followupRoutes from './routes/followups.js';
 import adminRoutes from './routes/admin.js';
 import configRoutes from './routes/config.js';
 import termsRoutes from './routes/terms.js';
+import trialsRoutes from './routes/trials.js';
+import sessionsRoutes from './routes/sessions.js';
 
 app.use('/api/match', matchRoutes);
 app.use('/api/followups', followupRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/config', configRoutes);
 app.use('/api/terms', termsRoutes);
+app.use('/api/trials', trialsRoutes);
+app.use('/api/sessions', sessionsRoutes);
 
 // ============================================
 // ERROR HANDLING
@@ -11,18 +11,21 @@ import { db } from '../db.js';
  * @param {number} options.windowMs - Time window in milliseconds
  * @param {number} options.max - Max requests per window
  * @param {string} options.keyPrefix - Prefix for rate limit keys
+ * @param {boolean} [options.perPath=true] - Count each path separately; when false every
+ *   path under the router shares one counter (so varying a path parameter does not reset it)
  * @returns {Function} Express middleware
  */
 export function createRateLimiter(options = {}) {
   const {
     windowMs = 60 * 1000, // 1 minute
     max = 10,
-    keyPrefix = 'rl'
+    keyPrefix = 'rl',
+    perPath = true
   } = options;
 
   return async (req, res, next) => {
     const ip = req.ip || req.connection.remoteAddress || 'unknown';
-    const endpoint = `${keyPrefix}:${req.method}:${req.path}`;
+    const endpoint = perPath ? `${keyPrefix}:${req.method}:${req.path}` : `${keyPrefix}:${req.method}`;
     const now = new Date().toISOString();
     const windowStart = new Date(Date.now() - windowMs).toISOString();
 
@@ -99,4 +102,15 @@ export const adminRateLimiter = createRateLimiter({
   keyPrefix: 'admin'
 });
 
-export default { createRateLimiter, loginRateLimiter, adminRateLimiter };
+/**
+ * Rate limiter for screening session lookups by code
+ * 60 requests per minute, shared across codes so codes cannot be guessed by brute force
+ */
+export const sessionRateLimiter = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: 60,
+  keyPrefix: 'session',
+  perPath: false
+});
+
+export default { createRateLimiter, loginRateLimiter, adminRateLimiter, sessionRateLimiter };
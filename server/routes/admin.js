@@ -7,6 +7,22 @@ import { Router } from 'express';
 import crypto from 'crypto';
 import { db } from '../db.js';
 import { loginRateLimiter, adminRateLimiter } from '../middleware/rateLimiter.js';
+import {
+  buildImportPlan,
+  commitImportPlan,
+  formatImportPreview,
+  loadCriteriaDatabase,
+  queueUnslottedCriteria,
+} from '../services/TrialImporter.js';
+import { reloadTrialRegistry } from '../services/TrialRegistry.js';
+import { reloadPatientMatcher } from '../services/PatientMatcher.js';
+import { rescreenSessions, formatRescreenReport } from '../services/Rescreener.js';
+import { listSessions } from '../services/ScreeningSessionStore.js';
+import {
+  listDrugPharmacokinetics,
+  setDrugPharmacokinetics,
+  resetDrugPharmacokinetics,
+} from '../services/DrugPharmacokineticsStore.js';
 
 const router = Router();
 
@@ -162,6 +178,75 @@ router.delete('/drugs/:drugName', requireAuth, adminRateLimiter, async (req, res
   }
 });
 
+/**
+ * Pick and validate half-life / washout values from a request body
+ * @param {Object} body
+ * @returns {{ values: { halfLifeDays: number|null, washoutWeeks: number|null }, error: string|null }}
+ */
+function readPharmacokinetics(body = {}) {
+  const values = {};
+  for (const field of ['halfLifeDays', 'washoutWeeks']) {
+    const value = body[field] ?? null;
+    if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value <= 0)) {
+      return { values, error: `${field} must be a positive number or null` };
+    }
+    values[field] = value;
+  }
+  if (values.halfLifeDays === null && values.washoutWeeks === null) {
+    return { values, error: 'halfLifeDays or washoutWeeks is required' };
+  }
+  return { values, error: null };
+}
+
+/**
+ * GET /api/admin/drugs/pharmacokinetics
+ * Half-life and standard washout of every catalog drug (catalog and admin values)
+ */
+router.get('/drugs/pharmacokinetics', requireAuth, adminRateLimiter, async (req, res) => {
+  try {
+    res.json({ drugs: await listDrugPharmacokinetics() });
+  } catch (error) {
+    console.error('Error fetching drug pharmacokinetics:', error);
+    res.status(500).json({ error: 'Failed to fetch drug pharmacokinetics' });
+  }
+});
+
+/**
+ * PUT /api/admin/drugs/:drugName/pharmacokinetics
+ * Set a drug's half-life (days) and/or standard washout (weeks); null keeps the catalog value
+ */
+router.put('/drugs/:drugName/pharmacokinetics', requireAuth, adminRateLimiter, async (req, res) => {
+  try {
+    const { values, error } = readPharmacokinetics(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const drug = await setDrugPharmacokinetics(req.params.drugName, values);
+    res.json({ message: 'Drug pharmacokinetics saved', drug });
+  } catch (error) {
+    console.error('Error saving drug pharmacokinetics:', error);
+    res.status(500).json({ error: 'Failed to save drug pharmacokinetics' });
+  }
+});
+
+/**
+ * DELETE /api/admin/drugs/:drugName/pharmacokinetics
+ * Drop the admin values so the catalog half-life / washout applies again
+ */
+router.delete('/drugs/:drugName/pharmacokinetics', requireAuth, adminRateLimiter, async (req, res) => {
+  try {
+    const removed = await resetDrugPharmacokinetics(req.params.drugName);
+    if (!removed) {
+      return res.status(404).json({ error: 'No edited pharmacokinetics for this drug' });
+    }
+    res.json({ message: 'Drug pharmacokinetics reset to catalog values' });
+  } catch (error) {
+    console.error('Error resetting drug pharmacokinetics:', error);
+    res.status(500).json({ error: 'Failed to reset drug pharmacokinetics' });
+  }
+});
+
 /**
  * GET /api/admin/pending
  * List all pending reviews
@@ -447,4 +532,171 @@ router.get('/terms/history', requireAuth, adminRateLimiter, async (req, res) =>
   }
 });
 
+// ============================================
+// TRIAL IMPORT (ClinicalTrials.gov v2 study JSON)
+// ============================================
+
+/**
+ * Build an import plan from a request body, mapping invalid studies to 400
+ * @param {Object} body - Request body with `study`
+ * @returns {Promise<{ database: Object, plan: Object }>}
+ */
+async function planFromRequest(body) {
+  if (!body?.study || typeof body.study !== 'object') {
+    const error = new Error('study (ClinicalTrials.gov v2 JSON) is required');
+    error.status = 400;
+    throw error;
+  }
+
+  const database = await loadCriteriaDatabase();
+  try {
+    return { database, plan: buildImportPlan(database, body.study) };
+  } catch (error) {
+    error.status = 400;
+    throw error;
+  }
+}
+
+/**
+ * POST /api/admin/import/preview
+ * Dry run: show which criteria a study would add, replace or queue for review
+ */
+router.post('/import/preview', requireAuth, adminRateLimiter, async (req, res) => {
+  try {
+    const { database, plan } = await planFromRequest(req.body);
+
+    res.json({
+      nctId: plan.nctId,
+      added: plan.additions.length,
+      removed: plan.removals.length,
+      unslotted: plan.unslotted.length,
+      preview: formatImportPreview(database, plan),
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error previewing import:', error);
+    res.status(500).json({ error: 'Failed to preview import' });
+  }
+});
+
+/**
+ * POST /api/admin/import/commit
+ * Write a study's criteria and metadata to the data files,
+ * queueing criteria that could not be slotted for admin review
+ */
+router.post('/import/commit', requireAuth, adminRateLimiter, async (req, res) => {
+  try {
+    const { database, plan } = await planFromRequest(req.body);
+    const preview = formatImportPreview(database, plan);
+
+    const { totalCriteria } = await commitImportPlan(plan);
+    const queued = await queueUnslottedCriteria(plan.unslotted);
+    reloadTrialRegistry();
+    reloadPatientMatcher();
+
+    res.json({
+      message: 'Trial imported successfully',
+      nctId: plan.nctId,
+      added: plan.additions.length,
+      removed: plan.removals.length,
+      queued,
+      totalCriteria,
+      preview,
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error committing import:', error);
+    res.status(500).json({ error: 'Failed to import trial' });
+  }
+});
+
+/**
+ * GET /api/admin/sessions
+ * Screening session history, most recent first (?status=in_progress|completed, ?limit=)
+ */
+router.get('/sessions', requireAuth, adminRateLimiter, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const sessions = await listSessions({ status: req.query.status || null, limit });
+
+    res.json({ sessions, count: sessions.length });
+  } catch (error) {
+    console.error('Error listing screening sessions:', error);
+    res.status(500).json({ error: 'Failed to list screening sessions' });
+  }
+});
+
+/**
+ * POST /api/admin/rescreen
+ * Replay completed screening sessions against the current criteria database and
+ * report which trials changed status per patient ({ apply: true } stores the new results)
+ */
+router.post('/rescreen', requireAuth, adminRateLimiter, async (req, res) => {
+  try {
+    const report = await rescreenSessions({ apply: req.body?.apply === true });
+
+    res.json({ ...report, text: formatRescreenReport(report) });
+  } catch (error) {
+    console.error('Error re-screening sessions:', error);
+    res.status(500).json({ error: 'Failed to re-screen sessions' });
+  }
+});
+
+/**
+ * GET /api/admin/pending-criteria
+ * List imported criteria awaiting manual slotting
+ */
+router.get('/pending-criteria', requireAuth, adminRateLimiter, async (req, res) => {
+  try {
+    const criteria = await db.allAsync(
+      `SELECT id, nct_id, raw_text, exclusion_strength, suggested_cluster, reason, submitted_at 
+       FROM pending_criteria 
+       WHERE status = 'pending' 
+       ORDER BY nct_id, id`
+    );
+
+    res.json({ criteria });
+  } catch (error) {
+    console.error('Error fetching pending criteria:', error);
+    res.status(500).json({ error: 'Failed to fetch pending criteria' });
+  }
+});
+
+/**
+ * POST /api/admin/pending-criteria/:id/resolve
+ * Mark a queued criterion as handled (slotted manually or dismissed)
+ */
+router.post('/pending-criteria/:id/resolve', requireAuth, adminRateLimiter, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status = 'resolved' } = req.body;
+
+    if (!['resolved', 'dismissed'].includes(status)) {
+      return res.status(400).json({ error: 'status must be "resolved" or "dismissed"' });
+    }
+
+    const result = await db.runAsync(
+      `UPDATE pending_criteria 
+       SET status = ?, 
+           reviewed_at = datetime('now'),
+           reviewed_by = 'admin'
+       WHERE id = ? AND status = 'pending'`,
+      [status, id]
+    );
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Pending criterion not found' });
+    }
+
+    res.json({ message: `Criterion ${status}` });
+  } catch (error) {
+    console.error('Error resolving pending criterion:', error);
+    res.status(500).json({ error: 'Failed to resolve pending criterion' });
+  }
+});
+
 export default router;
@@ -1,10 +1,11 @@
 /**
  * @file Match route
- * @description API endpoint for semantic matching via Claude
+ * @description API endpoints for semantic matching via Claude and full patient matching
  */
 
 import { Router } from 'express';
 import { getClaudeClient } from '../services/ClaudeClient.js';
+import { matchPatientResponse } from '../services/PatientMatcher.js';
 
 const router = Router();
 
@@ -86,6 +87,30 @@ router.post('/batch', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/match/patient
+ * Match a slot-filled patient response against all trials with the full matcher
+ */
+router.post('/patient', async (req, res, next) => {
+  try {
+    const { responses } = req.body;
+
+    // Validation
+    if (!responses || typeof responses !== 'object' || Array.isArray(responses)) {
+      return res.status(400).json({
+        error: 'Missing required field: responses (object)'
+      });
+    }
+
+    const results = await matchPatientResponse(req.body);
+
+    res.json(results.toJSON());
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/match/cache/stats
  * Get cache statistics
@@ -0,0 +1,169 @@
+/**
+ * @file Screening session routes
+ * @description Create, resume and delete persisted questionnaire sessions. Sessions are
+ * only reachable by their code (the history listing is an admin route).
+ */
+
+import { Router } from 'express';
+import { sessionRateLimiter } from '../middleware/rateLimiter.js';
+import { ADJUDICATION_DECISIONS } from '../../src/services/matcher/results.js';
+import {
+  createSession,
+  getSession,
+  updateSession,
+  deleteSession,
+} from '../services/ScreeningSessionStore.js';
+
+const router = Router();
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate reviewer adjudications: { [nctId]: { [criterionId]: { decision, comment, reviewer, adjudicatedAt } } }
+ * @param {Object} adjudications
+ * @returns {string|null} Error message
+ */
+function validateAdjudications(adjudications) {
+  for (const [nctId, criteria] of Object.entries(adjudications)) {
+    if (!isObject(criteria)) {
+      return `adjudications.${nctId} must be an object of criterion adjudications`;
+    }
+    for (const [criterionId, entry] of Object.entries(criteria)) {
+      const field = `adjudications.${nctId}.${criterionId}`;
+      if (!isObject(entry) || !Object.hasOwn(ADJUDICATION_DECISIONS, entry.decision)) {
+        return `${field}.decision must be one of ${Object.keys(ADJUDICATION_DECISIONS).join(', ')}`;
+      }
+      if (typeof entry.reviewer !== 'string' || !entry.reviewer.trim()) {
+        return `${field}.reviewer is required`;
+      }
+      if (typeof entry.comment !== 'string' || !entry.comment.trim()) {
+        return `${field}.comment is required`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Pick and validate the progress fields of a request body
+ * @param {Object} body
+ * @returns {{ changes: Object, error: string|null }}
+ */
+function readProgress(body = {}) {
+  const changes = {};
+
+  for (const field of ['response', 'answers', 'results', 'adjudications']) {
+    if (body[field] !== undefined) {
+      if (!isObject(body[field])) {
+        return { changes, error: `${field} must be an object` };
+      }
+      changes[field] = body[field];
+    }
+  }
+
+  if (changes.adjudications) {
+    const error = validateAdjudications(changes.adjudications);
+    if (error) {
+      return { changes, error };
+    }
+  }
+
+  if (body.currentCluster !== undefined) {
+    if (!Number.isInteger(body.currentCluster) || body.currentCluster < 0) {
+      return { changes, error: 'currentCluster must be a non-negative integer' };
+    }
+    changes.currentCluster = body.currentCluster;
+  }
+
+  if (body.completedClusters !== undefined) {
+    if (!Array.isArray(body.completedClusters) || !body.completedClusters.every(Number.isInteger)) {
+      return { changes, error: 'completedClusters must be an array of cluster indexes' };
+    }
+    changes.completedClusters = body.completedClusters;
+  }
+
+  return { changes, error: null };
+}
+
+/**
+ * POST /api/sessions
+ * Start a new screening session (optionally with initial progress)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { changes, error } = readProgress(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const session = await createSession(changes);
+    res.status(201).json(session);
+  } catch (error) {
+    console.error('Error creating screening session:', error);
+    res.status(500).json({ error: 'Failed to create screening session' });
+  }
+});
+
+/**
+ * GET /api/sessions/:code
+ * Resume a session: stored answers, cluster progress and last results
+ */
+router.get('/:code', sessionRateLimiter, async (req, res) => {
+  try {
+    const session = await getSession(req.params.code);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Screening session not found' });
+    }
+
+    res.json(session);
+  } catch (error) {
+    console.error('Error getting screening session:', error);
+    res.status(500).json({ error: 'Failed to get screening session' });
+  }
+});
+
+/**
+ * PUT /api/sessions/:code
+ * Save progress or reviewer adjudications; sending results marks the session completed
+ */
+router.put('/:code', sessionRateLimiter, async (req, res) => {
+  try {
+    const { changes, error } = readProgress(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const session = await updateSession(req.params.code, changes);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Screening session not found' });
+    }
+
+    res.json(session);
+  } catch (error) {
+    console.error('Error updating screening session:', error);
+    res.status(500).json({ error: 'Failed to update screening session' });
+  }
+});
+
+/**
+ * DELETE /api/sessions/:code
+ * Delete a session and everything stored with it
+ */
+router.delete('/:code', sessionRateLimiter, async (req, res) => {
+  try {
+    const deleted = await deleteSession(req.params.code);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Screening session not found' });
+    }
+
+    res.json({ message: 'Screening session deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting screening session:', error);
+    res.status(500).json({ error: 'Failed to delete screening session' });
+  }
+});
+
+export default router;
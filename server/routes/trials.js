@@ -0,0 +1,53 @@
+/**
+ * @file Trial routes
+ * @description Trial metadata lookup (title, phase, sponsor, status, sites)
+ */
+
+import { Router } from 'express';
+import { getTrialRegistry } from '../services/TrialRegistry.js';
+
+const router = Router();
+
+/**
+ * GET /api/trials
+ * List all registered trials, optionally filtered by ?status=RECRUITING
+ */
+router.get('/', async (req, res) => {
+  try {
+    const registry = await getTrialRegistry();
+    const { status } = req.query;
+
+    let trials = registry.getAll();
+    if (status) {
+      const wanted = String(status).toUpperCase();
+      trials = trials.filter((trial) => trial.recruitmentStatus?.toUpperCase() === wanted);
+    }
+
+    res.json({ trials, count: trials.length });
+  } catch (error) {
+    console.error('Error listing trials:', error);
+    res.status(500).json({ error: 'Failed to list trials' });
+  }
+});
+
+/**
+ * GET /api/trials/:nctId
+ * Get metadata for a single trial
+ */
+router.get('/:nctId', async (req, res) => {
+  try {
+    const registry = await getTrialRegistry();
+    const trial = registry.get(req.params.nctId.toUpperCase());
+
+    if (!trial) {
+      return res.status(404).json({ error: 'Trial not found' });
+    }
+
+    res.json(trial);
+  } catch (error) {
+    console.error('Error getting trial:', error);
+    res.status(500).json({ error: 'Failed to get trial' });
+  }
+});
+
+export default router;
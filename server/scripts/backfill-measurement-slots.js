@@ -0,0 +1,114 @@
+/**
+ * @file Measurement slot backfill
+ * @description One-off migration that parses SEV/AAO raw_text into structured
+ * MEASUREMENT / COMPARATOR / VALUE / UNIT / TIMEPOINT slots.
+ * Criteria that cannot be parsed are left as-is (the matcher keeps parsing their
+ * raw_text) and listed in a report for manual slotting.
+ *
+ * Usage:
+ *   node scripts/backfill-measurement-slots.js [--report docs/measurement-slot-backfill.md]
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getImportPaths } from '../services/TrialImporter.js';
+import {
+  parseMeasurementSlots,
+  hasStructuredThresholds,
+} from '../../src/services/matcher/measurementThresholds.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CLUSTERS = ['CLUSTER_SEV', 'CLUSTER_AAO'];
+const DEFAULT_REPORT_PATH = path.join(__dirname, '../../docs/measurement-slot-backfill.md');
+
+/**
+ * Add parsed slots to every SEV/AAO criterion that does not have them yet
+ * @param {Object} database - Criteria database (mutated)
+ * @returns {{ updated: number, skipped: number, unparsed: Array<Object> }}
+ */
+function backfill(database) {
+  let updated = 0;
+  let skipped = 0;
+  const unparsed = [];
+
+  for (const clusterKey of CLUSTERS) {
+    const cluster = database[clusterKey];
+    if (!cluster?.criteria) {
+      continue;
+    }
+
+    cluster.criteria = cluster.criteria.map((criterion) => {
+      if (hasStructuredThresholds(criterion)) {
+        skipped += 1;
+        return criterion;
+      }
+
+      const { slots, reason } = parseMeasurementSlots(criterion.raw_text);
+      if (!slots) {
+        unparsed.push({ cluster: cluster.cluster_code, criterion, reason });
+        return criterion;
+      }
+
+      updated += 1;
+      const { id, nct_id, raw_text, ...rest } = criterion;
+      return { id, nct_id, raw_text, ...slots, ...rest };
+    });
+  }
+
+  return { updated, skipped, unparsed };
+}
+
+/**
+ * Render the unparsed-criteria report
+ * @param {{ updated: number, skipped: number, unparsed: Array<Object> }} result
+ * @returns {string}
+ */
+function formatReport({ updated, skipped, unparsed }) {
+  const lines = [
+    '# Measurement Slot Backfill',
+    '',
+    'Generated by `npm run migrate:measurement-slots` (server/scripts/backfill-measurement-slots.js).',
+    '',
+    `- Slotted: ${updated}`,
+    `- Already slotted: ${skipped}`,
+    `- Unparsed: ${unparsed.length}`,
+    '',
+    'The criteria below keep raw_text only; the matcher falls back to raw-text parsing for them.',
+    'Add MEASUREMENT / COMPARATOR / VALUE slots by hand where a threshold exists.',
+    '',
+    '| ID | Trial | Reason | Text |',
+    '|----|-------|--------|------|',
+  ];
+
+  for (const { criterion, reason } of unparsed) {
+    const text = criterion.raw_text.replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+    lines.push(`| ${criterion.id} | ${criterion.nct_id} | ${reason} | ${text} |`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const reportIndex = args.indexOf('--report');
+  const reportPath = reportIndex >= 0 && args[reportIndex + 1] ? args[reportIndex + 1] : DEFAULT_REPORT_PATH;
+  const { criteriaPath } = getImportPaths();
+
+  const content = await fs.readFile(criteriaPath, 'utf-8');
+  const database = JSON.parse(content);
+  const result = backfill(database);
+
+  await fs.writeFile(criteriaPath, JSON.stringify(database, null, 2) + (content.endsWith('\n') ? '\n' : ''), 'utf-8');
+  await fs.writeFile(reportPath, formatReport(result), 'utf-8');
+
+  console.info(`✓ Slotted ${result.updated} criteria (${result.skipped} already slotted)`);
+  console.info(`  ${result.unparsed.length} unparsed criteria listed in ${reportPath}`);
+}
+
+main().catch((error) => {
+  console.error('Backfill failed:', error.message);
+  process.exit(1);
+});
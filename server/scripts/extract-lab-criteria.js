@@ -0,0 +1,50 @@
+/**
+ * @file LAB cluster extraction
+ * @description One-off migration that creates CLUSTER_LAB (laboratory values) and
+ * moves criteria with lab thresholds ("ALT > 2× ULN", "hemoglobin < 10 g/dL") out of
+ * CMB and AIC. Creating the cluster also lets the trial importer file new lab criteria
+ * under LAB. Re-running the script does not duplicate criteria.
+ *
+ * Usage:
+ *   node scripts/extract-lab-criteria.js
+ */
+
+import fs from 'fs/promises';
+import { getImportPaths, extractSlots } from '../services/TrialImporter.js';
+import { extractIntoCluster } from '../services/ClusterMigration.js';
+import { isLabCriterion } from '../../src/services/matcher/labThresholds.js';
+
+const LAB_CLUSTER = {
+  code: 'LAB',
+  name: 'Laboratory Values',
+  primaryQuestion: 'Do you have recent lab results (liver, kidney, blood counts)?',
+};
+
+/**
+ * LAB slots for a criterion, keeping inclusion/exclusion list semantics
+ * @param {string} text - Criterion raw text
+ * @param {Object} criterion - Source criterion
+ * @returns {Object|null}
+ */
+function extractLabSlots(text, criterion) {
+  return isLabCriterion(text) ? extractSlots('LAB', text, criterion.EXCLUSION_STRENGTH) : null;
+}
+
+async function main() {
+  const { criteriaPath } = getImportPaths();
+  const content = await fs.readFile(criteriaPath, 'utf-8');
+  const database = JSON.parse(content);
+
+  const { moved } = extractIntoCluster(database, LAB_CLUSTER, [
+    { code: 'CMB', move: () => true },
+    { code: 'AIC', move: () => true },
+  ], extractLabSlots);
+
+  await fs.writeFile(criteriaPath, JSON.stringify(database, null, 2) + (content.endsWith('\n') ? '\n' : ''), 'utf-8');
+  console.info(`✓ CLUSTER_LAB: ${database.CLUSTER_LAB.criteria.length} criteria (${moved} moved from CMB/AIC)`);
+}
+
+main().catch((error) => {
+  console.error('LAB extraction failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,46 @@
+/**
+ * @file REP cluster extraction
+ * @description One-off migration that creates CLUSTER_REP (sex, pregnancy, contraception)
+ * from criteria whose raw_text carries those requirements.
+ * - CMB criteria about pregnancy/breastfeeding/contraception are moved to REP
+ *   (copied instead when they also list other conditions)
+ * - AGE criteria that name one sex only ("Male aged 18 to 55 years") get a REP copy
+ * Re-running the script does not duplicate criteria.
+ *
+ * Usage:
+ *   node scripts/extract-reproductive-criteria.js
+ */
+
+import fs from 'fs/promises';
+import { getImportPaths } from '../services/TrialImporter.js';
+import { extractIntoCluster } from '../services/ClusterMigration.js';
+import { extractReproductiveSlots, isReproductiveCriterion } from '../../src/services/matcher/reproductiveCriteria.js';
+
+const REP_CLUSTER = {
+  code: 'REP',
+  name: 'Sex, Pregnancy and Contraception',
+  primaryQuestion: 'What is your sex, and are you pregnant, breastfeeding or planning a pregnancy?',
+};
+
+async function main() {
+  const { criteriaPath } = getImportPaths();
+  const content = await fs.readFile(criteriaPath, 'utf-8');
+  const database = JSON.parse(content);
+
+  const { moved, copied } = extractIntoCluster(database, REP_CLUSTER, [
+    {
+      code: 'CMB',
+      accept: (slots) => !slots.SEX,
+      move: (criterion) => (criterion.CONDITION_TYPE || []).every((condition) => isReproductiveCriterion(condition)),
+    },
+    { code: 'AGE', accept: (slots) => Boolean(slots.SEX) },
+  ], extractReproductiveSlots);
+
+  await fs.writeFile(criteriaPath, JSON.stringify(database, null, 2) + (content.endsWith('\n') ? '\n' : ''), 'utf-8');
+  console.info(`✓ CLUSTER_REP: ${database.CLUSTER_REP.criteria.length} criteria (${moved} moved from CMB, ${copied} copied)`);
+}
+
+main().catch((error) => {
+  console.error('REP extraction failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,69 @@
+/**
+ * @file VAC cluster extraction
+ * @description One-off migration that creates CLUSTER_VAC (vaccination history) from
+ * criteria that mention vaccines or immunizations.
+ * - Criteria about vaccination only are moved to VAC
+ * - Criteria that also list drugs or conditions ("prescription drugs ... or vaccines
+ *   within 2 weeks") are copied, so the source cluster keeps evaluating the rest
+ * The exclusion window comes from the raw text, falling back to the source TIMEFRAME slot.
+ * Re-running the script does not duplicate criteria.
+ *
+ * Usage:
+ *   node scripts/extract-vaccination-criteria.js
+ */
+
+import fs from 'fs/promises';
+import { getImportPaths, extractSlots } from '../services/TrialImporter.js';
+import { extractIntoCluster } from '../services/ClusterMigration.js';
+import { isVaccinationCriterion } from '../../src/services/matcher/vaccinationCriteria.js';
+
+const VAC_CLUSTER = {
+  code: 'VAC',
+  name: 'Vaccination History',
+  primaryQuestion: 'Have you received, or do you plan to receive, any vaccine in the last or next 12 months?',
+};
+
+/**
+ * VAC slots for a criterion; exclusion windows are always "within N units"
+ * @param {string} text - Criterion raw text
+ * @param {Object} criterion - Source criterion
+ * @returns {Object|null}
+ */
+function extractVaccinationCriterionSlots(text, criterion) {
+  const slots = extractSlots('VAC', text);
+  if (!slots) {
+    return null;
+  }
+  const source = criterion.TIMEFRAME;
+  if (!slots.TIMEFRAME && source?.amount) {
+    slots.TIMEFRAME = { relation: 'within', amount: source.amount, unit: source.unit, reference: source.reference || null };
+  }
+  return slots;
+}
+
+/**
+ * Whether every listed condition/treatment of a criterion is a vaccination
+ * @param {Object} criterion
+ * @returns {boolean}
+ */
+function isVaccinationOnly(criterion) {
+  const listed = [...(criterion.CONDITION_TYPE || []), ...(criterion.TREATMENT_TYPE || [])];
+  return listed.length > 0 && listed.every((entry) => isVaccinationCriterion(entry));
+}
+
+async function main() {
+  const { criteriaPath } = getImportPaths();
+  const content = await fs.readFile(criteriaPath, 'utf-8');
+  const database = JSON.parse(content);
+
+  const sources = ['PTH', 'CMB', 'AIC', 'FLR'].map((code) => ({ code, move: isVaccinationOnly }));
+  const { moved, copied } = extractIntoCluster(database, VAC_CLUSTER, sources, extractVaccinationCriterionSlots);
+
+  await fs.writeFile(criteriaPath, JSON.stringify(database, null, 2) + (content.endsWith('\n') ? '\n' : ''), 'utf-8');
+  console.info(`✓ CLUSTER_VAC: ${database.CLUSTER_VAC.criteria.length} criteria (${moved} moved, ${copied} copied)`);
+}
+
+main().catch((error) => {
+  console.error('VAC extraction failed:', error.message);
+  process.exit(1);
+});
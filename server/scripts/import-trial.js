@@ -0,0 +1,58 @@
+/**
+ * @file Trial import command
+ * @description Import a saved ClinicalTrials.gov v2 study JSON file into the criteria database.
+ *
+ * Usage:
+ *   node scripts/import-trial.js <study.json>           # dry run, writes <study>.preview.txt
+ *   node scripts/import-trial.js <study.json> --commit  # apply and queue unslotted criteria
+ */
+
+import fs from 'fs/promises';
+import { initDatabase, closeDatabase } from '../db.js';
+import {
+  buildImportPlan,
+  commitImportPlan,
+  formatImportPreview,
+  loadCriteriaDatabase,
+  queueUnslottedCriteria,
+} from '../services/TrialImporter.js';
+
+async function main() {
+  const args = process.argv.slice(2);
+  const studyPath = args.find((arg) => !arg.startsWith('--'));
+  const commit = args.includes('--commit');
+
+  if (!studyPath) {
+    console.error('Usage: node scripts/import-trial.js <study.json> [--commit]');
+    process.exit(1);
+  }
+
+  const study = JSON.parse(await fs.readFile(studyPath, 'utf-8'));
+  const database = await loadCriteriaDatabase();
+  const plan = buildImportPlan(database, study);
+  const preview = formatImportPreview(database, plan);
+
+  const previewPath = studyPath.replace(/\.json$/i, '') + '.preview.txt';
+  await fs.writeFile(previewPath, preview + '\n', 'utf-8');
+  console.info(preview);
+  console.info(`\nPreview written to ${previewPath}`);
+
+  if (!commit) {
+    console.info('Dry run only. Re-run with --commit to apply.');
+    return;
+  }
+
+  await initDatabase();
+  try {
+    const { totalCriteria } = await commitImportPlan(plan);
+    const queued = await queueUnslottedCriteria(plan.unslotted);
+    console.info(`✓ Imported ${plan.nctId}: ${plan.additions.length} criteria (total ${totalCriteria}), ${queued} queued for review`);
+  } finally {
+    await closeDatabase();
+  }
+}
+
+main().catch((error) => {
+  console.error('Import failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,30 @@
+/**
+ * @file Re-screening command
+ * @description Replay stored screening sessions after the criteria database or
+ * matching rules changed and print which patients' trials changed status.
+ *
+ * Usage:
+ *   node scripts/rescreen-sessions.js           # dry run, report only
+ *   node scripts/rescreen-sessions.js --apply   # also store the new results on each session
+ *   node scripts/rescreen-sessions.js --json    # print the report as JSON
+ */
+
+import { initDatabase, closeDatabase } from '../db.js';
+import { rescreenSessions, formatRescreenReport } from '../services/Rescreener.js';
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  await initDatabase();
+  try {
+    const report = await rescreenSessions({ apply: args.includes('--apply') });
+    console.info(args.includes('--json') ? JSON.stringify(report, null, 2) : formatRescreenReport(report));
+  } finally {
+    await closeDatabase();
+  }
+}
+
+main().catch((error) => {
+  console.error('Re-screening failed:', error.message);
+  process.exit(1);
+});
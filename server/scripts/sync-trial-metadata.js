@@ -0,0 +1,77 @@
+/**
+ * @file Trial metadata sync command
+ * @description Fill src/data/trial-metadata.json (title, phase, sponsor, status, sites) for every
+ * trial in the criteria database from its ClinicalTrials.gov v2 study record. Trials whose record
+ * cannot be read are reported and left out of the file.
+ *
+ * Usage:
+ *   node scripts/sync-trial-metadata.js               # fetch each study from ClinicalTrials.gov
+ *   node scripts/sync-trial-metadata.js --from <dir>  # read saved exports (<dir>/<NCT ID>.json)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  listDatabaseTrials,
+  loadCriteriaDatabase,
+  parseStudy,
+  writeTrialMetadata,
+} from '../services/TrialImporter.js';
+
+const STUDY_API_URL = 'https://clinicaltrials.gov/api/v2/studies';
+
+/**
+ * Read one study record, from a saved export directory or the ClinicalTrials.gov API
+ * @param {string} nctId
+ * @param {string|null} fromDir
+ * @returns {Promise<Object>} Study JSON
+ */
+async function readStudy(nctId, fromDir) {
+  if (fromDir) {
+    return JSON.parse(await fs.readFile(path.join(fromDir, `${nctId}.json`), 'utf-8'));
+  }
+
+  const response = await fetch(`${STUDY_API_URL}/${nctId}`);
+  if (!response.ok) {
+    throw new Error(`ClinicalTrials.gov returned ${response.status}`);
+  }
+  return response.json();
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const fromIndex = args.indexOf('--from');
+  const fromDir = fromIndex >= 0 ? args[fromIndex + 1] : null;
+
+  if (fromIndex >= 0 && !fromDir) {
+    console.error('Usage: node scripts/sync-trial-metadata.js [--from <dir>]');
+    process.exit(1);
+  }
+
+  const nctIds = listDatabaseTrials(await loadCriteriaDatabase());
+  const entries = [];
+  const missing = [];
+
+  for (const nctId of nctIds) {
+    try {
+      const { nctId: studyId, metadata } = parseStudy(await readStudy(nctId, fromDir));
+      if (studyId !== nctId) {
+        throw new Error(`record is for ${studyId}`);
+      }
+      entries.push(metadata);
+    } catch (error) {
+      missing.push(`${nctId}: ${error.message}`);
+    }
+  }
+
+  const total = await writeTrialMetadata(entries);
+  console.info(`✓ Wrote metadata for ${entries.length} of ${nctIds.length} trials (${total} in file)`);
+  if (missing.length > 0) {
+    console.warn(`Left out ${missing.length} trials without a study record:\n  ${missing.join('\n  ')}`);
+  }
+}
+
+main().catch((error) => {
+  console.error('Metadata sync failed:', error.message);
+  process.exit(1);
+});
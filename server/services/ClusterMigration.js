@@ -0,0 +1,117 @@
+/**
+ * @file Cluster migration helpers
+ * @description Shared steps for one-off migrations that carve a new cluster
+ * (REP, LAB, ...) out of criteria currently filed under other clusters.
+ */
+
+/**
+ * @typedef {Object} ClusterDefinition
+ * @property {string} code - Cluster code (e.g. 'LAB')
+ * @property {string} name - Cluster name shown in metadata
+ * @property {string} primaryQuestion - Questionnaire question for the cluster
+ */
+
+/**
+ * @typedef {Object} ExtractionSource
+ * @property {string} code - Source cluster code (e.g. 'CMB')
+ * @property {(slots: Object) => boolean} [accept] - Which extracted slots to take from this source (default: all)
+ * @property {(criterion: Object) => boolean} [move] - Remove the source criterion instead of copying it (default: never)
+ */
+
+/**
+ * Extract criteria from source clusters into a (possibly new) target cluster.
+ * Criteria already present in the target (same trial and text) are not duplicated.
+ * @param {Object} database - Criteria database (mutated)
+ * @param {ClusterDefinition} definition - Target cluster
+ * @param {ExtractionSource[]} sources - Clusters to scan, in order
+ * @param {(text: string, criterion: Object) => Object|null} extractSlots - Slot extractor for the target cluster
+ * @returns {{ moved: number, copied: number }}
+ */
+export function extractIntoCluster(database, definition, sources, extractSlots) {
+  const key = `CLUSTER_${definition.code}`;
+  if (!database[key]) {
+    database[key] = {
+      cluster_name: definition.name,
+      cluster_code: definition.code,
+      primary_question: definition.primaryQuestion,
+      answer_type: 'autocomplete',
+      total_criteria: 0,
+      criteria: [],
+    };
+  }
+  const target = database[key];
+  let next = target.criteria.reduce((max, c) => Math.max(max, parseInt(c.id.split('_')[1], 10) || 0), 0) + 1;
+  let moved = 0;
+  let copied = 0;
+
+  const add = (criterion, slots) => {
+    if (target.criteria.some((c) => c.nct_id === criterion.nct_id && c.raw_text === criterion.raw_text)) {
+      return false;
+    }
+    target.criteria.push({
+      id: `${definition.code}_${String(next).padStart(3, '0')}`,
+      nct_id: criterion.nct_id,
+      raw_text: criterion.raw_text,
+      ...slots,
+      EXCLUSION_STRENGTH: criterion.EXCLUSION_STRENGTH,
+    });
+    next += 1;
+    return true;
+  };
+
+  for (const { code, accept = () => true, move = () => false } of sources) {
+    const source = database[`CLUSTER_${code}`];
+    if (!source?.criteria) {
+      continue;
+    }
+    source.criteria = source.criteria.filter((criterion) => {
+      const slots = extractSlots(criterion.raw_text, criterion);
+      if (!slots || !accept(slots)) {
+        return true;
+      }
+      const added = add(criterion, slots);
+      if (move(criterion)) {
+        moved += 1;
+        return false;
+      }
+      if (added) {
+        copied += 1;
+      }
+      return true;
+    });
+  }
+
+  syncClusterCounts(database, definition);
+  return { moved, copied };
+}
+
+/**
+ * Keep cluster totals and metadata in step with the criteria arrays
+ * @param {Object} database - Criteria database (mutated)
+ * @param {ClusterDefinition} [added] - Cluster to register in metadata if missing
+ */
+export function syncClusterCounts(database, added = null) {
+  const clusters = Object.entries(database)
+    .filter(([key, cluster]) => key.startsWith('CLUSTER_') && cluster.criteria)
+    .map(([, cluster]) => cluster);
+  for (const cluster of clusters) {
+    cluster.total_criteria = cluster.criteria.length;
+  }
+
+  const metadata = database.metadata;
+  if (!metadata) {
+    return;
+  }
+  metadata.clusters = metadata.clusters || [];
+  if (added && !metadata.clusters.some((c) => c.code === added.code)) {
+    metadata.clusters.push({ code: added.code, name: added.name, count: 0, primary_question: added.primaryQuestion });
+  }
+  for (const entry of metadata.clusters) {
+    const cluster = clusters.find((c) => c.cluster_code === entry.code);
+    if (cluster) {
+      entry.count = cluster.criteria.length;
+    }
+  }
+  metadata.total_clusters = metadata.clusters.length;
+  metadata.total_criteria = clusters.reduce((sum, c) => sum + c.criteria.length, 0);
+}
@@ -0,0 +1,95 @@
+/**
+ * @file Drug pharmacokinetics store
+ * @description Admin-edited half-life and standard washout values, kept in SQLite and
+ * applied over the drug catalog (src/config/drug-classification.json) by the matcher
+ */
+
+import { db } from '../db.js';
+import { getDrugs, setDrugPharmacokineticsOverrides } from '../../src/services/config/RulesLoader.js';
+
+/**
+ * @typedef {Object} DrugPharmacokineticsEntry
+ * @property {string} drugName - Catalog key or admin-added drug name
+ * @property {string|null} drugClass - Catalog drug class
+ * @property {number|null} halfLifeDays - Effective half-life in days
+ * @property {number|null} washoutWeeks - Effective standard washout in weeks
+ * @property {{ halfLifeDays: number|null, washoutWeeks: number|null }} catalog - Values shipped in the catalog
+ * @property {boolean} edited - Whether an admin value overrides the catalog
+ * @property {string|null} updatedAt - When the admin value was saved
+ */
+
+/**
+ * Read the admin-edited values by drug name
+ * @returns {Promise<Object<string, { halfLifeDays: number|null, washoutWeeks: number|null, updatedAt: string }>>}
+ */
+export async function getPharmacokineticsOverrides() {
+  const rows = await db.allAsync('SELECT * FROM drug_pharmacokinetics ORDER BY drug_name');
+  return Object.fromEntries(rows.map((row) => [row.drug_name, {
+    halfLifeDays: row.half_life_days,
+    washoutWeeks: row.washout_weeks,
+    updatedAt: row.updated_at,
+  }]));
+}
+
+/**
+ * List catalog drugs (and admin-added names) with their catalog and effective PK values
+ * @returns {Promise<DrugPharmacokineticsEntry[]>}
+ */
+export async function listDrugPharmacokinetics() {
+  const drugs = getDrugs();
+  const overrides = await getPharmacokineticsOverrides();
+  const names = [...new Set([...Object.keys(drugs), ...Object.keys(overrides)])].sort();
+
+  return names.map((drugName) => {
+    const catalog = {
+      halfLifeDays: drugs[drugName]?.halfLifeDays ?? null,
+      washoutWeeks: drugs[drugName]?.washoutWeeks ?? null,
+    };
+    const override = overrides[drugName];
+    return {
+      drugName,
+      drugClass: drugs[drugName]?.drugClass || null,
+      halfLifeDays: override?.halfLifeDays ?? catalog.halfLifeDays,
+      washoutWeeks: override?.washoutWeeks ?? catalog.washoutWeeks,
+      catalog,
+      edited: Boolean(override),
+      updatedAt: override?.updatedAt || null,
+    };
+  });
+}
+
+/**
+ * Save an admin's half-life / washout for a drug and apply it to the matcher
+ * @param {string} drugName
+ * @param {{ halfLifeDays: number|null, washoutWeeks: number|null }} values - null keeps the catalog value
+ * @returns {Promise<DrugPharmacokineticsEntry>}
+ */
+export async function setDrugPharmacokinetics(drugName, { halfLifeDays, washoutWeeks }) {
+  const normalizedName = drugName.toLowerCase().trim();
+  await db.runAsync(
+    `INSERT OR REPLACE INTO drug_pharmacokinetics (drug_name, half_life_days, washout_weeks, updated_at)
+     VALUES (?, ?, ?, ?)`,
+    [normalizedName, halfLifeDays, washoutWeeks, new Date().toISOString()]
+  );
+  await applyPharmacokineticsOverrides();
+  return (await listDrugPharmacokinetics()).find((entry) => entry.drugName === normalizedName);
+}
+
+/**
+ * Drop an admin's values so the catalog applies again
+ * @param {string} drugName
+ * @returns {Promise<boolean>} False when the drug had no admin values
+ */
+export async function resetDrugPharmacokinetics(drugName) {
+  const result = await db.runAsync('DELETE FROM drug_pharmacokinetics WHERE drug_name = ?', [drugName.toLowerCase().trim()]);
+  await applyPharmacokineticsOverrides();
+  return result.changes > 0;
+}
+
+/**
+ * Load the admin-edited values into the shared drug catalog lookups
+ * @returns {Promise<void>}
+ */
+export async function applyPharmacokineticsOverrides() {
+  setDrugPharmacokineticsOverrides(await getPharmacokineticsOverrides());
+}
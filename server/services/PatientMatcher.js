@@ -0,0 +1,83 @@
+/**
+ * @file Patient matcher service
+ * @description Runs the shared ClinicalTrialMatcher on the server against the criteria
+ * database and trial metadata files, with AI fallback through the server ClaudeClient
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ClinicalTrialMatcher } from '../../src/services/matcher/ClinicalTrialMatcher.js';
+import { setMatchingRules } from '../../src/services/config/RulesLoader.js';
+import { getImportPaths } from './TrialImporter.js';
+import { getClaudeClient } from './ClaudeClient.js';
+import { applyPharmacokineticsOverrides } from './DrugPharmacokineticsStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/** Default location of the matching rules shared with the frontend */
+export const MATCHING_RULES_PATH = path.join(__dirname, '../../src/config/matching-rules.json');
+
+/** @type {Promise<{ database: Object, trialMetadata: Object|null }> | null} */
+let dataPromise = null;
+
+/**
+ * Load the criteria database, matching rules and trial metadata from disk, and the
+ * admin-edited drug half-lives / washouts from SQLite
+ * @returns {Promise<{ database: Object, trialMetadata: Object|null }>}
+ */
+async function loadMatcherData() {
+  const { criteriaPath, metadataPath } = getImportPaths();
+  const database = JSON.parse(await fs.readFile(criteriaPath, 'utf-8'));
+
+  // RulesLoader bundles matching-rules.json at startup; re-read it so edits apply on reload
+  const rulesPath = process.env.MATCHING_RULES_PATH || MATCHING_RULES_PATH;
+  setMatchingRules(JSON.parse(await fs.readFile(rulesPath, 'utf-8')));
+
+  let trialMetadata = null;
+  try {
+    trialMetadata = JSON.parse(await fs.readFile(metadataPath, 'utf-8'));
+  } catch (error) {
+    console.error('Failed to load trial metadata:', error.message);
+  }
+
+  try {
+    await applyPharmacokineticsOverrides();
+  } catch (error) {
+    console.error('Failed to load drug pharmacokinetics:', error.message);
+  }
+
+  return { database, trialMetadata };
+}
+
+/**
+ * Match a slot-filled patient response against all trials.
+ * The AI client is picked per call so API keys saved after startup are used.
+ * @param {Object} patientResponse - SlotFilledResponseBuilder.getResponse() output
+ * @returns {Promise<import('../../src/services/matcher/results.js').PatientMatchResults>}
+ */
+export async function matchPatientResponse(patientResponse) {
+  if (!dataPromise) {
+    dataPromise = loadMatcherData().catch((error) => {
+      dataPromise = null;
+      throw error;
+    });
+  }
+  const { database, trialMetadata } = await dataPromise;
+
+  const claudeClient = getClaudeClient();
+  const matcher = new ClinicalTrialMatcher(database, null, {
+    trialMetadata,
+    aiClient: claudeClient.isConfigured() ? claudeClient : null,
+  });
+
+  return matcher.matchPatient(patientResponse);
+}
+
+/**
+ * Drop the cached data so the next match re-reads the criteria database and matching rules
+ */
+export function reloadPatientMatcher() {
+  dataPromise = null;
+}
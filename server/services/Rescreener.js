@@ -0,0 +1,168 @@
+/**
+ * @file Re-screening service
+ * @description Replays stored screening responses through the matcher after the criteria
+ * database or matching rules change, and reports which trials moved between
+ * eligible / needs_review / insufficient_information / eligible_after_washout / ineligible for each patient, with the criteria responsible
+ */
+
+import { matchPatientResponse, reloadPatientMatcher } from './PatientMatcher.js';
+import { getCompletedSessions, updateSession } from './ScreeningSessionStore.js';
+
+/**
+ * @typedef {Object} ResponsibleCriterion
+ * @property {string} criterionId
+ * @property {string} rawText - Criterion text (for unknown criteria: the question that would settle it)
+ * @property {'failed_inclusion'|'matched_exclusion'|'flagged'|'unknown'} reason - Role the criterion plays in the status
+ * @property {'added'|'removed'} change - Whether the role appeared or disappeared in the new run
+ */
+
+/**
+ * @typedef {Object} TrialStatusChange
+ * @property {string} nctId
+ * @property {string} title - Trial title (falls back to the NCT ID)
+ * @property {string|null} from - Previous status (null = trial is new)
+ * @property {string|null} to - New status (null = trial was removed)
+ * @property {ResponsibleCriterion[]} criteria
+ */
+
+/**
+ * Index trials of a PatientMatchResults.toJSON() object by NCT ID
+ * @param {Object} results
+ * @returns {Map<string, Object>}
+ */
+function indexTrials(results) {
+  const trials = new Map();
+  for (const group of ['eligibleTrials', 'needsReviewTrials', 'insufficientInformationTrials', 'eligibleAfterWashoutTrials', 'ineligibleTrials']) {
+    for (const trial of results?.[group] || []) {
+      trials.set(trial.nctId, trial);
+    }
+  }
+  return trials;
+}
+
+/**
+ * Criteria that put a trial in its status, keyed by criterion and role
+ * @param {Object|undefined} trial - TrialEligibilityResult.toJSON()
+ * @returns {Map<string, { criterionId: string, rawText: string, reason: string }>}
+ */
+function statusCriteria(trial) {
+  const criteria = new Map();
+  const add = (list, reason) => {
+    for (const c of list || []) {
+      criteria.set(`${c.criterionId}:${reason}`, { criterionId: c.criterionId, rawText: c.rawText, reason });
+    }
+  };
+  add(trial?.failedInclusions, 'failed_inclusion');
+  add(trial?.matchedExclusions, 'matched_exclusion');
+  add(trial?.flaggedCriteria, 'flagged');
+  for (const open of trial?.openQuestions || []) {
+    add(open.criteria.map((criterionId) => ({ criterionId, rawText: open.question })), 'unknown');
+  }
+  return criteria;
+}
+
+/**
+ * Compare two match runs for one patient
+ * @param {Object} previous - Stored PatientMatchResults.toJSON()
+ * @param {Object} current - New PatientMatchResults.toJSON()
+ * @returns {TrialStatusChange[]} Trials whose status changed, in NCT ID order
+ */
+export function diffMatchResults(previous, current) {
+  const before = indexTrials(previous);
+  const after = indexTrials(current);
+  const nctIds = [...new Set([...before.keys(), ...after.keys()])].sort();
+  const changes = [];
+
+  for (const nctId of nctIds) {
+    const oldTrial = before.get(nctId);
+    const newTrial = after.get(nctId);
+    const from = oldTrial?.status ?? null;
+    const to = newTrial?.status ?? null;
+    if (from === to) {
+      continue;
+    }
+
+    const oldCriteria = statusCriteria(oldTrial);
+    const newCriteria = statusCriteria(newTrial);
+    const criteria = [
+      ...[...newCriteria].filter(([key]) => !oldCriteria.has(key)).map(([, c]) => ({ ...c, change: 'added' })),
+      ...[...oldCriteria].filter(([key]) => !newCriteria.has(key)).map(([, c]) => ({ ...c, change: 'removed' })),
+    ];
+
+    changes.push({
+      nctId,
+      title: newTrial?.metadata?.title || oldTrial?.metadata?.title || nctId,
+      from,
+      to,
+      criteria,
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Re-run every completed screening session against the current data files
+ * @param {{ apply?: boolean }} [options] - apply: store the new results on the sessions
+ * @returns {Promise<{ rescreenedAt: string, applied: boolean, sessionsRescreened: number,
+ *   patients: Array<{ sessionCode: string, previousTimestamp: string|null, changes: TrialStatusChange[] }> }>}
+ * Report listing only the sessions with at least one status change
+ */
+export async function rescreenSessions({ apply = false } = {}) {
+  // Pick up criteria database and matching rule edits made since the matcher data was cached
+  reloadPatientMatcher();
+
+  const sessions = await getCompletedSessions();
+  const patients = [];
+
+  for (const session of sessions) {
+    // Reviewer adjudications still apply to the new run
+    const results = (await matchPatientResponse(session.response))
+      .withAdjudications(session.adjudications)
+      .toJSON();
+    const changes = diffMatchResults(session.results, results);
+
+    if (changes.length > 0) {
+      patients.push({
+        sessionCode: session.code,
+        previousTimestamp: session.results.timestamp || null,
+        changes,
+      });
+    }
+    if (apply) {
+      await updateSession(session.code, { results });
+    }
+  }
+
+  return {
+    rescreenedAt: new Date().toISOString(),
+    applied: apply,
+    sessionsRescreened: sessions.length,
+    patients,
+  };
+}
+
+/**
+ * Human-readable re-screening report
+ * @param {Awaited<ReturnType<typeof rescreenSessions>>} report
+ * @returns {string}
+ */
+export function formatRescreenReport(report) {
+  const lines = [
+    `Re-screened ${report.sessionsRescreened} session(s): ${report.patients.length} with status changes`
+      + (report.applied ? ' (new results stored)' : ' (dry run)'),
+  ];
+
+  for (const patient of report.patients) {
+    lines.push('', `Session ${patient.sessionCode}`);
+    for (const change of patient.changes) {
+      lines.push(`  ${change.nctId}: ${change.from || 'new trial'} → ${change.to || 'removed'}  ${change.title !== change.nctId ? change.title : ''}`.trimEnd());
+      for (const criterion of change.criteria) {
+        const sign = criterion.change === 'added' ? '+' : '-';
+        lines.push(`    ${sign} [${criterion.reason}] ${criterion.criterionId}: ${criterion.rawText}`);
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
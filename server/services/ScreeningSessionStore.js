@@ -0,0 +1,227 @@
+/**
+ * @file Screening session store
+ * @description Persists questionnaire progress (slot-filled response, raw answers,
+ * per-cluster completion) and match results in SQLite, keyed by an opaque session code
+ */
+
+import crypto from 'crypto';
+import { db } from '../db.js';
+
+/** Session code format: three groups of four hex characters (e.g. 9F3A-0C71-B2E4) */
+export const SESSION_CODE_PATTERN = /^[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}$/;
+
+/**
+ * @typedef {Object} ScreeningSession
+ * @property {string} code - Opaque session code
+ * @property {'in_progress'|'completed'} status - Completed once match results are stored
+ * @property {Object|null} response - Slot-filled patient response
+ * @property {Object|null} answers - Raw questionnaire answers used to restore the form
+ * @property {number} currentCluster - Index of the cluster the user was on
+ * @property {number[]} completedClusters - Indexes of clusters the user has finished
+ * @property {Object|null} results - PatientMatchResults.toJSON() of the last match run
+ * @property {Object<string, Object<string, Object>>} adjudications - Reviewer decisions by NCT ID, then criterion ID
+ * ({ decision, comment, reviewer, adjudicatedAt })
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ * @property {string|null} completedAt
+ */
+
+/**
+ * Generate a random session code
+ * @returns {string}
+ */
+function generateSessionCode() {
+  const hex = crypto.randomBytes(6).toString('hex').toUpperCase();
+  return hex.match(/.{4}/g).join('-');
+}
+
+/**
+ * Normalize a user-entered session code (case and surrounding whitespace)
+ * @param {string} code
+ * @returns {string|null} Normalized code, or null when it is not a valid session code
+ */
+export function normalizeSessionCode(code) {
+  const normalized = String(code || '').trim().toUpperCase();
+  return SESSION_CODE_PATTERN.test(normalized) ? normalized : null;
+}
+
+/**
+ * Parse a JSON column
+ * @param {string|null} value
+ * @param {*} fallback
+ */
+function parseColumn(value, fallback) {
+  if (value === null || value === undefined) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Map a database row to a session object
+ * @param {Object} row
+ * @returns {ScreeningSession}
+ */
+function toSession(row) {
+  return {
+    code: row.session_code,
+    status: row.status,
+    response: parseColumn(row.response, null),
+    answers: parseColumn(row.answers, null),
+    currentCluster: row.current_cluster,
+    completedClusters: parseColumn(row.completed_clusters, []),
+    results: parseColumn(row.results, null),
+    adjudications: parseColumn(row.adjudications, {}),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at,
+  };
+}
+
+/**
+ * Create a new screening session
+ * @param {Partial<Pick<ScreeningSession, 'response'|'answers'|'currentCluster'|'completedClusters'>>} [progress]
+ * @returns {Promise<ScreeningSession>}
+ */
+export async function createSession(progress = {}) {
+  const now = new Date().toISOString();
+
+  // Retry on the (unlikely) collision with an existing code
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = generateSessionCode();
+    const existing = await db.getAsync('SELECT id FROM screening_sessions WHERE session_code = ?', [code]);
+    if (existing) {
+      continue;
+    }
+
+    await db.runAsync(
+      `INSERT INTO screening_sessions
+       (session_code, response, answers, current_cluster, completed_clusters, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        code,
+        progress.response ? JSON.stringify(progress.response) : null,
+        progress.answers ? JSON.stringify(progress.answers) : null,
+        progress.currentCluster || 0,
+        JSON.stringify(progress.completedClusters || []),
+        now,
+        now,
+      ]
+    );
+    return getSession(code);
+  }
+
+  throw new Error('Could not allocate a unique session code');
+}
+
+/**
+ * Get a session by code
+ * @param {string} code
+ * @returns {Promise<ScreeningSession|null>}
+ */
+export async function getSession(code) {
+  const normalized = normalizeSessionCode(code);
+  if (!normalized) {
+    return null;
+  }
+  const row = await db.getAsync('SELECT * FROM screening_sessions WHERE session_code = ?', [normalized]);
+  return row ? toSession(row) : null;
+}
+
+/**
+ * Save questionnaire progress, match results and/or reviewer adjudications.
+ * Storing results marks the session completed.
+ * @param {string} code
+ * @param {Partial<Pick<ScreeningSession, 'response'|'answers'|'currentCluster'|'completedClusters'|'results'|'adjudications'>>} changes
+ * @returns {Promise<ScreeningSession|null>} Updated session, or null when the code is unknown
+ */
+export async function updateSession(code, changes) {
+  const session = await getSession(code);
+  if (!session) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const updated = { ...session, ...changes };
+  const completed = changes.results !== undefined && changes.results !== null;
+
+  await db.runAsync(
+    `UPDATE screening_sessions
+     SET response = ?, answers = ?, current_cluster = ?, completed_clusters = ?, results = ?,
+         adjudications = ?, status = ?, updated_at = ?, completed_at = ?
+     WHERE session_code = ?`,
+    [
+      updated.response ? JSON.stringify(updated.response) : null,
+      updated.answers ? JSON.stringify(updated.answers) : null,
+      updated.currentCluster || 0,
+      JSON.stringify(updated.completedClusters || []),
+      updated.results ? JSON.stringify(updated.results) : null,
+      JSON.stringify(updated.adjudications || {}),
+      completed ? 'completed' : session.status,
+      now,
+      completed ? now : session.completedAt,
+      session.code,
+    ]
+  );
+  return getSession(session.code);
+}
+
+/**
+ * List sessions, most recently active first, without the stored payloads
+ * @param {{ status?: string, limit?: number }} [options]
+ * @returns {Promise<Array<{ code: string, status: string, currentCluster: number, completedClusters: number[],
+ *   summary: Object|null, createdAt: string, updatedAt: string, completedAt: string|null }>>}
+ */
+export async function listSessions({ status = null, limit = 50 } = {}) {
+  const rows = status
+    ? await db.allAsync(
+      'SELECT * FROM screening_sessions WHERE status = ? ORDER BY updated_at DESC LIMIT ?',
+      [status, limit]
+    )
+    : await db.allAsync('SELECT * FROM screening_sessions ORDER BY updated_at DESC LIMIT ?', [limit]);
+
+  return rows.map((row) => {
+    const session = toSession(row);
+    return {
+      code: session.code,
+      status: session.status,
+      currentCluster: session.currentCluster,
+      completedClusters: session.completedClusters,
+      summary: session.results?.summary || null,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+      completedAt: session.completedAt,
+    };
+  });
+}
+
+/**
+ * Get every completed session that has a stored response and results, oldest first
+ * @returns {Promise<ScreeningSession[]>}
+ */
+export async function getCompletedSessions() {
+  const rows = await db.allAsync(
+    `SELECT * FROM screening_sessions
+     WHERE status = 'completed' AND response IS NOT NULL AND results IS NOT NULL
+     ORDER BY created_at ASC`
+  );
+  return rows.map(toSession);
+}
+
+/**
+ * Delete a session
+ * @param {string} code
+ * @returns {Promise<boolean>} True when a session was deleted
+ */
+export async function deleteSession(code) {
+  const normalized = normalizeSessionCode(code);
+  if (!normalized) {
+    return false;
+  }
+  const result = await db.runAsync('DELETE FROM screening_sessions WHERE session_code = ?', [normalized]);
+  return result.changes > 0;
+}
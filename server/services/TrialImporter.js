@@ -0,0 +1,780 @@
+/**
+ * @file Trial importer
+ * @description Converts saved ClinicalTrials.gov v2 study JSON into slot-filled criteria.
+ * Import is two-phase: buildImportPlan() produces a plan plus a diff preview,
+ * commitImportPlan() writes the criteria database and trial metadata files.
+ */
+
+import fs from 'fs/promises';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DRUG_DATABASE } from './DrugCategoryResolver.js';
+import { parseMeasurementSlots } from '../../src/services/matcher/measurementThresholds.js';
+import { extractReproductiveSlots, isReproductiveCriterion } from '../../src/services/matcher/reproductiveCriteria.js';
+import { parseLabSlots, isLabCriterion } from '../../src/services/matcher/labThresholds.js';
+import { extractVaccinationSlots, isVaccinationCriterion } from '../../src/services/matcher/vaccinationCriteria.js';
+import { extractTreatmentOutcomeSlots } from '../../src/services/matcher/treatmentHistory.js';
+import { extractDosingSlots } from '../../src/services/matcher/treatmentDosing.js';
+import { extractPsaSlots, isPsaCriterion } from '../../src/services/matcher/psoriaticArthritis.js';
+import { findBodyRegions, getRequiredRegions } from '../../src/services/matcher/anatomicalLocation.js';
+import { db } from '../db.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/** Vaccine catalog shared with the frontend (src/config/vaccine-catalog.json) */
+const VACCINE_CATALOG = JSON.parse(
+  readFileSync(path.join(__dirname, '../../src/config/vaccine-catalog.json'), 'utf-8')
+).vaccines;
+
+/**
+ * Default data file locations (overridable via env for tests and staging copies)
+ * @returns {{ criteriaPath: string, metadataPath: string }}
+ */
+export function getImportPaths() {
+  return {
+    criteriaPath: process.env.CRITERIA_DB_PATH ||
+      path.join(__dirname, '../../src/data/improved_slot_filled_database.json'),
+    metadataPath: process.env.TRIAL_METADATA_PATH ||
+      path.join(__dirname, '../../src/data/trial-metadata.json'),
+  };
+}
+
+// ============================================
+// STUDY PARSING
+// ============================================
+
+/**
+ * Extract the fields we use from a ClinicalTrials.gov v2 study record
+ * @param {Object} study - Study JSON (as returned by /api/v2/studies/{nctId})
+ * @returns {{ nctId: string, eligibilityText: string, minimumAge: string|null, maximumAge: string|null, metadata: Object }}
+ */
+export function parseStudy(study) {
+  const protocol = study?.protocolSection;
+  const nctId = protocol?.identificationModule?.nctId;
+
+  if (!nctId || !/^NCT\d{8}$/.test(nctId)) {
+    throw new Error('Study JSON is missing a valid protocolSection.identificationModule.nctId');
+  }
+
+  const eligibility = protocol.eligibilityModule || {};
+  const design = protocol.designModule || {};
+  const locations = protocol.contactsLocationsModule?.locations || [];
+
+  return {
+    nctId,
+    eligibilityText: eligibility.eligibilityCriteria || '',
+    minimumAge: eligibility.minimumAge || null,
+    maximumAge: eligibility.maximumAge || null,
+    metadata: {
+      nct_id: nctId,
+      title: protocol.identificationModule.briefTitle || null,
+      phase: (design.phases || []).join('/') || null,
+      sponsor: protocol.sponsorCollaboratorsModule?.leadSponsor?.name || null,
+      recruitment_status: protocol.statusModule?.overallStatus || null,
+      condition: (protocol.conditionsModule?.conditions || []).join(', ') || null,
+      target_enrollment: design.enrollmentInfo?.count ?? null,
+      sites: locations.map((location) => ({
+        facility: location.facility || null,
+        city: location.city || null,
+        country: location.country || null,
+      })),
+    },
+  };
+}
+
+/**
+ * Split free-text eligibility criteria into inclusion/exclusion bullets
+ * @param {string} text - eligibilityCriteria text
+ * @returns {{ inclusion: string[], exclusion: string[] }}
+ */
+export function splitEligibilityText(text) {
+  const sections = { inclusion: [], exclusion: [] };
+  let current = null;
+  let pending = null;
+
+  const flush = () => {
+    if (current && pending) {
+      sections[current].push(pending.trim());
+    }
+    pending = null;
+  };
+
+  for (const rawLine of (text || '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) {
+      continue;
+    }
+
+    if (/^inclusion criteria\b/i.test(line)) {
+      flush();
+      current = 'inclusion';
+      continue;
+    }
+    if (/^exclusion criteria\b/i.test(line)) {
+      flush();
+      current = 'exclusion';
+      continue;
+    }
+
+    const bullet = line.match(/^(?:[*\-•]|\d+[.)])\s+(.*)$/);
+    if (bullet) {
+      flush();
+      pending = bullet[1];
+    } else if (pending) {
+      // Continuation of a wrapped bullet
+      pending += ` ${line}`;
+    } else {
+      pending = line;
+    }
+  }
+  flush();
+
+  return sections;
+}
+
+// ============================================
+// SLOT EXTRACTION
+// ============================================
+
+const UNIT_PATTERN = '(days?|weeks?|months?|years?)';
+
+/**
+ * Normalize a time unit to the plural form used by timeConversions
+ * @param {string} unit
+ * @returns {string}
+ */
+function normalizeUnit(unit) {
+  const lower = unit.toLowerCase();
+  return lower.endsWith('s') ? lower : `${lower}s`;
+}
+
+/**
+ * Parse a "within N units (prior to X)" timeframe
+ * @param {string} text - Criterion text
+ * @returns {{ relation: string, amount: number, unit: string, reference: string|null }|null}
+ */
+export function parseTimeframe(text) {
+  const within = text.match(new RegExp(`within\\s+(?:the\\s+)?(?:last\\s+|past\\s+)?(\\d+)\\s*${UNIT_PATTERN}`, 'i')) ||
+    text.match(new RegExp(`(\\d+)\\s*${UNIT_PATTERN}\\s+(?:prior to|before)`, 'i'));
+
+  if (!within) {
+    return null;
+  }
+
+  const reference = text.match(/(?:prior to|before)\s+(?:the\s+)?(screening|baseline|randomi[sz]ation|first dose|day 1|enrollment)/i);
+
+  return {
+    relation: 'within',
+    amount: parseInt(within[1], 10),
+    unit: normalizeUnit(within[2]),
+    reference: reference ? reference[1].toLowerCase() : null,
+  };
+}
+
+/**
+ * Parse a numeric lower/upper bound around a quantity
+ * @param {string} text - Criterion text
+ * @param {string} quantity - Regex source for the quantity label
+ * @param {string} [unit=''] - Regex source for the unit following the number
+ * @returns {{ min: number|null, max: number|null }}
+ */
+function parseBounds(text, quantity, unit = '') {
+  const num = '(\\d+(?:\\.\\d+)?)';
+  const gap = '[^\\d]{0,25}?';
+  let min = null;
+  let max = null;
+
+  const between = text.match(new RegExp(`${quantity}${gap}(?:between\\s+)?${num}\\s*${unit}\\s*(?:-|–|to|and)\\s*${num}`, 'i'));
+  if (between) {
+    return { min: parseFloat(between[1]), max: parseFloat(between[2]) };
+  }
+
+  const lower = text.match(new RegExp(`${quantity}${gap}(?:≥|>=|>|at least|of at least|not less than|minimum of)\\s*${num}`, 'i')) ||
+    text.match(new RegExp(`${num}\\s*${unit}\\s*(?:or|and)\\s*(?:older|above|over|greater)`, 'i'));
+  if (lower) {
+    min = parseFloat(lower[1]);
+  }
+
+  const upper = text.match(new RegExp(`${quantity}${gap}(?:≤|<=|<|at most|no more than|not more than|up to|maximum of)\\s*${num}`, 'i')) ||
+    text.match(new RegExp(`${num}\\s*${unit}\\s*(?:or|and)\\s*(?:younger|below|under|less)`, 'i'));
+  if (upper) {
+    max = parseFloat(upper[1]);
+  }
+
+  return { min, max };
+}
+
+/**
+ * Parse a "18 Years" style age string from the eligibility module
+ * @param {string|null} value
+ * @returns {number|null}
+ */
+function parseStudyAge(value) {
+  const match = value?.match(/^(\d+)\s*Years?$/i);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Collect lexicon terms that occur in the text (whole-word, case-insensitive)
+ * @param {string} text
+ * @param {string[]} terms
+ * @returns {string[]}
+ */
+function findTerms(text, terms) {
+  const lower = text.toLowerCase();
+  return terms.filter((term) => {
+    const escaped = term.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z])${escaped}([^a-z]|$)`).test(lower);
+  });
+}
+
+const DRUG_TERMS = [...new Set(
+  Object.entries(DRUG_DATABASE).flatMap(([name, info]) => [name, ...(info.aliases || [])])
+)];
+
+const TREATMENT_CLASS_TERMS = [
+  'biologic', 'biologics', 'tnf inhibitor', 'il-17 inhibitor', 'il-23 inhibitor', 'jak inhibitor',
+  'systemic corticosteroids', 'corticosteroids', 'phototherapy', 'puva', 'uvb',
+  'topical therapy', 'topical corticosteroids', 'systemic therapy', 'immunosuppressants',
+  'investigational drug', 'investigational product',
+];
+
+const INFECTION_TERMS = [
+  'infection', 'tuberculosis', 'latent tuberculosis', 'hepatitis b', 'hepatitis c', 'hiv',
+  'herpes zoster', 'sepsis', 'opportunistic infection', 'covid-19', 'fungal infection',
+];
+
+const CONDITION_TERMS = [
+  'malignancy', 'cancer', 'carcinoma', 'lymphoma', 'heart failure', 'myocardial infarction',
+  'stroke', 'hypertension', 'diabetes', 'renal impairment', 'hepatic impairment', 'liver disease',
+  'kidney disease', 'inflammatory bowel disease', 'crohn', 'ulcerative colitis', 'depression',
+  'suicidal ideation', 'suicide', 'pregnancy', 'pregnant', 'breastfeeding', 'lactating',
+  'alcohol abuse', 'drug abuse', 'substance abuse', 'demyelinating disease', 'lupus',
+  'autoimmune disease', 'immunodeficiency', 'psoriatic arthritis', 'uveitis',
+];
+
+const VARIANT_TERMS = ['guttate', 'erythrodermic', 'pustular', 'palmoplantar', 'inverse', 'drug-induced'];
+
+const SCORE_PATTERN = /\b(PASI|s?PGA|IGA|DLQI|PHQ-?9?|m?NAPSI|PSSI|PPPASI|pp-?PASI|ss-?IGA)\b/i;
+
+const BIOMARKER_TERMS = ['rheumatoid factor', 'anti-ccp', 'anti-cyclic citrullinated peptide', 'hla-b27', 'ana'];
+
+/**
+ * How comma-separated lab lists combine: inclusion needs every value, exclusion any
+ * @type {Object<string, 'AND'|'OR'>}
+ */
+const LAB_LIST_OPERATORS = { inclusion: 'AND', mandatory_exclude: 'OR', conditional_exclude: 'OR' };
+
+/**
+ * Cluster classification rules, evaluated in order (first match wins)
+ * @type {Array<{ code: string, test: (text: string) => boolean }>}
+ */
+const CLUSTER_RULES = [
+  {
+    code: 'AGE',
+    test: (t) => (/\b(aged?|years? of age|years old)\b/i.test(t) && /\d/.test(t)) ||
+      /\d+\s*years?\s*(?:and|or)\s*(?:above|older|over)/i.test(t),
+  },
+  { code: 'BMI', test: (t) => /\b(BMI|body mass index|body weight|weigh(?:s|t|ing))\b/i.test(t) },
+  { code: 'REP', test: (t) => isReproductiveCriterion(t) },
+  { code: 'LAB', test: (t) => isLabCriterion(t) },
+  { code: 'AAO', test: (t) => /\b(BSA|body surface area)\b/i.test(t) || isPsaCriterion(t) },
+  { code: 'SEV', test: (t) => SCORE_PATTERN.test(t) },
+  { code: 'NPV', test: (t) => findTerms(t, VARIANT_TERMS).length > 0 && /psoria/i.test(t) },
+  { code: 'AAO', test: (t) => getRequiredRegions({ raw_text: t }) !== null },
+  { code: 'CPD', test: (t) => /psoria/i.test(t) && /\b(duration|diagnos\w*)\b/i.test(t) && /\d+\s*(months?|years?)/i.test(t) },
+  { code: 'FLR', test: (t) => /\b(flare|rebound|exacerbation)\b/i.test(t) },
+  { code: 'BIO', test: (t) => findTerms(t, BIOMARKER_TERMS).length > 0 },
+  { code: 'VAC', test: (t) => isVaccinationCriterion(t) },
+  { code: 'PTH', test: (t) => findTerms(t, [...DRUG_TERMS, ...TREATMENT_CLASS_TERMS]).length > 0 },
+  { code: 'AIC', test: (t) => findTerms(t, INFECTION_TERMS).length > 0 || /\binfections?\b/i.test(t) },
+  { code: 'CMB', test: (t) => findTerms(t, CONDITION_TERMS).length > 0 },
+];
+
+/**
+ * Assign a criterion to a cluster
+ * @param {string} text - Criterion text
+ * @returns {string|null} Cluster code or null if no rule applies
+ */
+export function classifyCriterion(text) {
+  const rule = CLUSTER_RULES.find((r) => r.test(text));
+  return rule ? rule.code : null;
+}
+
+/**
+ * Extract the slots the matcher reads for a cluster
+ * @param {string} clusterCode - Cluster code
+ * @param {string} text - Criterion text
+ * @param {string} [strength] - EXCLUSION_STRENGTH (decides how LAB lists combine)
+ * @returns {Object|null} Slot object, or null when the text cannot be slotted
+ */
+export function extractSlots(clusterCode, text, strength = null) {
+  const timeframe = parseTimeframe(text);
+
+  switch (clusterCode) {
+    case 'AGE': {
+      const { min, max } = parseBounds(text, '(?:age[ds]?|years)', '(?:years?)?(?:\\s*of age)?');
+      if (min === null && max === null) {
+        return null;
+      }
+      return { AGE_MIN: min, AGE_MAX: max, AGE_UNIT: 'years' };
+    }
+
+    case 'BMI': {
+      const bmi = parseBounds(text, '(?:BMI|body mass index)', '(?:kg/m2|kg/m²)?');
+      const weight = parseBounds(text, '(?:weight|weigh)', 'kg');
+      const slots = {};
+      if (bmi.min !== null) { slots.BMI_MIN = bmi.min; }
+      if (bmi.max !== null) { slots.BMI_MAX = bmi.max; }
+      if (weight.min !== null && /kg/i.test(text)) { slots.WEIGHT_MIN = weight.min; }
+      if (weight.max !== null && /kg/i.test(text)) { slots.WEIGHT_MAX = weight.max; }
+      return Object.keys(slots).length > 0 ? slots : null;
+    }
+
+    case 'SEV':
+      return parseMeasurementSlots(text).slots;
+
+    case 'AAO': {
+      const { slots, reason } = parseMeasurementSlots(text);
+      // PsA features only stand alone when no measurement in the text was left unparsed
+      const psa = slots || reason === 'No known measurement mentioned' ? extractPsaSlots(text) : null;
+      const locations = findBodyRegions(text);
+      if (!slots && !psa && locations.length === 0) {
+        return null;
+      }
+      return {
+        ...slots,
+        ...psa,
+        ...(locations.length > 0 ? { ANATOMICAL_LOCATION: locations } : {}),
+      };
+    }
+
+    case 'REP':
+      return extractReproductiveSlots(text);
+
+    case 'VAC': {
+      const slots = extractVaccinationSlots(text, VACCINE_CATALOG);
+      return slots && { ...slots, TIMEFRAME: timeframe };
+    }
+
+    case 'LAB':
+      return parseLabSlots(text, { listOperator: LAB_LIST_OPERATORS[strength] ?? null }).slots;
+
+    case 'NPV':
+      return {
+        PSORIASIS_VARIANT: findTerms(text, VARIANT_TERMS),
+        CONDITION_PATTERN: ['current'],
+      };
+
+    case 'CPD': {
+      const duration = text.match(/(\d+)\s*(months?|years?)/i);
+      return {
+        CONDITION_TYPE: ['chronic plaque psoriasis'],
+        TIMEFRAME: {
+          relation: 'at least',
+          amount: parseInt(duration[1], 10),
+          unit: normalizeUnit(duration[2]),
+          reference: 'diagnosis',
+        },
+      };
+    }
+
+    case 'FLR': {
+      const count = text.match(/(\d+)\s*(?:or more\s+)?(?:flares|exacerbations)/i);
+      const slots = { CONDITION_TYPE: ['psoriasis flare'] };
+      if (count) { slots.FLARE_COUNT = parseInt(count[1], 10); }
+      if (timeframe) { slots.TIMEFRAME = timeframe; }
+      return slots;
+    }
+
+    case 'BIO': {
+      const status = /\bnegative\b/i.test(text) ? 'negative' : /\bpositive\b/i.test(text) ? 'positive' : null;
+      return {
+        BIOMARKER_NAME: findTerms(text, BIOMARKER_TERMS),
+        BIOMARKER_STATUS: status,
+      };
+    }
+
+    case 'PTH': {
+      const treatments = findTerms(text, [...DRUG_TERMS, ...TREATMENT_CLASS_TERMS]);
+      const current = /\b(currently|ongoing|concomitant|current use)\b/i.test(text);
+      return {
+        conditions: [{
+          TREATMENT_TYPE: treatments,
+          TREATMENT_PATTERN: [current ? 'current use' : 'previous use'],
+          TIMEFRAME: timeframe,
+          LOGICAL_OPERATOR: treatments.length > 1 ? 'OR' : null,
+          ...extractTreatmentOutcomeSlots(text),
+          ...extractDosingSlots(text),
+        }],
+      };
+    }
+
+    case 'AIC':
+    case 'CMB': {
+      const lexicon = clusterCode === 'AIC' ? INFECTION_TERMS : CONDITION_TERMS;
+      const conditionTypes = findTerms(text, lexicon);
+      if (conditionTypes.length === 0) {
+        return null;
+      }
+      const patterns = [];
+      if (/\bhistory of\b/i.test(text)) { patterns.push('history'); }
+      if (/\b(active|current|known|ongoing)\b/i.test(text)) { patterns.push('current'); }
+      const slots = {
+        CONDITION_TYPE: conditionTypes,
+        CONDITION_PATTERN: patterns.length > 0 ? patterns : ['current', 'history'],
+        LOGICAL_OPERATOR: conditionTypes.length > 1 ? 'OR' : null,
+      };
+      if (timeframe) { slots.TIMEFRAME = timeframe; }
+      return slots;
+    }
+
+    default:
+      return null;
+  }
+}
+
+// ============================================
+// IMPORT PLAN
+// ============================================
+
+/**
+ * Find the next numeric id suffix and padding width for a cluster
+ * @param {Object} cluster - Cluster object from the criteria database
+ * @returns {{ next: number, width: number }}
+ */
+function nextIdState(cluster) {
+  let max = 0;
+  let width = 0;
+  for (const criterion of cluster.criteria) {
+    const suffix = criterion.id.split('_')[1] || '';
+    max = Math.max(max, parseInt(suffix, 10) || 0);
+    if (suffix.startsWith('0')) {
+      width = Math.max(width, suffix.length);
+    }
+  }
+  return { next: max + 1, width };
+}
+
+/**
+ * Build an import plan for one study against the current criteria database.
+ * Re-importing a trial replaces its criteria; criteria whose raw text is unchanged keep their id.
+ * @param {Object} database - Current criteria database
+ * @param {Object} study - ClinicalTrials.gov v2 study JSON
+ * @returns {Object} Import plan
+ */
+export function buildImportPlan(database, study) {
+  const parsed = parseStudy(study);
+  const { inclusion, exclusion } = splitEligibilityText(parsed.eligibilityText);
+
+  const bullets = [
+    ...inclusion.map((text) => ({ text, strength: 'inclusion' })),
+    // "... unless <condition>" exclusions can be waived; the matcher reads the condition from the text
+    ...exclusion.map((text) => ({ text, strength: /\bunless\b/i.test(text) ? 'conditional_exclude' : 'mandatory_exclude' })),
+  ];
+
+  // Age limits in the eligibility module are authoritative when the text has no age bullet
+  const minAge = parseStudyAge(parsed.minimumAge);
+  const maxAge = parseStudyAge(parsed.maximumAge);
+  const hasAgeBullet = bullets.some((b) => classifyCriterion(b.text) === 'AGE');
+
+  const existing = [];
+  const idState = {};
+  for (const [clusterKey, cluster] of Object.entries(database)) {
+    if (!clusterKey.startsWith('CLUSTER_') || !cluster.criteria) {
+      continue;
+    }
+    idState[cluster.cluster_code] = nextIdState(cluster);
+    for (const criterion of cluster.criteria) {
+      if (criterion.nct_id === parsed.nctId) {
+        existing.push({ clusterCode: cluster.cluster_code, criterion });
+      }
+    }
+  }
+
+  const assignId = (clusterCode, rawText) => {
+    const previous = existing.find(
+      (e) => e.clusterCode === clusterCode && e.criterion.raw_text === rawText
+    );
+    if (previous) {
+      return previous.criterion.id;
+    }
+    const state = idState[clusterCode];
+    const id = `${clusterCode}_${String(state.next).padStart(state.width, '0')}`;
+    state.next += 1;
+    return id;
+  };
+
+  const additions = [];
+  const unslotted = [];
+
+  if (!hasAgeBullet && (minAge !== null || maxAge !== null) && idState.AGE) {
+    const rawText = `Age ${parsed.minimumAge || 'N/A'} to ${parsed.maximumAge || 'N/A'}`;
+    additions.push({
+      clusterCode: 'AGE',
+      criterion: {
+        id: assignId('AGE', rawText),
+        nct_id: parsed.nctId,
+        raw_text: rawText,
+        AGE_MIN: minAge,
+        AGE_MAX: maxAge,
+        AGE_UNIT: 'years',
+        EXCLUSION_STRENGTH: 'inclusion',
+      },
+    });
+  }
+
+  for (const { text, strength } of bullets) {
+    const clusterCode = classifyCriterion(text);
+    const slots = clusterCode && idState[clusterCode] ? extractSlots(clusterCode, text, strength) : null;
+
+    if (!slots) {
+      unslotted.push({
+        nctId: parsed.nctId,
+        rawText: text,
+        exclusionStrength: strength,
+        suggestedCluster: clusterCode,
+        reason: clusterCode ? `No ${clusterCode} slots could be extracted` : 'No cluster rule matched',
+      });
+      continue;
+    }
+
+    additions.push({
+      clusterCode,
+      criterion: {
+        id: assignId(clusterCode, text),
+        nct_id: parsed.nctId,
+        raw_text: text,
+        ...slots,
+        EXCLUSION_STRENGTH: strength,
+      },
+    });
+  }
+
+  const keptIds = new Set(additions.map((a) => a.criterion.id));
+  const removals = existing.filter((e) => !keptIds.has(e.criterion.id));
+
+  return {
+    nctId: parsed.nctId,
+    metadata: parsed.metadata,
+    additions,
+    removals,
+    unslotted,
+    replacesExisting: existing.length > 0,
+  };
+}
+
+/**
+ * Apply an import plan, returning a new database with counts and metadata.clusters in sync
+ * @param {Object} database - Current criteria database
+ * @param {Object} plan - Plan from buildImportPlan()
+ * @param {string} [today] - ISO date for metadata.last_updated
+ * @returns {Object} Updated database (input is not mutated)
+ */
+export function applyImportPlan(database, plan, today = new Date().toISOString().slice(0, 10)) {
+  const updated = structuredClone(database);
+  const byCode = {};
+
+  for (const [clusterKey, cluster] of Object.entries(updated)) {
+    if (clusterKey.startsWith('CLUSTER_') && cluster.criteria) {
+      cluster.criteria = cluster.criteria.filter((c) => c.nct_id !== plan.nctId);
+      byCode[cluster.cluster_code] = cluster;
+    }
+  }
+
+  for (const { clusterCode, criterion } of plan.additions) {
+    byCode[clusterCode].criteria.push(criterion);
+  }
+
+  let total = 0;
+  for (const cluster of Object.values(byCode)) {
+    cluster.total_criteria = cluster.criteria.length;
+    total += cluster.criteria.length;
+  }
+
+  if (updated.metadata) {
+    updated.metadata.total_criteria = total;
+    updated.metadata.last_updated = today;
+    for (const entry of updated.metadata.clusters || []) {
+      if (byCode[entry.code]) {
+        entry.count = byCode[entry.code].criteria.length;
+      }
+    }
+  }
+
+  return updated;
+}
+
+/**
+ * Render a human-readable diff preview of an import plan
+ * @param {Object} database - Current criteria database
+ * @param {Object} plan - Plan from buildImportPlan()
+ * @returns {string} Preview text
+ */
+export function formatImportPreview(database, plan) {
+  const updated = applyImportPlan(database, plan);
+  const lines = [];
+  const previousIds = new Set();
+  for (const [clusterKey, cluster] of Object.entries(database)) {
+    if (clusterKey.startsWith('CLUSTER_') && cluster.criteria) {
+      cluster.criteria.filter((c) => c.nct_id === plan.nctId).forEach((c) => previousIds.add(c.id));
+    }
+  }
+
+  lines.push(`Import preview for ${plan.nctId}${plan.metadata.title ? ` - ${plan.metadata.title}` : ''}`);
+  lines.push(plan.replacesExisting ? 'Mode: re-import (existing criteria replaced)' : 'Mode: new trial');
+  lines.push('');
+  lines.push('Cluster counts:');
+  for (const [clusterKey, cluster] of Object.entries(updated)) {
+    if (!clusterKey.startsWith('CLUSTER_')) {
+      continue;
+    }
+    const before = database[clusterKey].total_criteria;
+    const after = cluster.total_criteria;
+    if (before !== after) {
+      const delta = after - before;
+      lines.push(`  ${cluster.cluster_code}: ${before} -> ${after} (${delta > 0 ? '+' : ''}${delta})`);
+    }
+  }
+  lines.push(`  total: ${database.metadata?.total_criteria} -> ${updated.metadata?.total_criteria}`);
+  lines.push('');
+
+  lines.push('Criteria:');
+  for (const { criterion } of plan.additions) {
+    const marker = previousIds.has(criterion.id) ? '=' : '+';
+    const { id, nct_id: _nct, raw_text: rawText, EXCLUSION_STRENGTH: strength, ...slots } = criterion;
+    lines.push(`${marker} ${id} [${strength}] ${rawText}`);
+    if (marker === '+' && Object.keys(slots).length > 0) {
+      lines.push(`    ${JSON.stringify(slots)}`);
+    }
+  }
+  for (const { criterion } of plan.removals) {
+    lines.push(`- ${criterion.id} [${criterion.EXCLUSION_STRENGTH}] ${criterion.raw_text}`);
+  }
+
+  if (plan.unslotted.length > 0) {
+    lines.push('');
+    lines.push(`Unslotted (queued for admin review): ${plan.unslotted.length}`);
+    for (const item of plan.unslotted) {
+      lines.push(`? [${item.exclusionStrength}] ${item.rawText} (${item.reason})`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+// ============================================
+// FILE I/O
+// ============================================
+
+/**
+ * Read a JSON data file
+ * @param {string} filePath
+ * @returns {Promise<{ data: Object, trailingNewline: boolean }>}
+ */
+async function readJsonFile(filePath) {
+  const content = await fs.readFile(filePath, 'utf-8');
+  return { data: JSON.parse(content), trailingNewline: content.endsWith('\n') };
+}
+
+/**
+ * Write a JSON data file, preserving the file's trailing-newline style
+ * @param {string} filePath
+ * @param {Object} data
+ * @param {boolean} trailingNewline
+ */
+async function writeJsonFile(filePath, data, trailingNewline) {
+  const content = JSON.stringify(data, null, 2) + (trailingNewline ? '\n' : '');
+  await fs.writeFile(filePath, content, 'utf-8');
+}
+
+/**
+ * Load the criteria database used for import planning
+ * @param {string} [criteriaPath]
+ * @returns {Promise<Object>}
+ */
+export async function loadCriteriaDatabase(criteriaPath = getImportPaths().criteriaPath) {
+  const { data } = await readJsonFile(criteriaPath);
+  return data;
+}
+
+/**
+ * Write an import plan to the criteria database and trial metadata files
+ * @param {Object} plan - Plan from buildImportPlan()
+ * @param {{ criteriaPath?: string, metadataPath?: string }} [paths]
+ * @returns {Promise<{ totalCriteria: number }>}
+ */
+export async function commitImportPlan(plan, paths = getImportPaths()) {
+  const criteria = await readJsonFile(paths.criteriaPath);
+  const updated = applyImportPlan(criteria.data, plan);
+  await writeJsonFile(paths.criteriaPath, updated, criteria.trailingNewline);
+
+  await writeTrialMetadata([plan.metadata], paths.metadataPath);
+
+  return { totalCriteria: updated.metadata?.total_criteria ?? null };
+}
+
+/**
+ * List the NCT IDs that have criteria in the database
+ * @param {Object} database - Criteria database
+ * @returns {string[]} Sorted NCT IDs
+ */
+export function listDatabaseTrials(database) {
+  const nctIds = new Set();
+  for (const [clusterKey, cluster] of Object.entries(database)) {
+    if (clusterKey.startsWith('CLUSTER_') && cluster.criteria) {
+      cluster.criteria.forEach((criterion) => nctIds.add(criterion.nct_id));
+    }
+  }
+  return [...nctIds].sort();
+}
+
+/**
+ * Add or replace trial metadata entries (parseStudy().metadata) in the metadata file,
+ * keeping entries sorted by NCT ID and metadata.total_trials in sync
+ * @param {Object[]} entries - Metadata entries
+ * @param {string} [metadataPath]
+ * @returns {Promise<number>} Number of trials in the file
+ */
+export async function writeTrialMetadata(entries, metadataPath = getImportPaths().metadataPath) {
+  const metadata = await readJsonFile(metadataPath);
+  const trials = { ...metadata.data.trials };
+  for (const entry of entries) {
+    trials[entry.nct_id] = entry;
+  }
+  metadata.data.trials = Object.fromEntries(
+    Object.entries(trials).sort(([a], [b]) => a.localeCompare(b))
+  );
+  if (metadata.data.metadata) {
+    metadata.data.metadata.total_trials = Object.keys(metadata.data.trials).length;
+    metadata.data.metadata.last_updated = new Date().toISOString().slice(0, 10);
+  }
+  await writeJsonFile(metadataPath, metadata.data, metadata.trailingNewline);
+
+  return Object.keys(metadata.data.trials).length;
+}
+
+/**
+ * Put criteria the extractor could not slot into the admin review queue
+ * Already-queued criteria (same trial and text) are left untouched.
+ * @param {Array<Object>} unslotted - plan.unslotted
+ * @returns {Promise<number>} Number of newly queued criteria
+ */
+export async function queueUnslottedCriteria(unslotted) {
+  let queued = 0;
+  const now = new Date().toISOString();
+
+  for (const item of unslotted) {
+    const result = await db.runAsync(
+      `INSERT OR IGNORE INTO pending_criteria
+       (nct_id, raw_text, exclusion_strength, suggested_cluster, reason, status, submitted_at)
+       VALUES (?, ?, ?, ?, ?, 'pending', ?)`,
+      [item.nctId, item.rawText, item.exclusionStrength, item.suggestedCluster, item.reason, now]
+    );
+    queued += result.changes;
+  }
+
+  return queued;
+}
@@ -0,0 +1,51 @@
+/**
+ * @file Trial registry service
+ * @description Loads trial metadata (title, phase, sponsor, sites) shared with the frontend matcher
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { TrialMetadataRegistry } from '../../src/services/trials/TrialMetadataRegistry.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/** Default location of the trial metadata file */
+export const TRIAL_METADATA_PATH = path.join(__dirname, '../../src/data/trial-metadata.json');
+
+/** @type {Promise<TrialMetadataRegistry> | null} */
+let registryPromise = null;
+
+/**
+ * Load trial metadata registry from disk
+ * @param {string} [filePath] - Path to trial-metadata.json (TRIAL_METADATA_PATH env overrides the default)
+ * @returns {Promise<TrialMetadataRegistry>}
+ */
+async function loadRegistry(filePath = process.env.TRIAL_METADATA_PATH || TRIAL_METADATA_PATH) {
+  try {
+    const content = await fs.readFile(filePath, 'utf-8');
+    return new TrialMetadataRegistry(JSON.parse(content));
+  } catch (error) {
+    console.error('Failed to load trial metadata:', error.message);
+    return new TrialMetadataRegistry();
+  }
+}
+
+/**
+ * Get trial registry instance (loaded once, then cached)
+ * @returns {Promise<TrialMetadataRegistry>}
+ */
+export function getTrialRegistry() {
+  if (!registryPromise) {
+    registryPromise = loadRegistry();
+  }
+  return registryPromise;
+}
+
+/**
+ * Drop the cached registry so the next call re-reads the file
+ */
+export function reloadTrialRegistry() {
+  registryPromise = null;
+}
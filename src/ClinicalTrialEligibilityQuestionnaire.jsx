@@ -1,11 +1,12 @@
 import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
 
 /**
  * COMPREHENSIVE CLINICAL TRIAL ELIGIBILITY QUESTIONNAIRE
  * Version: 3.0
  * Date: 2026-01-11
  * 
- * This questionnaire systematically evaluates patient eligibility across 9 clusters:
+ * This questionnaire systematically evaluates patient eligibility across 12 clusters:
  * 1. Comorbid Conditions (CMB)
  * 2. Psoriasis Treatment History (PTH)
  * 3. Active Infection History (AIC)
@@ -15,12 +16,22 @@ import React, { useState, useEffect } from 'react';
  * 7. Chronic Plaque Psoriasis Duration (CPD)
  * 8. Severity Scores (SEV)
  * 9. Weight and BMI (BMI)
+ * 10. Sex, Pregnancy and Contraception (REP)
+ * 11. Laboratory Values (LAB)
+ * 12. Vaccination History (VAC)
  */
 
 // ==============================================================================
 // IMPORT SLOT-FILLED DATABASE
 // ==============================================================================
 import SLOT_FILLED_DATABASE from './data/slot-filled-database.json';
+import { getLabAnalytes, getVaccines, isLiveVaccine, getMeasurementRanges } from './services/config/RulesLoader.js';
+import { CASPAR_ITEMS, scoreCaspar } from './services/matcher/psoriaticArthritis.js';
+import BodyRegionPicker from './components/BodyRegionPicker.jsx';
+import PasiCalculator from './components/PasiCalculator.jsx';
+import BsaCalculator from './components/BsaCalculator.jsx';
+import DlqiCalculator from './components/DlqiCalculator.jsx';
+import { calculatePasi, estimateBsaFromPalms, calculateDlqi } from './utils/severityScores.js';
 
 // ==============================================================================
 // UTILITY FUNCTIONS
@@ -49,6 +60,16 @@ function extractUniqueValues(cluster, fieldName) {
   return Array.from(values).sort();
 }
 
+/**
+ * Site-specific severity scores (NAPSI, PSSI, ss-IGA, ppPASI) for the body regions the patient marked
+ * @param {string[]} regions - Body-map regions
+ * @returns {Array<[string, { min: number, max: number, label: string, regions: string[] }]>} [type, range] pairs
+ */
+function getSiteSpecificScores(regions) {
+  return Object.entries(getMeasurementRanges())
+    .filter(([, range]) => range.regions?.some(region => regions.includes(region)));
+}
+
 /**
  * Merge similar conditions to avoid duplicates
  */
@@ -69,15 +90,47 @@ function mergeSimilarConditions(conditions) {
 // SLOT-FILLED RESPONSE BUILDER
 // ==============================================================================
 
+/** Answer offered on every question; the matcher treats it like a missing answer */
+const DONT_KNOW_LABEL = "I don't know";
+
 /**
  * Builds slot-filled response structure matching database format
  */
 class SlotFilledResponseBuilder {
   constructor() {
     this.responses = {};
+    this.unknownAnswers = [];
+    this.timeline = { screeningDate: null, baselineDate: null };
+  }
+
+  /**
+   * Record the planned screening and baseline (first dose) visits that dated answers are measured against
+   */
+  setTimeline(screeningDate, baselineDate) {
+    this.timeline = {
+      screeningDate: screeningDate || null,
+      baselineDate: baselineDate || null
+    };
   }
 
-  addComorbidCondition(conditionType, pattern, severity, timeframe, location) {
+  /**
+   * Record that the patient answered "I don't know" for a cluster
+   * (its slot stays empty, so the matcher returns unknown for its criteria)
+   */
+  markUnknown(clusterCode) {
+    if (!this.unknownAnswers.includes(clusterCode)) {
+      this.unknownAnswers.push(clusterCode);
+    }
+  }
+
+  /**
+   * Record an explicit "No" for a list cluster (CMB, PTH, AIC), so it is not read as unanswered
+   */
+  setNoneReported(clusterCode) {
+    this.responses[clusterCode] = [];
+  }
+
+  addComorbidCondition(conditionType, pattern, severity, timeframe, location, dates) {
     if (!this.responses.CMB) this.responses.CMB = [];
     
     this.responses.CMB.push({
@@ -85,22 +138,33 @@ class SlotFilledResponseBuilder {
       CONDITION_PATTERN: pattern,
       SEVERITY: severity || "none_specified",
       TIMEFRAME: timeframe || null,
-      ANATOMICAL_LOCATION: location || []
+      ANATOMICAL_LOCATION: location || [],
+      START_DATE: dates?.start || null,
+      STOP_DATE: dates?.stop || null
     });
   }
 
-  addTreatmentHistory(treatmentType, pattern, timeframe, drugClassification) {
+  addTreatmentHistory(treatmentType, pattern, timeframe, drugClassification, stableDuration, dates, outcome, dosing) {
     if (!this.responses.PTH) this.responses.PTH = [];
     
     this.responses.PTH.push({
       TREATMENT_TYPE: treatmentType,
       TREATMENT_PATTERN: pattern,
       TIMEFRAME: timeframe || null,
-      DRUG_CLASSIFICATION: drugClassification || null
+      DRUG_CLASSIFICATION: drugClassification || null,
+      STABLE_DURATION: stableDuration || null,
+      START_DATE: dates?.start || null,
+      STOP_DATE: dates?.stop || null,
+      ONGOING: Boolean(pattern?.includes('ongoing')) && !dates?.stop,
+      TREATMENT_RESPONSE: outcome?.response || null,
+      STOP_REASON: outcome?.stopReason || null,
+      ROUTE: dosing?.route || null,
+      DOSE: dosing?.dose || null,
+      FREQUENCY: dosing?.frequency || null
     });
   }
 
-  addInfectionHistory(infectionType, pattern, severity, timeframe, treatment) {
+  addInfectionHistory(infectionType, pattern, severity, timeframe, treatment, dates) {
     if (!this.responses.AIC) this.responses.AIC = [];
     
     this.responses.AIC.push({
@@ -108,16 +172,38 @@ class SlotFilledResponseBuilder {
       INFECTION_PATTERN: pattern,
       SEVERITY: severity || "none_specified",
       TIMEFRAME: timeframe || null,
-      TREATMENT_REQUIREMENT: treatment || []
+      TREATMENT_REQUIREMENT: treatment || [],
+      START_DATE: dates?.start || null,
+      STOP_DATE: dates?.stop || null
     });
   }
 
-  addAffectedArea(measurementType, value, threshold) {
+  addAffectedArea(measurementType, value, threshold, calculated = false) {
     if (!this.responses.AAO) this.responses.AAO = {};
     
     this.responses.AAO[measurementType] = {
       value: value,
-      threshold: threshold
+      threshold: threshold,
+      ...(calculated && { calculated: true })
+    };
+  }
+
+  setAffectedRegions(regions) {
+    if (!this.responses.AAO) {
+      this.responses.AAO = {};
+    }
+    this.responses.AAO.ANATOMICAL_LOCATION = regions;
+  }
+
+  setPsoriaticArthritis(psa) {
+    const caspar = scoreCaspar(psa.casparItems);
+    this.responses.PSA = {
+      TJC: psa.tjc === null ? null : { value: psa.tjc, joints: 68 },
+      SJC: psa.sjc === null ? null : { value: psa.sjc, joints: 66 },
+      CASPAR: caspar && { value: caspar.score, met: caspar.met, items: psa.casparItems },
+      DACTYLITIS: psa.dactylitis === null ? null : { present: psa.dactylitis, value: psa.dactylitis ? psa.dactylitisCount : 0 },
+      ENTHESITIS: psa.enthesitis === null ? null : { present: psa.enthesitis, value: psa.enthesitis ? psa.enthesitisCount : 0 },
+      AXIAL: psa.axial === null ? null : { present: psa.axial }
     };
   }
 
@@ -129,16 +215,48 @@ class SlotFilledResponseBuilder {
     this.responses.NPV = { variant: variant };
   }
 
-  setDiseaseDuration(duration, unit) {
+  setDiseaseDuration(duration, unit, diagnosisDate) {
     this.responses.CPD = { 
       duration: duration,
-      unit: unit
+      unit: unit,
+      DIAGNOSIS_DATE: diagnosisDate || null
+    };
+  }
+
+  setReproductiveStatus(sex, pregnant, breastfeeding, planningPregnancy, childbearingPotential, contraception) {
+    this.responses.REP = {
+      sex: sex,
+      pregnant: pregnant ?? null,
+      breastfeeding: breastfeeding ?? null,
+      planningPregnancy: planningPregnancy ?? null,
+      childbearingPotential: childbearingPotential ?? null,
+      contraception: contraception ?? null
+    };
+  }
+
+  addLabResult(analyte, value, unit, upperLimit) {
+    if (!this.responses.LAB) {
+      this.responses.LAB = {};
+    }
+    
+    this.responses.LAB[analyte] = {
+      value: value,
+      unit: unit,
+      upperLimit: upperLimit ?? null
     };
   }
 
-  setSeverityScore(scoreType, value) {
+  setVaccinations(vaccinations) {
+    this.responses.VAC = vaccinations.map(v => ({
+      VACCINE_NAME: v.name,
+      VACCINE_DATE: v.date || null
+    }));
+  }
+
+  // Calculated scores are kept as { value, calculated: true } so they can be told apart from recorded ones
+  setSeverityScore(scoreType, value, calculated = false) {
     if (!this.responses.SEV) this.responses.SEV = {};
-    this.responses.SEV[scoreType] = value;
+    this.responses.SEV[scoreType] = calculated ? { value, calculated: true } : value;
   }
 
   setWeightBMI(weight, height, weightUnit = 'kg', heightUnit = 'cm') {
@@ -161,7 +279,9 @@ class SlotFilledResponseBuilder {
     return {
       timestamp: new Date().toISOString(),
       version: "3.0",
-      responses: this.responses
+      responses: this.responses,
+      unknownAnswers: this.unknownAnswers,
+      timeline: this.timeline
     };
   }
 }
@@ -251,10 +371,23 @@ const AutocompleteInput = ({
 // MAIN QUESTIONNAIRE COMPONENT
 // ==============================================================================
 
-const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
+const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit, initialState = null, onProgress = null, planNextQuestion = null }) => {
+  // Answers restored from a saved screening session (empty for a new questionnaire)
+  const saved = initialState?.answers || {};
+
   // State for navigation
-  const [currentCluster, setCurrentCluster] = useState(0);
-  const [completedClusters, setCompletedClusters] = useState(new Set());
+  const [currentCluster, setCurrentCluster] = useState(initialState?.currentCluster ?? 0);
+  const [completedClusters, setCompletedClusters] = useState(new Set(initialState?.completedClusters || []));
+  
+  // Adaptive mode: the matcher picks the next cluster and screening stops once every trial is decided
+  const [adaptiveMode, setAdaptiveMode] = useState(Boolean(planNextQuestion && saved.adaptiveMode));
+  const [adaptivePlan, setAdaptivePlan] = useState(null);
+  const [adaptivePlanning, setAdaptivePlanning] = useState(false);
+  const [visitedClusters, setVisitedClusters] = useState([]);
+  
+  // Planned visits: dated answers are measured against these, not against the day the form is filled in
+  const [visit_screeningDate, setVisit_screeningDate] = useState(saved.visit_screeningDate ?? '');
+  const [visit_baselineDate, setVisit_baselineDate] = useState(saved.visit_baselineDate ?? '');
   
   // Response builder
   const [responseBuilder] = useState(new SlotFilledResponseBuilder());
@@ -262,11 +395,11 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
   // ===========================================================================
   // CLUSTER 1: COMORBID CONDITIONS (CMB)
   // ===========================================================================
-  const [cmb_hasConditions, setCmb_hasConditions] = useState('');
-  const [cmb_selectedConditions, setCmb_selectedConditions] = useState([]);
+  const [cmb_hasConditions, setCmb_hasConditions] = useState(saved.cmb_hasConditions ?? '');
+  const [cmb_selectedConditions, setCmb_selectedConditions] = useState(saved.cmb_selectedConditions ?? []);
   const [cmb_conditionInput, setCmb_conditionInput] = useState('');
-  const [cmb_conditionDetails, setCmb_conditionDetails] = useState({});
-  const [cmb_dynamicQuestions, setCmb_dynamicQuestions] = useState({});  // Dynamic questions from backend
+  const [cmb_conditionDetails, setCmb_conditionDetails] = useState(saved.cmb_conditionDetails ?? {});
+  const [cmb_dynamicQuestions, setCmb_dynamicQuestions] = useState(saved.cmb_dynamicQuestions ?? {});  // Dynamic questions from backend
   const [cmb_questionsLoading, setCmb_questionsLoading] = useState({});   // Loading state per condition
   
   // Additional common conditions that should always be in suggestions
@@ -288,11 +421,11 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
   // ===========================================================================
   // CLUSTER 2: PSORIASIS TREATMENT HISTORY (PTH)
   // ===========================================================================
-  const [pth_hasTreatment, setPth_hasTreatment] = useState('');
-  const [pth_selectedTreatments, setPth_selectedTreatments] = useState([]);
+  const [pth_hasTreatment, setPth_hasTreatment] = useState(saved.pth_hasTreatment ?? '');
+  const [pth_selectedTreatments, setPth_selectedTreatments] = useState(saved.pth_selectedTreatments ?? []);
   const [pth_treatmentInput, setPth_treatmentInput] = useState('');
-  const [pth_treatmentDetails, setPth_treatmentDetails] = useState({});
-  const [pth_dynamicQuestions, setPth_dynamicQuestions] = useState({});  // Dynamic questions from backend
+  const [pth_treatmentDetails, setPth_treatmentDetails] = useState(saved.pth_treatmentDetails ?? {});
+  const [pth_dynamicQuestions, setPth_dynamicQuestions] = useState(saved.pth_dynamicQuestions ?? {});  // Dynamic questions from backend
   const [pth_questionsLoading, setPth_questionsLoading] = useState({});   // Loading state per treatment
   
   // Backend URL for API calls
@@ -421,54 +554,104 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
   // ===========================================================================
   // CLUSTER 3: ACTIVE INFECTION HISTORY (AIC)
   // ===========================================================================
-  const [aic_hasInfection, setAic_hasInfection] = useState('');
-  const [aic_selectedInfections, setAic_selectedInfections] = useState([]);
-  const [aic_infectionDetails, setAic_infectionDetails] = useState({});
+  const [aic_hasInfection, setAic_hasInfection] = useState(saved.aic_hasInfection ?? '');
+  const [aic_selectedInfections, setAic_selectedInfections] = useState(saved.aic_selectedInfections ?? []);
+  const [aic_infectionDetails, setAic_infectionDetails] = useState(saved.aic_infectionDetails ?? {});
   
   // ===========================================================================
   // CLUSTER 4: AFFECTED AREA AND ORGANS (AAO)
   // ===========================================================================
-  const [aao_bsa, setAao_bsa] = useState('');
-  const [aao_pasi, setAao_pasi] = useState('');
-  const [aao_pga, setAao_pga] = useState('');
-  const [aao_tjc68, setAao_tjc68] = useState('');
-  const [aao_sjc66, setAao_sjc66] = useState('');
+  const [aao_bsa, setAao_bsa] = useState(saved.aao_bsa ?? '');
+  const [aao_pasi, setAao_pasi] = useState(saved.aao_pasi ?? '');
+  const [aao_pga, setAao_pga] = useState(saved.aao_pga ?? '');
+  const [aao_tjc68, setAao_tjc68] = useState(saved.aao_tjc68 ?? '');
+  const [aao_sjc66, setAao_sjc66] = useState(saved.aao_sjc66 ?? '');
+  const [aao_regions, setAao_regions] = useState(saved.aao_regions ?? []);
+  const [aao_bsaPalms, setAao_bsaPalms] = useState(saved.aao_bsaPalms ?? '');
+  const [aao_showBsaCalculator, setAao_showBsaCalculator] = useState(Boolean(saved.aao_bsaPalms));
+  const [psa_diagnosed, setPsa_diagnosed] = useState(saved.psa_diagnosed ?? '');
+  const [psa_caspar, setPsa_caspar] = useState(saved.psa_caspar ?? {});
+  const [psa_dactylitis, setPsa_dactylitis] = useState(saved.psa_dactylitis ?? '');
+  const [psa_dactylitisCount, setPsa_dactylitisCount] = useState(saved.psa_dactylitisCount ?? '');
+  const [psa_enthesitis, setPsa_enthesitis] = useState(saved.psa_enthesitis ?? '');
+  const [psa_enthesitisCount, setPsa_enthesitisCount] = useState(saved.psa_enthesitisCount ?? '');
+  const [psa_axial, setPsa_axial] = useState(saved.psa_axial ?? '');
   
   // ===========================================================================
   // CLUSTER 5: AGE-BASED ELIGIBILITY (AGE)
   // ===========================================================================
-  const [age_value, setAge_value] = useState('');
+  const [age_value, setAge_value] = useState(saved.age_value ?? '');
   
   // ===========================================================================
   // CLUSTER 6: NON-PLAQUE PSORIASIS VARIANTS (NPV)
   // ===========================================================================
-  const [npv_variant, setNpv_variant] = useState('');
+  const [npv_variant, setNpv_variant] = useState(saved.npv_variant ?? '');
   
   // ===========================================================================
   // CLUSTER 7: CHRONIC PLAQUE PSORIASIS DURATION (CPD)
   // ===========================================================================
-  const [cpd_duration, setCpd_duration] = useState('');
-  const [cpd_unit, setCpd_unit] = useState('months');
+  const [cpd_duration, setCpd_duration] = useState(saved.cpd_duration ?? '');
+  const [cpd_unit, setCpd_unit] = useState(saved.cpd_unit ?? 'months');
+  const [cpd_diagnosisDate, setCpd_diagnosisDate] = useState(saved.cpd_diagnosisDate ?? '');
   
   // ===========================================================================
   // CLUSTER 8: SEVERITY SCORES (SEV)
   // ===========================================================================
-  const [sev_hasPASI, setSev_hasPASI] = useState('');
-  const [sev_pasiValue, setSev_pasiValue] = useState('');
-  const [sev_hasBSA, setSev_hasBSA] = useState('');
-  const [sev_bsaValue, setSev_bsaValue] = useState('');
-  const [sev_hasPGA, setSev_hasPGA] = useState('');
-  const [sev_pgaValue, setSev_pgaValue] = useState('');
+  const [sev_hasPASI, setSev_hasPASI] = useState(saved.sev_hasPASI ?? '');
+  const [sev_pasiValue, setSev_pasiValue] = useState(saved.sev_pasiValue ?? '');
+  const [sev_hasBSA, setSev_hasBSA] = useState(saved.sev_hasBSA ?? '');
+  const [sev_bsaValue, setSev_bsaValue] = useState(saved.sev_bsaValue ?? '');
+  const [sev_hasPGA, setSev_hasPGA] = useState(saved.sev_hasPGA ?? '');
+  const [sev_pgaValue, setSev_pgaValue] = useState(saved.sev_pgaValue ?? '');
+  const [sev_hasDLQI, setSev_hasDLQI] = useState(saved.sev_hasDLQI ?? '');
+  const [sev_dlqiValue, setSev_dlqiValue] = useState(saved.sev_dlqiValue ?? '');
+  // Calculator inputs, used when the patient has no recorded score
+  const [sev_pasiScores, setSev_pasiScores] = useState(saved.sev_pasiScores ?? {});
+  const [sev_dlqiAnswers, setSev_dlqiAnswers] = useState(saved.sev_dlqiAnswers ?? {});
+  // NAPSI, PSSI, ss-IGA and ppPASI by measurement type, asked when the matching body areas are marked
+  const [sev_siteScores, setSev_siteScores] = useState(saved.sev_siteScores ?? {});
   
   // ===========================================================================
   // CLUSTER 9: WEIGHT AND BMI (BMI)
   // ===========================================================================
-  const [bmi_weight, setBmi_weight] = useState('');
-  const [bmi_weightUnit, setBmi_weightUnit] = useState('kg');
-  const [bmi_height, setBmi_height] = useState('');
-  const [bmi_heightUnit, setBmi_heightUnit] = useState('cm');
+  const [bmi_weight, setBmi_weight] = useState(saved.bmi_weight ?? '');
+  const [bmi_weightUnit, setBmi_weightUnit] = useState(saved.bmi_weightUnit ?? 'kg');
+  const [bmi_height, setBmi_height] = useState(saved.bmi_height ?? '');
+  const [bmi_heightUnit, setBmi_heightUnit] = useState(saved.bmi_heightUnit ?? 'cm');
   const [bmi_calculated, setBmi_calculated] = useState(null);
   
+  // ===========================================================================
+  // CLUSTER 10: SEX, PREGNANCY AND CONTRACEPTION (REP)
+  // ===========================================================================
+  const [rep_sex, setRep_sex] = useState(saved.rep_sex ?? '');
+  const [rep_pregnant, setRep_pregnant] = useState(saved.rep_pregnant ?? '');
+  const [rep_breastfeeding, setRep_breastfeeding] = useState(saved.rep_breastfeeding ?? '');
+  const [rep_planningPregnancy, setRep_planningPregnancy] = useState(saved.rep_planningPregnancy ?? '');
+  const [rep_childbearingPotential, setRep_childbearingPotential] = useState(saved.rep_childbearingPotential ?? '');
+  const [rep_contraception, setRep_contraception] = useState(saved.rep_contraception ?? '');
+  
+  // ===========================================================================
+  // CLUSTER 11: LABORATORY VALUES (LAB)
+  // ===========================================================================
+  const [lab_results, setLab_results] = useState(saved.lab_results ?? []);
+  const [lab_analyte, setLab_analyte] = useState('');
+  const [lab_value, setLab_value] = useState('');
+  const [lab_unit, setLab_unit] = useState('');
+  const [lab_upperLimit, setLab_upperLimit] = useState('');
+  const labAnalytes = getLabAnalytes();
+  
+  // ===========================================================================
+  // CLUSTER 12: VACCINATION HISTORY (VAC)
+  // ===========================================================================
+  const [vac_hasVaccinations, setVac_hasVaccinations] = useState(saved.vac_hasVaccinations ?? '');
+  const [vac_vaccinations, setVac_vaccinations] = useState(saved.vac_vaccinations ?? []);
+  const [vac_name, setVac_name] = useState('');
+  const [vac_date, setVac_date] = useState('');
+  
+  // Clusters answered with "I don't know" through the checkbox (yes/no questions use a radio instead)
+  const [unknownAnswers, setUnknownAnswers] = useState(saved.unknownAnswers ?? []);
+  const vaccineOptions = Object.values(getVaccines()).map((vaccine) => vaccine.name).sort();
+  
   // Calculate BMI when weight/height change
   useEffect(() => {
     if (bmi_weight && bmi_height) {
@@ -536,6 +719,24 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
       name: 'Weight and Body Mass Index Criteria',
       primary_question: 'What is your weight and height?',
       component: renderBMICluster
+    },
+    {
+      code: 'REP',
+      name: 'Sex, Pregnancy and Contraception',
+      primary_question: 'What is your sex, and are you pregnant, breastfeeding or planning a pregnancy?',
+      component: renderREPCluster
+    },
+    {
+      code: 'LAB',
+      name: 'Laboratory Values',
+      primary_question: 'Do you have recent lab results (liver, kidney, blood counts)?',
+      component: renderLABCluster
+    },
+    {
+      code: 'VAC',
+      name: 'Vaccination History',
+      primary_question: 'Have you received, or do you plan to receive, any vaccine in the last or next 12 months?',
+      component: renderVACCluster
     }
   ];
   
@@ -572,6 +773,16 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
             />
             {' '}No
           </label>
+          <br />
+          <label>
+            <input
+              type="radio"
+              value="unknown"
+              checked={cmb_hasConditions === 'unknown'}
+              onChange={(e) => setCmb_hasConditions(e.target.value)}
+            />
+            {' '}{DONT_KNOW_LABEL}
+          </label>
         </div>
         
         {/* Follow-up: Which conditions? */}
@@ -809,42 +1020,16 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
               </label>
             </div>
             
-            {/* Timeframe (if history) */}
-            {details.pattern?.includes('history') && (
-              <div style={{ marginBottom: '15px' }}>
-                <label style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
-                  When was your last episode?
-                </label>
-                <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
-                  <input
-                    type="number"
-                    placeholder="Number"
-                    value={details.timeframe_amount || ''}
-                    onChange={(e) => {
-                      const newDetails = { ...cmb_conditionDetails };
-                      if (!newDetails[idx]) newDetails[idx] = {};
-                      newDetails[idx].timeframe_amount = e.target.value;
-                      setCmb_conditionDetails(newDetails);
-                    }}
-                    style={{ width: '80px', padding: '6px' }}
-                  />
-                  <select
-                    value={details.timeframe_unit || 'weeks'}
-                    onChange={(e) => {
-                      const newDetails = { ...cmb_conditionDetails };
-                      if (!newDetails[idx]) newDetails[idx] = {};
-                      newDetails[idx].timeframe_unit = e.target.value;
-                      setCmb_conditionDetails(newDetails);
-                    }}
-                    style={{ padding: '6px' }}
-                  >
-                    <option value="days">days ago</option>
-                    <option value="weeks">weeks ago</option>
-                    <option value="months">months ago</option>
-                    <option value="years">years ago</option>
-                  </select>
-                </div>
-              </div>
+            {/* Dates - diagnosis, and end of the last episode if it is in the past */}
+            {renderDateFields(
+              details,
+              (field, value) => {
+                setCmb_conditionDetails({ ...cmb_conditionDetails, [idx]: { ...details, [field]: value } });
+              },
+              'When was it diagnosed?',
+              details.pattern?.includes('history') && !details.pattern?.includes('current')
+                ? 'When did the last episode end?'
+                : null
             )}
             
             {/* Severity */}
@@ -904,6 +1089,16 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
             />
             {' '}No
           </label>
+          <br />
+          <label>
+            <input
+              type="radio"
+              value="unknown"
+              checked={pth_hasTreatment === 'unknown'}
+              onChange={(e) => setPth_hasTreatment(e.target.value)}
+            />
+            {' '}{DONT_KNOW_LABEL}
+          </label>
         </div>
         
         {/* Follow-up: Which treatments? */}
@@ -1131,36 +1326,111 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
           </label>
         </div>
         
-        {/* Timeframe (if used previously) */}
-        {details.pattern === 'used previously' && (
+        {/* Stable dose (if currently using) - settles "unless on a stable dose" exclusions */}
+        {details.pattern === 'ongoing' && (
           <div style={{ marginBottom: '15px' }}>
             <label style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
-              When did you last use this treatment?
+              How long have you been on the same dose?
             </label>
             <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
               <input
                 type="number"
                 placeholder="Number"
-                value={details.timeframe_weeks || ''}
+                value={details.stable_weeks || ''}
                 onChange={(e) => {
                   const newDetails = { ...pth_treatmentDetails };
-                  if (!newDetails[idx]) newDetails[idx] = {};
-                  newDetails[idx].timeframe_weeks = e.target.value;
+                  if (!newDetails[idx]) {
+                    newDetails[idx] = {};
+                  }
+                  newDetails[idx].stable_weeks = e.target.value;
                   setPth_treatmentDetails(newDetails);
                 }}
                 style={{ width: '80px', padding: '6px' }}
               />
-              <span>weeks ago</span>
+              <span>weeks</span>
+            </div>
+          </div>
+        )}
+        
+        {/* Route, dose and frequency - settle "systemic (topical permitted)" and dose-limited criteria */}
+        {details.pattern && (
+          <div style={{ marginBottom: '15px' }}>
+            <label htmlFor={`route_${idx}`} style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
+              How do you take or use it?
+            </label>
+            <select
+              id={`route_${idx}`}
+              value={details.route || ''}
+              onChange={(e) => {
+                setPth_treatmentDetails({ ...pth_treatmentDetails, [idx]: { ...details, route: e.target.value } });
+              }}
+              style={{ width: '100%', padding: '6px', marginBottom: '10px' }}
+            >
+              <option value="">Not specified</option>
+              <option value="topical">On the skin (cream, ointment, lotion)</option>
+              <option value="oral">By mouth (tablet, capsule)</option>
+              <option value="subcutaneous">Injection under the skin</option>
+              <option value="intravenous">Infusion into a vein</option>
+              <option value="intramuscular">Injection into a muscle</option>
+              <option value="inhaled">Inhaled or nasal spray</option>
+              <option value="intra-articular">Injection into a joint</option>
+            </select>
+            <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+              <label htmlFor={`dose_${idx}`}>Dose</label>
+              <input
+                id={`dose_${idx}`}
+                type="number"
+                min="0"
+                step="any"
+                placeholder="Amount"
+                value={details.dose_amount || ''}
+                onChange={(e) => {
+                  setPth_treatmentDetails({ ...pth_treatmentDetails, [idx]: { ...details, dose_amount: e.target.value } });
+                }}
+                style={{ width: '80px', padding: '6px' }}
+              />
+              <span>mg</span>
+              <label htmlFor={`frequency_${idx}`}>How often</label>
+              <select
+                id={`frequency_${idx}`}
+                value={details.frequency || ''}
+                onChange={(e) => {
+                  setPth_treatmentDetails({ ...pth_treatmentDetails, [idx]: { ...details, frequency: e.target.value } });
+                }}
+                style={{ padding: '6px' }}
+              >
+                <option value="">Not specified</option>
+                <option value="daily">Once a day</option>
+                <option value="twice_daily">Twice a day</option>
+                <option value="twice_weekly">Twice a week</option>
+                <option value="weekly">Once a week</option>
+                <option value="every_2_weeks">Every 2 weeks</option>
+                <option value="every_4_weeks">Every 4 weeks</option>
+                <option value="every_8_weeks">Every 8 weeks</option>
+                <option value="every_12_weeks">Every 12 weeks</option>
+                <option value="as_needed">As needed</option>
+              </select>
             </div>
           </div>
         )}
         
+        {/* Dates - start, and last use if stopped */}
+        {details.pattern && renderDateFields(
+          details,
+          (field, value) => {
+            setPth_treatmentDetails({ ...pth_treatmentDetails, [idx]: { ...details, [field]: value } });
+          },
+          'When did you start this treatment?',
+          details.pattern === 'used previously' ? 'When did you last use it?' : null
+        )}
+        
         {/* Treatment Response */}
         <div style={{ marginBottom: '15px' }}>
-          <label style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
+          <label htmlFor={`response_${idx}`} style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
             How did you respond to this treatment?
           </label>
           <select
+            id={`response_${idx}`}
             value={details.response || 'not_specified'}
             onChange={(e) => {
               const newDetails = { ...pth_treatmentDetails };
@@ -1178,6 +1448,29 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
             <option value="intolerant">Could not tolerate (side effects)</option>
           </select>
         </div>
+        
+        {/* Stop reason (if stopped) - settles "failed or intolerant to" criteria */}
+        {details.pattern === 'used previously' && (
+          <div style={{ marginBottom: '15px' }}>
+            <label htmlFor={`stop_reason_${idx}`} style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
+              Why did you stop this treatment?
+            </label>
+            <select
+              id={`stop_reason_${idx}`}
+              value={details.stop_reason || 'not_specified'}
+              onChange={(e) => {
+                setPth_treatmentDetails({ ...pth_treatmentDetails, [idx]: { ...details, stop_reason: e.target.value } });
+              }}
+              style={{ width: '100%', padding: '6px' }}
+            >
+              <option value="not_specified">Not specified</option>
+              <option value="lack_of_efficacy">It did not work well enough</option>
+              <option value="loss_of_response">It stopped working over time</option>
+              <option value="side_effects">Side effects</option>
+              <option value="other">Other reason (cost, insurance, preference, course completed)</option>
+            </select>
+          </div>
+        )}
       </div>
     );
   }
@@ -1210,6 +1503,16 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
             />
             {' '}No
           </label>
+          <br />
+          <label>
+            <input
+              type="radio"
+              value="unknown"
+              checked={aic_hasInfection === 'unknown'}
+              onChange={(e) => setAic_hasInfection(e.target.value)}
+            />
+            {' '}{DONT_KNOW_LABEL}
+          </label>
         </div>
         
         {aic_hasInfection === 'yes' && (
@@ -1247,6 +1550,23 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
                 {' '}{infection}
               </label>
             ))}
+            
+            {aic_selectedInfections.map((infection) => {
+              const details = aic_infectionDetails[infection] || {};
+              return (
+                <div key={infection} style={{ marginTop: '15px' }}>
+                  <strong>{infection}</strong>
+                  {renderDateFields(
+                    details,
+                    (field, value) => {
+                      setAic_infectionDetails({ ...aic_infectionDetails, [infection]: { ...details, [field]: value } });
+                    },
+                    'When did it start?',
+                    'When did it clear up? (leave empty if ongoing)'
+                  )}
+                </div>
+              );
+            })}
           </div>
         )}
       </div>
@@ -1261,87 +1581,182 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
           {clusters[3].primary_question}
         </p>
         
-        <div style={{ marginBottom: '20px' }}>
-          <label style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
-            Body Surface Area (BSA) - Percentage of body affected:
-          </label>
-          <input
-            type="number"
-            min="0"
-            max="100"
-            step="0.1"
-            value={aao_bsa}
-            onChange={(e) => setAao_bsa(e.target.value)}
-            placeholder="Enter BSA percentage"
-            style={{ width: '200px', padding: '6px' }}
-          />
-          <span style={{ marginLeft: '8px' }}>%</span>
-        </div>
+        {renderDontKnow('AAO', () => {
+          setAao_bsa(''); setAao_pasi(''); setAao_pga(''); setAao_tjc68(''); setAao_sjc66(''); setAao_regions([]); setAao_bsaPalms('');
+          setPsa_diagnosed(''); setPsa_caspar({}); setPsa_dactylitis(''); setPsa_dactylitisCount('');
+          setPsa_enthesitis(''); setPsa_enthesitisCount(''); setPsa_axial('');
+        })}
         
-        <div style={{ marginBottom: '20px' }}>
-          <label style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
-            PASI Score (Psoriasis Area and Severity Index):
-          </label>
-          <input
-            type="number"
-            min="0"
-            max="72"
-            step="0.1"
-            value={aao_pasi}
-            onChange={(e) => setAao_pasi(e.target.value)}
-            placeholder="Enter PASI score"
-            style={{ width: '200px', padding: '6px' }}
-          />
-        </div>
+        <fieldset disabled={unknownAnswers.includes('AAO')} style={{ border: 'none', padding: 0, margin: 0 }}>
+          <div style={{ marginBottom: '20px' }}>
+            <p style={{ fontWeight: '500', marginBottom: '8px' }}>
+              Where is your psoriasis? Select every area affected:
+            </p>
+            <BodyRegionPicker
+              value={aao_regions}
+              onChange={setAao_regions}
+              disabled={unknownAnswers.includes('AAO')}
+            />
+          </div>
         
-        <div style={{ marginBottom: '20px' }}>
-          <label style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
-            PGA Score (Physician Global Assessment):
-          </label>
-          <select
-            value={aao_pga}
-            onChange={(e) => setAao_pga(e.target.value)}
-            style={{ width: '200px', padding: '6px' }}
-          >
-            <option value="">Select PGA</option>
-            <option value="0">0 - Clear</option>
-            <option value="1">1 - Almost Clear</option>
-            <option value="2">2 - Mild</option>
-            <option value="3">3 - Moderate</option>
-            <option value="4">4 - Severe</option>
-            <option value="5">5 - Very Severe</option>
-          </select>
-        </div>
+          <div style={{ marginBottom: '20px' }}>
+            <label style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
+              Body Surface Area (BSA) - Percentage of body affected:
+            </label>
+            <input
+              type="number"
+              min="0"
+              max="100"
+              step="0.1"
+              value={aao_bsa}
+              onChange={(e) => setAao_bsa(e.target.value)}
+              placeholder="Enter BSA percentage"
+              style={{ width: '200px', padding: '6px' }}
+            />
+            <span style={{ marginLeft: '8px' }}>%</span>
+            {!aao_bsa && (
+              <div style={{ marginTop: '10px' }}>
+                <button
+                  type="button"
+                  onClick={() => setAao_showBsaCalculator(!aao_showBsaCalculator)}
+                  style={{ padding: '4px 10px', marginBottom: '8px' }}
+                >
+                  {aao_showBsaCalculator ? 'Hide BSA estimate' : 'Not sure? Estimate BSA with your palm'}
+                </button>
+                {aao_showBsaCalculator && (
+                  <BsaCalculator value={aao_bsaPalms} onChange={setAao_bsaPalms} />
+                )}
+              </div>
+            )}
+          </div>
         
-        <div style={{ marginBottom: '20px' }}>
-          <label style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
-            TJC68 (Tender Joint Count - 68 joints):
-          </label>
-          <input
-            type="number"
-            min="0"
-            max="68"
-            value={aao_tjc68}
-            onChange={(e) => setAao_tjc68(e.target.value)}
-            placeholder="Enter tender joint count"
-            style={{ width: '200px', padding: '6px' }}
-          />
-        </div>
+          <div style={{ marginBottom: '20px' }}>
+            <label style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
+              PASI Score (Psoriasis Area and Severity Index):
+            </label>
+            <input
+              type="number"
+              min="0"
+              max="72"
+              step="0.1"
+              value={aao_pasi}
+              onChange={(e) => setAao_pasi(e.target.value)}
+              placeholder="Enter PASI score"
+              style={{ width: '200px', padding: '6px' }}
+            />
+          </div>
         
-        <div style={{ marginBottom: '20px' }}>
-          <label style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
-            SJC66 (Swollen Joint Count - 66 joints):
-          </label>
-          <input
-            type="number"
-            min="0"
-            max="66"
-            value={aao_sjc66}
-            onChange={(e) => setAao_sjc66(e.target.value)}
-            placeholder="Enter swollen joint count"
-            style={{ width: '200px', padding: '6px' }}
-          />
-        </div>
+          <div style={{ marginBottom: '20px' }}>
+            <label style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
+              PGA Score (Physician Global Assessment):
+            </label>
+            <select
+              value={aao_pga}
+              onChange={(e) => setAao_pga(e.target.value)}
+              style={{ width: '200px', padding: '6px' }}
+            >
+              <option value="">Select PGA</option>
+              <option value="0">0 - Clear</option>
+              <option value="1">1 - Almost Clear</option>
+              <option value="2">2 - Mild</option>
+              <option value="3">3 - Moderate</option>
+              <option value="4">4 - Severe</option>
+              <option value="5">5 - Very Severe</option>
+            </select>
+          </div>
+        
+          <div style={{ marginBottom: '20px' }}>
+            <label style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
+              TJC68 (Tender Joint Count - 68 joints):
+            </label>
+            <input
+              type="number"
+              min="0"
+              max="68"
+              value={aao_tjc68}
+              onChange={(e) => setAao_tjc68(e.target.value)}
+              placeholder="Enter tender joint count"
+              style={{ width: '200px', padding: '6px' }}
+            />
+          </div>
+        
+          <div style={{ marginBottom: '20px' }}>
+            <label style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
+              SJC66 (Swollen Joint Count - 66 joints):
+            </label>
+            <input
+              type="number"
+              min="0"
+              max="66"
+              value={aao_sjc66}
+              onChange={(e) => setAao_sjc66(e.target.value)}
+              placeholder="Enter swollen joint count"
+              style={{ width: '200px', padding: '6px' }}
+            />
+          </div>
+
+          <h3>Psoriatic Arthritis</h3>
+          {renderYesNoQuestion(
+            'psa_diagnosed',
+            'Do you have psoriatic arthritis, or inflammation of your joints, spine or tendon attachments?',
+            psa_diagnosed,
+            setPsa_diagnosed
+          )}
+
+          {psa_diagnosed === 'yes' && (
+            <>
+              {renderYesNoQuestion('psa_dactylitis', 'Do you have a whole swollen finger or toe (dactylitis)?', psa_dactylitis, setPsa_dactylitis)}
+              {psa_dactylitis === 'yes' && (
+                <div style={{ marginBottom: '20px' }}>
+                  <label htmlFor="psa_dactylitisCount" style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
+                    Number of swollen fingers and toes:
+                  </label>
+                  <input
+                    id="psa_dactylitisCount"
+                    type="number"
+                    min="1"
+                    max="20"
+                    value={psa_dactylitisCount}
+                    onChange={(e) => setPsa_dactylitisCount(e.target.value)}
+                    style={{ width: '200px', padding: '6px' }}
+                  />
+                </div>
+              )}
+
+              {renderYesNoQuestion('psa_enthesitis', 'Do you have pain where tendons attach to bone (enthesitis), e.g. heel or elbow?', psa_enthesitis, setPsa_enthesitis)}
+              {psa_enthesitis === 'yes' && (
+                <div style={{ marginBottom: '20px' }}>
+                  <label htmlFor="psa_enthesitisCount" style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
+                    Leeds Enthesitis Index (LEI) - tender sites out of 6:
+                  </label>
+                  <input
+                    id="psa_enthesitisCount"
+                    type="number"
+                    min="1"
+                    max="6"
+                    value={psa_enthesitisCount}
+                    onChange={(e) => setPsa_enthesitisCount(e.target.value)}
+                    style={{ width: '200px', padding: '6px' }}
+                  />
+                </div>
+              )}
+
+              {renderYesNoQuestion('psa_axial', 'Does it affect your spine or sacroiliac joints (axial involvement)?', psa_axial, setPsa_axial)}
+
+              <h4>CASPAR classification</h4>
+              {Object.entries(CASPAR_ITEMS).map(([key, item]) => (
+                <React.Fragment key={key}>
+                  {renderYesNoQuestion(
+                    `psa_caspar_${key}`,
+                    item.label,
+                    psa_caspar[key] || '',
+                    (value) => setPsa_caspar({ ...psa_caspar, [key]: value })
+                  )}
+                </React.Fragment>
+              ))}
+            </>
+          )}
+        </fieldset>
       </div>
     );
   }
@@ -1354,21 +1769,25 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
           {clusters[4].primary_question}
         </p>
         
-        <div style={{ marginBottom: '20px' }}>
-          <label style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
-            Your age in years:
-          </label>
-          <input
-            type="number"
-            min="0"
-            max="120"
-            value={age_value}
-            onChange={(e) => setAge_value(e.target.value)}
-            placeholder="Enter your age"
-            style={{ width: '200px', padding: '8px', fontSize: '16px' }}
-          />
-          <span style={{ marginLeft: '8px' }}>years</span>
-        </div>
+        {renderDontKnow('AGE', () => { setAge_value(''); })}
+        
+        <fieldset disabled={unknownAnswers.includes('AGE')} style={{ border: 'none', padding: 0, margin: 0 }}>
+          <div style={{ marginBottom: '20px' }}>
+            <label style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
+              Your age in years:
+            </label>
+            <input
+              type="number"
+              min="0"
+              max="120"
+              value={age_value}
+              onChange={(e) => setAge_value(e.target.value)}
+              placeholder="Enter your age"
+              style={{ width: '200px', padding: '8px', fontSize: '16px' }}
+            />
+            <span style={{ marginLeft: '8px' }}>years</span>
+          </div>
+        </fieldset>
       </div>
     );
   }
@@ -1381,89 +1800,93 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
           {clusters[5].primary_question}
         </p>
         
-        <div style={{ marginBottom: '15px' }}>
-          <label>
-            <input
-              type="radio"
-              value="chronic_plaque"
-              checked={npv_variant === 'chronic_plaque'}
-              onChange={(e) => setNpv_variant(e.target.value)}
-            />
-            {' '}Chronic Plaque Psoriasis
-          </label>
-        </div>
-        
-        <div style={{ marginBottom: '15px' }}>
-          <label>
-            <input
-              type="radio"
-              value="guttate"
-              checked={npv_variant === 'guttate'}
-              onChange={(e) => setNpv_variant(e.target.value)}
-            />
-            {' '}Guttate Psoriasis
-          </label>
-        </div>
+        {renderDontKnow('NPV', () => { setNpv_variant(''); })}
         
-        <div style={{ marginBottom: '15px' }}>
-          <label>
-            <input
-              type="radio"
-              value="pustular"
-              checked={npv_variant === 'pustular'}
-              onChange={(e) => setNpv_variant(e.target.value)}
-            />
-            {' '}Pustular Psoriasis
-          </label>
-        </div>
+        <fieldset disabled={unknownAnswers.includes('NPV')} style={{ border: 'none', padding: 0, margin: 0 }}>
+          <div style={{ marginBottom: '15px' }}>
+            <label>
+              <input
+                type="radio"
+                value="chronic_plaque"
+                checked={npv_variant === 'chronic_plaque'}
+                onChange={(e) => setNpv_variant(e.target.value)}
+              />
+              {' '}Chronic Plaque Psoriasis
+            </label>
+          </div>
         
-        <div style={{ marginBottom: '15px' }}>
-          <label>
-            <input
-              type="radio"
-              value="erythrodermic"
-              checked={npv_variant === 'erythrodermic'}
-              onChange={(e) => setNpv_variant(e.target.value)}
-            />
-            {' '}Erythrodermic Psoriasis
-          </label>
-        </div>
+          <div style={{ marginBottom: '15px' }}>
+            <label>
+              <input
+                type="radio"
+                value="guttate"
+                checked={npv_variant === 'guttate'}
+                onChange={(e) => setNpv_variant(e.target.value)}
+              />
+              {' '}Guttate Psoriasis
+            </label>
+          </div>
         
-        <div style={{ marginBottom: '15px' }}>
-          <label>
-            <input
-              type="radio"
-              value="inverse"
-              checked={npv_variant === 'inverse'}
-              onChange={(e) => setNpv_variant(e.target.value)}
-            />
-            {' '}Inverse Psoriasis
-          </label>
-        </div>
+          <div style={{ marginBottom: '15px' }}>
+            <label>
+              <input
+                type="radio"
+                value="pustular"
+                checked={npv_variant === 'pustular'}
+                onChange={(e) => setNpv_variant(e.target.value)}
+              />
+              {' '}Pustular Psoriasis
+            </label>
+          </div>
         
-        <div style={{ marginBottom: '15px' }}>
-          <label>
-            <input
-              type="radio"
-              value="nail"
-              checked={npv_variant === 'nail'}
-              onChange={(e) => setNpv_variant(e.target.value)}
-            />
-            {' '}Nail Psoriasis
-          </label>
-        </div>
+          <div style={{ marginBottom: '15px' }}>
+            <label>
+              <input
+                type="radio"
+                value="erythrodermic"
+                checked={npv_variant === 'erythrodermic'}
+                onChange={(e) => setNpv_variant(e.target.value)}
+              />
+              {' '}Erythrodermic Psoriasis
+            </label>
+          </div>
         
-        <div style={{ marginBottom: '15px' }}>
-          <label>
-            <input
-              type="radio"
-              value="scalp"
-              checked={npv_variant === 'scalp'}
-              onChange={(e) => setNpv_variant(e.target.value)}
-            />
-            {' '}Scalp Psoriasis
-          </label>
-        </div>
+          <div style={{ marginBottom: '15px' }}>
+            <label>
+              <input
+                type="radio"
+                value="inverse"
+                checked={npv_variant === 'inverse'}
+                onChange={(e) => setNpv_variant(e.target.value)}
+              />
+              {' '}Inverse Psoriasis
+            </label>
+          </div>
+        
+          <div style={{ marginBottom: '15px' }}>
+            <label>
+              <input
+                type="radio"
+                value="nail"
+                checked={npv_variant === 'nail'}
+                onChange={(e) => setNpv_variant(e.target.value)}
+              />
+              {' '}Nail Psoriasis
+            </label>
+          </div>
+        
+          <div style={{ marginBottom: '15px' }}>
+            <label>
+              <input
+                type="radio"
+                value="scalp"
+                checked={npv_variant === 'scalp'}
+                onChange={(e) => setNpv_variant(e.target.value)}
+              />
+              {' '}Scalp Psoriasis
+            </label>
+          </div>
+        </fieldset>
       </div>
     );
   }
@@ -1476,29 +1899,44 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
           {clusters[6].primary_question}
         </p>
         
-        <div style={{ marginBottom: '20px' }}>
-          <label style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
-            Duration:
-          </label>
-          <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
-            <input
-              type="number"
-              min="0"
-              value={cpd_duration}
-              onChange={(e) => setCpd_duration(e.target.value)}
-              placeholder="Enter duration"
-              style={{ width: '120px', padding: '6px' }}
-            />
-            <select
-              value={cpd_unit}
-              onChange={(e) => setCpd_unit(e.target.value)}
-              style={{ padding: '6px' }}
-            >
-              <option value="months">months</option>
-              <option value="years">years</option>
-            </select>
+        {renderDontKnow('CPD', () => { setCpd_duration(''); setCpd_diagnosisDate(''); })}
+        
+        <fieldset disabled={unknownAnswers.includes('CPD')} style={{ border: 'none', padding: 0, margin: 0 }}>
+          <div style={{ marginBottom: '20px' }}>
+            <label style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
+              Duration:
+            </label>
+            <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+              <input
+                type="number"
+                min="0"
+                value={cpd_duration}
+                onChange={(e) => setCpd_duration(e.target.value)}
+                placeholder="Enter duration"
+                style={{ width: '120px', padding: '6px' }}
+              />
+              <select
+                value={cpd_unit}
+                onChange={(e) => setCpd_unit(e.target.value)}
+                style={{ padding: '6px' }}
+              >
+                <option value="months">months</option>
+                <option value="years">years</option>
+              </select>
+            </div>
           </div>
-        </div>
+          <div style={{ marginBottom: '20px' }}>
+            <label style={{ fontWeight: '500', display: 'block' }}>
+              Or the date you were diagnosed:
+              <input
+                type="date"
+                value={cpd_diagnosisDate}
+                onChange={(e) => setCpd_diagnosisDate(e.target.value)}
+                style={{ display: 'block', marginTop: '8px', padding: '6px' }}
+              />
+            </label>
+          </div>
+        </fieldset>
       </div>
     );
   }
@@ -1526,7 +1964,7 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
               />
               {' '}Yes
             </label>
-            <label>
+            <label style={{ marginRight: '20px' }}>
               <input
                 type="radio"
                 value="no"
@@ -1535,6 +1973,15 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
               />
               {' '}No
             </label>
+            <label>
+              <input
+                type="radio"
+                value="unknown"
+                checked={sev_hasPASI === 'unknown'}
+                onChange={(e) => setSev_hasPASI(e.target.value)}
+              />
+              {' '}{DONT_KNOW_LABEL}
+            </label>
           </div>
           {sev_hasPASI === 'yes' && (
             <div style={{ marginLeft: '20px' }}>
@@ -1550,6 +1997,14 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
               />
             </div>
           )}
+          {(sev_hasPASI === 'no' || sev_hasPASI === 'unknown') && (
+            <div style={{ marginLeft: '20px' }}>
+              <p style={{ marginTop: 0 }}>
+                Score your psoriasis in each area now to calculate a PASI:
+              </p>
+              <PasiCalculator value={sev_pasiScores} onChange={setSev_pasiScores} />
+            </div>
+          )}
         </div>
         
         {/* BSA */}
@@ -1567,7 +2022,7 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
               />
               {' '}Yes
             </label>
-            <label>
+            <label style={{ marginRight: '20px' }}>
               <input
                 type="radio"
                 value="no"
@@ -1576,6 +2031,15 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
               />
               {' '}No
             </label>
+            <label>
+              <input
+                type="radio"
+                value="unknown"
+                checked={sev_hasBSA === 'unknown'}
+                onChange={(e) => setSev_hasBSA(e.target.value)}
+              />
+              {' '}{DONT_KNOW_LABEL}
+            </label>
           </div>
           {sev_hasBSA === 'yes' && (
             <div style={{ marginLeft: '20px' }}>
@@ -1609,7 +2073,7 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
               />
               {' '}Yes
             </label>
-            <label>
+            <label style={{ marginRight: '20px' }}>
               <input
                 type="radio"
                 value="no"
@@ -1618,6 +2082,15 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
               />
               {' '}No
             </label>
+            <label>
+              <input
+                type="radio"
+                value="unknown"
+                checked={sev_hasPGA === 'unknown'}
+                onChange={(e) => setSev_hasPGA(e.target.value)}
+              />
+              {' '}{DONT_KNOW_LABEL}
+            </label>
           </div>
           {sev_hasPGA === 'yes' && (
             <div style={{ marginLeft: '20px' }}>
@@ -1638,6 +2111,66 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
             </div>
           )}
         </div>
+        
+        {/* DLQI */}
+        <div style={{ marginBottom: '20px', padding: '15px', border: '1px solid #ddd', borderRadius: '4px' }}>
+          <label style={{ fontWeight: '500', display: 'block', marginBottom: '10px' }}>
+            Do you have a DLQI (Dermatology Life Quality Index) score?
+          </label>
+          <div style={{ marginBottom: '10px' }}>
+            <label style={{ marginRight: '20px' }}>
+              <input
+                type="radio"
+                value="yes"
+                checked={sev_hasDLQI === 'yes'}
+                onChange={(e) => setSev_hasDLQI(e.target.value)}
+              />
+              {' '}Yes
+            </label>
+            <label style={{ marginRight: '20px' }}>
+              <input
+                type="radio"
+                value="no"
+                checked={sev_hasDLQI === 'no'}
+                onChange={(e) => setSev_hasDLQI(e.target.value)}
+              />
+              {' '}No
+            </label>
+            <label>
+              <input
+                type="radio"
+                value="unknown"
+                checked={sev_hasDLQI === 'unknown'}
+                onChange={(e) => setSev_hasDLQI(e.target.value)}
+              />
+              {' '}{DONT_KNOW_LABEL}
+            </label>
+          </div>
+          {sev_hasDLQI === 'yes' && (
+            <div style={{ marginLeft: '20px' }}>
+              <label style={{ display: 'block', marginBottom: '5px' }}>DLQI Score (0-30):</label>
+              <input
+                type="number"
+                min="0"
+                max="30"
+                step="1"
+                value={sev_dlqiValue}
+                onChange={(e) => setSev_dlqiValue(e.target.value)}
+                style={{ width: '150px', padding: '6px' }}
+              />
+            </div>
+          )}
+          {(sev_hasDLQI === 'no' || sev_hasDLQI === 'unknown') && (
+            <div style={{ marginLeft: '20px' }}>
+              <p style={{ marginTop: 0 }}>
+                Answer these questions about how your skin has affected you to calculate a DLQI:
+              </p>
+              <DlqiCalculator value={sev_dlqiAnswers} onChange={setSev_dlqiAnswers} />
+            </div>
+          )}
+        </div>
+        
+        {renderSiteSpecificScores()}
       </div>
     );
   }
@@ -1650,71 +2183,485 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
           {clusters[8].primary_question}
         </p>
         
-        <div style={{ marginBottom: '20px' }}>
-          <label style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
-            Weight:
-          </label>
-          <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+        {renderDontKnow('BMI', () => { setBmi_weight(''); setBmi_height(''); })}
+        
+        <fieldset disabled={unknownAnswers.includes('BMI')} style={{ border: 'none', padding: 0, margin: 0 }}>
+          <div style={{ marginBottom: '20px' }}>
+            <label style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
+              Weight:
+            </label>
+            <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={bmi_weight}
+                onChange={(e) => setBmi_weight(e.target.value)}
+                placeholder="Enter weight"
+                style={{ width: '120px', padding: '6px' }}
+              />
+              <select
+                value={bmi_weightUnit}
+                onChange={(e) => setBmi_weightUnit(e.target.value)}
+                style={{ padding: '6px' }}
+              >
+                <option value="kg">kg</option>
+                <option value="lb">lb</option>
+              </select>
+            </div>
+          </div>
+        
+          <div style={{ marginBottom: '20px' }}>
+            <label style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
+              Height:
+            </label>
+            <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={bmi_height}
+                onChange={(e) => setBmi_height(e.target.value)}
+                placeholder="Enter height"
+                style={{ width: '120px', padding: '6px' }}
+              />
+              <select
+                value={bmi_heightUnit}
+                onChange={(e) => setBmi_heightUnit(e.target.value)}
+                style={{ padding: '6px' }}
+              >
+                <option value="cm">cm</option>
+                <option value="in">in</option>
+              </select>
+            </div>
+          </div>
+        
+          {bmi_calculated && (
+            <div style={{ 
+              marginTop: '20px', 
+              padding: '15px', 
+              backgroundColor: '#e7f3ff',
+              border: '1px solid #0066cc',
+              borderRadius: '4px'
+            }}>
+              <strong>Calculated BMI:</strong> {bmi_calculated}
+              <div style={{ fontSize: '12px', color: '#666', marginTop: '5px' }}>
+                {parseFloat(bmi_calculated) < 18.5 && 'Underweight'}
+                {parseFloat(bmi_calculated) >= 18.5 && parseFloat(bmi_calculated) < 25 && 'Normal weight'}
+                {parseFloat(bmi_calculated) >= 25 && parseFloat(bmi_calculated) < 30 && 'Overweight'}
+                {parseFloat(bmi_calculated) >= 30 && 'Obese'}
+              </div>
+            </div>
+          )}
+        </fieldset>
+      </div>
+    );
+  }
+  
+  function renderDontKnow(clusterCode, clearAnswers) {
+    const checked = unknownAnswers.includes(clusterCode);
+    return (
+      <label style={{ display: 'block', marginBottom: '20px', color: '#555' }}>
+        <input
+          type="checkbox"
+          checked={checked}
+          onChange={() => {
+            if (!checked) {
+              clearAnswers();
+            }
+            setUnknownAnswers(checked ? unknownAnswers.filter(c => c !== clusterCode) : [...unknownAnswers, clusterCode]);
+          }}
+        />
+        {' '}{DONT_KNOW_LABEL}
+      </label>
+    );
+  }
+  
+  function renderSiteSpecificScores() {
+    const scores = getSiteSpecificScores(aao_regions);
+    if (scores.length === 0) {
+      return null;
+    }
+    return (
+      <div style={{ marginBottom: '20px', padding: '15px', border: '1px solid #ddd', borderRadius: '4px' }}>
+        <label style={{ fontWeight: '500', display: 'block', marginBottom: '10px' }}>
+          Scores for the areas you marked
+        </label>
+        <p style={{ marginTop: 0, color: '#555' }}>
+          Enter any of these scores from your records; leave the rest blank.
+        </p>
+        {scores.map(([type, range]) => (
+          <div key={type} style={{ marginBottom: '10px' }}>
+            <label htmlFor={`sev_${type}`} style={{ display: 'block', marginBottom: '5px' }}>
+              {range.label} ({range.min}-{range.max}):
+            </label>
             <input
+              id={`sev_${type}`}
               type="number"
-              min="0"
+              min={range.min}
+              max={range.max}
               step="0.1"
-              value={bmi_weight}
-              onChange={(e) => setBmi_weight(e.target.value)}
-              placeholder="Enter weight"
-              style={{ width: '120px', padding: '6px' }}
+              value={sev_siteScores[type] ?? ''}
+              onChange={(e) => setSev_siteScores({ ...sev_siteScores, [type]: e.target.value })}
+              style={{ width: '150px', padding: '6px' }}
             />
-            <select
-              value={bmi_weightUnit}
-              onChange={(e) => setBmi_weightUnit(e.target.value)}
-              style={{ padding: '6px' }}
-            >
-              <option value="kg">kg</option>
-              <option value="lb">lb</option>
-            </select>
           </div>
-        </div>
+        ))}
+      </div>
+    );
+  }
+  
+  function renderYesNoQuestion(name, label, value, setValue) {
+    return (
+      <div style={{ marginBottom: '20px', padding: '15px', border: '1px solid #ddd', borderRadius: '4px' }}>
+        <label style={{ fontWeight: '500', display: 'block', marginBottom: '10px' }}>
+          {label}
+        </label>
+        <label style={{ marginRight: '20px' }}>
+          <input
+            type="radio"
+            name={name}
+            value="yes"
+            checked={value === 'yes'}
+            onChange={(e) => setValue(e.target.value)}
+          />
+          {' '}Yes
+        </label>
+        <label>
+          <input
+            type="radio"
+            name={name}
+            value="no"
+            checked={value === 'no'}
+            onChange={(e) => setValue(e.target.value)}
+          />
+          {' '}No
+        </label>
+        <label style={{ marginLeft: '20px' }}>
+          <input
+            type="radio"
+            name={name}
+            value="unknown"
+            checked={value === 'unknown'}
+            onChange={(e) => setValue(e.target.value)}
+          />
+          {' '}{DONT_KNOW_LABEL}
+        </label>
+      </div>
+    );
+  }
+  
+  // Start/stop dates of a condition, treatment or infection; the matcher measures them from the planned visits
+  function renderDateFields(details, setDetail, startLabel, stopLabel) {
+    return (
+      <div style={{ display: 'flex', gap: '20px', flexWrap: 'wrap', marginBottom: '15px' }}>
+        <label style={{ fontWeight: '500' }}>
+          {startLabel}
+          <input
+            type="date"
+            value={details.start_date || ''}
+            onChange={(e) => setDetail('start_date', e.target.value)}
+            style={{ display: 'block', marginTop: '8px', padding: '6px' }}
+          />
+        </label>
+        {stopLabel && (
+          <label style={{ fontWeight: '500' }}>
+            {stopLabel}
+            <input
+              type="date"
+              value={details.stop_date || ''}
+              onChange={(e) => setDetail('stop_date', e.target.value)}
+              style={{ display: 'block', marginTop: '8px', padding: '6px' }}
+            />
+          </label>
+        )}
+      </div>
+    );
+  }
+  
+  function renderREPCluster() {
+    const canBePregnant = rep_sex === 'female' && rep_childbearingPotential !== 'no';
+    
+    return (
+      <div style={{ padding: '20px' }}>
+        <h2>Sex, Pregnancy and Contraception</h2>
+        <p style={{ fontSize: '18px', marginBottom: '20px', fontWeight: '500' }}>
+          {clusters[9].primary_question}
+        </p>
         
         <div style={{ marginBottom: '20px' }}>
           <label style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
-            Height:
+            Sex:
           </label>
-          <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+          <label style={{ marginRight: '20px' }}>
+            <input
+              type="radio"
+              name="rep_sex"
+              value="female"
+              checked={rep_sex === 'female'}
+              onChange={(e) => setRep_sex(e.target.value)}
+            />
+            {' '}Female
+          </label>
+          <label>
+            <input
+              type="radio"
+              name="rep_sex"
+              value="male"
+              checked={rep_sex === 'male'}
+              onChange={(e) => setRep_sex(e.target.value)}
+            />
+            {' '}Male
+          </label>
+        </div>
+        
+        {rep_sex === 'female' && renderYesNoQuestion(
+          'rep_childbearingPotential',
+          'Could you become pregnant (not post-menopausal or surgically sterile)?',
+          rep_childbearingPotential,
+          setRep_childbearingPotential
+        )}
+        
+        {canBePregnant && renderYesNoQuestion('rep_pregnant', 'Are you currently pregnant?', rep_pregnant, setRep_pregnant)}
+        
+        {rep_sex === 'female' && renderYesNoQuestion('rep_breastfeeding', 'Are you currently breastfeeding?', rep_breastfeeding, setRep_breastfeeding)}
+        
+        {rep_sex && renderYesNoQuestion(
+          'rep_planningPregnancy',
+          rep_sex === 'female'
+            ? 'Are you planning a pregnancy in the next 12 months?'
+            : 'Are you planning to father a child in the next 12 months?',
+          rep_planningPregnancy,
+          setRep_planningPregnancy
+        )}
+        
+        {(canBePregnant || rep_sex === 'male') && renderYesNoQuestion(
+          'rep_contraception',
+          'Are you willing to use effective contraception during the study?',
+          rep_contraception,
+          setRep_contraception
+        )}
+      </div>
+    );
+  }
+  
+  function renderLABCluster() {
+    const selected = labAnalytes[lab_analyte];
+    const units = selected ? [selected.unit, ...Object.keys(selected.conversions || {})] : [];
+    
+    return (
+      <div style={{ padding: '20px' }}>
+        <h2>Laboratory Values</h2>
+        <p style={{ fontSize: '18px', marginBottom: '20px', fontWeight: '500' }}>
+          {clusters[10].primary_question}
+        </p>
+        <p style={{ fontSize: '12px', color: '#666', marginBottom: '10px' }}>
+          Enter values as printed on your lab report. If the report lists an upper limit of normal (ULN), add it too.
+        </p>
+        
+        {renderDontKnow('LAB', () => { setLab_results([]); })}
+        
+        <fieldset disabled={unknownAnswers.includes('LAB')} style={{ border: 'none', padding: 0, margin: 0 }}>
+          <div style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '20px' }}>
+            <select
+              value={lab_analyte}
+              onChange={(e) => {
+                setLab_analyte(e.target.value);
+                setLab_unit(labAnalytes[e.target.value]?.unit || '');
+              }}
+              style={{ padding: '6px' }}
+            >
+              <option value="">-- Select test --</option>
+              {Object.entries(labAnalytes).map(([code, analyte]) => (
+                <option key={code} value={code}>{analyte.name}</option>
+              ))}
+            </select>
             <input
               type="number"
               min="0"
-              step="0.1"
-              value={bmi_height}
-              onChange={(e) => setBmi_height(e.target.value)}
-              placeholder="Enter height"
-              style={{ width: '120px', padding: '6px' }}
+              step="0.01"
+              value={lab_value}
+              onChange={(e) => setLab_value(e.target.value)}
+              placeholder="Value"
+              style={{ width: '100px', padding: '6px' }}
             />
             <select
-              value={bmi_heightUnit}
-              onChange={(e) => setBmi_heightUnit(e.target.value)}
+              value={lab_unit}
+              onChange={(e) => setLab_unit(e.target.value)}
+              disabled={!selected}
               style={{ padding: '6px' }}
             >
-              <option value="cm">cm</option>
-              <option value="in">in</option>
+              {units.map((unit) => (
+                <option key={unit} value={unit}>{unit}</option>
+              ))}
             </select>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={lab_upperLimit}
+              onChange={(e) => setLab_upperLimit(e.target.value)}
+              placeholder="ULN (optional)"
+              style={{ width: '120px', padding: '6px' }}
+            />
+            <button
+              onClick={() => {
+                if (lab_analyte && lab_value) {
+                  setLab_results([
+                    ...lab_results.filter((result) => result.analyte !== lab_analyte),
+                    { analyte: lab_analyte, value: lab_value, unit: lab_unit, upperLimit: lab_upperLimit }
+                  ]);
+                  setLab_analyte('');
+                  setLab_value('');
+                  setLab_unit('');
+                  setLab_upperLimit('');
+                }
+              }}
+              style={{
+                padding: '8px 16px',
+                backgroundColor: '#007bff',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer'
+              }}
+            >
+              Add Result
+            </button>
           </div>
-        </div>
         
-        {bmi_calculated && (
-          <div style={{ 
-            marginTop: '20px', 
-            padding: '15px', 
-            backgroundColor: '#e7f3ff',
-            border: '1px solid #0066cc',
-            borderRadius: '4px'
-          }}>
-            <strong>Calculated BMI:</strong> {bmi_calculated}
-            <div style={{ fontSize: '12px', color: '#666', marginTop: '5px' }}>
-              {parseFloat(bmi_calculated) < 18.5 && 'Underweight'}
-              {parseFloat(bmi_calculated) >= 18.5 && parseFloat(bmi_calculated) < 25 && 'Normal weight'}
-              {parseFloat(bmi_calculated) >= 25 && parseFloat(bmi_calculated) < 30 && 'Overweight'}
-              {parseFloat(bmi_calculated) >= 30 && 'Obese'}
+          {lab_results.length > 0 && (
+            <div style={{ marginTop: '20px' }}>
+              <h4>Entered Results:</h4>
+              {lab_results.map((result, idx) => (
+                <div key={result.analyte} style={{ 
+                  padding: '10px', 
+                  border: '1px solid #ddd', 
+                  borderRadius: '4px',
+                  marginBottom: '10px',
+                  backgroundColor: '#f9f9f9'
+                }}>
+                  <strong>{labAnalytes[result.analyte]?.name || result.analyte}:</strong>
+                  {' '}{result.value} {result.unit}
+                  {result.upperLimit && ` (ULN ${result.upperLimit})`}
+                  <button
+                    onClick={() => {
+                      setLab_results(lab_results.filter((_, i) => i !== idx));
+                    }}
+                    style={{
+                      marginLeft: '10px',
+                      padding: '4px 8px',
+                      backgroundColor: '#dc3545',
+                      color: 'white',
+                      border: 'none',
+                      borderRadius: '4px',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </fieldset>
+      </div>
+    );
+  }
+  
+  function renderVACCluster() {
+    return (
+      <div style={{ padding: '20px' }}>
+        <h2>Vaccination History</h2>
+        <p style={{ fontSize: '18px', marginBottom: '20px', fontWeight: '500' }}>
+          {clusters[11].primary_question}
+        </p>
+        
+        {renderYesNoQuestion('vac_hasVaccinations', 'Any vaccines received or planned?', vac_hasVaccinations, setVac_hasVaccinations)}
+        
+        {vac_hasVaccinations === 'yes' && (
+          <div style={{ marginLeft: '20px', marginTop: '20px' }}>
+            <h3>Which vaccines, and when?</h3>
+            <p style={{ fontSize: '12px', color: '#666', marginBottom: '10px' }}>
+              Use a future date for planned vaccinations
+            </p>
+            
+            <div style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '10px' }}>
+              <AutocompleteInput
+                placeholder="Type vaccine name..."
+                hint="e.g., MMR, shingles (Shingrix), yellow fever, flu"
+                suggestions={vaccineOptions}
+                value={vac_name}
+                onChange={setVac_name}
+              />
+              <input
+                type="date"
+                value={vac_date}
+                onChange={(e) => setVac_date(e.target.value)}
+                style={{ padding: '6px' }}
+              />
+              <button
+                onClick={() => {
+                  if (vac_name) {
+                    setVac_vaccinations([...vac_vaccinations, { name: vac_name, date: vac_date }]);
+                    setVac_name('');
+                    setVac_date('');
+                  }
+                }}
+                style={{
+                  padding: '8px 16px',
+                  backgroundColor: '#007bff',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '4px',
+                  cursor: 'pointer'
+                }}
+              >
+                Add Vaccine
+              </button>
             </div>
+            
+            {vac_vaccinations.length > 0 && (
+              <div style={{ marginTop: '20px' }}>
+                <h4>Vaccinations:</h4>
+                {vac_vaccinations.map((vaccination, idx) => {
+                  const live = isLiveVaccine(vaccination.name);
+                  return (
+                    <div key={idx} style={{ 
+                      padding: '10px', 
+                      border: '1px solid #ddd', 
+                      borderRadius: '4px',
+                      marginBottom: '10px',
+                      backgroundColor: '#f9f9f9'
+                    }}>
+                      <strong>{vaccination.name}</strong>
+                      {' '}{vaccination.date || 'date unknown'}
+                      <span style={{ fontSize: '12px', color: '#666', marginLeft: '10px' }}>
+                        {live === true && 'live vaccine'}
+                        {live === false && 'non-live vaccine'}
+                        {live === null && 'not in vaccine catalog'}
+                      </span>
+                      <button
+                        onClick={() => {
+                          setVac_vaccinations(vac_vaccinations.filter((_, i) => i !== idx));
+                        }}
+                        style={{
+                          marginLeft: '10px',
+                          padding: '4px 8px',
+                          backgroundColor: '#dc3545',
+                          color: 'white',
+                          border: 'none',
+                          borderRadius: '4px',
+                          cursor: 'pointer'
+                        }}
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
           </div>
         )}
       </div>
@@ -1728,52 +2675,100 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
   function buildSlotFilledResponse() {
     const builder = new SlotFilledResponseBuilder();
     
+    builder.setTimeline(visit_screeningDate, visit_baselineDate);
+    
+    // "I don't know" answers leave their slots empty and are listed for the results
+    unknownAnswers.forEach(code => builder.markUnknown(code));
+    [
+      ['CMB', cmb_hasConditions], ['PTH', pth_hasTreatment], ['AIC', aic_hasInfection],
+      ['SEV', sev_hasPASI], ['SEV', sev_hasBSA], ['SEV', sev_hasPGA], ['VAC', vac_hasVaccinations],
+      ['REP', rep_pregnant], ['REP', rep_breastfeeding], ['REP', rep_planningPregnancy],
+      ['REP', rep_childbearingPotential], ['REP', rep_contraception]
+    ].forEach(([code, answer]) => {
+      if (answer === 'unknown') {
+        builder.markUnknown(code);
+      }
+    });
+    
     // CMB - Comorbid Conditions
-    if (cmb_hasConditions === 'yes') {
+    if (cmb_hasConditions === 'no') {
+      builder.setNoneReported('CMB');
+    } else if (cmb_hasConditions === 'yes') {
       cmb_selectedConditions.forEach((condition, idx) => {
         const details = cmb_conditionDetails[idx] || {};
         builder.addComorbidCondition(
           [condition],
           details.pattern || [],
           details.severity || 'none_specified',
+          // Relative answer kept for sessions saved before dates were asked
           details.timeframe_amount && details.timeframe_unit ? {
             relation: 'within',
             amount: parseInt(details.timeframe_amount),
             unit: details.timeframe_unit,
             reference: 'screening'
           } : null,
-          []
+          [],
+          {
+            start: details.start_date,
+            stop: details.pattern?.includes('current') ? null : details.stop_date
+          }
         );
       });
     }
     
     // PTH - Treatment History
-    if (pth_hasTreatment === 'yes') {
+    if (pth_hasTreatment === 'no') {
+      builder.setNoneReported('PTH');
+    } else if (pth_hasTreatment === 'yes') {
       pth_selectedTreatments.forEach((treatment, idx) => {
         const details = pth_treatmentDetails[idx] || {};
         builder.addTreatmentHistory(
           [treatment],
           [details.pattern || 'not_specified'],
+          // Relative answer kept for sessions saved before dates were asked
           details.timeframe_weeks ? {
             relation: 'within',
             amount: parseInt(details.timeframe_weeks),
             unit: 'weeks',
             reference: 'last use'
           } : null,
-          null // Drug classification would come from medication database lookup
+          null, // Drug classification would come from medication database lookup
+          details.pattern === 'ongoing' && details.stable_weeks ? {
+            amount: parseInt(details.stable_weeks),
+            unit: 'weeks'
+          } : null,
+          {
+            start: details.start_date,
+            stop: details.pattern === 'used previously' ? details.stop_date : null
+          },
+          {
+            response: details.response && details.response !== 'not_specified' ? details.response : null,
+            stopReason: details.pattern === 'used previously' && details.stop_reason && details.stop_reason !== 'not_specified'
+              ? details.stop_reason
+              : null
+          },
+          {
+            route: details.route || null,
+            dose: details.dose_amount ? { amount: parseFloat(details.dose_amount), unit: 'mg' } : null,
+            frequency: details.frequency || null
+          }
         );
       });
     }
     
     // AIC - Infections
-    if (aic_hasInfection === 'yes') {
+    if (aic_hasInfection === 'no') {
+      builder.setNoneReported('AIC');
+    } else if (aic_hasInfection === 'yes') {
       aic_selectedInfections.forEach(infection => {
+        const details = aic_infectionDetails[infection] || {};
         builder.addInfectionHistory(
           [infection],
           [],
           'none_specified',
           null,
-          []
+          [],
+          { start: details.start_date, stop: details.stop_date }
         );
       });
     }
@@ -1784,6 +2779,32 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
       if (aao_pasi) builder.addAffectedArea('PASI', parseFloat(aao_pasi), null);
       if (aao_pga) builder.addAffectedArea('PGA', parseFloat(aao_pga), null);
     }
+    const palmBsa = estimateBsaFromPalms(aao_bsaPalms);
+    if (!aao_bsa && palmBsa !== null) {
+      builder.addAffectedArea('BSA', palmBsa, null, true);
+    }
+    if (aao_regions.length > 0) {
+      builder.setAffectedRegions(aao_regions);
+    }
+    
+    // PSA - Joint counts (asked with the affected area) and psoriatic arthritis features
+    if (aao_tjc68 || aao_sjc66 || psa_diagnosed) {
+      const answer = (value) => (value === 'yes' ? true : value === 'no' ? false : null);
+      const hasPsA = psa_diagnosed === 'yes';
+      builder.setPsoriaticArthritis({
+        tjc: aao_tjc68 ? parseInt(aao_tjc68) : null,
+        sjc: aao_sjc66 ? parseInt(aao_sjc66) : null,
+        casparItems: psa_diagnosed ? {
+          inflammatoryArticularDisease: answer(psa_diagnosed),
+          ...Object.fromEntries(Object.keys(CASPAR_ITEMS).map(key => [key, hasPsA ? answer(psa_caspar[key]) : null]))
+        } : null,
+        dactylitis: hasPsA ? answer(psa_dactylitis) : null,
+        dactylitisCount: psa_dactylitisCount ? parseInt(psa_dactylitisCount) : null,
+        enthesitis: hasPsA ? answer(psa_enthesitis) : null,
+        enthesitisCount: psa_enthesitisCount ? parseInt(psa_enthesitisCount) : null,
+        axial: hasPsA ? answer(psa_axial) : null
+      });
+    }
     
     // AGE
     if (age_value) {
@@ -1796,14 +2817,33 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
     }
     
     // CPD
-    if (cpd_duration) {
-      builder.setDiseaseDuration(parseInt(cpd_duration), cpd_unit);
+    if (cpd_duration || cpd_diagnosisDate) {
+      builder.setDiseaseDuration(cpd_duration ? parseInt(cpd_duration) : null, cpd_unit, cpd_diagnosisDate);
     }
     
     // SEV
     if (sev_pasiValue) builder.setSeverityScore('PASI', parseFloat(sev_pasiValue));
     if (sev_bsaValue) builder.setSeverityScore('BSA', parseFloat(sev_bsaValue));
     if (sev_pgaValue) builder.setSeverityScore('PGA', parseFloat(sev_pgaValue));
+    if (sev_dlqiValue) {
+      builder.setSeverityScore('DLQI', parseFloat(sev_dlqiValue));
+    }
+    // Site-specific scores count only while their body areas are marked and the value is in range
+    getSiteSpecificScores(aao_regions).forEach(([type, range]) => {
+      const value = parseFloat(sev_siteScores[type]);
+      if (!Number.isNaN(value) && value >= range.min && value <= range.max) {
+        builder.setSeverityScore(type, value);
+      }
+    });
+    // Calculated scores stand in only where there is no recorded one
+    const calculatedPasi = calculatePasi(sev_pasiScores);
+    if (!sev_pasiValue && sev_hasPASI !== 'yes' && calculatedPasi !== null) {
+      builder.setSeverityScore('PASI', calculatedPasi, true);
+    }
+    const calculatedDlqi = calculateDlqi(sev_dlqiAnswers);
+    if (!sev_dlqiValue && sev_hasDLQI !== 'yes' && calculatedDlqi !== null) {
+      builder.setSeverityScore('DLQI', calculatedDlqi, true);
+    }
     
     // BMI
     if (bmi_weight && bmi_height) {
@@ -1815,26 +2855,145 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
       );
     }
     
+    // REP - Sex, pregnancy and contraception
+    if (rep_sex) {
+      const answer = (value) => (value === 'yes' ? true : value === 'no' ? false : null);
+      const childbearingPotential = rep_sex === 'female' ? answer(rep_childbearingPotential) : null;
+      const canBePregnant = rep_sex === 'female' && childbearingPotential !== false;
+      builder.setReproductiveStatus(
+        rep_sex,
+        canBePregnant ? answer(rep_pregnant) : false,
+        rep_sex === 'female' ? answer(rep_breastfeeding) : false,
+        answer(rep_planningPregnancy),
+        childbearingPotential,
+        answer(rep_contraception)
+      );
+    }
+    
+    // LAB - Laboratory values
+    lab_results.forEach((result) => {
+      builder.addLabResult(
+        result.analyte,
+        parseFloat(result.value),
+        result.unit,
+        result.upperLimit ? parseFloat(result.upperLimit) : null
+      );
+    });
+    
+    // VAC - Vaccination history
+    if (vac_hasVaccinations === 'no') {
+      builder.setVaccinations([]);
+    } else if (vac_hasVaccinations === 'yes') {
+      builder.setVaccinations(vac_vaccinations);
+    }
+    
     return builder.getResponse();
   }
   
+  // ===========================================================================
+  // SESSION PROGRESS
+  // ===========================================================================
+  
+  // Raw answers needed to restore the form when a session is resumed
+  // (typing buffers and loading flags are not kept)
+  const answers = {
+    cmb_hasConditions, cmb_selectedConditions, cmb_conditionDetails, cmb_dynamicQuestions,
+    pth_hasTreatment, pth_selectedTreatments, pth_treatmentDetails, pth_dynamicQuestions,
+    aic_hasInfection, aic_selectedInfections, aic_infectionDetails,
+    aao_bsa, aao_pasi, aao_pga, aao_tjc68, aao_sjc66, aao_regions, aao_bsaPalms,
+    psa_diagnosed, psa_caspar, psa_dactylitis, psa_dactylitisCount, psa_enthesitis, psa_enthesitisCount, psa_axial,
+    age_value, npv_variant, cpd_duration, cpd_unit, cpd_diagnosisDate,
+    sev_hasPASI, sev_pasiValue, sev_hasBSA, sev_bsaValue, sev_hasPGA, sev_pgaValue,
+    sev_hasDLQI, sev_dlqiValue, sev_pasiScores, sev_dlqiAnswers, sev_siteScores,
+    bmi_weight, bmi_weightUnit, bmi_height, bmi_heightUnit,
+    rep_sex, rep_pregnant, rep_breastfeeding, rep_planningPregnancy, rep_childbearingPotential, rep_contraception,
+    lab_results, vac_hasVaccinations, vac_vaccinations, unknownAnswers, adaptiveMode,
+    visit_screeningDate, visit_baselineDate
+  };
+  
+  // Serialized so the parent is only notified when something actually changed; the
+  // response timestamp is left out because it differs on every render
+  const { timestamp: _timestamp, ...progressResponse } = buildSlotFilledResponse();
+  const progressSnapshot = JSON.stringify({
+    answers,
+    response: progressResponse,
+    currentCluster,
+    completedClusters: [...completedClusters].sort((a, b) => a - b)
+  });
+  
+  useEffect(() => {
+    if (onProgress) {
+      onProgress(JSON.parse(progressSnapshot));
+    }
+  }, [progressSnapshot, onProgress]);
+  
   // ===========================================================================
   // NAVIGATION & RENDERING
   // ===========================================================================
   
+  /**
+   * Ask the matcher which cluster settles the most undecided criteria and move to it
+   * @param {Set<number>} completed - Indexes of answered clusters
+   * @param {string[]|null} candidateTrials - Trials still in play (null re-evaluates all)
+   */
+  const advanceAdaptively = async (completed, candidateTrials) => {
+    setAdaptivePlanning(true);
+    try {
+      const plan = await planNextQuestion(buildSlotFilledResponse(), {
+        askableClusters: clusters.map(c => c.code),
+        answeredClusters: [...completed].map(idx => clusters[idx].code),
+        candidateTrials
+      });
+      setAdaptivePlan(plan);
+      const next = clusters.findIndex(c => c.code === plan.nextCluster);
+      if (next !== -1 && next !== currentCluster) {
+        setVisitedClusters([...visitedClusters, currentCluster]);
+        setCurrentCluster(next);
+      }
+    } catch (err) {
+      console.error('Adaptive planning failed, continuing in fixed order:', err);
+      setAdaptiveMode(false);
+      setAdaptivePlan(null);
+    } finally {
+      setAdaptivePlanning(false);
+    }
+  };
+  
+  const handleAdaptiveToggle = (enabled) => {
+    setAdaptiveMode(enabled);
+    setAdaptivePlan(null);
+    setVisitedClusters([]);
+    if (enabled) {
+      advanceAdaptively(completedClusters, null);
+    }
+  };
+  
   const handleNext = () => {
-    setCompletedClusters(new Set([...completedClusters, currentCluster]));
-    if (currentCluster < clusters.length - 1) {
+    const completed = new Set([...completedClusters, currentCluster]);
+    setCompletedClusters(completed);
+    if (adaptiveMode) {
+      advanceAdaptively(completed, adaptivePlan?.candidateTrials || null);
+    } else if (currentCluster < clusters.length - 1) {
       setCurrentCluster(currentCluster + 1);
     }
   };
   
   const handlePrevious = () => {
-    if (currentCluster > 0) {
+    if (adaptiveMode) {
+      // Going back may change an answer, so the next plan re-evaluates every trial
+      setAdaptivePlan(null);
+      if (visitedClusters.length > 0) {
+        setCurrentCluster(visitedClusters[visitedClusters.length - 1]);
+        setVisitedClusters(visitedClusters.slice(0, -1));
+      }
+    } else if (currentCluster > 0) {
       setCurrentCluster(currentCluster - 1);
     }
   };
   
+  const canGoBack = adaptiveMode ? visitedClusters.length > 0 : currentCluster > 0;
+  const canSubmit = adaptiveMode ? Boolean(adaptivePlan?.done) : currentCluster === clusters.length - 1;
+  
   const handleSubmit = () => {
     const response = buildSlotFilledResponse();
     console.log('SLOT-FILLED PATIENT RESPONSE:', JSON.stringify(response, null, 2));
@@ -1863,6 +3022,40 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
         Clinical Trial Eligibility Questionnaire
       </h1>
       
+      {/* Planned visits - criterion windows ("within 12 weeks prior to first dose") are counted from these */}
+      <div style={{ display: 'flex', gap: '20px', flexWrap: 'wrap', marginBottom: '15px', padding: '10px 15px', border: '1px solid #ddd', borderRadius: '4px' }}>
+        <label>
+          Planned screening visit
+          <input
+            type="date"
+            value={visit_screeningDate}
+            onChange={(e) => setVisit_screeningDate(e.target.value)}
+            style={{ display: 'block', marginTop: '5px', padding: '6px' }}
+          />
+        </label>
+        <label>
+          Planned baseline / first dose (if known)
+          <input
+            type="date"
+            value={visit_baselineDate}
+            onChange={(e) => setVisit_baselineDate(e.target.value)}
+            style={{ display: 'block', marginTop: '5px', padding: '6px' }}
+          />
+        </label>
+      </div>
+
+      {planNextQuestion && (
+        <label style={{ display: 'block', marginBottom: '15px' }}>
+          <input
+            type="checkbox"
+            checked={adaptiveMode}
+            disabled={adaptivePlanning}
+            onChange={(e) => handleAdaptiveToggle(e.target.checked)}
+          />
+          {' '}Adaptive mode: ask the question that settles the most trials next, and stop once every trial is decided
+        </label>
+      )}
+      
       {/* Progress Bar */}
       <div style={{ marginBottom: '30px' }}>
         <div style={{ 
@@ -1876,7 +3069,7 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
               style={{
                 flex: 1,
                 height: '8px',
-                backgroundColor: idx <= currentCluster ? '#007bff' : '#ddd',
+                backgroundColor: (adaptiveMode ? completedClusters.has(idx) || idx === currentCluster : idx <= currentCluster) ? '#007bff' : '#ddd',
                 marginRight: idx < clusters.length - 1 ? '4px' : '0',
                 borderRadius: '4px'
               }}
@@ -1884,8 +3077,21 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
           ))}
         </div>
         <div style={{ fontSize: '14px', color: '#666' }}>
-          Step {currentCluster + 1} of {clusters.length}: {clusters[currentCluster].name}
+          {adaptiveMode
+            ? `Question ${visitedClusters.length + 1}: ${clusters[currentCluster].name}`
+            : `Step ${currentCluster + 1} of ${clusters.length}: ${clusters[currentCluster].name}`}
         </div>
+        {adaptiveMode && adaptivePlan && (
+          <div style={{ fontSize: '13px', color: '#666', marginTop: '5px' }}>
+            {adaptivePlan.candidateTrials.length} candidate trials, {adaptivePlan.ruledOut.length} ruled out
+            {adaptivePlan.skippedClusters.length > 0 && ` • Skipping (no candidate depends on them): ${adaptivePlan.skippedClusters.join(', ')}`}
+          </div>
+        )}
+        {adaptiveMode && adaptivePlan?.done && (
+          <div style={{ fontSize: '14px', color: '#155724', marginTop: '5px' }}>
+            Every candidate trial is decided by the answers so far. You can submit now.
+          </div>
+        )}
       </div>
       
       {/* Current Cluster Content */}
@@ -1907,23 +3113,24 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
       }}>
         <button
           onClick={handlePrevious}
-          disabled={currentCluster === 0}
+          disabled={!canGoBack}
           style={{
             padding: '12px 24px',
             fontSize: '16px',
-            backgroundColor: currentCluster === 0 ? '#ccc' : '#6c757d',
+            backgroundColor: canGoBack ? '#6c757d' : '#ccc',
             color: 'white',
             border: 'none',
             borderRadius: '4px',
-            cursor: currentCluster === 0 ? 'not-allowed' : 'pointer'
+            cursor: canGoBack ? 'pointer' : 'not-allowed'
           }}
         >
           Previous
         </button>
         
-        {currentCluster < clusters.length - 1 ? (
+        {!canSubmit ? (
           <button
             onClick={handleNext}
+            disabled={adaptivePlanning}
             style={{
               padding: '12px 24px',
               fontSize: '16px',
@@ -1934,7 +3141,7 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
               cursor: 'pointer'
             }}
           >
-            Next
+            {adaptivePlanning ? 'Choosing next question...' : 'Next'}
           </button>
         ) : (
           <button
@@ -1974,4 +3181,15 @@ const ClinicalTrialEligibilityQuestionnaire = ({ onSubmit }) => {
   );
 };
 
+ClinicalTrialEligibilityQuestionnaire.propTypes = {
+  onSubmit: PropTypes.func,
+  initialState: PropTypes.shape({
+    answers: PropTypes.object,
+    currentCluster: PropTypes.number,
+    completedClusters: PropTypes.arrayOf(PropTypes.number),
+  }),
+  onProgress: PropTypes.func,
+  planNextQuestion: PropTypes.func,
+};
+
 export default ClinicalTrialEligibilityQuestionnaire;
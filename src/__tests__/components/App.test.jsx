@@ -277,6 +277,70 @@ describe('App Component', () => {
     });
   });
 
+  describe('Screening Sessions', () => {
+    it('should resume a saved session where the user left off', async () => {
+      localStorage.setItem('screening_session_code', 'AB12-CD34-EF56');
+      fetchSpy.mockImplementation((url) => {
+        if (url.includes('/api/sessions/AB12-CD34-EF56')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve({
+              code: 'AB12-CD34-EF56',
+              status: 'in_progress',
+              answers: { age_value: '42' },
+              currentCluster: 4,
+              completedClusters: [0, 1, 2, 3],
+            })
+          });
+        }
+        return Promise.resolve({ ok: true, json: () => Promise.resolve({}) });
+      });
+
+      const user = userEvent.setup();
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByLabelText(/Session code/i)).toHaveValue('AB12-CD34-EF56');
+      });
+      await user.click(screen.getByRole('button', { name: /^Resume$/i }));
+
+      await waitFor(() => {
+        expect(screen.getByText(/Step 5 of/i)).toBeInTheDocument();
+      });
+      expect(screen.getByPlaceholderText(/Enter your age/i)).toHaveValue(42);
+      expect(screen.getByText('AB12-CD34-EF56')).toBeInTheDocument();
+    });
+
+    it('should only list sessions started on this browser', async () => {
+      localStorage.setItem('screening_session_history', JSON.stringify(['AB12-CD34-EF56', '0000-0000-0000']));
+      fetchSpy.mockImplementation((url) => {
+        if (url.includes('/api/sessions/AB12-CD34-EF56')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve({
+              code: 'AB12-CD34-EF56',
+              status: 'completed',
+              completedClusters: [0, 1],
+              results: { summary: { eligible: 2, needsReview: 1, ineligible: 3 } },
+              updatedAt: '2026-10-01T10:00:00.000Z',
+            })
+          });
+        }
+        if (url.includes('/api/sessions/')) {
+          return Promise.resolve({ ok: false, json: () => Promise.resolve({ error: 'Screening session not found' }) });
+        }
+        return Promise.resolve({ ok: true, json: () => Promise.resolve({}) });
+      });
+
+      render(<App />);
+
+      expect(await screen.findByText('AB12-CD34-EF56')).toBeInTheDocument();
+      expect(screen.getByText(/2 eligible, 1 review, 3 ineligible/)).toBeInTheDocument();
+      expect(screen.queryByText('0000-0000-0000')).not.toBeInTheDocument();
+      expect(fetchSpy.mock.calls.some(([url]) => /\/api\/(admin\/)?sessions(\?|$)/.test(url))).toBe(false);
+    });
+  });
+
   describe('Footer', () => {
     it('should display version info', async () => {
       render(<App />);
@@ -0,0 +1,54 @@
+/**
+ * Adaptive questionnaire: the matcher's plan picks the next cluster and ends screening early
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+
+import ClinicalTrialEligibilityQuestionnaire from '../../ClinicalTrialEligibilityQuestionnaire.jsx';
+
+describe('Adaptive questionnaire', () => {
+  let user;
+
+  beforeEach(() => {
+    user = userEvent.setup();
+    vi.spyOn(global, 'fetch').mockResolvedValue({ ok: true, json: () => Promise.resolve({}) });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('only offers adaptive mode when a planner is provided', () => {
+    render(<ClinicalTrialEligibilityQuestionnaire />);
+
+    expect(ClinicalTrialEligibilityQuestionnaire.propTypes).toHaveProperty('planNextQuestion');
+    expect(screen.queryByLabelText(/adaptive mode/i)).not.toBeInTheDocument();
+  });
+
+  it('follows the plan and offers submit once every trial is decided', async () => {
+    const planNextQuestion = vi.fn()
+      .mockResolvedValueOnce({ nextCluster: 'AGE', done: false, candidateTrials: ['NCT1', 'NCT2'], ruledOut: [], undecidedByCluster: {}, skippedClusters: [] })
+      .mockResolvedValueOnce({ nextCluster: null, done: true, candidateTrials: [], ruledOut: ['NCT1', 'NCT2'], undecidedByCluster: {}, skippedClusters: ['LAB'] });
+
+    render(<ClinicalTrialEligibilityQuestionnaire planNextQuestion={planNextQuestion} />);
+    await user.click(screen.getByLabelText(/adaptive mode/i));
+
+    await waitFor(() => {
+      expect(screen.getByRole('heading', { name: /Age-Based Eligibility/i })).toBeInTheDocument();
+    });
+    expect(planNextQuestion).toHaveBeenLastCalledWith(expect.any(Object), expect.objectContaining({ answeredClusters: [], candidateTrials: null }));
+
+    await user.type(screen.getByPlaceholderText(/enter your age/i), '16');
+    await user.click(screen.getByRole('button', { name: /next/i }));
+
+    await waitFor(() => {
+      expect(screen.getByRole('button', { name: /submit/i })).toBeInTheDocument();
+    });
+    const [response, options] = planNextQuestion.mock.calls[1];
+    expect(response.responses.AGE).toEqual({ age: 16 });
+    expect(options).toMatchObject({ answeredClusters: ['AGE'], candidateTrials: ['NCT1', 'NCT2'] });
+    expect(screen.getByText(/Skipping \(no candidate depends on them\): LAB/)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Body regions: areas picked on the body map reach the slot-filled response
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+
+import ClinicalTrialEligibilityQuestionnaire from '../../ClinicalTrialEligibilityQuestionnaire.jsx';
+
+const lastResponse = (onProgress) => onProgress.mock.calls[onProgress.mock.calls.length - 1][0].response;
+
+describe('Body regions', () => {
+  it('records regions picked from the figure and the list', () => {
+    const onProgress = vi.fn();
+    const { container } = render(
+      <ClinicalTrialEligibilityQuestionnaire
+        onProgress={onProgress}
+        initialState={{ currentCluster: 3, answers: {} }}
+      />
+    );
+
+    fireEvent.click(container.querySelector('[data-region="scalp"]'));
+    fireEvent.click(screen.getByRole('button', { name: /fingernails or toenails/i }));
+
+    expect(screen.getByRole('button', { name: /^scalp$/i })).toHaveAttribute('aria-pressed', 'true');
+    expect(lastResponse(onProgress).responses.AAO.ANATOMICAL_LOCATION).toEqual(['scalp', 'nails']);
+  });
+
+  it('clears regions when the answer is unknown', () => {
+    const onProgress = vi.fn();
+    render(
+      <ClinicalTrialEligibilityQuestionnaire
+        onProgress={onProgress}
+        initialState={{ currentCluster: 3, answers: { aao_regions: ['palms'] } }}
+      />
+    );
+
+    fireEvent.click(screen.getByRole('checkbox', { name: /i don't know/i }));
+
+    expect(lastResponse(onProgress).responses.AAO?.ANATOMICAL_LOCATION).toBeUndefined();
+  });
+});
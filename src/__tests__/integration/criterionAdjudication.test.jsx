@@ -0,0 +1,123 @@
+/**
+ * Criterion adjudication: a reviewer's decision regroups the trial on the results page
+ * and is stored with the screening session
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+
+import App from '../../components/App';
+
+vi.mock('../../ClinicalTrialEligibilityQuestionnaire', () => ({
+  default: ({ onSubmit }) => (
+    <button type="button" onClick={() => onSubmit({ responses: { CMB: { conditions: ['hepatitis B'] } } })}>
+      Submit answers
+    </button>
+  ),
+}));
+
+vi.mock('../../services/matcher', async () => {
+  const { CriterionMatchResult, TrialEligibilityResult, PatientMatchResults } = await vi.importActual('../../services/matcher/results.js');
+
+  class ClinicalTrialMatcher {
+    matchPatient(patientResponse) {
+      const criterion = new CriterionMatchResult({
+        criterionId: 'CMB_1',
+        nctId: 'NCT9',
+        matches: true,
+        rawText: 'History of hepatitis B',
+        patientValue: 'hepatitis B',
+        matchMethod: 'rule',
+      });
+      const trial = new TrialEligibilityResult({
+        nctId: 'NCT9',
+        status: 'ineligible',
+        matchedCriteria: [criterion],
+        failureReasons: [criterion.getFailureReason()],
+      });
+      return Promise.resolve(PatientMatchResults.fromTrials(patientResponse, [trial]));
+    }
+  }
+
+  return { ClinicalTrialMatcher };
+});
+
+describe('Criterion adjudication', () => {
+  let fetchSpy;
+
+  beforeEach(() => {
+    localStorage.clear();
+    fetchSpy = vi.spyOn(global, 'fetch');
+    fetchSpy.mockImplementation((url, options = {}) => {
+      if (url.endsWith('/api/sessions') && options.method === 'POST') {
+        return Promise.resolve({ ok: true, json: () => Promise.resolve({ code: 'AB12-CD34-EF56' }) });
+      }
+      return Promise.resolve({ ok: true, json: () => Promise.resolve({}) });
+    });
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+    vi.restoreAllMocks();
+  });
+
+  const sessionUpdates = () => fetchSpy.mock.calls
+    .filter(([url, options]) => url.includes('/api/sessions/AB12-CD34-EF56') && options?.method === 'PUT')
+    .map(([, options]) => JSON.parse(options.body));
+
+  it('recomputes the trial status and stores the adjudication with the session', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.click(screen.getByLabelText(/Enable AI Semantic Matching/i));
+    await user.click(screen.getByRole('button', { name: /Start Questionnaire/i }));
+    await user.click(await screen.findByRole('button', { name: /Submit answers/i }));
+
+    await screen.findByText(/No eligible trials found/i);
+    const card = screen.getByText('NCT9').closest('li');
+    expect(card).toHaveClass('ineligible');
+
+    await user.click(within(card).getByText(/Explain decision/i));
+    await user.selectOptions(within(card).getByLabelText('Adjudication'), 'not_met');
+    await user.type(within(card).getByLabelText('Adjudication comment'), 'Resolved infection, HBsAg negative');
+    await user.type(within(card).getByLabelText('Reviewer name'), 'Dr Lee');
+    await user.click(within(card).getByRole('button', { name: 'Save' }));
+
+    const eligibleCard = screen.getByText('NCT9').closest('li');
+    expect(eligibleCard).toHaveClass('eligible');
+    expect(within(eligibleCard).getByText(/1 criterion adjudicated • automatic status: Ineligible/)).toBeInTheDocument();
+    expect(screen.getByText(/No ineligible trials/i)).toBeInTheDocument();
+
+    await waitFor(() => {
+      expect(sessionUpdates().some((body) => body.adjudications)).toBe(true);
+    });
+    const saved = sessionUpdates().find((body) => body.adjudications);
+    expect(saved.adjudications.NCT9.CMB_1).toMatchObject({
+      decision: 'not_met',
+      comment: 'Resolved infection, HBsAg negative',
+      reviewer: 'Dr Lee',
+    });
+    expect(saved.results.eligibleTrials[0]).toMatchObject({ nctId: 'NCT9', status: 'eligible', automaticStatus: 'ineligible' });
+
+    // The text report shows the automatic and the adjudicated decision
+    let report = null;
+    URL.createObjectURL = vi.fn((blob) => {
+      report = blob;
+      return 'blob:report';
+    });
+    URL.revokeObjectURL = vi.fn();
+    vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    await user.click(screen.getByRole('button', { name: /Download Text Report/i }));
+
+    const text = await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.readAsText(report);
+    });
+    expect(text).toContain('Automatic status: Ineligible → adjudicated: Eligible');
+    expect(text).toContain('Automatic: Exclusion hit: the patient answer matches this exclusion criterion, so the trial is ineligible');
+    expect(text).toMatch(/Adjudicated: Not met by Dr Lee on \d{4}-\d{2}-\d{2}/);
+    expect(text).toContain('Comment: Resolved infection, HBsAg negative');
+  });
+});
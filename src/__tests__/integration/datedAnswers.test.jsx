@@ -0,0 +1,44 @@
+/**
+ * Dated answers: planned visits and start/stop dates reach the slot-filled response
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+
+import ClinicalTrialEligibilityQuestionnaire from '../../ClinicalTrialEligibilityQuestionnaire.jsx';
+
+const lastResponse = (onProgress) => onProgress.mock.calls[onProgress.mock.calls.length - 1][0].response;
+
+describe('Dated answers', () => {
+  it('records the planned visits and the psoriasis diagnosis date', () => {
+    const onProgress = vi.fn();
+    render(<ClinicalTrialEligibilityQuestionnaire onProgress={onProgress} initialState={{ currentCluster: 6, answers: {} }} />);
+
+    fireEvent.change(screen.getByLabelText(/planned screening visit/i), { target: { value: '2026-03-02' } });
+    fireEvent.change(screen.getByLabelText(/planned baseline/i), { target: { value: '2026-03-23' } });
+    fireEvent.change(screen.getByLabelText(/date you were diagnosed/i), { target: { value: '2024-05-01' } });
+
+    const response = lastResponse(onProgress);
+    expect(response.timeline).toEqual({ screeningDate: '2026-03-02', baselineDate: '2026-03-23' });
+    expect(response.responses.CPD).toMatchObject({ duration: null, DIAGNOSIS_DATE: '2024-05-01' });
+  });
+
+  it('records start and stop dates of infections', () => {
+    const onProgress = vi.fn();
+    render(
+      <ClinicalTrialEligibilityQuestionnaire
+        onProgress={onProgress}
+        initialState={{ currentCluster: 2, answers: { aic_hasInfection: 'yes', aic_selectedInfections: ['Tuberculosis'] } }}
+      />
+    );
+
+    fireEvent.change(screen.getByLabelText(/when did it start/i), { target: { value: '2025-01-10' } });
+    fireEvent.change(screen.getByLabelText(/when did it clear up/i), { target: { value: '2025-07-10' } });
+
+    expect(lastResponse(onProgress).responses.AIC[0]).toMatchObject({
+      INFECTION_TYPE: ['Tuberculosis'],
+      START_DATE: '2025-01-10',
+      STOP_DATE: '2025-07-10',
+    });
+  });
+});
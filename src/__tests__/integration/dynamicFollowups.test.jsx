@@ -117,7 +117,7 @@ describe('Contract 2: Dynamic Follow-up Questions', () => {
       
       // Navigate to treatment section (Step 2)
       // First answer "No" to conditions question
-      const noRadio = screen.getByLabelText(/no/i);
+      const noRadio = screen.getByLabelText(/^no$/i);
       await user.click(noRadio);
       
       // Click Next to go to treatment section
@@ -143,7 +143,7 @@ describe('Contract 3: Lung Cancer Autocomplete and Matching', () => {
       
       // Result should have a status
       expect(result).toHaveProperty('status');
-      expect(['eligible', 'ineligible', 'needs_review', 'inconclusive']).toContain(result.status);
+      expect(['eligible', 'ineligible', 'needs_review', 'insufficient_information', 'inconclusive']).toContain(result.status);
     });
   });
 });
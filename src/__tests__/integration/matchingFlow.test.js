@@ -76,11 +76,11 @@ describe('Matching Flow Integration', () => {
       const result = await matcher.matchPatient(patientResponses);
       
       // NCT001 excludes piclidenoson - verify it was processed
-      const allTrials = [...result.eligibleTrials, ...result.ineligibleTrials, ...result.needsReviewTrials];
+      const allTrials = [...result.eligibleTrials, ...result.ineligibleTrials, ...result.needsReviewTrials, ...result.insufficientInformationTrials];
       const nct001Result = allTrials.find(t => t.nctId === 'NCT001');
       expect(nct001Result).toBeDefined();
       // With proper PTH cluster mapping, this should be ineligible
-      expect(['eligible', 'ineligible', 'needs_review']).toContain(nct001Result.status);
+      expect(['eligible', 'ineligible', 'needs_review', 'insufficient_information']).toContain(nct001Result.status);
     });
 
     it('should allow patient when they have not used excluded drug', async () => {
@@ -97,7 +97,7 @@ describe('Matching Flow Integration', () => {
       const result = await matcher.matchPatient(patientResponses);
       
       // NCT003 only has age criteria, patient age 30 should qualify
-      const allTrials = [...result.eligibleTrials, ...result.ineligibleTrials, ...result.needsReviewTrials];
+      const allTrials = [...result.eligibleTrials, ...result.ineligibleTrials, ...result.needsReviewTrials, ...result.insufficientInformationTrials];
       const nct003Result = allTrials.find(t => t.nctId === 'NCT003');
       expect(nct003Result).toBeDefined();
     });
@@ -115,7 +115,7 @@ describe('Matching Flow Integration', () => {
       const result = await matcher.matchPatient(patientResponses);
       
       // Should have some results (may be needs_review or processed by AI fallback)
-      const allTrials = [...result.eligibleTrials, ...result.ineligibleTrials, ...result.needsReviewTrials];
+      const allTrials = [...result.eligibleTrials, ...result.ineligibleTrials, ...result.needsReviewTrials, ...result.insufficientInformationTrials];
       expect(allTrials.length).toBeGreaterThan(0);
     });
   });
@@ -133,7 +133,7 @@ describe('Matching Flow Integration', () => {
       const result = await matcher.matchPatient(patientResponses);
       
       // Should have results for all 3 trials
-      const allTrials = [...result.eligibleTrials, ...result.ineligibleTrials, ...result.needsReviewTrials];
+      const allTrials = [...result.eligibleTrials, ...result.ineligibleTrials, ...result.needsReviewTrials, ...result.insufficientInformationTrials];
       expect(allTrials.length).toBe(3);
     });
 
@@ -149,11 +149,11 @@ describe('Matching Flow Integration', () => {
       const result = await matcher.matchPatient(patientResponses);
       
       // NCT002 excludes humira - check if it was processed
-      const allTrials = [...result.eligibleTrials, ...result.ineligibleTrials, ...result.needsReviewTrials];
+      const allTrials = [...result.eligibleTrials, ...result.ineligibleTrials, ...result.needsReviewTrials, ...result.insufficientInformationTrials];
       const nct002Result = allTrials.find(t => t.nctId === 'NCT002');
       expect(nct002Result).toBeDefined();
       // The status depends on how TREATMENT_HISTORY cluster is mapped - just verify it was evaluated
-      expect(['eligible', 'ineligible', 'needs_review']).toContain(nct002Result.status);
+      expect(['eligible', 'ineligible', 'needs_review', 'insufficient_information']).toContain(nct002Result.status);
       
       // NCT003 should be eligible (age criteria, patient is 30 - within 18-65 range)
       const nct003Result = allTrials.find(t => t.nctId === 'NCT003');
@@ -174,7 +174,7 @@ describe('Matching Flow Integration', () => {
 
       const result = await matcher.matchPatient(patientResponses);
       
-      const allTrials = [...result.eligibleTrials, ...result.ineligibleTrials, ...result.needsReviewTrials];
+      const allTrials = [...result.eligibleTrials, ...result.ineligibleTrials, ...result.needsReviewTrials, ...result.insufficientInformationTrials];
       expect(allTrials).toBeDefined();
       // Should not crash and should process all trials
       expect(allTrials.length).toBe(3);
@@ -185,7 +185,7 @@ describe('Matching Flow Integration', () => {
 
       const result = await matcher.matchPatient(patientResponses);
       
-      const allTrials = [...result.eligibleTrials, ...result.ineligibleTrials, ...result.needsReviewTrials];
+      const allTrials = [...result.eligibleTrials, ...result.ineligibleTrials, ...result.needsReviewTrials, ...result.insufficientInformationTrials];
       expect(allTrials).toBeDefined();
     });
 
@@ -200,11 +200,11 @@ describe('Matching Flow Integration', () => {
       const result = await matcher.matchPatient(patientResponses);
       
       // NCT002 excludes humira/enbrel - just verify it was processed
-      const allTrials = [...result.eligibleTrials, ...result.ineligibleTrials, ...result.needsReviewTrials];
+      const allTrials = [...result.eligibleTrials, ...result.ineligibleTrials, ...result.needsReviewTrials, ...result.insufficientInformationTrials];
       const nct002Result = allTrials.find(t => t.nctId === 'NCT002');
       expect(nct002Result).toBeDefined();
       // The matcher should process the trial regardless of drug case
-      expect(['eligible', 'ineligible', 'needs_review']).toContain(nct002Result.status);
+      expect(['eligible', 'ineligible', 'needs_review', 'insufficient_information']).toContain(nct002Result.status);
     });
   });
 });
@@ -0,0 +1,59 @@
+/**
+ * Psoriatic arthritis: joint counts and PsA features reach the slot-filled response
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+
+import ClinicalTrialEligibilityQuestionnaire from '../../ClinicalTrialEligibilityQuestionnaire.jsx';
+
+const lastResponse = (onProgress) => onProgress.mock.calls[onProgress.mock.calls.length - 1][0].response;
+
+describe('Psoriatic arthritis', () => {
+  it('records tender and swollen joint counts', () => {
+    const onProgress = vi.fn();
+    render(
+      <ClinicalTrialEligibilityQuestionnaire
+        onProgress={onProgress}
+        initialState={{ currentCluster: 3, answers: {} }}
+      />
+    );
+
+    fireEvent.change(screen.getByPlaceholderText(/tender joint count/i), { target: { value: '6' } });
+    fireEvent.change(screen.getByPlaceholderText(/swollen joint count/i), { target: { value: '4' } });
+
+    expect(lastResponse(onProgress).responses.PSA).toMatchObject({
+      TJC: { value: 6 },
+      SJC: { value: 4 },
+      CASPAR: null,
+    });
+  });
+
+  it('records PsA features and scores CASPAR', () => {
+    const onProgress = vi.fn();
+    const { container } = render(
+      <ClinicalTrialEligibilityQuestionnaire
+        onProgress={onProgress}
+        initialState={{
+          currentCluster: 3,
+          answers: {
+            psa_diagnosed: 'yes',
+            psa_caspar: { currentPsoriasis: 'yes', negativeRF: 'yes' },
+          },
+        }}
+      />
+    );
+    const choose = (name, value) => fireEvent.click(container.querySelector(`input[name="${name}"][value="${value}"]`));
+
+    choose('psa_dactylitis', 'yes');
+    fireEvent.change(screen.getByLabelText(/number of swollen fingers and toes/i), { target: { value: '2' } });
+    choose('psa_axial', 'no');
+
+    expect(lastResponse(onProgress).responses.PSA).toMatchObject({
+      CASPAR: { value: 3, met: true },
+      DACTYLITIS: { present: true, value: 2 },
+      ENTHESITIS: null,
+      AXIAL: { present: false },
+    });
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Session progress: the questionnaire only reports progress when the answers or the
+ * cluster position change, so the session is not re-saved on every render
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+
+import ClinicalTrialEligibilityQuestionnaire from '../../ClinicalTrialEligibilityQuestionnaire.jsx';
+
+describe('Session progress', () => {
+  it('does not report progress again on a re-render without changes', () => {
+    const onProgress = vi.fn();
+    const { rerender } = render(
+      <ClinicalTrialEligibilityQuestionnaire onProgress={onProgress} initialState={{ currentCluster: 0, answers: {} }} />
+    );
+    const calls = onProgress.mock.calls.length;
+
+    rerender(
+      <ClinicalTrialEligibilityQuestionnaire onProgress={onProgress} initialState={{ currentCluster: 0, answers: {} }} />
+    );
+
+    expect(onProgress).toHaveBeenCalledTimes(calls);
+  });
+
+  it('does not report progress while typing into a suggestion field', () => {
+    const onProgress = vi.fn();
+    render(
+      <ClinicalTrialEligibilityQuestionnaire onProgress={onProgress} initialState={{ currentCluster: 0, answers: {} }} />
+    );
+
+    fireEvent.click(screen.getByLabelText(/yes/i));
+    const calls = onProgress.mock.calls.length;
+    expect(onProgress.mock.calls[calls - 1][0].answers.cmb_hasConditions).toBe('yes');
+
+    const conditionInput = screen.getByPlaceholderText(/condition|depression|diabetes/i);
+    fireEvent.change(conditionInput, { target: { value: 'l' } });
+    fireEvent.change(conditionInput, { target: { value: 'lu' } });
+    fireEvent.change(conditionInput, { target: { value: 'lung' } });
+
+    expect(onProgress).toHaveBeenCalledTimes(calls);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Severity calculators: PASI, BSA and DLQI worked out in the questionnaire reach the
+ * slot-filled response marked as calculated
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+
+import ClinicalTrialEligibilityQuestionnaire from '../../ClinicalTrialEligibilityQuestionnaire.jsx';
+import { PASI_REGIONS, PASI_SIGNS, DLQI_ITEMS } from '../../utils/severityScores.js';
+
+const lastResponse = (onProgress) => onProgress.mock.calls[onProgress.mock.calls.length - 1][0].response;
+
+const renderStep = (currentCluster, answers = {}) => {
+  const onProgress = vi.fn();
+  const view = render(
+    <ClinicalTrialEligibilityQuestionnaire
+      onProgress={onProgress}
+      initialState={{ currentCluster, answers }}
+    />
+  );
+  return { onProgress, ...view };
+};
+
+describe('Severity calculators', () => {
+  it('calculates PASI from per-region scores when there is no recorded score', () => {
+    const { onProgress, container } = renderStep(7);
+
+    fireEvent.click(container.querySelectorAll('input[type="radio"][value="no"]')[0]);
+    PASI_REGIONS.forEach(({ label }) => {
+      [...PASI_SIGNS.map(sign => sign.label), 'Area affected'].forEach(field => {
+        fireEvent.change(screen.getByLabelText(`${label} ${field.toLowerCase()}`), { target: { value: '2' } });
+      });
+    });
+
+    expect(screen.getByText('Calculated PASI: 12')).toBeInTheDocument();
+    expect(lastResponse(onProgress).responses.SEV.PASI).toEqual({ value: 12, calculated: true });
+  });
+
+  it('calculates DLQI from the questionnaire items', () => {
+    const { onProgress } = renderStep(7, { sev_hasDLQI: 'unknown' });
+
+    DLQI_ITEMS.forEach(({ key }) => {
+      fireEvent.click(document.querySelector(`input[name="dlqi_${key}"][value="a_little"]`));
+    });
+
+    expect(screen.getByText('Calculated DLQI: 10')).toBeInTheDocument();
+    expect(lastResponse(onProgress).responses.SEV.DLQI).toEqual({ value: 10, calculated: true });
+  });
+
+  it('estimates BSA with the palm method and keeps a recorded BSA over the estimate', () => {
+    const { onProgress } = renderStep(3);
+
+    fireEvent.click(screen.getByRole('button', { name: /estimate bsa with your palm/i }));
+    fireEvent.change(screen.getByPlaceholderText('Number of palms'), { target: { value: '6' } });
+
+    expect(screen.getByText('Estimated BSA: 6%')).toBeInTheDocument();
+    expect(lastResponse(onProgress).responses.AAO.BSA).toEqual({ value: 6, threshold: null, calculated: true });
+
+    fireEvent.change(screen.getByPlaceholderText('Enter BSA percentage'), { target: { value: '8' } });
+
+    expect(lastResponse(onProgress).responses.AAO.BSA).toEqual({ value: 8, threshold: null });
+  });
+});
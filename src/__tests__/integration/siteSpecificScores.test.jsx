@@ -0,0 +1,50 @@
+/**
+ * Site-specific scores: NAPSI, PSSI, ss-IGA and ppPASI are asked only for the body areas
+ * marked on the body map
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+
+import ClinicalTrialEligibilityQuestionnaire from '../../ClinicalTrialEligibilityQuestionnaire.jsx';
+
+const lastResponse = (onProgress) => onProgress.mock.calls[onProgress.mock.calls.length - 1][0].response;
+
+const renderSeverityStep = (answers) => {
+  const onProgress = vi.fn();
+  render(
+    <ClinicalTrialEligibilityQuestionnaire
+      onProgress={onProgress}
+      initialState={{ currentCluster: 7, answers }}
+    />
+  );
+  return onProgress;
+};
+
+describe('Site-specific scores', () => {
+  it('asks for the nail score only when nails are marked', () => {
+    const onProgress = renderSeverityStep({ aao_regions: ['nails', 'trunk'] });
+
+    expect(screen.queryByLabelText(/Psoriasis Scalp Severity Index/)).not.toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText(/Nail Psoriasis Severity Index/), { target: { value: '24' } });
+
+    expect(lastResponse(onProgress).responses.SEV.NAPSI).toBe(24);
+  });
+
+  it('asks for scalp and palmoplantar scores and leaves out values outside the valid range', () => {
+    const onProgress = renderSeverityStep({ aao_regions: ['scalp', 'soles'] });
+
+    fireEvent.change(screen.getByLabelText(/Scalp-specific Investigator Global Assessment/), { target: { value: '3' } });
+    fireEvent.change(screen.getByLabelText(/Palmoplantar Psoriasis Area and Severity Index/), { target: { value: '90' } });
+
+    expect(screen.getByLabelText(/Psoriasis Scalp Severity Index/)).toBeInTheDocument();
+    expect(lastResponse(onProgress).responses.SEV.SS_IGA).toBe(3);
+    expect(lastResponse(onProgress).responses.SEV.PPPASI).toBeUndefined();
+  });
+
+  it('shows no site-specific scores without special areas marked', () => {
+    renderSeverityStep({ aao_regions: ['trunk'] });
+
+    expect(screen.queryByText('Scores for the areas you marked')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Treatment outcome: response, stop reason and dosing reach the slot-filled PTH entry
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+
+import ClinicalTrialEligibilityQuestionnaire from '../../ClinicalTrialEligibilityQuestionnaire.jsx';
+
+const lastResponse = (onProgress) => onProgress.mock.calls[onProgress.mock.calls.length - 1][0].response;
+
+describe('Treatment outcome', () => {
+  it('records the response and the reason a treatment was stopped', () => {
+    const onProgress = vi.fn();
+    render(
+      <ClinicalTrialEligibilityQuestionnaire
+        onProgress={onProgress}
+        initialState={{
+          currentCluster: 1,
+          answers: {
+            pth_hasTreatment: 'yes',
+            pth_selectedTreatments: ['Humira'],
+            pth_treatmentDetails: { 0: { pattern: 'used previously' } },
+          },
+        }}
+      />
+    );
+
+    fireEvent.change(screen.getByLabelText(/how did you respond/i), { target: { value: 'lost_response' } });
+    fireEvent.change(screen.getByLabelText(/why did you stop/i), { target: { value: 'loss_of_response' } });
+
+    expect(lastResponse(onProgress).responses.PTH[0]).toMatchObject({
+      TREATMENT_TYPE: ['Humira'],
+      TREATMENT_RESPONSE: 'lost_response',
+      STOP_REASON: 'loss_of_response',
+    });
+  });
+
+  it('records route, dose and frequency', () => {
+    const onProgress = vi.fn();
+    render(
+      <ClinicalTrialEligibilityQuestionnaire
+        onProgress={onProgress}
+        initialState={{
+          currentCluster: 1,
+          answers: {
+            pth_hasTreatment: 'yes',
+            pth_selectedTreatments: ['methotrexate'],
+            pth_treatmentDetails: { 0: { pattern: 'ongoing' } },
+          },
+        }}
+      />
+    );
+
+    fireEvent.change(screen.getByLabelText(/how do you take or use it/i), { target: { value: 'oral' } });
+    fireEvent.change(screen.getByLabelText(/^dose$/i), { target: { value: '15' } });
+    fireEvent.change(screen.getByLabelText(/how often/i), { target: { value: 'weekly' } });
+
+    expect(lastResponse(onProgress).responses.PTH[0]).toMatchObject({
+      TREATMENT_TYPE: ['methotrexate'],
+      ONGOING: true,
+      ROUTE: 'oral',
+      DOSE: { amount: 15, unit: 'mg' },
+      FREQUENCY: 'weekly',
+    });
+  });
+
+  it('asks for a stop reason only for treatments no longer used', () => {
+    render(
+      <ClinicalTrialEligibilityQuestionnaire
+        initialState={{
+          currentCluster: 1,
+          answers: {
+            pth_hasTreatment: 'yes',
+            pth_selectedTreatments: ['Humira'],
+            pth_treatmentDetails: { 0: { pattern: 'ongoing' } },
+          },
+        }}
+      />
+    );
+
+    expect(screen.getByLabelText(/how did you respond/i)).toBeInTheDocument();
+    expect(screen.queryByLabelText(/why did you stop/i)).not.toBeInTheDocument();
+  });
+});
@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { ClinicalTrialMatcher } from '../../services/matcher/ClinicalTrialMatcher.js';
 
 // Mock database for testing
@@ -241,6 +241,38 @@ describe('ClinicalTrialMatcher', () => {
 
       expect(result.status).toBe('ineligible');
     });
+
+    it('should attach registered trial metadata', async () => {
+      const matcherWithMetadata = new ClinicalTrialMatcher(mockDatabase, null, {
+        trialMetadata: {
+          trials: {
+            NCT001: {
+              nct_id: 'NCT001',
+              title: 'Test Psoriasis Study',
+              phase: 'PHASE3',
+              sponsor: 'Test Sponsor',
+              recruitment_status: 'RECRUITING',
+              sites: [{ facility: 'Clinic A', city: 'Boston', country: 'United States' }],
+            },
+          },
+        },
+      });
+
+      const result = await matcherWithMetadata.evaluateTrial('NCT001', {
+        responses: { AGE: { age: 30 }, BMI: { bmi: 24.5 }, CMB: [], PTH: [] },
+      });
+
+      expect(result.metadata.title).toBe('Test Psoriasis Study');
+      expect(result.metadata.recruitmentStatus).toBe('RECRUITING');
+      expect(result.metadata.sites[0].city).toBe('Boston');
+    });
+
+    it('should leave metadata null for unregistered trials', async () => {
+      const result = await matcher.evaluateTrial('NCT002', { responses: { AGE: { age: 30 } } });
+
+      expect(result.metadata).toBeNull();
+      expect(result.getTitle()).toBe('NCT002');
+    });
   });
 
   describe('matchPatient', () => {
@@ -350,6 +382,24 @@ describe('ClinicalTrialMatcher', () => {
       expect(result.matches).toBe(false);
       expect(result.confidence).toBeLessThan(1.0);
     });
+
+    it('should record match method and evidence for the explanation view', async () => {
+      const ageResult = await matcher.evaluateCriterion(
+        mockDatabase.CLUSTER_AGE.criteria[0],
+        { responses: { AGE: { age: 25 } } },
+        'AGE'
+      );
+      expect(ageResult.matchMethod).toBe('exact');
+      expect(ageResult.evidenceTerms).toContain('18-65 years');
+
+      const cmbResult = await matcher.evaluateCriterion(
+        mockDatabase.CLUSTER_CMB.criteria[0],
+        { responses: { CMB: [{ CONDITION_TYPE: ['cancer'] }] } },
+        'CMB'
+      );
+      expect(cmbResult.evidenceTerms).toEqual(['cancer', 'malignancy']);
+      expect(cmbResult.getDecisionReason()).toMatch(/^Exclusion hit/);
+    });
   });
 
   describe('Treatment History Matching - 3-Step Cascade', () => {
@@ -613,4 +663,1201 @@ describe('ClinicalTrialMatcher', () => {
       expect(result.failureReasons.some(r => r.includes('piclidenoson'))).toBe(true);
     });
   });
+
+  describe('Structured measurement thresholds - SEV/AAO clusters', () => {
+    const severityCriterion = {
+      id: 'SEV_900',
+      nct_id: 'NCT900',
+      raw_text: 'PASI ≥ 12 and BSA ≥ 10% at screening',
+      conditions: [
+        { MEASUREMENT: 'PASI', COMPARATOR: '>=', VALUE: 12, UNIT: null, TIMEPOINT: ['screening'] },
+        { MEASUREMENT: 'BSA', COMPARATOR: '>=', VALUE: 10, UNIT: '%', TIMEPOINT: ['screening'] },
+      ],
+      LOGICAL_OPERATOR: 'AND',
+      EXCLUSION_STRENGTH: 'inclusion',
+    };
+
+    it('should match when every AND threshold is met, reading BSA from AAO responses', async () => {
+      const result = await matcher.evaluateCriterion(
+        severityCriterion,
+        { responses: { SEV: { PASI: 15 }, AAO: { BSA: { value: 12, threshold: 10 } } } },
+        'SEV'
+      );
+
+      expect(result.matches).toBe(true);
+      expect(result.confidence).toBe(1.0);
+      expect(result.confidenceReason).toMatch(/at screening/);
+    });
+
+    it('should not match when one AND threshold fails', async () => {
+      const result = await matcher.evaluateCriterion(
+        severityCriterion,
+        { responses: { SEV: { PASI: 15, BSA: 5 } } },
+        'SEV'
+      );
+
+      expect(result.matches).toBe(false);
+      expect(result.confidence).toBe(1.0);
+      expect(result.confidenceReason).toMatch(/BSA 5 does not meet >= 10/);
+    });
+
+    it('should lower confidence and name missing measurements', async () => {
+      const result = await matcher.evaluateCriterion(
+        severityCriterion,
+        { responses: { SEV: { PASI: 15 } } },
+        'SEV'
+      );
+
+      expect(result.matches).toBe(false);
+      expect(result.confidence).toBeLessThan(1.0);
+      expect(result.confidenceReason).toMatch(/Missing patient data for BSA/);
+    });
+
+    it('should match an OR criterion when any threshold is met', async () => {
+      const criterion = {
+        ...severityCriterion,
+        conditions: [
+          { MEASUREMENT: 'PASI', COMPARATOR: '>=', VALUE: 12, UNIT: null, TIMEPOINT: null },
+          { MEASUREMENT: 'PGA', COMPARATOR: '>=', VALUE: 3, UNIT: null, TIMEPOINT: null },
+        ],
+        LOGICAL_OPERATOR: 'OR',
+      };
+
+      const result = await matcher.evaluateCriterion(
+        criterion,
+        { responses: { SEV: { PASI: 8, PGA: 3 } } },
+        'SEV'
+      );
+
+      expect(result.matches).toBe(true);
+    });
+
+    it('should evaluate a single flat slot on an AAO criterion', async () => {
+      const criterion = {
+        id: 'AAO_900',
+        nct_id: 'NCT900',
+        raw_text: 'Plaque covering ≥ 10% of BSA',
+        MEASUREMENT: 'BSA',
+        COMPARATOR: '>=',
+        VALUE: 10,
+        UNIT: '%',
+        TIMEPOINT: null,
+        ANATOMICAL_LOCATION: [],
+        EXCLUSION_STRENGTH: 'inclusion',
+      };
+
+      const result = await matcher.evaluateCriterion(
+        criterion,
+        { responses: { AAO: { BSA: { value: 8, threshold: 10 } } } },
+        'AAO'
+      );
+
+      expect(result.matches).toBe(false);
+      expect(result.confidence).toBe(1.0);
+    });
+
+    it('should fall back to raw_text parsing when slots are missing', async () => {
+      const criterion = {
+        id: 'SEV_901',
+        nct_id: 'NCT900',
+        raw_text: 'PASI score ≥12 at baseline',
+        EXCLUSION_STRENGTH: 'inclusion',
+      };
+
+      const result = await matcher.evaluateCriterion(
+        criterion,
+        { responses: { SEV: { PASI: 14 } } },
+        'SEV'
+      );
+
+      expect(result.matches).toBe(true);
+      expect(result.confidenceReason).toMatch(/PASI 14 meets >= 12/);
+    });
+  });
+
+  describe('evaluateReproductive - REP cluster', () => {
+    const pregnancyExclusion = {
+      id: 'REP_900',
+      nct_id: 'NCT900',
+      raw_text: 'Pregnant or breastfeeding women',
+      REPRODUCTIVE_STATUS: ['pregnant', 'breastfeeding'],
+      EXCLUSION_STRENGTH: 'mandatory_exclude',
+    };
+    const contraceptionInclusion = {
+      id: 'REP_901',
+      nct_id: 'NCT900',
+      raw_text: 'Women of childbearing potential must use effective contraception',
+      CONTRACEPTION_REQUIRED: true,
+      CONTRACEPTION_SEX: ['female'],
+      EXCLUSION_STRENGTH: 'inclusion',
+    };
+
+    it('should exclude a pregnant patient', async () => {
+      const result = await matcher.evaluateCriterion(
+        pregnancyExclusion,
+        { responses: { REP: { sex: 'female', pregnant: true, breastfeeding: false } } },
+        'REP'
+      );
+
+      expect(result.matches).toBe(true);
+      expect(result.causesIneligibility()).toBe(true);
+    });
+
+    it('should never apply pregnancy statuses to male patients', async () => {
+      const result = await matcher.evaluateCriterion(
+        pregnancyExclusion,
+        { responses: { REP: { sex: 'male' } } },
+        'REP'
+      );
+
+      expect(result.matches).toBe(false);
+      expect(result.confidence).toBe(1.0);
+    });
+
+    it('should require contraception only from women of childbearing potential', async () => {
+      const unwilling = await matcher.evaluateCriterion(
+        contraceptionInclusion,
+        { responses: { REP: { sex: 'female', childbearingPotential: true, contraception: false } } },
+        'REP'
+      );
+      const postMenopausal = await matcher.evaluateCriterion(
+        contraceptionInclusion,
+        { responses: { REP: { sex: 'female', childbearingPotential: false, contraception: false } } },
+        'REP'
+      );
+
+      expect(unwilling.causesIneligibility()).toBe(true);
+      expect(postMenopausal.matches).toBe(true);
+    });
+
+    it('should compare single-sex restrictions and report missing sex', async () => {
+      const criterion = { id: 'REP_902', nct_id: 'NCT900', raw_text: 'Male aged 18 to 55', SEX: ['male'], EXCLUSION_STRENGTH: 'inclusion' };
+
+      const female = await matcher.evaluateCriterion(criterion, { responses: { REP: { sex: 'female' } } }, 'REP');
+      const missing = await matcher.evaluateCriterion(criterion, { responses: {} }, 'REP');
+
+      expect(female.matches).toBe(false);
+      expect(female.confidence).toBe(1.0);
+      expect(missing.confidence).toBeLessThan(1.0);
+    });
+  });
+
+  describe('evaluateLab - LAB cluster', () => {
+    const liverExclusion = {
+      id: 'LAB_900',
+      nct_id: 'NCT900',
+      raw_text: 'ALT or AST > 2 × ULN',
+      conditions: [
+        { ANALYTE: 'ALT', COMPARATOR: '>', VALUE: 2, UNIT: 'xULN' },
+        { ANALYTE: 'AST', COMPARATOR: '>', VALUE: 2, UNIT: 'xULN' },
+      ],
+      LOGICAL_OPERATOR: 'OR',
+      EXCLUSION_STRENGTH: 'mandatory_exclude',
+    };
+    const creatinineExclusion = {
+      id: 'LAB_901',
+      nct_id: 'NCT900',
+      raw_text: 'Serum creatinine > 1.5 mg/dL',
+      ANALYTE: 'CREATININE',
+      COMPARATOR: '>',
+      VALUE: 1.5,
+      UNIT: 'mg/dL',
+      EXCLUSION_STRENGTH: 'mandatory_exclude',
+    };
+
+    it('should compare ×ULN thresholds exactly when the patient gives the lab ULN', async () => {
+      const result = await matcher.evaluateCriterion(
+        liverExclusion,
+        { responses: { LAB: { ALT: { value: 120, unit: 'U/L', upperLimit: 50 } } } },
+        'LAB'
+      );
+
+      expect(result.matches).toBe(true);
+      expect(result.confidence).toBe(1.0);
+      expect(result.causesIneligibility()).toBe(true);
+    });
+
+    it('should fall back to the configured ULN with directMatch confidence', async () => {
+      const result = await matcher.evaluateCriterion(
+        liverExclusion,
+        { responses: { LAB: { ALT: { value: 60, unit: 'U/L' }, AST: { value: 30, unit: 'U/L' } } } },
+        'LAB'
+      );
+
+      expect(result.matches).toBe(false);
+      expect(result.confidence).toBe(0.95);
+      expect(result.confidenceReason).toMatch(/after unit conversion/);
+    });
+
+    it('should convert µmol/L to mg/dL', async () => {
+      const high = await matcher.evaluateCriterion(
+        creatinineExclusion,
+        { responses: { LAB: { CREATININE: { value: 150, unit: 'umol/L' } } } },
+        'LAB'
+      );
+      const same = await matcher.evaluateCriterion(
+        creatinineExclusion,
+        { responses: { LAB: { CREATININE: { value: 1.1, unit: 'mg/dL' } } } },
+        'LAB'
+      );
+
+      expect(high.matches).toBe(true);
+      expect(high.confidence).toBe(0.95);
+      expect(high.patientValue).toMatch(/150 umol\/L \(1\.7 mg\/dL\)/);
+      expect(same.matches).toBe(false);
+      expect(same.confidence).toBe(1.0);
+    });
+
+    it('should report missing lab values', async () => {
+      const result = await matcher.evaluateCriterion(creatinineExclusion, { responses: {} }, 'LAB');
+
+      expect(result.matches).toBe(false);
+      expect(result.confidence).toBe(0.5);
+      expect(result.confidenceReason).toMatch(/Missing patient data for CREATININE/);
+    });
+  });
+
+  describe('evaluateVaccination - VAC cluster', () => {
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const liveVaccineExclusion = {
+      id: 'VAC_900',
+      nct_id: 'NCT900',
+      raw_text: 'Live vaccine within 4 weeks of baseline',
+      VACCINE_TYPE: 'live',
+      TIMEFRAME: { relation: 'within', amount: 4, unit: 'weeks', reference: 'baseline' },
+      EXCLUSION_STRENGTH: 'mandatory_exclude',
+    };
+
+    it('should exclude a live vaccine inside the window', async () => {
+      const result = await matcher.evaluateCriterion(
+        liveVaccineExclusion,
+        { responses: { VAC: [{ VACCINE_NAME: 'MMR', VACCINE_DATE: daysAgo(10) }] } },
+        'VAC'
+      );
+
+      expect(result.matches).toBe(true);
+      expect(result.confidence).toBe(1.0);
+      expect(result.causesIneligibility()).toBe(true);
+    });
+
+    it('should ignore non-live vaccines and live vaccines outside the window', async () => {
+      const result = await matcher.evaluateCriterion(
+        liveVaccineExclusion,
+        {
+          responses: {
+            VAC: [
+              { VACCINE_NAME: 'Shingrix', VACCINE_DATE: daysAgo(3) },
+              { VACCINE_NAME: 'yellow fever', VACCINE_DATE: daysAgo(60) },
+            ],
+          },
+        },
+        'VAC'
+      );
+
+      expect(result.matches).toBe(false);
+      expect(result.confidence).toBe(1.0);
+    });
+
+    it('should count planned live vaccines', async () => {
+      const result = await matcher.evaluateCriterion(
+        liveVaccineExclusion,
+        { responses: { VAC: [{ VACCINE_NAME: 'varivax', VACCINE_DATE: daysAgo(-14) }] } },
+        'VAC'
+      );
+
+      expect(result.matches).toBe(true);
+      expect(result.patientValue).toMatch(/planned in 14 days/);
+    });
+
+    it('should lower confidence for vaccines missing from the catalog', async () => {
+      const unknown = await matcher.evaluateCriterion(
+        liveVaccineExclusion,
+        { responses: { VAC: [{ VACCINE_NAME: 'Experimental X', VACCINE_DATE: daysAgo(5) }] } },
+        'VAC'
+      );
+      const missing = await matcher.evaluateCriterion(liveVaccineExclusion, { responses: {} }, 'VAC');
+
+      expect(unknown.matches).toBe(false);
+      expect(unknown.confidence).toBe(0.8);
+      expect(unknown.confidenceReason).toMatch(/not in vaccine catalog/);
+      expect(missing.confidence).toBe(0.5);
+    });
+  });
+
+  describe('Criterion logic - CMB, AIC, FLR and PTH', () => {
+    const evaluate = (cluster, criterion, responses) =>
+      matcher.evaluateCriterion({ nct_id: 'NCT900', EXCLUSION_STRENGTH: 'mandatory_exclude', ...criterion }, { responses }, cluster);
+
+    it('should require every element of an AND criterion', async () => {
+      const criterion = {
+        id: 'CMB_901',
+        raw_text: 'Peripheral artery disease with stroke',
+        CONDITION_TYPE: ['peripheral artery disease', 'stroke'],
+        LOGICAL_OPERATOR: 'AND',
+      };
+
+      const partial = await evaluate('CMB', criterion, { CMB: [{ CONDITION_TYPE: ['stroke'] }] });
+      expect(partial.matches).toBe(false);
+      expect(partial.confidenceReason).toMatch(/AND: patient reports stroke but not peripheral artery disease/);
+
+      const both = await evaluate('CMB', criterion, {
+        CMB: [{ CONDITION_TYPE: ['stroke'] }, { CONDITION_TYPE: ['peripheral artery disease'] }],
+      });
+      expect(both.matches).toBe(true);
+      expect(both.confidenceReason).toMatch(/AND: every listed element reported/);
+    });
+
+    it('should carve exceptions out of a match', async () => {
+      const criterion = {
+        id: 'CMB_902',
+        raw_text: 'Active malignancy or history of malignancy within 5 years EXCEPT treated basal cell carcinoma',
+        CONDITION_TYPE: ['malignancy', 'basal cell carcinoma'],
+        CONDITION_PATTERN: ['active', 'history within 5 years'],
+        LOGICAL_OPERATOR: 'EXCEPT',
+      };
+
+      const excepted = await evaluate('CMB', criterion, {
+        CMB: [{ CONDITION_TYPE: ['basal cell carcinoma'], CONDITION_PATTERN: ['history'] }],
+      });
+      expect(excepted.matches).toBe(false);
+      expect(excepted.confidenceReason).toMatch(/Exception: "basal cell carcinoma" is carved out by "treated basal cell carcinoma"/);
+
+      const malignancy = await evaluate('CMB', criterion, {
+        CMB: [{ CONDITION_TYPE: ['malignancy'], CONDITION_PATTERN: ['history'] }],
+      });
+      expect(malignancy.matches).toBe(true);
+    });
+
+    it('should check current vs history against the patient pattern', async () => {
+      const criterion = {
+        id: 'AIC_901',
+        raw_text: 'Current active tuberculosis',
+        CONDITION_TYPE: ['tuberculosis'],
+        CONDITION_PATTERN: ['current'],
+      };
+
+      const past = await evaluate('AIC', criterion, {
+        AIC: [{ INFECTION_TYPE: ['tuberculosis'], INFECTION_PATTERN: ['history'] }],
+      });
+      expect(past.matches).toBe(false);
+      expect(past.confidenceReason).toMatch(/Pattern: criterion requires current "tuberculosis", patient reports history/);
+
+      const active = await evaluate('AIC', criterion, {
+        AIC: [{ INFECTION_TYPE: ['tuberculosis'], INFECTION_PATTERN: ['current'] }],
+      });
+      expect(active.matches).toBe(true);
+      expect(active.confidenceReason).toMatch(/Pattern: criterion requires current, patient reports current/);
+    });
+
+    it('should match flare history entries on CONDITION_TYPE logic', async () => {
+      const criterion = {
+        id: 'FLR_901',
+        raw_text: 'Current use of drugs that can aggravate psoriasis',
+        CONDITION_TYPE: ['lithium'],
+        CONDITION_PATTERN: ['current use'],
+      };
+
+      const result = await evaluate('FLR', criterion, {
+        FLR: [{ CONDITION_TYPE: ['lithium'], CONDITION_PATTERN: ['past use'] }],
+      });
+      expect(result.matches).toBe(false);
+      expect(result.confidenceReason).toMatch(/^No match\. Pattern:/);
+    });
+
+    it('should honor TREATMENT_PATTERN and treatment exceptions', async () => {
+      const planned = {
+        id: 'PTH_901',
+        raw_text: 'Expected to receive phototherapy or systemic therapy other than investigational medication during the trial',
+        conditions: [{
+          TREATMENT_TYPE: ['phototherapy', 'adalimumab'],
+          TREATMENT_PATTERN: ['expected to receive'],
+          EXCEPTION: 'excluding investigational medication',
+        }],
+      };
+      const pastUse = await evaluate('PTH', planned, {
+        PTH: [{ TREATMENT_TYPE: ['adalimumab'], TREATMENT_PATTERN: ['used previously'] }],
+      });
+      expect(pastUse.matches).toBe(false);
+      expect(pastUse.confidenceReason).toMatch(/Pattern: criterion requires planned use of "adalimumab"/);
+
+      const biologics = {
+        id: 'PTH_902',
+        raw_text: 'Ever received biologic agents, except for those targeting TNFα',
+        conditions: [{
+          TREATMENT_TYPE: ['biologic agents'],
+          TREATMENT_PATTERN: ['biologic'],
+          EXCEPTION_CONDITION: { treatment: 'TNFα inhibitors', makes_eligible: true },
+        }],
+      };
+      const tnf = await evaluate('PTH', biologics, { PTH: [{ TREATMENT_TYPE: ['adalimumab'] }] });
+      expect(tnf.matches).toBe(false);
+      expect(tnf.confidenceReason).toMatch(/Exception: "adalimumab" is carved out/);
+    });
+  });
+
+  describe('Conditional exclusions', () => {
+    const conditionalDatabase = {
+      CLUSTER_CMB: {
+        cluster_code: 'CMB',
+        criteria: [{
+          id: 'CMB_950',
+          nct_id: 'NCT950',
+          raw_text: 'History of malignancy unless deemed cured with no evidence of recurrence for ≥ 3 years',
+          CONDITION_TYPE: ['malignancy'],
+          CONDITION_PATTERN: ['history'],
+          EXCLUSION_STRENGTH: 'conditional_exclude',
+          EXCLUSION_CONDITION: { type: 'resolved', text: 'deemed cured with no evidence of recurrence for ≥ 3 years' },
+        }],
+      },
+    };
+    const evaluate = (entry) => new ClinicalTrialMatcher(conditionalDatabase)
+      .evaluateTrial('NCT950', { responses: { CMB: [{ CONDITION_TYPE: ['malignancy'], ...entry }] } });
+
+    it('should waive the exclusion when the answers meet the condition', async () => {
+      const result = await evaluate({ CONDITION_PATTERN: ['history'], TIMEFRAME: { relation: 'within', amount: 5, unit: 'years' } });
+
+      expect(result.status).toBe('eligible');
+      expect(result.matchedCriteria[0].isWaived()).toBe(true);
+      expect(result.matchedCriteria[0].confidenceReason).toMatch(/met, exclusion waived/);
+    });
+
+    it('should exclude when the answers show the condition is not met', async () => {
+      const result = await evaluate({ CONDITION_PATTERN: ['current'] });
+
+      expect(result.status).toBe('ineligible');
+      expect(result.getMatchedExclusions()).toHaveLength(1);
+    });
+
+    it('should send the trial to review when the condition cannot be settled', async () => {
+      const result = await evaluate({ CONDITION_PATTERN: ['history'] });
+
+      expect(result.status).toBe('needs_review');
+      expect(result.flaggedCriteria).toHaveLength(1);
+      expect(result.flaggedCriteria[0].confidenceReason).toMatch(/cannot be settled, needs review \(Time since the last episode was not reported\)/);
+    });
+  });
+
+  describe('Insufficient information', () => {
+    const unknownDatabase = {
+      metadata: {
+        clusters: [
+          { code: 'AGE', primary_question: 'How old are you?' },
+          { code: 'LAB', primary_question: 'Do you have recent lab results?' },
+        ],
+      },
+      CLUSTER_AGE: {
+        cluster_code: 'AGE',
+        criteria: [{ id: 'AGE_960', nct_id: 'NCT960', raw_text: 'Age 18 to 75 years', AGE_MIN: 18, AGE_MAX: 75, EXCLUSION_STRENGTH: 'inclusion' }],
+      },
+      CLUSTER_LAB: {
+        cluster_code: 'LAB',
+        criteria: [{
+          id: 'LAB_960',
+          nct_id: 'NCT960',
+          raw_text: 'ALT > 2 × ULN or eGFR < 30',
+          LOGICAL_OPERATOR: 'OR',
+          conditions: [
+            { ANALYTE: 'ALT', COMPARATOR: '>', VALUE: 2, UNIT: '× ULN' },
+            { ANALYTE: 'eGFR', COMPARATOR: '<', VALUE: 30, UNIT: 'mL/min/1.73m²' },
+          ],
+          EXCLUSION_STRENGTH: 'exclusion',
+        }],
+      },
+    };
+    const evaluate = (response) => new ClinicalTrialMatcher(unknownDatabase).evaluateTrial('NCT960', response);
+
+    it('should list the questions that would settle a trial with missing answers', async () => {
+      const result = await evaluate({ responses: { AGE: { age: 40 } } });
+
+      expect(result.status).toBe('insufficient_information');
+      expect(result.getIneligibilityCriteria()).toHaveLength(0);
+      expect(result.getOpenQuestions()).toEqual([
+        { question: 'Do you have recent lab results?', items: ['ALT', 'eGFR'], criteria: ['LAB_960'] },
+      ]);
+    });
+
+    it('should not let a missing answer fail an inclusion', async () => {
+      const result = await evaluate({ responses: { LAB: { eGFR: { value: 90 }, ALT: { value: 20, upperLimit: 40 } } } });
+
+      expect(result.status).toBe('insufficient_information');
+      expect(result.matchedCriteria.find((c) => c.criterionId === 'AGE_960')).toMatchObject({ unknown: true, question: 'How old are you?' });
+    });
+
+    it('should still rule a trial out on a known answer', async () => {
+      const result = await evaluate({ responses: { AGE: { age: 16 } } });
+
+      expect(result.status).toBe('ineligible');
+    });
+
+    it('should report "I don\'t know" answers as the patient value', async () => {
+      const result = await evaluate({ responses: { AGE: { age: 40 } }, unknownAnswers: ['LAB'] });
+
+      expect(result.matchedCriteria.find((c) => c.criterionId === 'LAB_960').patientValue).toBe('Patient answered "I don\'t know"');
+    });
+
+    it('should sort trials with open questions into their own group', async () => {
+      const results = await new ClinicalTrialMatcher(unknownDatabase).matchPatient({ responses: { AGE: { age: 40 } } });
+
+      expect(results.insufficientInformationTrials.map((t) => t.nctId)).toEqual(['NCT960']);
+      expect(results.getSummary().insufficientInformation).toBe(1);
+    });
+  });
+
+  describe('planNextQuestion - adaptive screening', () => {
+    const adaptiveDatabase = {
+      CLUSTER_AGE: {
+        cluster_code: 'AGE',
+        criteria: [
+          { id: 'AGE_970', nct_id: 'NCT970', raw_text: 'Age 18 to 75 years', AGE_MIN: 18, AGE_MAX: 75, EXCLUSION_STRENGTH: 'inclusion' },
+          { id: 'AGE_971', nct_id: 'NCT971', raw_text: 'Age 18 to 65 years', AGE_MIN: 18, AGE_MAX: 65, EXCLUSION_STRENGTH: 'inclusion' },
+        ],
+      },
+      CLUSTER_PTH: {
+        cluster_code: 'PTH',
+        criteria: [{ id: 'PTH_970', nct_id: 'NCT970', raw_text: 'Prior adalimumab', TREATMENT_TYPE: ['adalimumab'], EXCLUSION_STRENGTH: 'exclusion' }],
+      },
+      CLUSTER_CPD: {
+        cluster_code: 'CPD',
+        criteria: [{ id: 'CPD_971', nct_id: 'NCT971', raw_text: 'Psoriasis for ≥ 6 months', DURATION_MIN: 6, DURATION_UNIT: 'months', EXCLUSION_STRENGTH: 'inclusion' }],
+      },
+    };
+    const plan = (responses, options) => new ClinicalTrialMatcher(adaptiveDatabase)
+      .planNextQuestion({ responses }, { askableClusters: ['PTH', 'AGE', 'CPD'], ...options });
+
+    it('should ask the cluster that settles the most undecided criteria first', async () => {
+      const result = await plan({});
+
+      expect(result.undecidedByCluster).toEqual({ PTH: 1, AGE: 2, CPD: 1 });
+      expect(result.nextCluster).toBe('AGE');
+      expect(result.done).toBe(false);
+    });
+
+    it('should skip clusters no candidate trial depends on', async () => {
+      const result = await plan({ AGE: { age: 70 } }, { answeredClusters: ['AGE'] });
+
+      expect(result.ruledOut).toEqual(['NCT971']);
+      expect(result.candidateTrials).toEqual(['NCT970']);
+      expect(result.nextCluster).toBe('PTH');
+      expect(result.skippedClusters).toEqual(['CPD']);
+    });
+
+    it('should stop once every trial is decided', async () => {
+      const result = await plan({ AGE: { age: 16 } }, { answeredClusters: ['AGE'] });
+
+      expect(result.candidateTrials).toEqual([]);
+      expect(result.nextCluster).toBeNull();
+      expect(result.done).toBe(true);
+    });
+
+    it('should only re-evaluate the candidate trials it is given', async () => {
+      const result = await plan({ AGE: { age: 40 } }, { answeredClusters: ['AGE'], candidateTrials: ['NCT971'] });
+
+      expect(result.undecidedByCluster).toEqual({ PTH: 0, CPD: 1 });
+      expect(result.nextCluster).toBe('CPD');
+    });
+  });
+
+  describe('Dated answers and planned visits', () => {
+    const washout = {
+      id: 'PTH_990',
+      nct_id: 'NCT990',
+      raw_text: 'Methotrexate within 12 weeks prior to first dose',
+      TREATMENT_TYPE: ['methotrexate'],
+      TIMEFRAME: { relation: 'within', amount: 12, unit: 'weeks', reference: 'prior to first dose' },
+      EXCLUSION_STRENGTH: 'exclusion',
+    };
+    const stoppedMethotrexate = [{ TREATMENT_TYPE: ['methotrexate'], START_DATE: '2025-03-01', STOP_DATE: '2026-01-05' }];
+
+    it('should measure a treatment window from the planned first dose, not from today', async () => {
+      const beforeBaseline = await matcher.evaluateCriterion(
+        washout,
+        { responses: { PTH: stoppedMethotrexate }, timeline: { screeningDate: '2026-03-02', baselineDate: '2026-03-23' } },
+        'PTH'
+      );
+      const pastWindow = await matcher.evaluateCriterion(
+        washout,
+        { responses: { PTH: stoppedMethotrexate }, timeline: { screeningDate: '2026-03-30', baselineDate: '2026-04-13' } },
+        'PTH'
+      );
+
+      expect(beforeBaseline.matches).toBe(true);
+      expect(pastWindow.matches).toBe(false);
+    });
+
+    it('should count a treatment without a stop date as ongoing at the visit', async () => {
+      const result = await matcher.evaluateCriterion(
+        washout,
+        { responses: { PTH: [{ TREATMENT_TYPE: ['methotrexate'], START_DATE: '2020-01-01' }] }, timeline: { screeningDate: '2030-01-01' } },
+        'PTH'
+      );
+
+      expect(result.matches).toBe(true);
+    });
+
+    it('should work out disease duration from the diagnosis date at screening', async () => {
+      const durationCriterion = { id: 'CPD_990', nct_id: 'NCT990', raw_text: 'Psoriasis for ≥ 6 months', DURATION_MIN: 6, DURATION_UNIT: 'months', EXCLUSION_STRENGTH: 'inclusion' };
+      const evaluate = (screeningDate) => matcher.evaluateCriterion(
+        durationCriterion,
+        { responses: { CPD: { duration: null, unit: 'months', DIAGNOSIS_DATE: '2025-10-01' } }, timeline: { screeningDate } },
+        'CPD'
+      );
+
+      expect((await evaluate('2026-03-01')).matches).toBe(false);
+      expect((await evaluate('2026-05-01')).matches).toBe(true);
+    });
+
+    it('should count vaccination windows from the planned visit', async () => {
+      const criterion = {
+        id: 'VAC_990',
+        nct_id: 'NCT990',
+        raw_text: 'Live vaccine within 4 weeks of baseline',
+        VACCINE_TYPE: 'live',
+        TIMEFRAME: { relation: 'within', amount: 4, unit: 'weeks', reference: 'baseline' },
+        EXCLUSION_STRENGTH: 'mandatory_exclude',
+      };
+      const result = await matcher.evaluateCriterion(
+        criterion,
+        { responses: { VAC: [{ VACCINE_NAME: 'MMR', VACCINE_DATE: '2026-01-10' }] }, timeline: { baselineDate: '2026-01-24' } },
+        'VAC'
+      );
+
+      expect(result.matches).toBe(true);
+    });
+  });
+
+  describe('Shared evaluations and short-circuiting', () => {
+    const sharedDatabase = {
+      CLUSTER_AGE: {
+        cluster_code: 'AGE',
+        criteria: [
+          { id: 'AGE_980', nct_id: 'NCT980', raw_text: 'Age 18 to 65 years', AGE_MIN: 18, AGE_MAX: 65, EXCLUSION_STRENGTH: 'inclusion' },
+          { id: 'AGE_981', nct_id: 'NCT981', raw_text: 'Age 18 to 80 years', AGE_MIN: 18, AGE_MAX: 80, EXCLUSION_STRENGTH: 'inclusion' },
+        ],
+      },
+      CLUSTER_PTH: {
+        cluster_code: 'PTH',
+        criteria: [
+          { id: 'PTH_980', nct_id: 'NCT980', raw_text: 'Prior zeta inhibitor', TREATMENT_TYPE: ['zeta inhibitor'], EXCLUSION_STRENGTH: 'exclusion' },
+          { id: 'PTH_981', nct_id: 'NCT981', raw_text: 'Prior zeta inhibitor', TREATMENT_TYPE: ['zeta inhibitor'], EXCLUSION_STRENGTH: 'exclusion' },
+          { id: 'PTH_982', nct_id: 'NCT982', raw_text: 'Prior zeta inhibitor', TREATMENT_TYPE: ['zeta inhibitor'], EXCLUSION_STRENGTH: 'exclusion' },
+        ],
+      },
+    };
+    const patient = { responses: { AGE: { age: 70 }, PTH: [{ TREATMENT_TYPE: ['zetamab'] }] } };
+    const createAIMatcher = () => {
+      const aiClient = {
+        semanticMatch: vi.fn().mockResolvedValue({ matches: true, confidence: 0.95, reasoning: 'zetamab is a zeta inhibitor' }),
+      };
+      return { aiClient, aiMatcher: new ClinicalTrialMatcher(sharedDatabase, null, { aiClient }) };
+    };
+
+    it('should evaluate identical criteria of different trials once per patient', async () => {
+      const { aiClient, aiMatcher } = createAIMatcher();
+
+      const results = await aiMatcher.matchPatient(patient, { shortCircuit: false });
+      const pthResults = [...results.needsReviewTrials, ...results.ineligibleTrials]
+        .flatMap((trial) => trial.matchedCriteria)
+        .filter((criterion) => criterion.clusterCode === 'PTH');
+
+      expect(aiClient.semanticMatch).toHaveBeenCalledTimes(1);
+      expect(pthResults).toHaveLength(3);
+      expect(pthResults.every((criterion) => criterion.matches)).toBe(true);
+      expect(pthResults.map((criterion) => criterion.reviewPayload.criterionId).sort()).toEqual(['PTH_980', 'PTH_981', 'PTH_982']);
+    });
+
+    it('should give the same per-criterion results as evaluating each trial alone', async () => {
+      const alone = await matcher.evaluateTrial('NCT001', { responses: { AGE: { age: 30 }, BMI: { bmi: 22 }, CMB: [] } });
+      const shared = await matcher.matchPatient({ responses: { AGE: { age: 30 }, BMI: { bmi: 22 }, CMB: [] } }, { shortCircuit: false });
+      const sharedTrial = [...shared.eligibleTrials, ...shared.needsReviewTrials, ...shared.ineligibleTrials, ...shared.insufficientInformationTrials]
+        .find((trial) => trial.nctId === 'NCT001');
+
+      expect(sharedTrial.matchedCriteria.map((c) => c.toJSON())).toEqual(alone.matchedCriteria.map((c) => c.toJSON()));
+    });
+
+    it('should skip the remaining criteria of a trial a cheap criterion rules out', async () => {
+      const { aiClient, aiMatcher } = createAIMatcher();
+
+      const results = await aiMatcher.matchPatient({ responses: { AGE: { age: 70 }, PTH: [] } }, { shortCircuit: true });
+      const ruledOut = results.ineligibleTrials.find((trial) => trial.nctId === 'NCT980');
+
+      expect(ruledOut.matchedCriteria.map((c) => c.criterionId)).toEqual(['AGE_980']);
+      expect(ruledOut.skippedCriteria).toEqual(['PTH_980']);
+      expect(ruledOut.toJSON().skippedCriteria).toEqual(['PTH_980']);
+      expect(aiClient.semanticMatch).not.toHaveBeenCalled();
+    });
+
+    it('should keep every criterion of ruled-out trials unless short-circuiting is asked for', async () => {
+      const trials = (results) => results.getAllTrials()
+        .sort((a, b) => a.nctId.localeCompare(b.nctId))
+        .map((trial) => ({ nctId: trial.nctId, criteria: trial.matchedCriteria.map((c) => c.toJSON()) }));
+
+      const byDefault = await matcher.matchPatient({ responses: { AGE: { age: 12 } } });
+      const full = await matcher.matchPatient({ responses: { AGE: { age: 12 } } }, { shortCircuit: false });
+      const shortCircuited = await matcher.matchPatient({ responses: { AGE: { age: 12 } } }, { shortCircuit: true });
+
+      expect(trials(byDefault)).toEqual(trials(full));
+      expect(byDefault.getAllTrials().every((trial) => trial.skippedCriteria.length === 0)).toBe(true);
+
+      // Short-circuited trials keep a subset of the same per-criterion results
+      const fullById = new Map(trials(full).map((trial) => [trial.nctId, trial.criteria]));
+      const skipped = shortCircuited.getAllTrials().filter((trial) => trial.skippedCriteria.length > 0);
+      expect(skipped.length).toBeGreaterThan(0);
+      for (const { nctId, criteria } of trials(shortCircuited)) {
+        for (const criterion of criteria) {
+          expect(fullById.get(nctId)).toContainEqual(criterion);
+        }
+      }
+    });
+
+    it('should evaluate every criterion of trials the cheap criteria do not rule out', async () => {
+      const { aiMatcher } = createAIMatcher();
+
+      const results = await aiMatcher.matchPatient({ responses: { AGE: { age: 40 }, PTH: [] } }, { shortCircuit: true });
+      const trial = results.eligibleTrials.find((t) => t.nctId === 'NCT980');
+
+      expect(trial.matchedCriteria.map((c) => c.criterionId)).toEqual(['AGE_980', 'PTH_980']);
+      expect(trial.skippedCriteria).toEqual([]);
+    });
+  });
+
+  describe('Eligible after washout', () => {
+    const washoutDatabase = {
+      CLUSTER_AGE: {
+        cluster_code: 'AGE',
+        criteria: [
+          { id: 'AGE_970', nct_id: 'NCT970', raw_text: 'Age 18 to 65 years', AGE_MIN: 18, AGE_MAX: 65, EXCLUSION_STRENGTH: 'inclusion' },
+          { id: 'AGE_971', nct_id: 'NCT971', raw_text: 'Age 18 to 65 years', AGE_MIN: 18, AGE_MAX: 65, EXCLUSION_STRENGTH: 'inclusion' },
+        ],
+      },
+      CLUSTER_PTH: {
+        cluster_code: 'PTH',
+        criteria: [
+          {
+            id: 'PTH_970',
+            nct_id: 'NCT970',
+            raw_text: 'Methotrexate within 4 weeks of baseline',
+            TREATMENT_TYPE: ['methotrexate'],
+            TIMEFRAME: { relation: 'within', amount: 4, unit: 'weeks', reference: 'baseline' },
+            EXCLUSION_STRENGTH: 'exclusion',
+          },
+          { id: 'PTH_971', nct_id: 'NCT971', raw_text: 'Prior methotrexate', TREATMENT_TYPE: ['methotrexate'], EXCLUSION_STRENGTH: 'exclusion' },
+        ],
+      },
+      CLUSTER_VAC: {
+        cluster_code: 'VAC',
+        criteria: [
+          {
+            id: 'VAC_970',
+            nct_id: 'NCT970',
+            raw_text: 'Live vaccine within 8 weeks of screening',
+            VACCINE_TYPE: 'live',
+            TIMEFRAME: { relation: 'within', amount: 8, unit: 'weeks', reference: 'screening' },
+            EXCLUSION_STRENGTH: 'exclusion',
+          },
+        ],
+      },
+    };
+    const washoutMatcher = new ClinicalTrialMatcher(washoutDatabase);
+    const timeline = { screeningDate: '2026-03-02', baselineDate: '2026-03-16' };
+
+    it('should give the earliest visits at which a time-limited exclusion no longer applies', async () => {
+      const results = await washoutMatcher.matchPatient({
+        responses: { AGE: { age: 40 }, PTH: [{ TREATMENT_TYPE: ['methotrexate'], START_DATE: '2025-06-01', STOP_DATE: '2026-03-01' }], VAC: [] },
+        timeline,
+      });
+      const trial = results.eligibleAfterWashoutTrials[0];
+
+      expect(results.eligibleAfterWashoutTrials.map((t) => t.nctId)).toEqual(['NCT970']);
+      expect(trial.status).toBe('eligible_after_washout');
+      // Stopped 2026-03-01: the 4-week window is clear 29 days later, on 2026-03-30
+      expect(trial.washout).toEqual({
+        screeningDate: '2026-03-16',
+        baselineDate: '2026-03-30',
+        blockingCriteria: ['PTH_970'],
+        statusAfterWashout: 'eligible',
+      });
+      expect(trial.getIneligibilityCriteria().map((c) => c.criterionId)).toEqual(['PTH_970']);
+      expect(results.ineligibleTrials.map((t) => t.nctId)).toEqual(['NCT971']);
+      expect(results.getSummary().eligibleAfterWashout).toBe(1);
+    });
+
+    it('should wait for the last of several time-limited exclusions', async () => {
+      const results = await washoutMatcher.matchPatient({
+        responses: {
+          AGE: { age: 40 },
+          PTH: [{ TREATMENT_TYPE: ['methotrexate'], START_DATE: '2025-06-01', STOP_DATE: '2026-03-01' }],
+          VAC: [{ VACCINE_NAME: 'MMR', VACCINE_DATE: '2026-02-20' }],
+        },
+        timeline,
+      });
+      const trial = results.eligibleAfterWashoutTrials.find((t) => t.nctId === 'NCT970');
+
+      // The live vaccine given 2026-02-20 stays within 8 weeks of screening until 2026-04-17
+      expect(trial.washout.screeningDate).toBe('2026-04-18');
+      expect(trial.washout.blockingCriteria.sort()).toEqual(['PTH_970', 'VAC_970']);
+    });
+
+    it('should keep trials ineligible when waiting does not help', async () => {
+      const ongoing = await washoutMatcher.matchPatient({
+        responses: { AGE: { age: 40 }, PTH: [{ TREATMENT_TYPE: ['methotrexate'], START_DATE: '2025-06-01' }] },
+        timeline,
+      });
+      const tooOld = await washoutMatcher.matchPatient({
+        responses: { AGE: { age: 70 }, PTH: [{ TREATMENT_TYPE: ['methotrexate'], START_DATE: '2025-06-01', STOP_DATE: '2026-03-01' }] },
+        timeline,
+      });
+
+      expect(ongoing.eligibleAfterWashoutTrials).toEqual([]);
+      expect(tooOld.eligibleAfterWashoutTrials).toEqual([]);
+      expect(tooOld.ineligibleTrials.map((t) => t.nctId).sort()).toEqual(['NCT970', 'NCT971']);
+    });
+
+    it('should leave evaluateTrial results ineligible unless asked for a washout plan', async () => {
+      const patient = {
+        responses: { AGE: { age: 40 }, PTH: [{ TREATMENT_TYPE: ['methotrexate'], START_DATE: '2025-06-01', STOP_DATE: '2026-03-01' }] },
+        timeline,
+      };
+
+      expect((await washoutMatcher.evaluateTrial('NCT970', patient)).status).toBe('ineligible');
+      expect((await washoutMatcher.evaluateTrial('NCT970', patient, { washout: true })).washout.screeningDate).toBe('2026-03-16');
+    });
+  });
+
+  describe('Half-life windows', () => {
+    const halfLifeDatabase = {
+      CLUSTER_PTH: {
+        cluster_code: 'PTH',
+        criteria: [
+          {
+            id: 'PTH_980',
+            nct_id: 'NCT980',
+            raw_text: 'Biologic or systemic therapy within 12 weeks or 5 half-lives (whichever is longer) of baseline',
+            TREATMENT_TYPE: ['ustekinumab', 'methotrexate'],
+            TIMEFRAME: { relation: 'within', amount: '12 weeks OR 5 half-lives', comparison: 'whichever is longer', reference: 'baseline' },
+            EXCLUSION_STRENGTH: 'exclusion',
+          },
+        ],
+      },
+    };
+    const halfLifeMatcher = new ClinicalTrialMatcher(halfLifeDatabase);
+    const timeline = { screeningDate: '2026-03-02', baselineDate: '2026-03-16' };
+    const stoppedOn = (drug, date) => ({
+      responses: { PTH: [{ TREATMENT_TYPE: [drug], START_DATE: '2025-01-01', STOP_DATE: date }] },
+      timeline,
+    });
+
+    it('should size the window from the half-life of the patient\'s drug', async () => {
+      // Stopped 14 weeks before baseline: inside ustekinumab's 5 x 21 days, outside the 12 weeks for methotrexate
+      const ustekinumab = await halfLifeMatcher.evaluateTrial('NCT980', stoppedOn('Stelara', '2025-12-08'));
+      const methotrexate = await halfLifeMatcher.evaluateTrial('NCT980', stoppedOn('methotrexate', '2025-12-08'));
+
+      expect(ustekinumab.status).toBe('ineligible');
+      expect(methotrexate.status).toBe('eligible');
+    });
+
+    it('should plan the washout from the half-life window', async () => {
+      const result = await halfLifeMatcher.evaluateTrial('NCT980', stoppedOn('ustekinumab', '2025-12-08'), { washout: true });
+
+      // The 105-day window after 2025-12-08 is clear on 2026-03-24
+      expect(result.washout).toMatchObject({ baselineDate: '2026-03-24', statusAfterWashout: 'eligible' });
+    });
+  });
+
+  describe('Treatment response and prior-drug counts', () => {
+    const outcomeDatabase = {
+      CLUSTER_PTH: {
+        cluster_code: 'PTH',
+        criteria: [
+          {
+            id: 'PTH_990',
+            nct_id: 'NCT990',
+            raw_text: 'Inadequate response or intolerance to at least one TNF inhibitor',
+            conditions: [{
+              TREATMENT_TYPE: ['TNF inhibitor'],
+              TREATMENT_RESPONSE: ['inadequate_response', 'intolerance'],
+              TREATMENT_COUNT: { comparator: '>=', value: 1 },
+            }],
+            EXCLUSION_STRENGTH: 'inclusion',
+          },
+          {
+            id: 'PTH_991',
+            nct_id: 'NCT991',
+            raw_text: 'More than 2 prior biologics',
+            conditions: [{ TREATMENT_TYPE: ['biologic'], TREATMENT_COUNT: { comparator: '>', value: 2 } }],
+            EXCLUSION_STRENGTH: 'exclusion',
+          },
+        ],
+      },
+    };
+    const outcomeMatcher = new ClinicalTrialMatcher(outcomeDatabase);
+    const patient = (...treatments) => ({ responses: { PTH: treatments } });
+    const used = (drug, extra = {}) => ({ TREATMENT_TYPE: [drug], TREATMENT_PATTERN: ['used previously'], ...extra });
+
+    it('should evaluate response-based inclusions without AI', async () => {
+      const intolerant = await outcomeMatcher.evaluateTrial('NCT990', patient(used('Humira', { STOP_REASON: 'side_effects' })));
+      const responder = await outcomeMatcher.evaluateTrial('NCT990', patient(used('Humira', { TREATMENT_RESPONSE: 'good_response' })));
+      const unreported = await outcomeMatcher.evaluateTrial('NCT990', patient(used('Humira')));
+
+      expect(intolerant.status).toBe('eligible');
+      expect(intolerant.matchedCriteria[0].matchMethod).toBe('treatment_outcome');
+      expect(responder.status).toBe('ineligible');
+      expect(unreported.status).toBe('insufficient_information');
+    });
+
+    it('should count distinct prior biologics', async () => {
+      const two = await outcomeMatcher.evaluateTrial('NCT991', patient(used('Humira'), used('adalimumab'), used('Cosentyx'), used('methotrexate')));
+      const three = await outcomeMatcher.evaluateTrial('NCT991', patient(used('Humira'), used('Cosentyx'), used('Stelara')));
+
+      expect(two.status).toBe('eligible');
+      expect(three.status).toBe('ineligible');
+    });
+  });
+
+  describe('Route and dose', () => {
+    const dosingDatabase = {
+      CLUSTER_PTH: {
+        cluster_code: 'PTH',
+        criteria: [
+          {
+            id: 'PTH_1000',
+            nct_id: 'NCT1000',
+            raw_text: 'Systemic corticosteroids within 4 weeks of baseline (topical corticosteroids permitted)',
+            conditions: [{
+              TREATMENT_TYPE: ['prednisone'],
+              TREATMENT_PATTERN: ['ongoing'],
+              ROUTE: ['systemic'],
+              PERMITTED: { ROUTE: ['topical'] },
+            }],
+            EXCLUSION_STRENGTH: 'exclusion',
+          },
+          {
+            id: 'PTH_1001',
+            nct_id: 'NCT1001',
+            raw_text: 'Stable dose of MTX ≤ 25 mg/week for at least 8 weeks',
+            conditions: [{
+              TREATMENT_TYPE: ['methotrexate'],
+              DOSE: { comparator: '<=', value: 25, unit: 'mg/week' },
+              STABLE_DURATION: { relation: 'at least', amount: 8, unit: 'weeks' },
+            }],
+            EXCLUSION_STRENGTH: 'inclusion',
+          },
+        ],
+      },
+    };
+    const dosingMatcher = new ClinicalTrialMatcher(dosingDatabase);
+    const patient = (...treatments) => ({ responses: { PTH: treatments } });
+    const ongoing = (drug, extra = {}) => ({ TREATMENT_TYPE: [drug], TREATMENT_PATTERN: ['ongoing'], ONGOING: true, ...extra });
+
+    it('should not exclude for a permitted route', async () => {
+      const topical = await dosingMatcher.evaluateTrial('NCT1000', patient(ongoing('prednisone', { ROUTE: 'topical' })));
+      const oral = await dosingMatcher.evaluateTrial('NCT1000', patient(ongoing('prednisone', { ROUTE: 'oral' })));
+      const unreported = await dosingMatcher.evaluateTrial('NCT1000', patient(ongoing('prednisone')));
+
+      expect(topical.status).toBe('eligible');
+      expect(oral.status).toBe('ineligible');
+      expect(unreported.status).toBe('insufficient_information');
+    });
+
+    it('should check dose and time on a stable dose', async () => {
+      const stable = ongoing('methotrexate', {
+        DOSE: { amount: 15, unit: 'mg' }, FREQUENCY: 'weekly', STABLE_DURATION: { amount: 10, unit: 'weeks' },
+      });
+      const high = { ...stable, DOSE: { amount: 30, unit: 'mg' } };
+      const past = { ...stable, TREATMENT_PATTERN: ['used previously'], ONGOING: false };
+
+      expect((await dosingMatcher.evaluateTrial('NCT1001', patient(stable))).status).toBe('eligible');
+      expect((await dosingMatcher.evaluateTrial('NCT1001', patient(high))).status).toBe('ineligible');
+      expect((await dosingMatcher.evaluateTrial('NCT1001', patient(past))).status).toBe('ineligible');
+    });
+  });
+
+  describe('Psoriatic arthritis', () => {
+    const psaDatabase = {
+      CLUSTER_AAO: {
+        cluster_code: 'AAO',
+        criteria: [
+          {
+            id: 'AAO_1010',
+            nct_id: 'NCT1010',
+            raw_text: '≥3 tender and ≥3 swollen joints, fulfilling the CASPAR criteria',
+            conditions: [
+              { MEASUREMENT: 'TJC', COMPARATOR: '>=', VALUE: 3, UNIT: 'joints', TIMEPOINT: null },
+              { MEASUREMENT: 'SJC', COMPARATOR: '>=', VALUE: 3, UNIT: 'joints', TIMEPOINT: null },
+            ],
+            LOGICAL_OPERATOR: 'AND',
+            PSA_FEATURES: { CASPAR: true },
+            EXCLUSION_STRENGTH: 'inclusion',
+          },
+          {
+            id: 'AAO_1011',
+            nct_id: 'NCT1011',
+            raw_text: 'Axial involvement',
+            PSA_FEATURES: { AXIAL: true },
+            EXCLUSION_STRENGTH: 'mandatory_exclude',
+          },
+        ],
+      },
+    };
+    const psaMatcher = new ClinicalTrialMatcher(psaDatabase);
+    const patient = (psa) => ({ responses: { PSA: psa } });
+    const active = {
+      TJC: { value: 6, joints: 68 },
+      SJC: { value: 4, joints: 66 },
+      CASPAR: { value: 4, met: true },
+      AXIAL: { present: false },
+    };
+
+    it('should match joint counts and CASPAR together', async () => {
+      const eligible = await psaMatcher.evaluateTrial('NCT1010', patient(active));
+      const fewJoints = await psaMatcher.evaluateTrial('NCT1010', patient({ ...active, SJC: { value: 1, joints: 66 } }));
+      const unclassified = await psaMatcher.evaluateTrial('NCT1010', patient({ ...active, CASPAR: null }));
+
+      expect(eligible.status).toBe('eligible');
+      expect(fewJoints.status).toBe('ineligible');
+      expect(unclassified.status).toBe('insufficient_information');
+    });
+
+    it('should exclude on PsA features', async () => {
+      const peripheral = await psaMatcher.evaluateTrial('NCT1011', patient(active));
+      const axial = await psaMatcher.evaluateTrial('NCT1011', patient({ ...active, AXIAL: { present: true } }));
+
+      expect(peripheral.status).toBe('eligible');
+      expect(axial.status).toBe('ineligible');
+    });
+  });
+
+  describe('Calculated scores', () => {
+    const scoreDatabase = {
+      CLUSTER_SEV: {
+        cluster_code: 'SEV',
+        criteria: [
+          {
+            id: 'SEV_1030',
+            nct_id: 'NCT1030',
+            raw_text: 'PASI ≥ 12 and DLQI > 10',
+            conditions: [
+              { MEASUREMENT: 'PASI', COMPARATOR: '>=', VALUE: 12, UNIT: null, TIMEPOINT: null },
+              { MEASUREMENT: 'DLQI', COMPARATOR: '>', VALUE: 10, UNIT: null, TIMEPOINT: null },
+            ],
+            LOGICAL_OPERATOR: 'AND',
+            EXCLUSION_STRENGTH: 'inclusion',
+          },
+        ],
+      },
+    };
+    const scoreMatcher = new ClinicalTrialMatcher(scoreDatabase);
+
+    it('should evaluate calculated scores like recorded ones and mark them in the reason', async () => {
+      const result = await scoreMatcher.evaluateTrial('NCT1030', {
+        responses: { SEV: { PASI: { value: 14.2, calculated: true }, DLQI: 12 } },
+      });
+      const short = await scoreMatcher.evaluateTrial('NCT1030', {
+        responses: { SEV: { PASI: { value: 9.6, calculated: true }, DLQI: 12 } },
+      });
+
+      expect(result.status).toBe('eligible');
+      expect(result.matchedCriteria[0].patientValue).toBe('PASI: 14.2 (calculated), DLQI: 12');
+      expect(short.status).toBe('ineligible');
+    });
+  });
+
+  describe('Site-specific scores', () => {
+    const siteDatabase = {
+      CLUSTER_SEV: {
+        cluster_code: 'SEV',
+        criteria: [
+          { id: 'SEV_1040', nct_id: 'NCT1040', raw_text: 'Nail psoriasis with NAPSI ≥ 20', EXCLUSION_STRENGTH: 'inclusion' },
+          { id: 'SEV_1041', nct_id: 'NCT1041', raw_text: 'ppPASI ≥ 12 at baseline', EXCLUSION_STRENGTH: 'inclusion' },
+        ],
+      },
+      CLUSTER_AAO: {
+        cluster_code: 'AAO',
+        criteria: [
+          { id: 'AAO_1042', nct_id: 'NCT1042', raw_text: 'Scalp psoriasis with ss-IGA ≥ 3', EXCLUSION_STRENGTH: 'inclusion' },
+        ],
+      },
+    };
+    const siteMatcher = new ClinicalTrialMatcher(siteDatabase);
+
+    it('should parse and evaluate nail score thresholds from raw text', async () => {
+      const eligible = await siteMatcher.evaluateTrial('NCT1040', { responses: { SEV: { NAPSI: 24 } } });
+      const below = await siteMatcher.evaluateTrial('NCT1040', { responses: { SEV: { NAPSI: 12 } } });
+
+      expect(eligible.status).toBe('eligible');
+      expect(eligible.matchedCriteria[0].patientValue).toBe('NAPSI: 24');
+      expect(below.status).toBe('ineligible');
+    });
+
+    it('should not read a ppPASI threshold as a PASI one', async () => {
+      const result = await siteMatcher.evaluateTrial('NCT1041', { responses: { SEV: { PASI: 20 } } });
+      const scored = await siteMatcher.evaluateTrial('NCT1041', { responses: { SEV: { PASI: 20, PPPASI: 14 } } });
+
+      expect(result.status).toBe('insufficient_information');
+      expect(scored.status).toBe('eligible');
+    });
+
+    it('should evaluate scalp scores in AAO criteria', async () => {
+      const eligible = await siteMatcher.evaluateTrial('NCT1042', { responses: { SEV: { SS_IGA: 3, IGA: 1 } } });
+      const clearScalp = await siteMatcher.evaluateTrial('NCT1042', { responses: { SEV: { SS_IGA: 1, IGA: 4 } } });
+
+      expect(eligible.status).toBe('eligible');
+      expect(clearScalp.status).toBe('ineligible');
+    });
+  });
+
+  describe('Body regions', () => {
+    const regionDatabase = {
+      CLUSTER_AAO: {
+        cluster_code: 'AAO',
+        criteria: [
+          {
+            id: 'AAO_1020',
+            nct_id: 'NCT1020',
+            raw_text: 'Pustules on the palms of the hands and/or soles of the feet',
+            ANATOMICAL_LOCATION: ['palms', 'hands', 'soles', 'feet'],
+            EXCLUSION_STRENGTH: 'inclusion',
+          },
+          {
+            id: 'AAO_1021',
+            nct_id: 'NCT1021',
+            raw_text: 'Skin lesions exclusively on the face, scalp or nails',
+            ANATOMICAL_LOCATION: ['face', 'scalp', 'nails'],
+            EXCLUSION_STRENGTH: 'mandatory_exclude',
+          },
+        ],
+      },
+    };
+    const regionMatcher = new ClinicalTrialMatcher(regionDatabase);
+    const patient = (regions) => ({ responses: { AAO: { ANATOMICAL_LOCATION: regions } } });
+
+    it('should match special-area inclusions on marked regions', async () => {
+      expect((await regionMatcher.evaluateTrial('NCT1020', patient(['trunk', 'soles']))).status).toBe('eligible');
+      expect((await regionMatcher.evaluateTrial('NCT1020', patient(['hands', 'trunk']))).status).toBe('ineligible');
+      expect((await regionMatcher.evaluateTrial('NCT1020', patient([]))).status).toBe('insufficient_information');
+    });
+
+    it('should exclude only patients whose disease is limited to the named regions', async () => {
+      expect((await regionMatcher.evaluateTrial('NCT1021', patient(['scalp', 'nails']))).status).toBe('ineligible');
+      expect((await regionMatcher.evaluateTrial('NCT1021', patient(['scalp', 'trunk']))).status).toBe('eligible');
+    });
+  });
+
+  describe('injected AI client', () => {
+    it('should use options.aiClient for semantic condition matching', async () => {
+      const aiClient = {
+        semanticMatch: vi.fn().mockResolvedValue({ match: true, confidence: 0.85, reasoning: 'Myelodysplastic syndrome is a malignancy' }),
+      };
+      const aiMatcher = new ClinicalTrialMatcher(mockDatabase, null, { aiClient });
+
+      const result = await aiMatcher.evaluateCriterion(
+        mockDatabase.CLUSTER_CMB.criteria[0],
+        { responses: { CMB: [{ CONDITION_TYPE: ['myelodysplastic syndrome'] }] } },
+        'CMB'
+      );
+
+      expect(aiClient.semanticMatch).toHaveBeenCalled();
+      expect(result.matches).toBe(true);
+      expect(result.requiresAI).toBe(true);
+    });
+  });
 });
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import {
+  findBodyRegions,
+  resolveBodyRegion,
+  getRequiredRegions,
+  checkBodyRegions,
+} from '../../services/matcher/anatomicalLocation.js';
+
+describe('anatomicalLocation', () => {
+  describe('findBodyRegions', () => {
+    it('should find regions by name and mapped synonym', () => {
+      expect(findBodyRegions('Palmar or plantar pustules')).toEqual(['palms', 'soles']);
+      expect(findBodyRegions('Psoriasis of the fingernails and scalp')).toEqual(['scalp', 'nails']);
+    });
+
+    it('should read "palms of the hands" as the palms alone', () => {
+      expect(findBodyRegions('Pustules on the palms of the hands and/or soles of the feet')).toEqual(['palms', 'soles']);
+    });
+
+    it('should leave out regions a criterion excludes', () => {
+      expect(findBodyRegions('Plaques covering 2% to 20% (excluding the scalp, palms and soles)')).toEqual([]);
+      expect(findBodyRegions('Lesions on the trunk (face and scalp are not counted)')).toEqual(['trunk']);
+    });
+
+    it('should not read "surface" as the face', () => {
+      expect(findBodyRegions('Body surface area')).toEqual([]);
+    });
+  });
+
+  describe('resolveBodyRegion', () => {
+    it('should resolve slot values to body-map regions', () => {
+      expect(resolveBodyRegion('genital')).toBe('genitals');
+      expect(resolveBodyRegion('heart')).toBeNull();
+    });
+  });
+
+  describe('getRequiredRegions', () => {
+    it('should read required regions and "only" wording', () => {
+      expect(getRequiredRegions({ raw_text: 'Plaque psoriasis limited to the scalp' })).toEqual({ regions: ['scalp'], only: true });
+      expect(getRequiredRegions({ raw_text: 'Nail psoriasis involvement' })).toEqual({ regions: ['nails'], only: false });
+    });
+
+    it('should set no requirement for scores, alternatives or text not about the disease', () => {
+      expect(getRequiredRegions({ raw_text: 'PASI ≥ 12 with facial involvement' })).toBeNull();
+      expect(getRequiredRegions({ raw_text: 'At least one of the following: genital involvement, nail psoriasis' })).toBeNull();
+      expect(getRequiredRegions({ raw_text: 'Onychomycosis of the nail' })).toBeNull();
+    });
+
+    it('should fall back to ANATOMICAL_LOCATION slots without raw text', () => {
+      expect(getRequiredRegions({ ANATOMICAL_LOCATION: ['palmar', 'skin'] })).toEqual({ regions: ['palms'], only: false });
+    });
+  });
+
+  describe('checkBodyRegions', () => {
+    it('should need any required region, or only required regions for "only"', () => {
+      expect(checkBodyRegions({ regions: ['palms', 'soles'], only: false }, ['trunk', 'soles']).met).toBe(true);
+      expect(checkBodyRegions({ regions: ['scalp'], only: true }, ['scalp', 'trunk']).met).toBe(false);
+      expect(checkBodyRegions({ regions: ['scalp'], only: false }, []).met).toBeNull();
+    });
+  });
+});
@@ -204,4 +204,83 @@ describe('BackendClient', () => {
       expect(result).toBe(false);
     });
   });
+
+  describe('trials', () => {
+    it('should fetch trials filtered by status', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ trials: [], count: 0 })
+      });
+
+      const result = await client.getTrials('RECRUITING');
+
+      expect(result.count).toBe(0);
+      expect(fetch).toHaveBeenCalledWith(
+        'http://localhost:3001/api/trials?status=RECRUITING',
+        expect.any(Object)
+      );
+    });
+
+    it('should throw backend error for unknown trial', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: false,
+        json: () => Promise.resolve({ error: 'Trial not found' })
+      });
+
+      await expect(client.getTrial('NCT999')).rejects.toThrow('Trial not found');
+    });
+  });
+
+  describe('drug pharmacokinetics', () => {
+    it('should save half-life and washout with PUT to the drug', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ drug: { drugName: 'ustekinumab', halfLifeDays: 19, washoutWeeks: 24 } })
+      });
+
+      const result = await client.updateDrugPharmacokinetics('ustekinumab', { halfLifeDays: 19, washoutWeeks: null });
+
+      expect(result.drug.halfLifeDays).toBe(19);
+      expect(fetch).toHaveBeenCalledWith(
+        'http://localhost:3001/api/admin/drugs/ustekinumab/pharmacokinetics',
+        expect.objectContaining({ method: 'PUT', body: JSON.stringify({ halfLifeDays: 19, washoutWeeks: null }) })
+      );
+    });
+
+    it('should throw backend error for invalid values', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: false,
+        json: () => Promise.resolve({ error: 'halfLifeDays must be a positive number or null' })
+      });
+
+      await expect(client.updateDrugPharmacokinetics('ustekinumab', { halfLifeDays: -1 }))
+        .rejects.toThrow('halfLifeDays must be a positive number or null');
+    });
+  });
+
+  describe('screening sessions', () => {
+    it('should save progress with PUT to the session code', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ code: 'AB12-CD34-EF56', currentCluster: 3 })
+      });
+
+      const result = await client.updateScreeningSession('AB12-CD34-EF56', { currentCluster: 3 });
+
+      expect(result.currentCluster).toBe(3);
+      expect(fetch).toHaveBeenCalledWith(
+        'http://localhost:3001/api/sessions/AB12-CD34-EF56',
+        expect.objectContaining({ method: 'PUT', body: JSON.stringify({ currentCluster: 3 }) })
+      );
+    });
+
+    it('should throw backend error for unknown session', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: false,
+        json: () => Promise.resolve({ error: 'Screening session not found' })
+      });
+
+      await expect(client.getScreeningSession('0000-0000-0000')).rejects.toThrow('Screening session not found');
+    });
+  });
 });
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { getExclusionCondition, resolveExclusionCondition } from '../../services/matcher/conditionalExclusion.js';
+
+describe('getExclusionCondition', () => {
+  it('prefers the EXCLUSION_CONDITION slot', () => {
+    const condition = getExclusionCondition({
+      raw_text: 'Lithium within 2 weeks, unless dose has been stable for 3 months',
+      EXCLUSION_CONDITION: { type: 'stable', text: 'dose has been stable for 3 months' },
+    });
+
+    expect(condition).toEqual({
+      type: 'stable',
+      text: 'dose has been stable for 3 months',
+      TIMEFRAME: { relation: 'at least', amount: 3, unit: 'months' },
+    });
+  });
+
+  it('reads "unless" clauses and treatment exceptions', () => {
+    expect(getExclusionCondition({ raw_text: 'Live vaccine within 4 weeks unless approved by the investigator.' }))
+      .toMatchObject({ type: 'investigator_approval', text: 'approved by the investigator' });
+    expect(getExclusionCondition({ raw_text: 'Joint infection (unless prosthesis removed ≥2 months before randomization).' }))
+      .toMatchObject({ type: 'resolved', TIMEFRAME: { amount: 2, unit: 'months' } });
+    expect(getExclusionCondition({
+      raw_text: 'Prior exposure to a non-TNFi biologic',
+      conditions: [{ EXCEPTION_CONDITION: { treatment: 'TYK2i', condition: 'prior exposure acceptable' } }],
+    })).toMatchObject({ type: 'treatment_exception', text: 'TYK2i: prior exposure acceptable' });
+    expect(getExclusionCondition({ raw_text: 'History of malignancy' })).toBeNull();
+  });
+});
+
+describe('resolveExclusionCondition', () => {
+  const stable = { type: 'stable', text: 'stable for 3 months', TIMEFRAME: { relation: 'at least', amount: 3, unit: 'months' } };
+  const resolved = { type: 'resolved', text: 'cured for ≥ 3 years', TIMEFRAME: { relation: 'at least', amount: 3, unit: 'years' } };
+
+  it('settles stable-dose conditions from STABLE_DURATION', () => {
+    expect(resolveExclusionCondition(stable, [{ STABLE_DURATION: { amount: 20, unit: 'weeks' } }]).status).toBe('met');
+    expect(resolveExclusionCondition(stable, [{ STABLE_DURATION: { amount: 4, unit: 'weeks' } }]).status).toBe('not_met');
+    expect(resolveExclusionCondition(stable, [{}]).status).toBe('unresolved');
+  });
+
+  it('settles resolved conditions from pattern and time since the last episode', () => {
+    expect(resolveExclusionCondition(resolved, [{ CONDITION_PATTERN: ['history'], TIMEFRAME: { amount: 5, unit: 'years' } }]).status)
+      .toBe('met');
+    expect(resolveExclusionCondition(resolved, [{ CONDITION_PATTERN: ['current'] }]).status).toBe('not_met');
+    expect(resolveExclusionCondition(resolved, [{ CONDITION_PATTERN: ['history'] }]).status).toBe('unresolved');
+  });
+
+  it('measures time since a dated episode from the planned screening visit', () => {
+    const episode = [{ CONDITION_PATTERN: ['history'], START_DATE: '2020-01-01', STOP_DATE: '2023-06-01' }];
+
+    expect(resolveExclusionCondition(resolved, episode, { screeningDate: '2026-03-01' }).status).toBe('not_met');
+    expect(resolveExclusionCondition(resolved, episode, { screeningDate: '2026-09-01' }).status).toBe('met');
+  });
+
+  it('leaves investigator approval and unmodelled conditions for review', () => {
+    expect(resolveExclusionCondition({ type: 'investigator_approval', text: 'approved' }).status).toBe('unresolved');
+    expect(resolveExclusionCondition(null).status).toBe('unresolved');
+  });
+});
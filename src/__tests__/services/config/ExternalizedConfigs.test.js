@@ -10,6 +10,7 @@ import {
   getConfidenceByMatchType,
   getTimeConversions,
   getMeasurementTypes,
+  getMeasurementRange,
   getClusterConfig,
   isAIEnabledForCluster,
   // Medical Synonyms
@@ -129,6 +130,23 @@ describe('Externalized Configs', () => {
       const types = getMeasurementTypes('UNKNOWN_CLUSTER');
       expect(types).toEqual([]);
     });
+
+    it('should include nail, scalp and palmoplantar scores', () => {
+      expect(getMeasurementTypes('SEV')).toEqual(expect.arrayContaining(['NAPSI', 'PSSI', 'PPPASI', 'SS_IGA']));
+      expect(getMeasurementTypes('AAO')).toEqual(expect.arrayContaining(['NAPSI', 'PSSI', 'PPPASI', 'SS_IGA']));
+    });
+  });
+
+  describe('Matching Rules - Measurement Ranges', () => {
+    it('should return the valid range and body areas of a measurement', () => {
+      expect(getMeasurementRange('NAPSI')).toMatchObject({ min: 0, max: 160, regions: ['nails'] });
+      expect(getMeasurementRange('pssi')).toMatchObject({ min: 0, max: 72, regions: ['scalp'] });
+      expect(getMeasurementRange('PASI')).toMatchObject({ min: 0, max: 72 });
+    });
+
+    it('should return null for an unknown measurement', () => {
+      expect(getMeasurementRange('UNKNOWN')).toBeNull();
+    });
   });
 
   describe('Matching Rules - Cluster Config', () => {
@@ -1,7 +1,7 @@
 /**
  * Tests for RulesLoader service
  */
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import {
   getDrugClasses,
   getDrugs,
@@ -10,7 +10,11 @@ import {
   getDrugsByClass,
   getDrugClass,
   clearCache,
-  getMetadata
+  getMetadata,
+  getDrugPharmacokinetics,
+  setDrugPharmacokineticsOverrides,
+  setMatchingRules,
+  getConfidenceByMatchType
 } from '../../../services/config/RulesLoader.js';
 
 describe('RulesLoader', () => {
@@ -118,6 +122,44 @@ describe('RulesLoader', () => {
     });
   });
 
+  describe('getDrugPharmacokinetics', () => {
+    afterEach(() => {
+      setDrugPharmacokineticsOverrides({});
+    });
+
+    it('should return catalog half-life and washout', () => {
+      expect(getDrugPharmacokinetics('ustekinumab')).toEqual({ halfLifeDays: 21, washoutWeeks: 24 });
+    });
+
+    it('should find drugs by alias', () => {
+      expect(getDrugPharmacokinetics('Stelara')).toEqual(getDrugPharmacokinetics('ustekinumab'));
+    });
+
+    it('should return null for unknown drugs', () => {
+      expect(getDrugPharmacokinetics('unknowndrug123')).toBeNull();
+      expect(getDrugPharmacokinetics(null)).toBeNull();
+    });
+
+    it('should apply admin overrides over the catalog', () => {
+      setDrugPharmacokineticsOverrides({ Ustekinumab: { halfLifeDays: 19, washoutWeeks: null } });
+      expect(getDrugPharmacokinetics('stelara')).toEqual({ halfLifeDays: 19, washoutWeeks: 24 });
+    });
+  });
+
+  describe('setMatchingRules', () => {
+    afterEach(() => {
+      setMatchingRules(null);
+    });
+
+    it('should replace the bundled matching rules until reset', () => {
+      setMatchingRules({ confidenceThresholds: { byMatchType: { exactMatch: 0.4 } } });
+      expect(getConfidenceByMatchType('exactMatch')).toBe(0.4);
+
+      setMatchingRules(null);
+      expect(getConfidenceByMatchType('exactMatch')).toBe(1.0);
+    });
+  });
+
   describe('getMetadata', () => {
     it('should return metadata object', () => {
       const meta = getMetadata();
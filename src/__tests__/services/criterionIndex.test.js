@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { compileCriterionIndex, getCriterionSignature } from '../../services/matcher/criterionIndex.js';
+
+describe('getCriterionSignature', () => {
+  it('ignores criterion identity, strength and slot order', () => {
+    const a = { id: 'AGE_1', nct_id: 'NCT1', AGE_MIN: 18, AGE_MAX: 65, EXCLUSION_STRENGTH: 'inclusion', raw_text: 'Age 18-65' };
+    const b = { AGE_MAX: 65, AGE_MIN: 18, id: 'AGE_2', nct_id: 'NCT2', EXCLUSION_STRENGTH: 'exclusion', raw_text: 'Aged 18 to 65' };
+
+    expect(getCriterionSignature(a, 'AGE')).toBe(getCriterionSignature(b, 'AGE'));
+    expect(getCriterionSignature(a, 'AGE')).not.toBe(getCriterionSignature({ ...a, AGE_MAX: 75 }, 'AGE'));
+  });
+
+  it('keeps raw text for clusters whose evaluation reads it', () => {
+    const a = { TREATMENT_TYPE: ['TNF inhibitor'], raw_text: 'Prior TNF inhibitor' };
+    const b = { TREATMENT_TYPE: ['TNF inhibitor'], raw_text: 'Prior TNF inhibitor except etanercept' };
+
+    expect(getCriterionSignature(a, 'PTH')).not.toBe(getCriterionSignature(b, 'PTH'));
+  });
+});
+
+describe('compileCriterionIndex', () => {
+  const database = {
+    metadata: { clusters: [{ code: 'AGE', primary_question: 'How old are you?' }] },
+    CLUSTER_AGE: {
+      cluster_code: 'AGE',
+      criteria: [
+        { id: 'AGE_1', nct_id: 'NCT1', AGE_MIN: 18, EXCLUSION_STRENGTH: 'inclusion' },
+        { id: 'AGE_2', nct_id: 'NCT2', AGE_MIN: 18, EXCLUSION_STRENGTH: 'inclusion' },
+      ],
+    },
+  };
+
+  it('indexes criteria by trial and by signature', () => {
+    const index = compileCriterionIndex(database);
+
+    expect([...index.trials.keys()]).toEqual(['NCT1', 'NCT2']);
+    expect(index.bySignature.size).toBe(1);
+    expect([...index.bySignature.values()][0].map((c) => c.id)).toEqual(['AGE_1', 'AGE_2']);
+    expect(index.clusterQuestions.get('AGE')).toBe('How old are you?');
+  });
+
+  it('compiles each database once', () => {
+    expect(compileCriterionIndex(database)).toBe(compileCriterionIndex(database));
+    expect(compileCriterionIndex({ ...database })).not.toBe(compileCriterionIndex(database));
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getLogicalOperator,
+  getPatternClasses,
+  checkPattern,
+  getExceptions,
+  findException,
+} from '../../services/matcher/criterionLogic.js';
+
+describe('getLogicalOperator', () => {
+  it('reads AND and treats everything else as OR', () => {
+    expect(getLogicalOperator({ LOGICAL_OPERATOR: 'AND' })).toBe('AND');
+    expect(getLogicalOperator({ LOGICAL_OPERATOR: 'EXCEPT' })).toBe('OR');
+    expect(getLogicalOperator({})).toBe('OR');
+  });
+});
+
+describe('checkPattern', () => {
+  it('classifies pattern wording', () => {
+    expect(getPatternClasses(['currently taking'])).toEqual(['current']);
+    expect(getPatternClasses(['prior use', 'history within 5 years'])).toEqual(['history']);
+    expect(getPatternClasses(['expected to receive'])).toEqual(['planned']);
+    expect(getPatternClasses(['inactive', 'known'])).toEqual([]);
+  });
+
+  it('lets current occurrences satisfy a history requirement but not the reverse', () => {
+    expect(checkPattern(['history'], ['current']).satisfied).toBe(true);
+    expect(checkPattern(['active'], ['history']).satisfied).toBe(false);
+    expect(checkPattern(['planned use'], ['ongoing']).satisfied).toBe(false);
+  });
+
+  it('does not constrain when either side has no recognizable pattern', () => {
+    expect(checkPattern(['known'], ['current']).satisfied).toBeNull();
+    expect(checkPattern(['history'], []).satisfied).toBeNull();
+  });
+});
+
+describe('getExceptions / findException', () => {
+  it('collects the EXCEPTION slot, eligible EXCEPTION_CONDITION and raw text clauses', () => {
+    expect(getExceptions({ EXCEPTION: 'excluding investigational medication' })).toEqual(['investigational medication']);
+    expect(getExceptions({ EXCEPTION_CONDITION: { treatment: 'TNFα inhibitors', makes_eligible: true } })).toEqual(['TNFα inhibitors']);
+    expect(getExceptions({}, 'History of malignancy except treated non-melanoma skin cancer; or HIV'))
+      .toEqual(['treated non-melanoma skin cancer']);
+  });
+
+  it('matches whole terms only', () => {
+    const exceptions = ['treated basal cell carcinomas or non-melanoma skin cancer'];
+
+    expect(findException(['basal cell carcinoma'], exceptions)).toBe(exceptions[0]);
+    expect(findException(['melanoma'], exceptions)).toBeNull();
+  });
+});
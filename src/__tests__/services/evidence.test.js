@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { getEvidenceTerms, findEvidenceSpans } from '../../services/matcher/evidence.js';
+
+describe('getEvidenceTerms', () => {
+  it('collects slot terms from the criterion and its conditions', () => {
+    const terms = getEvidenceTerms({
+      raw_text: 'Prior treatment with adalimumab',
+      conditions: [{ TREATMENT_TYPE: ['adalimumab', 'Humira'] }],
+    });
+
+    expect(terms).toEqual(['adalimumab', 'Humira']);
+  });
+
+  it('collects numeric thresholds and ranges from the raw text', () => {
+    expect(getEvidenceTerms({ raw_text: 'PASI ≥ 12 and BSA ≥10% at baseline' })).toEqual(['≥ 12', '≥10%']);
+    expect(getEvidenceTerms({ raw_text: 'Aged 18 to 75 years' })).toEqual(['18 to 75 years']);
+    expect(getEvidenceTerms({ raw_text: 'ALT > 2 × ULN' })).toEqual(['> 2 × ULN']);
+  });
+});
+
+describe('findEvidenceSpans', () => {
+  it('highlights every case-insensitive occurrence and keeps the full text', () => {
+    const text = 'History of Tuberculosis or latent tuberculosis infection';
+    const segments = findEvidenceSpans(text, ['tuberculosis']);
+
+    expect(segments.filter((s) => s.highlighted).map((s) => s.text)).toEqual(['Tuberculosis', 'tuberculosis']);
+    expect(segments.map((s) => s.text).join('')).toBe(text);
+  });
+
+  it('merges overlapping terms into one span', () => {
+    const segments = findEvidenceSpans('Active psoriatic arthritis', ['psoriatic', 'psoriatic arthritis']);
+
+    expect(segments).toEqual([
+      { text: 'Active ', highlighted: false },
+      { text: 'psoriatic arthritis', highlighted: true },
+    ]);
+  });
+
+  it('returns the text unhighlighted when no term is found', () => {
+    expect(findEvidenceSpans('No evidence', ['cancer'])).toEqual([{ text: 'No evidence', highlighted: false }]);
+    expect(findEvidenceSpans('', ['cancer'])).toEqual([]);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseLabSlots,
+  isLabCriterion,
+  normalizeLabUnit,
+  convertLabValue,
+  ULN_UNIT,
+} from '../../services/matcher/labThresholds.js';
+import { getLabAnalyteConfig } from '../../services/config/RulesLoader.js';
+
+describe('labThresholds', () => {
+  describe('parseLabSlots', () => {
+    it('should parse a single threshold with its unit', () => {
+      expect(parseLabSlots('Hemoglobin < 10 g/dL at screening').slots).toEqual({
+        ANALYTE: 'HEMOGLOBIN', COMPARATOR: '<', VALUE: 10, UNIT: 'g/dL',
+      });
+      expect(parseLabSlots('eGFR < 60').slots).toEqual({
+        ANALYTE: 'EGFR', COMPARATOR: '<', VALUE: 60, UNIT: null,
+      });
+    });
+
+    it('should share a ×ULN threshold between analytes joined by "or"', () => {
+      expect(parseLabSlots('ALT or AST > 2 × ULN').slots).toEqual({
+        conditions: [
+          { ANALYTE: 'ALT', COMPARATOR: '>', VALUE: 2, UNIT: ULN_UNIT },
+          { ANALYTE: 'AST', COMPARATOR: '>', VALUE: 2, UNIT: ULN_UNIT },
+        ],
+        LOGICAL_OPERATOR: 'OR',
+      });
+    });
+
+    it('should read hemoglobin A1c as HBA1C, not hemoglobin', () => {
+      expect(parseLabSlots('Hemoglobin A1c > 9%').slots).toMatchObject({ ANALYTE: 'HBA1C', VALUE: 9, UNIT: '%' });
+    });
+
+    it('should combine comma lists only when told how', () => {
+      const text = 'Hemoglobin < 9 g/dL, platelets < 100,000/mm3';
+
+      expect(parseLabSlots(text).slots).toBeNull();
+      expect(parseLabSlots(text, { listOperator: 'OR' }).slots).toEqual({
+        conditions: [
+          { ANALYTE: 'HEMOGLOBIN', COMPARATOR: '<', VALUE: 9, UNIT: 'g/dL' },
+          { ANALYTE: 'PLATELETS', COMPARATOR: '<', VALUE: 100000, UNIT: '/mm3' },
+        ],
+        LOGICAL_OPERATOR: 'OR',
+      });
+    });
+
+    it('should report why text could not be parsed', () => {
+      expect(parseLabSlots('History of hepatitis B')).toEqual({ slots: null, reason: 'No known lab analyte mentioned' });
+      expect(parseLabSlots('Abnormal ALT at screening').reason).toBe('No threshold found for ALT');
+    });
+  });
+
+  describe('isLabCriterion', () => {
+    it('should require an analyte and a threshold', () => {
+      expect(isLabCriterion('Serum creatinine > 1.5 mg/dL')).toBe(true);
+      expect(isLabCriterion('Poorly controlled diabetes (HbA1c)')).toBe(false);
+    });
+  });
+
+  describe('normalizeLabUnit', () => {
+    it('should map unit spellings to canonical units', () => {
+      expect(normalizeLabUnit('x ULN')).toBe(ULN_UNIT);
+      expect(normalizeLabUnit('µmol/L')).toBe('umol/L');
+      expect(normalizeLabUnit('x10^9/L')).toBe('10^9/L');
+      expect(normalizeLabUnit('cells/µL')).toBe('/mm3');
+      expect(normalizeLabUnit(null)).toBeNull();
+    });
+  });
+
+  describe('convertLabValue', () => {
+    it('should convert between mass and molar units', () => {
+      expect(convertLabValue(2, 'mg/dL', 'umol/L', getLabAnalyteConfig('CREATININE'))).toBeCloseTo(176.84, 2);
+      expect(convertLabValue(171, 'umol/L', 'mg/dL', getLabAnalyteConfig('BILIRUBIN'))).toBeCloseTo(10, 5);
+    });
+
+    it('should express values as ×ULN using the patient ULN, else the configured range', () => {
+      const alt = getLabAnalyteConfig('ALT');
+
+      expect(convertLabValue(100, 'U/L', ULN_UNIT, alt)).toBe(2.5);
+      expect(convertLabValue(100, 'U/L', ULN_UNIT, alt, 50)).toBe(2);
+      expect(convertLabValue(2, ULN_UNIT, 'U/L', alt)).toBe(80);
+    });
+
+    it('should return null when no conversion is known', () => {
+      expect(convertLabValue(60, 'mL/min/1.73m2', ULN_UNIT, getLabAnalyteConfig('EGFR'))).toBeNull();
+      expect(convertLabValue(1, 'mg/dL', 'g/L', getLabAnalyteConfig('CREATININE'))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseMeasurementSlots,
+  parseTimepoints,
+  hasStructuredThresholds,
+  getStructuredThresholds,
+} from '../../services/matcher/measurementThresholds.js';
+
+describe('measurementThresholds', () => {
+  describe('parseMeasurementSlots', () => {
+    it('should parse a single symbolic threshold into flat slots', () => {
+      const { slots, reason } = parseMeasurementSlots('Static PGA ≥3 at the Screening and Baseline visits;');
+
+      expect(reason).toBeNull();
+      expect(slots).toEqual({
+        MEASUREMENT: 'PGA',
+        COMPARATOR: '>=',
+        VALUE: 3,
+        UNIT: null,
+        TIMEPOINT: ['screening', 'baseline'],
+      });
+    });
+
+    it('should merge a full name with its abbreviation', () => {
+      const { slots } = parseMeasurementSlots('Body Surface Area (BSA) affected by psoriasis ≥10 %');
+
+      expect(slots).toMatchObject({ MEASUREMENT: 'BSA', COMPARATOR: '>=', VALUE: 10, UNIT: '%' });
+    });
+
+    it('should parse several thresholds joined with AND', () => {
+      const { slots } = parseMeasurementSlots('Moderate-to-severe disease at screening/randomization: PASI≥12, sPGA≥3, and BSA≥10%;');
+
+      expect(slots.LOGICAL_OPERATOR).toBe('AND');
+      expect(slots.conditions.map((c) => `${c.MEASUREMENT}${c.COMPARATOR}${c.VALUE}`)).toEqual([
+        'PASI>=12', 'PGA>=3', 'BSA>=10',
+      ]);
+      expect(slots.conditions[0].TIMEPOINT).toEqual(['screening', 'randomization']);
+    });
+
+    it('should turn ranges into a lower and upper bound', () => {
+      const { slots } = parseMeasurementSlots('At screening period: 3 ≤PASI≤ 20, 3%≤BSA≤ 10% and sPGA≥2.');
+
+      expect(slots.conditions.slice(0, 4)).toMatchObject([
+        { MEASUREMENT: 'PASI', COMPARATOR: '>=', VALUE: 3 },
+        { MEASUREMENT: 'PASI', COMPARATOR: '<=', VALUE: 20 },
+        { MEASUREMENT: 'BSA', COMPARATOR: '>=', VALUE: 3 },
+        { MEASUREMENT: 'BSA', COMPARATOR: '<=', VALUE: 10 },
+      ]);
+    });
+
+    it('should read worded thresholds written before the measurement', () => {
+      const { slots } = parseMeasurementSlots('At least 3 swollen joints and at least 3 tender joints at screening');
+
+      expect(slots.conditions).toMatchObject([
+        { MEASUREMENT: 'SJC', COMPARATOR: '>=', VALUE: 3, UNIT: 'joints' },
+        { MEASUREMENT: 'TJC', COMPARATOR: '>=', VALUE: 3, UNIT: 'joints' },
+      ]);
+    });
+
+    it('should read PsA joint counts and indices', () => {
+      const { slots } = parseMeasurementSlots('≥3 tender joints (TJC68) and ≥3 swollen joints (SJC66), and LEI ≥ 1');
+
+      expect(slots.conditions).toMatchObject([
+        { MEASUREMENT: 'TJC', COMPARATOR: '>=', VALUE: 3 },
+        { MEASUREMENT: 'SJC', COMPARATOR: '>=', VALUE: 3 },
+        { MEASUREMENT: 'ENTHESITIS', COMPARATOR: '>=', VALUE: 1 },
+      ]);
+      expect(slots.LOGICAL_OPERATOR).toBe('AND');
+    });
+
+    it('should read nail, scalp and palmoplantar scores without mistaking them for PASI or IGA', () => {
+      expect(parseMeasurementSlots('Fingernail psoriasis with NAPSI ≥ 20').slots)
+        .toMatchObject({ MEASUREMENT: 'NAPSI', COMPARATOR: '>=', VALUE: 20 });
+      expect(parseMeasurementSlots('Scalp psoriasis with ss-IGA ≥ 3 and PSSI ≥ 12').slots.conditions).toMatchObject([
+        { MEASUREMENT: 'SS_IGA', COMPARATOR: '>=', VALUE: 3 },
+        { MEASUREMENT: 'PSSI', COMPARATOR: '>=', VALUE: 12 },
+      ]);
+      expect(parseMeasurementSlots('Palmoplantar Psoriasis Area and Severity Index (ppPASI) ≥ 8').slots)
+        .toMatchObject({ MEASUREMENT: 'PPPASI', COMPARATOR: '>=', VALUE: 8 });
+    });
+
+    it('should detect OR combinations', () => {
+      const { slots } = parseMeasurementSlots('Psoriasis Area and Severity Index (PASI) score is ≥12 or IGA ≥ 3');
+
+      expect(slots.LOGICAL_OPERATOR).toBe('OR');
+    });
+
+    it('should report criteria without a comparator', () => {
+      const { slots, reason } = parseMeasurementSlots('as defined by a PASI score 12 and an sPGA score 3');
+
+      expect(slots).toBeNull();
+      expect(reason).toBe('No threshold found for PASI, PGA');
+    });
+
+    it('should report thresholds that depend on a qualitative finding', () => {
+      const { slots, reason } = parseMeasurementSlots(
+        'PASI score is ≥10 and <12 with at least one of the following: >Clinically relevant genital involvement'
+      );
+
+      expect(slots).toBeNull();
+      expect(reason).toMatch(/qualitative/);
+    });
+
+    it('should report text without a known measurement', () => {
+      expect(parseMeasurementSlots('Excludes participants with scalp only plaques').reason)
+        .toBe('No known measurement mentioned');
+    });
+  });
+
+  describe('parseTimepoints', () => {
+    it('should return null when no visit is named', () => {
+      expect(parseTimepoints('PASI ≥ 12')).toBeNull();
+      expect(parseTimepoints('at screening and Day 1')).toEqual(['screening', 'day 1']);
+    });
+  });
+
+  describe('hasStructuredThresholds / getStructuredThresholds', () => {
+    it('should normalize flat and conditions[] slots to a list', () => {
+      const flat = { MEASUREMENT: 'BSA', COMPARATOR: '>=', VALUE: 10, UNIT: '%' };
+      const grouped = { conditions: [{ MEASUREMENT: 'PASI', COMPARATOR: '>=', VALUE: 12 }] };
+
+      expect(hasStructuredThresholds(flat)).toBe(true);
+      expect(hasStructuredThresholds(grouped)).toBe(true);
+      expect(hasStructuredThresholds({ raw_text: 'PASI ≥ 12' })).toBe(false);
+      expect(getStructuredThresholds(flat)).toEqual([{ ...flat, TIMEPOINT: null }]);
+      expect(getStructuredThresholds(grouped)).toBe(grouped.conditions);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import {
+  scoreCaspar,
+  extractPsaSlots,
+  isPsaCriterion,
+  getPsaFeature,
+  checkPsaFeatures,
+} from '../../services/matcher/psoriaticArthritis.js';
+
+describe('psoriaticArthritis', () => {
+  describe('scoreCaspar', () => {
+    it('should score current psoriasis as 2 and the other items as 1', () => {
+      expect(scoreCaspar({
+        inflammatoryArticularDisease: true,
+        currentPsoriasis: true,
+        psoriasisHistory: true,
+        negativeRF: true,
+      })).toMatchObject({ score: 3, met: true });
+    });
+
+    it('should not classify without inflammatory articular disease', () => {
+      expect(scoreCaspar({ inflammatoryArticularDisease: false, currentPsoriasis: true, negativeRF: true }).met).toBe(false);
+    });
+
+    it('should leave the classification open while unanswered items could reach 3 points', () => {
+      const items = {
+        inflammatoryArticularDisease: true,
+        currentPsoriasis: false,
+        psoriasisHistory: true,
+        familyHistory: false,
+        nailDystrophy: false,
+        negativeRF: null,
+        dactylitis: false,
+        juxtaArticularBone: null,
+      };
+
+      expect(scoreCaspar(items)).toEqual({ score: 1, maxScore: 3, met: null });
+      expect(scoreCaspar({ ...items, juxtaArticularBone: false }).met).toBe(false);
+    });
+
+    it('should return null when nothing was answered', () => {
+      expect(scoreCaspar({ inflammatoryArticularDisease: null })).toBeNull();
+      expect(scoreCaspar(null)).toBeNull();
+    });
+  });
+
+  describe('extractPsaSlots', () => {
+    it('should extract required and excluded features', () => {
+      expect(extractPsaSlots('Fulfils the CASPAR criteria and has no axial involvement')).toEqual({
+        PSA_FEATURES: { CASPAR: true, AXIAL: false },
+      });
+    });
+
+    it('should read "or" between required features', () => {
+      expect(extractPsaSlots('Presence of dactylitis or enthesitis at screening')).toEqual({
+        PSA_FEATURES: { DACTYLITIS: true, ENTHESITIS: true },
+        PSA_FEATURES_OPERATOR: 'OR',
+      });
+      expect(extractPsaSlots('No dactylitis or enthesitis')).toEqual({
+        PSA_FEATURES: { DACTYLITIS: false, ENTHESITIS: false },
+      });
+    });
+
+    it('should leave scored indices to the measurement parser', () => {
+      expect(extractPsaSlots('CASPAR score ≥ 3')).toBeNull();
+    });
+  });
+
+  describe('isPsaCriterion', () => {
+    it('should recognise joint counts and PsA features', () => {
+      expect(isPsaCriterion('≥3 tender and ≥3 swollen joints')).toBe(true);
+      expect(isPsaCriterion('Active enthesitis')).toBe(true);
+      expect(isPsaCriterion('Biologic for psoriatic arthritis within 12 weeks')).toBe(false);
+    });
+  });
+
+  describe('checkPsaFeatures', () => {
+    const psa = {
+      CASPAR: { value: 4, met: true },
+      DACTYLITIS: { present: false, value: 0 },
+      ENTHESITIS: null,
+      AXIAL: { present: true },
+    };
+
+    it('should read feature answers', () => {
+      expect(getPsaFeature(psa, 'CASPAR')).toBe(true);
+      expect(getPsaFeature(psa, 'DACTYLITIS')).toBe(false);
+      expect(getPsaFeature(psa, 'ENTHESITIS')).toBeNull();
+    });
+
+    it('should check each feature, or any one for OR', () => {
+      expect(checkPsaFeatures({ PSA_FEATURES: { CASPAR: true, AXIAL: false } }, psa).map((check) => check.met))
+        .toEqual([true, false]);
+      expect(checkPsaFeatures({ PSA_FEATURES: { DACTYLITIS: true, ENTHESITIS: true }, PSA_FEATURES_OPERATOR: 'OR' }, psa))
+        .toMatchObject([{ name: 'DACTYLITIS/ENTHESITIS', met: null }]);
+    });
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { extractReproductiveSlots, isReproductiveCriterion } from '../../services/matcher/reproductiveCriteria.js';
+
+describe('reproductiveCriteria', () => {
+  describe('extractReproductiveSlots', () => {
+    it('should extract pregnancy and breastfeeding statuses', () => {
+      expect(extractReproductiveSlots('Women who are pregnant, nursing, or planning to become pregnant during the study')).toEqual({
+        REPRODUCTIVE_STATUS: ['planning_pregnancy', 'pregnant', 'breastfeeding'],
+      });
+    });
+
+    it('should mark negative pregnancy tests as negated statuses', () => {
+      expect(extractReproductiveSlots('Female of childbearing potential with a negative pregnancy test at screening')).toEqual({
+        REPRODUCTIVE_STATUS: ['pregnant'],
+        STATUS_NEGATED: true,
+      });
+    });
+
+    it('should extract contraception requirements and the sex they apply to', () => {
+      expect(extractReproductiveSlots('Women of childbearing potential must agree to use highly effective contraception')).toEqual({
+        CONTRACEPTION_REQUIRED: true,
+        CONTRACEPTION_SEX: ['female'],
+      });
+      expect(extractReproductiveSlots('Male participants must agree to use a condom')).toMatchObject({
+        CONTRACEPTION_SEX: ['male'],
+      });
+      expect(extractReproductiveSlots('Participants unwilling to use adequate contraception')).toMatchObject({
+        CONTRACEPTION_SEX: ['female', 'male'],
+        CONTRACEPTION_NEGATED: true,
+      });
+    });
+
+    it('should extract single-sex restrictions only', () => {
+      expect(extractReproductiveSlots('Male aged between 18 to 55 years of age (inclusive)')).toEqual({ SEX: ['male'] });
+      expect(extractReproductiveSlots('Male or female, 18 years and above')).toBeNull();
+    });
+  });
+
+  describe('isReproductiveCriterion', () => {
+    it('should ignore unrelated text', () => {
+      expect(isReproductiveCriterion('History of breast cancer')).toBe(false);
+      expect(isReproductiveCriterion('Pregnant or breastfeeding women')).toBe(true);
+    });
+  });
+});
@@ -92,6 +92,62 @@ describe('Result Classes', () => {
       const json = result.toJSON();
       expect(json).toHaveProperty('criterionId', 'AGE_001');
       expect(json).toHaveProperty('causesIneligibility');
+      expect(json).toHaveProperty('evidenceTerms', []);
+    });
+
+    it('should explain inclusion failures and exclusion hits', () => {
+      const failedInclusion = new CriterionMatchResult({
+        criterionId: 'AGE_001',
+        nctId: 'NCT123',
+        matches: false,
+        exclusionStrength: 'inclusion',
+      });
+      const conditionalHit = new CriterionMatchResult({
+        criterionId: 'CMB_001',
+        nctId: 'NCT123',
+        matches: true,
+        exclusionStrength: 'conditional_exclude',
+      });
+
+      expect(failedInclusion.getDecisionReason()).toMatch(/^Inclusion failure/);
+      expect(conditionalHit.getDecisionReason()).toContain('conditional exclusion');
+      expect(conditionalHit.toJSON().decision).toBe(conditionalHit.getDecisionReason());
+    });
+
+    it('should waive or defer matched conditional exclusions by condition status', () => {
+      const make = (conditionStatus) => new CriterionMatchResult({
+        criterionId: 'CMB_1268',
+        nctId: 'NCT123',
+        matches: true,
+        exclusionStrength: 'conditional_exclude',
+        exclusionCondition: { type: 'resolved', text: 'cured for ≥ 3 years' },
+        conditionStatus,
+      });
+
+      expect(make('not_met').causesIneligibility()).toBe(true);
+      expect(make('met').causesIneligibility()).toBe(false);
+      expect(make('met').isWaived()).toBe(true);
+      expect(make('met').getDecisionReason()).toMatch(/^Exclusion waived/);
+      expect(make('unresolved').causesIneligibility()).toBe(false);
+      expect(make('unresolved').needsConditionReview()).toBe(true);
+      expect(make('unresolved').toJSON().conditionStatus).toBe('unresolved');
+    });
+
+    it('should never decide eligibility from an unknown criterion', () => {
+      const unknownInclusion = new CriterionMatchResult({
+        criterionId: 'LAB_001',
+        nctId: 'NCT123',
+        matches: false,
+        exclusionStrength: 'inclusion',
+        unknown: true,
+        missingInformation: ['ALT'],
+        question: 'Do you have recent lab results?',
+      });
+
+      expect(unknownInclusion.causesIneligibility()).toBe(false);
+      expect(unknownInclusion.getStatus()).toMatch(/^Unknown/);
+      expect(unknownInclusion.getDecisionReason()).toContain('Do you have recent lab results?');
+      expect(unknownInclusion.toJSON()).toMatchObject({ unknown: true, missingInformation: ['ALT'] });
     });
   });
 
@@ -171,6 +227,43 @@ describe('Result Classes', () => {
       expect(json).toHaveProperty('nctId', 'NCT123');
       expect(json).toHaveProperty('status', 'eligible');
       expect(json).toHaveProperty('confidence');
+      expect(json).toHaveProperty('flaggedCriteria', []);
+      expect(json).toHaveProperty('metadata', null);
+    });
+
+    it('should group the open questions of unknown criteria', () => {
+      const unknown = (criterionId, question, missingInformation = []) => new CriterionMatchResult({
+        criterionId, nctId: 'NCT123', matches: false, unknown: true, question, missingInformation,
+      });
+      const result = new TrialEligibilityResult({
+        nctId: 'NCT123',
+        status: 'insufficient_information',
+        matchedCriteria: [
+          ...eligibleCriteria,
+          unknown('LAB_001', 'Do you have recent lab results?', ['ALT']),
+          unknown('LAB_002', 'Do you have recent lab results?', ['ALT', 'eGFR']),
+          unknown('AGE_002', 'How old are you?'),
+        ],
+      });
+
+      expect(result.getOpenQuestions()).toEqual([
+        { question: 'Do you have recent lab results?', items: ['ALT', 'eGFR'], criteria: ['LAB_001', 'LAB_002'] },
+        { question: 'How old are you?', items: [], criteria: ['AGE_002'] },
+      ]);
+      expect(result.toJSON().openQuestions).toHaveLength(2);
+    });
+
+    it('should include trial metadata in JSON and title', () => {
+      const metadata = { nctId: 'NCT123', title: 'Psoriasis Study', phase: 'PHASE2', sites: [] };
+      const result = new TrialEligibilityResult({
+        nctId: 'NCT123',
+        status: 'eligible',
+        matchedCriteria: eligibleCriteria,
+        metadata,
+      });
+
+      expect(result.getTitle()).toBe('Psoriasis Study');
+      expect(result.toJSON().metadata).toEqual(metadata);
     });
   });
 
@@ -211,6 +304,36 @@ describe('Result Classes', () => {
       expect(parseFloat(summary.eligibilityRate)).toBeCloseTo(33.3, 0);
     });
 
+    it('should count trials with insufficient information', () => {
+      const results = new PatientMatchResults({
+        patientResponse: {},
+        eligibleTrials: [
+          new TrialEligibilityResult({ nctId: 'NCT1', status: 'eligible', matchedCriteria: [] }),
+        ],
+        insufficientInformationTrials: [
+          new TrialEligibilityResult({ nctId: 'NCT2', status: 'insufficient_information', matchedCriteria: [] }),
+        ],
+      });
+
+      expect(results.getTotalTrialsEvaluated()).toBe(2);
+      expect(results.getSummary().insufficientInformation).toBe(1);
+      expect(results.toJSON().insufficientInformationTrials[0].nctId).toBe('NCT2');
+    });
+
+    it('should count trials eligible after washout', () => {
+      const washout = { screeningDate: '2026-04-01', baselineDate: '2026-04-15', blockingCriteria: ['PTH_1'], statusAfterWashout: 'eligible' };
+      const results = new PatientMatchResults({
+        patientResponse: {},
+        eligibleAfterWashoutTrials: [
+          new TrialEligibilityResult({ nctId: 'NCT3', status: 'eligible_after_washout', matchedCriteria: [], washout }),
+        ],
+      });
+
+      expect(results.getTotalTrialsEvaluated()).toBe(1);
+      expect(results.getSummary().eligibleAfterWashout).toBe(1);
+      expect(results.toJSON().eligibleAfterWashoutTrials[0].washout).toEqual(washout);
+    });
+
     it('should convert to JSON', () => {
       const results = new PatientMatchResults({
         patientResponse: { AGE: { age: 25 } },
@@ -226,3 +349,121 @@ describe('Result Classes', () => {
     });
   });
 });
+
+describe('Adjudication', () => {
+  const reviewer = { reviewer: 'Dr Lee', comment: 'Checked the chart', adjudicatedAt: '2026-10-19T10:00:00.000Z' };
+
+  const buildTrial = (criteria, status) => new TrialEligibilityResult({
+    nctId: 'NCT9',
+    status,
+    matchedCriteria: criteria,
+    flaggedCriteria: criteria.filter((c) => c.requiresAI),
+    failureReasons: criteria.filter((c) => c.causesIneligibility()).map((c) => c.getFailureReason()),
+  });
+
+  it('should let a met inclusion stop blocking and a met exclusion start blocking', () => {
+    const inclusion = new CriterionMatchResult({ criterionId: 'INC', nctId: 'NCT9', matches: false, exclusionStrength: 'inclusion' });
+    const exclusion = new CriterionMatchResult({ criterionId: 'EXC', nctId: 'NCT9', matches: false });
+
+    inclusion.adjudicate({ decision: 'met', ...reviewer });
+    exclusion.adjudicate({ decision: 'met', ...reviewer });
+
+    expect(inclusion.causesIneligibility()).toBe(false);
+    expect(exclusion.causesIneligibility()).toBe(true);
+    expect(exclusion.getDecisionReason()).toBe(
+      'Adjudicated met by Dr Lee: the patient meets this exclusion criterion, so the trial is ineligible'
+    );
+    expect(exclusion.getAutomaticDecisionReason()).toMatch(/^Exclusion not triggered/);
+  });
+
+  it('should settle unknown criteria and never block when not applicable', () => {
+    const criterion = new CriterionMatchResult({
+      criterionId: 'LAB', nctId: 'NCT9', matches: false, exclusionStrength: 'inclusion', unknown: true,
+    });
+    criterion.adjudicate({ decision: 'not_applicable', ...reviewer });
+
+    expect(criterion.isUnknown()).toBe(false);
+    expect(criterion.causesIneligibility()).toBe(false);
+    expect(criterion.getStatus()).toBe('Adjudicated: not applicable');
+  });
+
+  it('should reject unknown decisions', () => {
+    const criterion = new CriterionMatchResult({ criterionId: 'AGE', nctId: 'NCT9', matches: true });
+    expect(() => criterion.adjudicate({ decision: 'maybe', ...reviewer })).toThrow('Unknown adjudication decision: maybe');
+  });
+
+  it('should recompute the trial status and failure reasons, keeping the automatic status', () => {
+    const age = new CriterionMatchResult({ criterionId: 'AGE', nctId: 'NCT9', matches: true, exclusionStrength: 'inclusion' });
+    const biologic = new CriterionMatchResult({
+      criterionId: 'BIO', nctId: 'NCT9', matches: true, rawText: 'Prior biologic', requiresAI: true, confidence: 0.4,
+    });
+    const trial = buildTrial([age, biologic], 'needs_review');
+
+    expect(trial.adjudicate('BIO', { decision: 'not_met', ...reviewer })).toBe(true);
+    expect(trial.status).toBe('eligible');
+    expect(trial.failureReasons).toEqual([]);
+
+    trial.adjudicate('AGE', { decision: 'not_met', ...reviewer });
+    expect(trial.status).toBe('ineligible');
+    expect(trial.failureReasons).toEqual(['Failed inclusion: AGE']);
+    expect(trial.getFailedInclusions().map((c) => c.criterionId)).toEqual(['AGE']);
+    expect(trial.automaticStatus).toBe('needs_review');
+
+    const json = trial.toJSON();
+    expect(json.automaticStatus).toBe('needs_review');
+    expect(json.adjudicatedCriteria.map((c) => c.adjudication.decision)).toEqual(['not_met', 'not_met']);
+    expect(json.adjudicatedCriteria[0].automaticDecision).toBe('Inclusion requirement met: does not block eligibility');
+
+    trial.adjudicate('AGE', null);
+    expect(trial.status).toBe('eligible');
+    expect(trial.adjudicate('MISSING', { decision: 'met', ...reviewer })).toBe(false);
+  });
+
+  it('should keep a washout trial eligible after washout only while its blockers are the washout ones', () => {
+    const washout = { screeningDate: '2026-04-01', baselineDate: '2026-04-15', blockingCriteria: ['PTH'], statusAfterWashout: 'eligible' };
+    const therapy = new CriterionMatchResult({ criterionId: 'PTH', nctId: 'NCT9', matches: true });
+    const bmi = new CriterionMatchResult({ criterionId: 'BMI', nctId: 'NCT9', matches: true, exclusionStrength: 'inclusion' });
+    const trial = new TrialEligibilityResult({
+      nctId: 'NCT9', status: 'eligible_after_washout', matchedCriteria: [therapy, bmi], washout,
+    });
+
+    trial.adjudicate('PTH', { decision: 'met', ...reviewer });
+    expect(trial.status).toBe('eligible_after_washout');
+
+    trial.adjudicate('BMI', { decision: 'not_met', ...reviewer });
+    expect(trial.status).toBe('ineligible');
+  });
+
+  it('should not call a trial with unevaluated criteria eligible once its cheap blocker is adjudicated', () => {
+    const age = new CriterionMatchResult({ criterionId: 'AGE', nctId: 'NCT9', matches: false, exclusionStrength: 'inclusion' });
+    const trial = new TrialEligibilityResult({
+      nctId: 'NCT9', status: 'ineligible', matchedCriteria: [age], skippedCriteria: ['PTH', 'CMB'],
+    });
+
+    trial.adjudicate('AGE', { decision: 'met', ...reviewer });
+    expect(trial.status).toBe('needs_review');
+
+    trial.adjudicate('AGE', null);
+    expect(trial.status).toBe('ineligible');
+  });
+
+  it('should regroup trials with stored adjudications and report them by trial', () => {
+    const exclusion = new CriterionMatchResult({ criterionId: 'CMB', nctId: 'NCT9', matches: true });
+    const trial = buildTrial([exclusion], 'ineligible');
+    const results = PatientMatchResults.fromTrials({}, [trial]);
+    expect(results.ineligibleTrials).toHaveLength(1);
+
+    const adjudications = { NCT9: { CMB: { decision: 'not_met', ...reviewer } } };
+    const adjudicated = results.withAdjudications(adjudications);
+
+    expect(adjudicated.eligibleTrials.map((t) => t.nctId)).toEqual(['NCT9']);
+    expect(adjudicated.ineligibleTrials).toHaveLength(0);
+    expect(adjudicated.timestamp).toBe(results.timestamp);
+    expect(adjudicated.getAdjudications()).toEqual(adjudications);
+    expect(adjudicated.getSummary().adjudicated).toBe(1);
+    expect(adjudicated.toJSON().adjudications).toEqual(adjudications);
+
+    const cleared = adjudicated.withAdjudications({});
+    expect(cleared.ineligibleTrials.map((t) => t.nctId)).toEqual(['NCT9']);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import {
+  daysBetween,
+  getReferenceDate,
+  hasDates,
+  getPatientTimeframe,
+} from '../../services/matcher/timeline.js';
+
+const timeline = { screeningDate: '2026-03-01', baselineDate: '2026-03-29' };
+
+describe('getReferenceDate', () => {
+  it('counts first dose, Day 1 and randomization windows from baseline, others from screening', () => {
+    expect(getReferenceDate(timeline, { reference: 'prior to first dose' }).toISOString()).toMatch(/^2026-03-29/);
+    expect(getReferenceDate(timeline, { reference: 'Day 1' }).toISOString()).toMatch(/^2026-03-29/);
+    expect(getReferenceDate(timeline, { reference: 'prior to screening' }).toISOString()).toMatch(/^2026-03-01/);
+    expect(getReferenceDate(timeline, null).toISOString()).toMatch(/^2026-03-01/);
+  });
+
+  it('falls back to screening for baseline windows, and to today without visit dates', () => {
+    expect(getReferenceDate({ screeningDate: '2026-03-01' }, { reference: 'baseline' }).toISOString()).toMatch(/^2026-03-01/);
+    expect(daysBetween(getReferenceDate(null), new Date())).toBe(0);
+  });
+});
+
+describe('getPatientTimeframe', () => {
+  it('measures how long before the visit a dated entry ended', () => {
+    const entry = { START_DATE: '2025-06-01', STOP_DATE: '2026-01-04' };
+
+    expect(getPatientTimeframe(entry, { relation: 'within', reference: 'first dose' }, timeline))
+      .toEqual({ relation: 'within', amount: 84, unit: 'days', reference: 'visit' });
+    expect(getPatientTimeframe(entry, { relation: 'within', reference: 'screening' }, timeline).amount).toBe(56);
+  });
+
+  it('treats entries without a stop date, or stopping after the visit, as ongoing', () => {
+    expect(getPatientTimeframe({ START_DATE: '2025-06-01' }, { relation: 'within' }, timeline).amount).toBe(0);
+    expect(getPatientTimeframe({ START_DATE: '2025-06-01', STOP_DATE: '2026-05-01' }, { relation: 'within' }, timeline).amount).toBe(0);
+  });
+
+  it('measures duration up to the visit for "for" windows', () => {
+    expect(getPatientTimeframe({ START_DATE: '2026-01-01' }, { relation: 'for' }, timeline).amount).toBe(59);
+    expect(getPatientTimeframe({ STOP_DATE: '2026-01-01' }, { relation: 'for' }, timeline)).toBeNull();
+  });
+
+  it('keeps the relative TIMEFRAME of undated entries', () => {
+    const relative = { relation: 'within', amount: 4, unit: 'weeks' };
+
+    expect(hasDates({ TIMEFRAME: relative })).toBe(false);
+    expect(getPatientTimeframe({ TIMEFRAME: relative }, { relation: 'within' }, timeline)).toBe(relative);
+    expect(getPatientTimeframe({ START_DATE: 'not a date' }, { relation: 'within' }, timeline)).toBeNull();
+  });
+});
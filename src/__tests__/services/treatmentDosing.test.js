@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import {
+  findRoutes,
+  getWeeklyDose,
+  doseMatches,
+  extractDosingSlots,
+  checkTreatmentDosing,
+} from '../../services/matcher/treatmentDosing.js';
+
+const ongoing = (drug, extra = {}) => ({ TREATMENT_TYPE: [drug], TREATMENT_PATTERN: ['ongoing'], ONGOING: true, ...extra });
+
+describe('treatmentDosing', () => {
+  describe('findRoutes', () => {
+    it('should find route words', () => {
+      expect(findRoutes('Systemic or topical corticosteroids')).toEqual(['systemic', 'topical']);
+      expect(findRoutes('Intra-articular injections')).toEqual(['injectable', 'intra-articular']);
+      expect(findRoutes('Secukinumab')).toEqual([]);
+    });
+  });
+
+  describe('getWeeklyDose / doseMatches', () => {
+    it('should convert a dose and frequency to mg per week', () => {
+      expect(getWeeklyDose({ DOSE: { amount: 10, unit: 'mg' }, FREQUENCY: 'daily' })).toBe(70);
+      expect(getWeeklyDose({ DOSE: { amount: 15, unit: 'mg' }, FREQUENCY: 'weekly' })).toBe(15);
+      expect(getWeeklyDose({ DOSE: { amount: 15, unit: 'mg' } })).toBeNull();
+    });
+
+    it('should compare against weekly, daily and per-dose limits', () => {
+      const mtx = { DOSE: { amount: 15, unit: 'mg' }, FREQUENCY: 'weekly' };
+      const pred = { DOSE: { amount: 5, unit: 'mg' }, FREQUENCY: 'daily' };
+
+      expect(doseMatches(mtx, { comparator: '<=', value: 25, unit: 'mg/week' })).toBe(true);
+      expect(doseMatches(pred, { comparator: '<=', value: 10, unit: 'mg/day' })).toBe(true);
+      expect(doseMatches(pred, { comparator: '>', value: 10, unit: 'mg/day' })).toBe(false);
+      expect(doseMatches({ FREQUENCY: 'daily' }, { comparator: '<=', value: 10, unit: 'mg' })).toBeNull();
+    });
+  });
+
+  describe('extractDosingSlots', () => {
+    it('should extract dose and stable duration', () => {
+      expect(extractDosingSlots('Stable dose of MTX ≤ 25 mg/week for at least 8 weeks')).toEqual({
+        DOSE: { comparator: '<=', value: 25, unit: 'mg/week' },
+        STABLE_DURATION: { relation: 'at least', amount: 8, unit: 'weeks' },
+      });
+    });
+
+    it('should keep permitted use apart from the criterion route', () => {
+      expect(extractDosingSlots('Systemic corticosteroids (topical permitted)')).toEqual({
+        ROUTE: ['systemic'],
+        PERMITTED: { ROUTE: ['topical'] },
+      });
+      expect(extractDosingSlots('Oral corticosteroids; prednisone ≤ 10 mg/day is allowed')).toEqual({
+        ROUTE: ['oral'],
+        PERMITTED: { DOSE: { comparator: '<=', value: 10, unit: 'mg/day' } },
+      });
+    });
+
+    it('should return null when the text states no dosing', () => {
+      expect(extractDosingSlots('Prior treatment with secukinumab')).toBeNull();
+    });
+  });
+
+  describe('checkTreatmentDosing', () => {
+    const systemic = { TREATMENT_TYPE: ['prednisone'], ROUTE: ['systemic'], PERMITTED: { ROUTE: ['topical'] } };
+
+    it('should rule out a permitted or different route', () => {
+      expect(checkTreatmentDosing(systemic, ongoing('prednisone', { ROUTE: 'topical' })).status).toBe('no_match');
+      expect(checkTreatmentDosing(systemic, ongoing('prednisone', { ROUTE: 'oral' })).status).toBe('match');
+    });
+
+    it('should be unknown when a permitted route depends on an unreported route', () => {
+      expect(checkTreatmentDosing(systemic, ongoing('prednisone')).status).toBe('unknown');
+    });
+
+    it('should infer the route from the matched criterion term', () => {
+      const condition = { TREATMENT_TYPE: ['topical corticosteroids'] };
+      expect(checkTreatmentDosing(condition, ongoing('clobetasol', { ROUTE: 'oral' }), ['topical corticosteroids']).status)
+        .toBe('no_match');
+    });
+
+    it('should require an ongoing treatment for a stable-dose criterion', () => {
+      const condition = {
+        TREATMENT_TYPE: ['methotrexate'],
+        DOSE: { comparator: '<=', value: 25, unit: 'mg/week' },
+        STABLE_DURATION: { relation: 'at least', amount: 8, unit: 'weeks' },
+      };
+      const stable = ongoing('methotrexate', {
+        DOSE: { amount: 15, unit: 'mg' }, FREQUENCY: 'weekly', STABLE_DURATION: { amount: 10, unit: 'weeks' },
+      });
+
+      expect(checkTreatmentDosing(condition, stable).status).toBe('match');
+      expect(checkTreatmentDosing(condition, { ...stable, ONGOING: false }).status).toBe('no_match');
+      expect(checkTreatmentDosing(condition, { ...stable, STABLE_DURATION: null }).status).toBe('unknown');
+    });
+  });
+});
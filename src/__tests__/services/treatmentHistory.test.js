@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getTreatmentOutcomes,
+  summarizeTreatmentHistory,
+  extractTreatmentOutcomeSlots,
+  hasTreatmentOutcomeSlots,
+  evaluateTreatmentOutcome,
+} from '../../services/matcher/treatmentHistory.js';
+
+const treatment = (drug, extra = {}) => ({ TREATMENT_TYPE: [drug], TREATMENT_PATTERN: ['used previously'], ...extra });
+
+describe('treatmentHistory', () => {
+  describe('getTreatmentOutcomes', () => {
+    it('should combine response and stop reason', () => {
+      expect(getTreatmentOutcomes({ TREATMENT_RESPONSE: 'no_response' })).toEqual(['inadequate_response']);
+      expect(getTreatmentOutcomes({ TREATMENT_RESPONSE: 'good_response', STOP_REASON: 'side_effects' })).toEqual(['intolerance']);
+      expect(getTreatmentOutcomes({ STOP_REASON: 'loss_of_response' })).toEqual(['inadequate_response', 'loss_of_response']);
+    });
+
+    it('should return null when neither was answered', () => {
+      expect(getTreatmentOutcomes({ TREATMENT_RESPONSE: null, STOP_REASON: null })).toBeNull();
+    });
+  });
+
+  describe('summarizeTreatmentHistory', () => {
+    it('should count distinct drugs per class and prior biologics', () => {
+      const summary = summarizeTreatmentHistory([treatment('Humira'), treatment('adalimumab'), treatment('Cosentyx'), treatment('methotrexate')]);
+
+      expect(summary.byClass).toEqual({ TNF_inhibitors: 1, IL17_inhibitors: 1, systemic_immunosuppressants: 1 });
+      expect(summary.biologicCount).toBe(2);
+      expect(summary.biologicStatus).toBe('experienced');
+    });
+
+    it('should call a patient with no biologics naive, and an unanswered history unknown', () => {
+      expect(summarizeTreatmentHistory([treatment('methotrexate')]).biologicStatus).toBe('naive');
+      expect(summarizeTreatmentHistory([]).biologicStatus).toBe('naive');
+      expect(summarizeTreatmentHistory(undefined).biologicStatus).toBeNull();
+    });
+  });
+
+  describe('extractTreatmentOutcomeSlots', () => {
+    it('should read response requirements', () => {
+      expect(extractTreatmentOutcomeSlots('Inadequate response to at least one TNF inhibitor')).toEqual({
+        TREATMENT_RESPONSE: ['inadequate_response'],
+        TREATMENT_COUNT: { comparator: '>=', value: 1 },
+      });
+      expect(extractTreatmentOutcomeSlots('Patients who have failed or are intolerant to previous PDE4 inhibitors').TREATMENT_RESPONSE)
+        .toEqual(['inadequate_response', 'intolerance']);
+      expect(extractTreatmentOutcomeSlots('Lost response to an IL-17 inhibitor').TREATMENT_RESPONSE).toEqual(['loss_of_response']);
+    });
+
+    it('should read counts and biologic status', () => {
+      expect(extractTreatmentOutcomeSlots('No more than 2 prior biologics')).toEqual({ TREATMENT_COUNT: { comparator: '<=', value: 2 } });
+      expect(extractTreatmentOutcomeSlots('Prior treatment with 3 or more biologic agents').TREATMENT_COUNT).toEqual({ comparator: '>=', value: 3 });
+      expect(extractTreatmentOutcomeSlots('Participants must be biologic-naive')).toEqual({ BIOLOGIC_STATUS: 'naive' });
+    });
+
+    it('should return null for plain exposure criteria', () => {
+      expect(extractTreatmentOutcomeSlots('Received secukinumab within 12 weeks prior to baseline')).toBeNull();
+      expect(hasTreatmentOutcomeSlots({ TREATMENT_TYPE: ['secukinumab'] })).toBe(false);
+    });
+  });
+
+  describe('evaluateTreatmentOutcome', () => {
+    const inadequateTnf = { TREATMENT_TYPE: ['TNF inhibitor'], TREATMENT_RESPONSE: ['inadequate_response'] };
+
+    it('should match a response requirement on a drug of the class', () => {
+      const result = evaluateTreatmentOutcome(inadequateTnf, [treatment('Humira', { TREATMENT_RESPONSE: 'partial_response' })]);
+
+      expect(result).toMatchObject({ matches: true, unknown: false, count: 1 });
+    });
+
+    it('should not match when the class drug worked', () => {
+      const result = evaluateTreatmentOutcome(inadequateTnf, [
+        treatment('Humira', { TREATMENT_RESPONSE: 'good_response' }),
+        treatment('Cosentyx', { TREATMENT_RESPONSE: 'no_response' }),
+      ]);
+
+      expect(result).toMatchObject({ matches: false, unknown: false, count: 0 });
+    });
+
+    it('should be unknown when the response to a class drug was not reported', () => {
+      const result = evaluateTreatmentOutcome(inadequateTnf, [treatment('Enbrel')]);
+
+      expect(result).toMatchObject({ matches: false, unknown: true });
+    });
+
+    it('should compare the number of distinct prior drugs', () => {
+      const condition = { TREATMENT_TYPE: ['biologic'], TREATMENT_COUNT: { comparator: '<=', value: 2 } };
+      const two = [treatment('Humira'), treatment('adalimumab'), treatment('Stelara')];
+
+      expect(evaluateTreatmentOutcome(condition, two).matches).toBe(true);
+      expect(evaluateTreatmentOutcome(condition, [...two, treatment('Taltz')]).matches).toBe(false);
+    });
+
+    it('should check biologic status over the whole history', () => {
+      const naive = { BIOLOGIC_STATUS: 'naive' };
+
+      expect(evaluateTreatmentOutcome(naive, [treatment('methotrexate')]).matches).toBe(true);
+      expect(evaluateTreatmentOutcome(naive, [treatment('Skyrizi')]).matches).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import {
+  TrialMetadataRegistry,
+  formatTrialLabel,
+  formatTrialSites,
+} from '../../../services/trials/TrialMetadataRegistry.js';
+import importedMetadata from '../../fixtures/trial-metadata.json';
+
+const registryData = {
+  trials: {
+    NCT002: {
+      nct_id: 'NCT002',
+      title: 'Second Study',
+      phase: 'PHASE2',
+      sponsor: 'Sponsor B',
+      recruitment_status: 'COMPLETED',
+      condition: 'Psoriasis',
+      target_enrollment: 120,
+      sites: [
+        { facility: 'Clinic A', city: 'Berlin', country: 'Germany' },
+        { facility: 'Clinic B', city: 'Berlin', country: 'Germany' },
+        { facility: 'Clinic C', city: 'Paris', country: 'France' },
+      ],
+    },
+    NCT001: {
+      nct_id: 'NCT001',
+      title: null,
+    },
+  },
+};
+
+describe('TrialMetadataRegistry', () => {
+  it('should normalize entries to camelCase', () => {
+    const registry = new TrialMetadataRegistry(registryData);
+    const trial = registry.get('NCT002');
+
+    expect(trial.nctId).toBe('NCT002');
+    expect(trial.recruitmentStatus).toBe('COMPLETED');
+    expect(trial.targetEnrollment).toBe(120);
+    expect(trial.sites).toHaveLength(3);
+  });
+
+  it('should return null for unknown trials', () => {
+    const registry = new TrialMetadataRegistry(registryData);
+
+    expect(registry.get('NCT999')).toBeNull();
+    expect(registry.has('NCT999')).toBe(false);
+  });
+
+  it('should list all trials sorted by NCT ID', () => {
+    const registry = new TrialMetadataRegistry(registryData);
+
+    expect(registry.getAll().map((t) => t.nctId)).toEqual(['NCT001', 'NCT002']);
+    expect(registry.size).toBe(2);
+  });
+
+  it('should handle missing registry data', () => {
+    const registry = new TrialMetadataRegistry();
+
+    expect(registry.size).toBe(0);
+    expect(registry.getAll()).toEqual([]);
+  });
+
+  it('should load metadata written by the trial importer', () => {
+    const registry = new TrialMetadataRegistry(importedMetadata);
+    const trial = registry.get('NCT09999901');
+
+    expect(registry.size).toBe(importedMetadata.metadata.total_trials);
+    expect(formatTrialLabel(trial, 'NCT09999901')).toBe('Fixture Study of an Oral Agent in Plaque Psoriasis (PHASE2, Fixture Sponsor)');
+    expect(trial.recruitmentStatus).toBe('RECRUITING');
+    expect(formatTrialSites(trial)).toEqual(['Boston, United States']);
+  });
+});
+
+describe('formatTrialLabel', () => {
+  it('should combine title, phase and sponsor', () => {
+    const registry = new TrialMetadataRegistry(registryData);
+
+    expect(formatTrialLabel(registry.get('NCT002'), 'NCT002')).toBe('Second Study (PHASE2, Sponsor B)');
+  });
+
+  it('should fall back to NCT ID without a title', () => {
+    const registry = new TrialMetadataRegistry(registryData);
+
+    expect(formatTrialLabel(registry.get('NCT001'), 'NCT001')).toBe('NCT001');
+    expect(formatTrialLabel(null, 'NCT003')).toBe('NCT003');
+  });
+});
+
+describe('formatTrialSites', () => {
+  it('should return deduplicated site locations', () => {
+    const registry = new TrialMetadataRegistry(registryData);
+
+    expect(formatTrialSites(registry.get('NCT002'))).toEqual(['Berlin, Germany', 'Paris, France']);
+    expect(formatTrialSites(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import {
+  extractVaccinationSlots,
+  isVaccinationCriterion,
+  daysSinceVaccination,
+} from '../../services/matcher/vaccinationCriteria.js';
+import { getVaccines, getVaccineInfo, isLiveVaccine } from '../../services/config/RulesLoader.js';
+
+describe('vaccinationCriteria', () => {
+  describe('extractVaccinationSlots', () => {
+    it('should mark live vaccine exclusions', () => {
+      expect(extractVaccinationSlots('Received a live vaccine within 4 weeks of baseline')).toEqual({ VACCINE_TYPE: 'live' });
+      expect(extractVaccinationSlots('Live attenuated vaccination within 12 weeks prior to randomization')).toEqual({ VACCINE_TYPE: 'live' });
+    });
+
+    it('should treat unqualified vaccines as any vaccine', () => {
+      expect(extractVaccinationSlots('2 weeks for immunizations or drugs known to possibly worsen psoriasis')).toEqual({ VACCINE_TYPE: 'any' });
+    });
+
+    it('should name catalog vaccines and planned vaccinations', () => {
+      expect(extractVaccinationSlots('BCG vaccination within 12 months of screening', getVaccines())).toEqual({
+        VACCINE_TYPE: 'any',
+        VACCINE_NAMES: ['bcg'],
+      });
+      expect(extractVaccinationSlots('Expected to need a live vaccine during the study')).toEqual({
+        VACCINE_TYPE: 'live',
+        PLANNED_DURING_STUDY: true,
+      });
+    });
+
+    it('should ignore text without vaccines', () => {
+      expect(isVaccinationCriterion('Active tuberculosis')).toBe(false);
+      expect(extractVaccinationSlots('Active tuberculosis')).toBeNull();
+    });
+  });
+
+  describe('daysSinceVaccination', () => {
+    it('should count days to the reference date, negative for planned dates', () => {
+      const reference = new Date('2026-03-01T12:00:00Z');
+
+      expect(daysSinceVaccination('2026-02-01', reference)).toBe(28);
+      expect(daysSinceVaccination('2026-03-15', reference)).toBeLessThan(0);
+      expect(daysSinceVaccination('not a date', reference)).toBeNull();
+      expect(daysSinceVaccination(null, reference)).toBeNull();
+    });
+  });
+
+  describe('vaccine catalog', () => {
+    it('should look up vaccines by key, display name or alias', () => {
+      expect(getVaccineInfo('Zostavax')).toMatchObject({ key: 'zoster live', isLive: true });
+      expect(getVaccineInfo('Measles, mumps and rubella (MMR)')).toMatchObject({ key: 'mmr' });
+      expect(isLiveVaccine('shingrix')).toBe(false);
+      expect(isLiveVaccine('unknown vaccine')).toBeNull();
+    });
+  });
+});
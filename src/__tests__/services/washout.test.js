@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getCriterionWindows,
+  isTimeLimited,
+  getEntryEndDate,
+  getWashoutShifts,
+  shiftTimeline,
+} from '../../services/matcher/washout.js';
+
+const methotrexateWashout = {
+  id: 'PTH_1',
+  clusterCode: 'PTH',
+  TREATMENT_TYPE: ['methotrexate'],
+  TIMEFRAME: { relation: 'within', amount: 4, unit: 'weeks', reference: 'baseline' },
+};
+
+describe('getCriterionWindows', () => {
+  it('collects within/before windows from the criterion and its conditions', () => {
+    expect(getCriterionWindows(methotrexateWashout)).toEqual([methotrexateWashout.TIMEFRAME]);
+    expect(getCriterionWindows({
+      conditions: [
+        { TIMEFRAME: [{ relation: 'within', amount: 12, unit: 'weeks' }, 'prior to screening'] },
+        { TIMEFRAME: { relation: 'for', amount: 6, unit: 'months' } },
+      ],
+    })).toEqual([{ relation: 'within', amount: 12, unit: 'weeks' }]);
+  });
+
+  it('treats only windowed criteria of dated clusters as time-limited', () => {
+    expect(isTimeLimited(methotrexateWashout)).toBe(true);
+    expect(isTimeLimited({ ...methotrexateWashout, TIMEFRAME: undefined })).toBe(false);
+    expect(isTimeLimited({ ...methotrexateWashout, clusterCode: 'CPD' })).toBe(false);
+  });
+});
+
+describe('getEntryEndDate', () => {
+  it('uses the stop date or the vaccination date', () => {
+    expect(getEntryEndDate({ STOP_DATE: '2026-03-01' }).toISOString().slice(0, 10)).toBe('2026-03-01');
+    expect(getEntryEndDate({ VACCINE_DATE: '2026-02-20' }).toISOString().slice(0, 10)).toBe('2026-02-20');
+    expect(getEntryEndDate({ START_DATE: '2025-06-01' })).toBeNull();
+  });
+});
+
+describe('getWashoutShifts', () => {
+  const timeline = { screeningDate: '2026-03-02', baselineDate: '2026-03-16' };
+
+  it('moves the visits until each dated entry has left the window', () => {
+    const responses = { PTH: [{ STOP_DATE: '2026-03-01' }, { STOP_DATE: '2026-02-25' }, { STOP_DATE: '2025-01-01' }] };
+
+    // Clear 29 days after each stop date (2026-03-30, 2026-03-26), counted from the 2026-03-16 baseline
+    expect(getWashoutShifts([methotrexateWashout], responses, timeline)).toEqual([10, 14]);
+  });
+
+  it('returns nothing when a blocking criterion cannot be waited out', () => {
+    const responses = { PTH: [{ STOP_DATE: '2026-03-01' }] };
+
+    expect(getWashoutShifts([methotrexateWashout, { clusterCode: 'AGE', AGE_MIN: 18 }], responses, timeline)).toEqual([]);
+    expect(getWashoutShifts([methotrexateWashout], { PTH: [{ START_DATE: '2025-06-01' }] }, timeline)).toEqual([]);
+  });
+});
+
+describe('shiftTimeline', () => {
+  it('moves both planned visits by the same number of days', () => {
+    expect(shiftTimeline({ screeningDate: '2026-03-02', baselineDate: '2026-03-16' }, 14))
+      .toEqual({ screeningDate: '2026-03-16', baselineDate: '2026-03-30' });
+    expect(shiftTimeline({ screeningDate: '2026-03-02' }, 1))
+      .toEqual({ screeningDate: '2026-03-03', baselineDate: '2026-03-03' });
+  });
+});
@@ -2,6 +2,8 @@ import { describe, it, expect } from 'vitest';
 import {
   convertToWeeks,
   timeframeMatches,
+  parseHalfLifeTimeframe,
+  resolveTimeframe,
   severityMatches,
   measurementMeetsThreshold,
   calculateBMI,
@@ -53,6 +55,77 @@ describe('Medical Utils', () => {
       expect(timeframeMatches(criterion, { amount: 6, unit: 'weeks' })).toBe(true);
       expect(timeframeMatches(criterion, { amount: 2, unit: 'weeks' })).toBe(false);
     });
+
+    it('should match "less than" relation like "within"', () => {
+      const criterion = { amount: 4, unit: 'weeks', relation: 'less than' };
+      expect(timeframeMatches(criterion, { amount: 3, unit: 'weeks' })).toBe(true);
+      expect(timeframeMatches(criterion, { amount: 5, unit: 'weeks' })).toBe(false);
+    });
+
+    it('should use the longer of a fixed window and a half-life multiple', () => {
+      // Ustekinumab: 5 x 21 days = 15 weeks, longer than 12 weeks
+      const criterion = { relation: 'within', amount: '12 weeks OR 5 half-lives', comparison: 'whichever is longer' };
+      const pk = { halfLifeDays: 21, washoutWeeks: 24 };
+      expect(timeframeMatches(criterion, { amount: 14, unit: 'weeks' }, pk)).toBe(true);
+      expect(timeframeMatches(criterion, { amount: 16, unit: 'weeks' }, pk)).toBe(false);
+    });
+
+    it('should fall back to the standard washout when the half-life is unknown', () => {
+      const criterion = { relation: 'within', amount: 'less than 5 half-lives' };
+      expect(timeframeMatches(criterion, { amount: 6, unit: 'weeks' }, { halfLifeDays: null, washoutWeeks: 8 })).toBe(true);
+      expect(timeframeMatches(criterion, { amount: 9, unit: 'weeks' }, { halfLifeDays: null, washoutWeeks: 8 })).toBe(false);
+    });
+
+    it('should not match a half-life window without pharmacokinetic data', () => {
+      const criterion = { relation: 'within', amount: 'less than 5 half-lives' };
+      expect(timeframeMatches(criterion, { amount: 1, unit: 'weeks' })).toBe(false);
+    });
+  });
+
+  describe('parseHalfLifeTimeframe', () => {
+    it('should return null for timeframes without half-lives', () => {
+      expect(parseHalfLifeTimeframe({ amount: 4, unit: 'weeks', relation: 'within' })).toBeNull();
+      expect(parseHalfLifeTimeframe(null)).toBeNull();
+    });
+
+    it('should read the half-life multiple and the fixed window', () => {
+      expect(parseHalfLifeTimeframe({ relation: 'less than', amount: '5 half-lives OR 28 days' })).toEqual({
+        halfLives: 5,
+        fixed: { amount: 28, unit: 'days' },
+        shorter: false,
+      });
+      expect(parseHalfLifeTimeframe({ amount: 4, unit: 'weeks', alternative: '5 half-lives, whichever is shorter' })).toEqual({
+        halfLives: 5,
+        fixed: { amount: 4, unit: 'weeks' },
+        shorter: true,
+      });
+    });
+  });
+
+  describe('resolveTimeframe', () => {
+    it('should return plain timeframes unchanged', () => {
+      const timeframe = { amount: 4, unit: 'weeks', relation: 'within' };
+      expect(resolveTimeframe(timeframe, { halfLifeDays: 14, washoutWeeks: 8 })).toBe(timeframe);
+    });
+
+    it('should resolve a half-life window to weeks', () => {
+      const resolved = resolveTimeframe({ relation: 'within', amount: '5 half-lives' }, { halfLifeDays: 14, washoutWeeks: 8 });
+      expect(resolved).toMatchObject({ relation: 'within', amount: 10, unit: 'weeks' });
+    });
+
+    it('should use the shorter window when the criterion says so', () => {
+      const resolved = resolveTimeframe(
+        { relation: 'within', amount: 4, unit: 'weeks', alternative: '5 half-lives, whichever is shorter' },
+        { halfLifeDays: 14, washoutWeeks: 8 }
+      );
+      expect(resolved.amount).toBe(4);
+    });
+
+    it('should fall back to the fixed window without pharmacokinetic data', () => {
+      const resolved = resolveTimeframe({ relation: 'less than', amount: '5 half-lives OR 28 days' });
+      expect(resolved.amount).toBeCloseTo(4, 1);
+      expect(resolveTimeframe({ relation: 'within', amount: '5 half-lives' })).toBeNull();
+    });
   });
 
   describe('severityMatches', () => {
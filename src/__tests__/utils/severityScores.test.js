@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PASI_REGIONS,
+  DLQI_ITEMS,
+  calculatePasi,
+  estimateBsaFromPalms,
+  calculateDlqi,
+  getDlqiOptions,
+} from '../../utils/severityScores.js';
+
+const scoreEveryRegion = (scores) => Object.fromEntries(PASI_REGIONS.map(({ key }) => [key, scores]));
+const answerEveryItem = (answer) => Object.fromEntries(DLQI_ITEMS.map(({ key }) => [key, answer]));
+
+describe('Severity score calculators', () => {
+  describe('calculatePasi', () => {
+    it('should weight each region by its share of the body', () => {
+      expect(calculatePasi(scoreEveryRegion({ erythema: 2, induration: 2, scaling: 2, area: 2 }))).toBe(12);
+      expect(calculatePasi({
+        ...scoreEveryRegion({ erythema: 0, induration: 0, scaling: 0, area: 0 }),
+        head: { erythema: '3', induration: '2', scaling: '1', area: '4' },
+      })).toBe(2.4);
+    });
+
+    it('should reach 72 at the maximum', () => {
+      expect(calculatePasi(scoreEveryRegion({ erythema: 4, induration: 4, scaling: 4, area: 6 }))).toBe(72);
+    });
+
+    it('should return null until every region is scored', () => {
+      expect(calculatePasi({})).toBeNull();
+      expect(calculatePasi({ ...scoreEveryRegion({ erythema: 1, induration: 1, scaling: 1, area: 1 }), trunk: { erythema: 1 } })).toBeNull();
+      expect(calculatePasi(scoreEveryRegion({ erythema: 5, induration: 1, scaling: 1, area: 1 }))).toBeNull();
+    });
+  });
+
+  describe('estimateBsaFromPalms', () => {
+    it('should count each palm as 1%', () => {
+      expect(estimateBsaFromPalms('3.5')).toBe(3.5);
+      expect(estimateBsaFromPalms(120)).toBe(100);
+      expect(estimateBsaFromPalms('')).toBeNull();
+    });
+  });
+
+  describe('calculateDlqi', () => {
+    it('should sum item scores, with not relevant scoring 0', () => {
+      expect(calculateDlqi(answerEveryItem('a_lot'))).toBe(20);
+      expect(calculateDlqi({ ...answerEveryItem('a_little'), sport: 'not_relevant', work: 'prevented' })).toBe(11);
+    });
+
+    it('should score one unanswered item as 0 and not score two', () => {
+      const nineAnswered = { ...answerEveryItem('very_much'), symptoms: undefined };
+      expect(calculateDlqi(nineAnswered)).toBe(27);
+      expect(calculateDlqi({ ...nineAnswered, embarrassment: undefined })).toBeNull();
+    });
+
+    it('should offer not relevant from item 3 and the prevented answer on item 7', () => {
+      expect(getDlqiOptions(DLQI_ITEMS[0])).not.toContain('not_relevant');
+      expect(getDlqiOptions(DLQI_ITEMS[6])).toEqual(['prevented', 'a_lot', 'a_little', 'not_at_all', 'not_relevant']);
+    });
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * @file Drug Pharmacokinetics Editor
+ * @description Admin component for editing drug half-lives and standard washouts,
+ * used for criterion windows such as "within 5 half-lives or 12 weeks, whichever is longer"
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * Parse a numeric input; empty input means "use the catalog value"
+ * @param {string} value
+ * @returns {number|null}
+ */
+const toNumberOrNull = (value) => (value === '' || value === undefined ? null : Number(value));
+
+/**
+ * DrugPharmacokineticsEditor - View and edit half-life / washout per drug
+ */
+const DrugPharmacokineticsEditor = ({ backendClient }) => {
+  const [drugs, setDrugs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [filter, setFilter] = useState('');
+  const [edits, setEdits] = useState({});
+  const [processing, setProcessing] = useState({});
+
+  const fetchDrugs = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await backendClient.getDrugPharmacokinetics();
+      setDrugs(data.drugs || []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [backendClient]);
+
+  useEffect(() => {
+    fetchDrugs();
+  }, [fetchDrugs]);
+
+  const replaceDrug = (drug) => {
+    setDrugs(prev => prev.map(d => (d.drugName === drug.drugName ? drug : d)));
+    setEdits(prev => ({ ...prev, [drug.drugName]: undefined }));
+  };
+
+  const handleChange = (drugName, field, value) => {
+    setEdits(prev => ({ ...prev, [drugName]: { ...prev[drugName], [field]: value } }));
+  };
+
+  const handleSave = async (drug) => {
+    const edit = edits[drug.drugName] || {};
+    setProcessing(prev => ({ ...prev, [drug.drugName]: true }));
+    try {
+      const result = await backendClient.updateDrugPharmacokinetics(drug.drugName, {
+        halfLifeDays: toNumberOrNull(edit.halfLifeDays ?? drug.halfLifeDays ?? ''),
+        washoutWeeks: toNumberOrNull(edit.washoutWeeks ?? drug.washoutWeeks ?? ''),
+      });
+      replaceDrug(result.drug);
+    } catch (err) {
+      setError(`Failed to save ${drug.drugName}: ${err.message}`);
+    } finally {
+      setProcessing(prev => ({ ...prev, [drug.drugName]: false }));
+    }
+  };
+
+  const handleReset = async (drug) => {
+    setProcessing(prev => ({ ...prev, [drug.drugName]: true }));
+    try {
+      await backendClient.resetDrugPharmacokinetics(drug.drugName);
+      replaceDrug({
+        ...drug,
+        halfLifeDays: drug.catalog.halfLifeDays,
+        washoutWeeks: drug.catalog.washoutWeeks,
+        edited: false,
+        updatedAt: null,
+      });
+    } catch (err) {
+      setError(`Failed to reset ${drug.drugName}: ${err.message}`);
+    } finally {
+      setProcessing(prev => ({ ...prev, [drug.drugName]: false }));
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="drug-pk-loading">
+        <p>Loading drug catalog...</p>
+      </div>
+    );
+  }
+
+  const visibleDrugs = drugs.filter(d => d.drugName.includes(filter.toLowerCase().trim()));
+
+  return (
+    <div className="drug-pk-editor" data-testid="drug-pk-editor">
+      <h2>Drug Half-Lives and Washouts</h2>
+      <p className="section-description">
+        Used for criteria given in half-lives (e.g. &quot;within 5 half-lives&quot;).
+        The standard washout applies when a drug&apos;s half-life is unknown.
+      </p>
+
+      {error && (
+        <div className="drug-pk-error" role="alert">
+          <p>Error: {error}</p>
+          <button onClick={fetchDrugs}>Retry</button>
+        </div>
+      )}
+
+      <input
+        className="drug-pk-filter"
+        type="search"
+        placeholder="Filter drugs"
+        aria-label="Filter drugs"
+        value={filter}
+        onChange={(e) => setFilter(e.target.value)}
+      />
+
+      <table className="drug-pk-table">
+        <thead>
+          <tr>
+            <th>Drug</th>
+            <th>Class</th>
+            <th>Half-life (days)</th>
+            <th>Standard washout (weeks)</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {visibleDrugs.map(drug => {
+            const edit = edits[drug.drugName] || {};
+            return (
+              <tr key={drug.drugName} data-testid={`drug-pk-row-${drug.drugName}`}>
+                <td>
+                  {drug.drugName}
+                  {drug.edited && <span className="drug-pk-edited">edited</span>}
+                </td>
+                <td>{drug.drugClass || '—'}</td>
+                <td>
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    aria-label={`Half-life of ${drug.drugName} in days`}
+                    value={edit.halfLifeDays ?? drug.halfLifeDays ?? ''}
+                    onChange={(e) => handleChange(drug.drugName, 'halfLifeDays', e.target.value)}
+                    disabled={processing[drug.drugName]}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    aria-label={`Standard washout of ${drug.drugName} in weeks`}
+                    value={edit.washoutWeeks ?? drug.washoutWeeks ?? ''}
+                    onChange={(e) => handleChange(drug.drugName, 'washoutWeeks', e.target.value)}
+                    disabled={processing[drug.drugName]}
+                  />
+                </td>
+                <td className="drug-pk-actions">
+                  <button
+                    className="approve-btn"
+                    onClick={() => handleSave(drug)}
+                    disabled={processing[drug.drugName] || !edits[drug.drugName]}
+                  >
+                    Save
+                  </button>
+                  {drug.edited && (
+                    <button
+                      className="reject-btn"
+                      onClick={() => handleReset(drug)}
+                      disabled={processing[drug.drugName]}
+                      title={`Catalog: ${drug.catalog.halfLifeDays ?? '—'} days / ${drug.catalog.washoutWeeks ?? '—'} weeks`}
+                    >
+                      Reset
+                    </button>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <style>{`
+        .drug-pk-editor {
+          padding: 20px;
+        }
+
+        .drug-pk-editor h2 {
+          margin-bottom: 10px;
+          color: #333;
+        }
+
+        .drug-pk-filter {
+          width: 100%;
+          max-width: 320px;
+          padding: 8px;
+          margin-bottom: 12px;
+          border: 1px solid #ccc;
+          border-radius: 4px;
+        }
+
+        .drug-pk-table {
+          width: 100%;
+          border-collapse: collapse;
+          background: #fff;
+        }
+
+        .drug-pk-table th,
+        .drug-pk-table td {
+          padding: 8px;
+          border-bottom: 1px solid #eee;
+          text-align: left;
+          font-size: 14px;
+        }
+
+        .drug-pk-table input {
+          width: 90px;
+          padding: 4px 6px;
+          border: 1px solid #ccc;
+          border-radius: 4px;
+        }
+
+        .drug-pk-edited {
+          margin-left: 8px;
+          font-size: 11px;
+          padding: 2px 6px;
+          border-radius: 4px;
+          background: #fff3e0;
+          color: #e65100;
+        }
+
+        .drug-pk-actions {
+          display: flex;
+          gap: 8px;
+        }
+
+        .drug-pk-actions button {
+          padding: 6px 12px;
+          border: none;
+          border-radius: 4px;
+          cursor: pointer;
+          color: white;
+        }
+
+        .drug-pk-actions .approve-btn {
+          background: #4caf50;
+        }
+
+        .drug-pk-actions .reject-btn {
+          background: #9e9e9e;
+        }
+
+        .drug-pk-actions button:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .drug-pk-loading,
+        .drug-pk-error {
+          text-align: center;
+          padding: 20px;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+DrugPharmacokineticsEditor.propTypes = {
+  backendClient: PropTypes.shape({
+    getDrugPharmacokinetics: PropTypes.func.isRequired,
+    updateDrugPharmacokinetics: PropTypes.func.isRequired,
+    resetDrugPharmacokinetics: PropTypes.func.isRequired,
+  }).isRequired,
+};
+
+export default DrugPharmacokineticsEditor;
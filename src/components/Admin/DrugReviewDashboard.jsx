@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { DrugApprovalService, DRUG_CLASSES } from '../../services/admin/DrugApprovalService.js';
 import DrugReviewCard from './DrugReviewCard.jsx';
 import PendingTermsReview from './PendingTermsReview.jsx';
+import DrugPharmacokineticsEditor from './DrugPharmacokineticsEditor.jsx';
 import ApiKeySettings from './ApiKeySettings.jsx';
 import { backendClient } from '../../services/api/backendClient.js';
 import './DrugReviewDashboard.css';
@@ -14,7 +15,7 @@ function DrugReviewDashboard() {
   const [stats, setStats] = useState({});
   const [loading, setLoading] = useState(true);
   const [message, setMessage] = useState(null);
-  const [activeTab, setActiveTab] = useState('drugs'); // 'drugs' or 'terms'
+  const [activeTab, setActiveTab] = useState('drugs'); // 'drugs', 'terms', 'pharmacokinetics' or 'settings'
 
   // Load reviews on mount
   useEffect(() => {
@@ -95,6 +96,12 @@ function DrugReviewDashboard() {
         >
           Pending Terms
         </button>
+        <button 
+          className={`tab-btn ${activeTab === 'pharmacokinetics' ? 'active' : ''}`}
+          onClick={() => setActiveTab('pharmacokinetics')}
+        >
+          Half-lives &amp; Washouts
+        </button>
         <button 
           className={`tab-btn ${activeTab === 'settings' ? 'active' : ''}`}
           onClick={() => setActiveTab('settings')}
@@ -169,6 +176,8 @@ function DrugReviewDashboard() {
         </>
       ) : activeTab === 'terms' ? (
         <PendingTermsReview backendClient={backendClient} />
+      ) : activeTab === 'pharmacokinetics' ? (
+        <DrugPharmacokineticsEditor backendClient={backendClient} />
       ) : (
         <ApiKeySettings />
       )}
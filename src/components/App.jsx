@@ -1,6 +1,11 @@
-import { useState, useCallback, useEffect } from 'react';
+import { useState, useCallback, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
 import ClinicalTrialEligibilityQuestionnaire from '../ClinicalTrialEligibilityQuestionnaire';
 import DrugReviewDashboard from './Admin/DrugReviewDashboard.jsx';
+import { formatTrialSites } from '../services/trials/index.js';
+import { backendClient } from '../services/api/backendClient.js';
+import { findEvidenceSpans } from '../services/matcher/evidence.js';
+import { ADJUDICATION_DECISIONS } from '../services/matcher/results.js';
 import './App.css';
 
 /**
@@ -8,6 +13,77 @@ import './App.css';
  */
 const BACKEND_URL = 'http://localhost:3001';
 
+/**
+ * localStorage key for the code of the screening session in progress
+ */
+const SESSION_CODE_KEY = 'screening_session_code';
+
+/**
+ * localStorage key for the codes of sessions started or resumed on this browser
+ */
+const SESSION_HISTORY_KEY = 'screening_session_history';
+
+/**
+ * Number of recent session codes kept for the resume panel
+ */
+const SESSION_HISTORY_LIMIT = 5;
+
+/**
+ * Delay before questionnaire changes are saved to the session (ms)
+ */
+const SESSION_SAVE_DELAY = 800;
+
+/**
+ * Read the recent session codes of this browser, most recent first
+ * @returns {string[]}
+ */
+function readSessionHistory() {
+  try {
+    const codes = JSON.parse(localStorage.getItem(SESSION_HISTORY_KEY) || '[]');
+    return Array.isArray(codes) ? codes : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Add (or, with remove, drop) a session code in this browser's recent history
+ * @param {string} code
+ * @param {boolean} [remove=false]
+ */
+function updateSessionHistory(code, remove = false) {
+  const codes = readSessionHistory().filter((entry) => entry !== code);
+  if (!remove) {
+    codes.unshift(code);
+  }
+  localStorage.setItem(SESSION_HISTORY_KEY, JSON.stringify(codes.slice(0, SESSION_HISTORY_LIMIT)));
+}
+
+/**
+ * Display names for CriterionMatchResult.matchMethod
+ */
+const MATCH_METHOD_LABELS = {
+  exact: 'Exact slot match',
+  rule: 'Rule-based comparison',
+  database: 'Drug database',
+  database_class: 'Drug class (database)',
+  direct_unverified: 'Direct text match (drug not in database)',
+  ai_fallback: 'AI semantic match',
+  ai_unavailable: 'AI unavailable',
+  ai_error: 'AI error',
+};
+
+/**
+ * Display names for TrialEligibilityResult.status
+ */
+const TRIAL_STATUS_LABELS = {
+  eligible: 'Eligible',
+  needs_review: 'Needs review',
+  insufficient_information: 'Insufficient information',
+  eligible_after_washout: 'Eligible after washout',
+  ineligible: 'Ineligible',
+};
+
 /**
  * App stages
  */
@@ -95,10 +171,49 @@ function generatePatientNarrative(patientResponse) {
   // Severity
   if (responses.SEV) {
     lines.push('• Severity scores:');
-    if (responses.SEV.PASI) lines.push(`  - PASI: ${responses.SEV.PASI}`);
-    if (responses.SEV.BSA) lines.push(`  - BSA: ${responses.SEV.BSA}%`);
-    if (responses.SEV.PGA) lines.push(`  - PGA: ${responses.SEV.PGA}`);
-    if (responses.SEV.DLQI) lines.push(`  - DLQI: ${responses.SEV.DLQI}`);
+    // Calculated scores are { value, calculated: true }
+    const score = (entry) => `${entry?.value ?? entry}${entry?.calculated ? ' (calculated)' : ''}`;
+    if (responses.SEV.PASI) lines.push(`  - PASI: ${score(responses.SEV.PASI)}`);
+    if (responses.SEV.BSA) lines.push(`  - BSA: ${score(responses.SEV.BSA)}%`);
+    if (responses.SEV.PGA) lines.push(`  - PGA: ${score(responses.SEV.PGA)}`);
+    if (responses.SEV.DLQI) lines.push(`  - DLQI: ${score(responses.SEV.DLQI)}`);
+    [['NAPSI', 'NAPSI'], ['PSSI', 'PSSI'], ['SS_IGA', 'ss-IGA'], ['PPPASI', 'ppPASI']].forEach(([type, name]) => {
+      if (responses.SEV[type] !== undefined) {
+        lines.push(`  - ${name}: ${score(responses.SEV[type])}`);
+      }
+    });
+  }
+  
+  // Sex, pregnancy and contraception
+  if (responses.REP?.sex) {
+    const statuses = [
+      responses.REP.pregnant && 'pregnant',
+      responses.REP.breastfeeding && 'breastfeeding',
+      responses.REP.planningPregnancy && 'planning pregnancy',
+    ].filter(Boolean);
+    lines.push(`• Sex: ${responses.REP.sex}${statuses.length > 0 ? ` (${statuses.join(', ')})` : ''}`);
+    if (responses.REP.contraception !== null && responses.REP.contraception !== undefined) {
+      lines.push(`  - Willing to use contraception: ${responses.REP.contraception ? 'yes' : 'no'}`);
+    }
+  }
+  
+  // Lab values
+  if (responses.LAB && Object.keys(responses.LAB).length > 0) {
+    lines.push('• Lab values:');
+    Object.entries(responses.LAB).forEach(([analyte, result]) => {
+      const uln = result.upperLimit ? ` (ULN ${result.upperLimit})` : '';
+      lines.push(`  - ${analyte}: ${result.value} ${result.unit || ''}`.trimEnd() + uln);
+    });
+  }
+  
+  // Vaccinations
+  if (responses.VAC && responses.VAC.length > 0) {
+    lines.push(`• Vaccinations: ${responses.VAC.length} reported`);
+    responses.VAC.forEach((v) => {
+      lines.push(`  - ${v.VACCINE_NAME}${v.VACCINE_DATE ? ` (${v.VACCINE_DATE})` : ''}`);
+    });
+  } else if (responses.VAC) {
+    lines.push('• No recent or planned vaccinations reported');
   }
   
   // Affected Areas
@@ -112,6 +227,377 @@ function generatePatientNarrative(patientResponse) {
   return lines.join('\n');
 }
 
+/**
+ * Append trial metadata lines (title, phase, sponsor, status, sites) to a report
+ * @param {string[]} lines - Report lines
+ * @param {Object} trial - Trial eligibility result
+ */
+function appendTrialMetadata(lines, trial) {
+  const metadata = trial.metadata;
+  if (!metadata) {
+    return;
+  }
+  if (metadata.title) {
+    lines.push(`   Title: ${metadata.title}`);
+  }
+  const details = [
+    metadata.phase && `Phase: ${metadata.phase}`,
+    metadata.sponsor && `Sponsor: ${metadata.sponsor}`,
+    metadata.recruitmentStatus && `Status: ${metadata.recruitmentStatus}`,
+  ].filter(Boolean);
+  if (details.length > 0) {
+    lines.push(`   ${details.join(' | ')}`);
+  }
+  if (metadata.condition) {
+    lines.push(`   Condition: ${metadata.condition}`);
+  }
+  if (metadata.targetEnrollment) {
+    lines.push(`   Target enrollment: ${metadata.targetEnrollment}`);
+  }
+  const sites = formatTrialSites(metadata);
+  if (sites.length > 0) {
+    lines.push(`   Sites: ${sites.join('; ')}`);
+  }
+}
+
+/**
+ * Append reviewer adjudications to a report: the automatic and adjudicated status of the trial,
+ * and the automatic and adjudicated decision of each adjudicated criterion
+ * @param {string[]} lines - Report lines
+ * @param {Object} trial - Trial eligibility result
+ */
+function appendAdjudications(lines, trial) {
+  const adjudicated = trial.getAdjudicatedCriteria ? trial.getAdjudicatedCriteria() : [];
+  if (adjudicated.length === 0) {
+    return;
+  }
+  lines.push(`   Automatic status: ${TRIAL_STATUS_LABELS[trial.automaticStatus] || trial.automaticStatus}`
+    + ` → adjudicated: ${TRIAL_STATUS_LABELS[trial.status] || trial.status}`);
+  lines.push('   Adjudicated criteria:');
+  adjudicated.forEach((c) => {
+    const { decision, reviewer, comment, adjudicatedAt } = c.adjudication;
+    lines.push(`   ┌─ Criterion: ${c.rawText || c.criterionId}`);
+    lines.push(`   │  Automatic: ${c.getAutomaticDecisionReason()}`);
+    lines.push(`   │  Adjudicated: ${ADJUDICATION_DECISIONS[decision]} by ${reviewer}`
+      + `${adjudicatedAt ? ` on ${adjudicatedAt.split('T')[0]}` : ''}`);
+    if (comment) {
+      lines.push(`   │  Comment: ${comment}`);
+    }
+    lines.push(`   └────────────────────────────────────`);
+  });
+}
+
+/**
+ * Trial metadata summary shown under the NCT ID on result cards
+ * @param {Object} props
+ * @param {Object|null} props.metadata - Trial metadata
+ * @returns {JSX.Element|null}
+ */
+function TrialMetadataSummary({ metadata }) {
+  if (!metadata) {
+    return null;
+  }
+  const details = [metadata.phase, metadata.sponsor, metadata.recruitmentStatus].filter(Boolean);
+  const sites = formatTrialSites(metadata);
+
+  return (
+    <div className="trial-metadata">
+      {metadata.title && <div className="trial-title">{metadata.title}</div>}
+      {details.length > 0 && <small className="trial-details">{details.join(' • ')}</small>}
+      {sites.length > 0 && (
+        <small className="trial-sites">
+          📍 {sites.slice(0, 3).join('; ')}
+          {sites.length > 3 && ` +${sites.length - 3} more`}
+        </small>
+      )}
+    </div>
+  );
+}
+
+TrialMetadataSummary.propTypes = {
+  metadata: PropTypes.shape({
+    title: PropTypes.string,
+    phase: PropTypes.string,
+    sponsor: PropTypes.string,
+    recruitmentStatus: PropTypes.string,
+    sites: PropTypes.arrayOf(PropTypes.object),
+  }),
+};
+
+/**
+ * Reviewer's decision for one criterion: met, not met or not applicable, with a comment and their name
+ * @param {Object} props
+ * @param {import('../services/matcher/results.js').CriterionMatchResult} props.criterion - Criterion to adjudicate
+ * @param {(adjudication: Object|null) => void} props.onAdjudicate - Save a decision, or clear it with null
+ * @returns {JSX.Element}
+ */
+function CriterionAdjudicationForm({ criterion, onAdjudicate }) {
+  const [decision, setDecision] = useState(criterion.adjudication?.decision || '');
+  const [comment, setComment] = useState(criterion.adjudication?.comment || '');
+  const [reviewer, setReviewer] = useState(criterion.adjudication?.reviewer || '');
+
+  const handleSave = () => {
+    onAdjudicate({
+      decision,
+      comment: comment.trim(),
+      reviewer: reviewer.trim(),
+      adjudicatedAt: new Date().toISOString(),
+    });
+  };
+
+  const handleClear = () => {
+    setDecision('');
+    setComment('');
+    onAdjudicate(null);
+  };
+
+  return (
+    <div className="criterion-adjudication">
+      <select aria-label="Adjudication" value={decision} onChange={(e) => setDecision(e.target.value)}>
+        <option value="">Adjudicate…</option>
+        {Object.entries(ADJUDICATION_DECISIONS).map(([value, label]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+      <input
+        type="text"
+        aria-label="Adjudication comment"
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        placeholder="Comment (e.g. confirmed in chart)"
+      />
+      <input
+        type="text"
+        aria-label="Reviewer name"
+        value={reviewer}
+        onChange={(e) => setReviewer(e.target.value)}
+        placeholder="Your name"
+      />
+      <button
+        type="button"
+        className="btn btn-small btn-secondary"
+        onClick={handleSave}
+        disabled={!decision || !comment.trim() || !reviewer.trim()}
+      >
+        Save
+      </button>
+      {criterion.adjudication && (
+        <button type="button" className="btn btn-small btn-secondary" onClick={handleClear}>
+          Clear
+        </button>
+      )}
+    </div>
+  );
+}
+
+CriterionAdjudicationForm.propTypes = {
+  criterion: PropTypes.shape({
+    adjudication: PropTypes.shape({
+      decision: PropTypes.string,
+      comment: PropTypes.string,
+      reviewer: PropTypes.string,
+    }),
+  }).isRequired,
+  onAdjudicate: PropTypes.func.isRequired,
+};
+
+/**
+ * Expandable per-trial explanation: every evaluated criterion with its evidence highlighted,
+ * the patient answer, how it was matched and why it blocks (or does not block) eligibility
+ * @param {Object} props
+ * @param {Array<import('../services/matcher/results.js').CriterionMatchResult>} props.criteria - Evaluated criteria
+ * @param {(criterionId: string, adjudication: Object|null) => void} [props.onAdjudicate] - Record a reviewer's decision
+ * @returns {JSX.Element|null}
+ */
+function CriterionExplanationPanel({ criteria, onAdjudicate }) {
+  if (!criteria || criteria.length === 0) {
+    return null;
+  }
+  // Criteria that decided ineligibility first
+  const ordered = [...criteria].sort((a, b) => Number(b.causesIneligibility()) - Number(a.causesIneligibility()));
+
+  return (
+    <details className="criterion-explanations">
+      <summary>Explain decision ({criteria.length} criteria)</summary>
+      <ul>
+        {ordered.map((c) => (
+          <li
+            key={c.criterionId}
+            className={`criterion-explanation${c.causesIneligibility() ? ' blocking' : ''}${c.adjudication ? ' adjudicated' : ''}`}
+          >
+            <div className="criterion-text">
+              {findEvidenceSpans(c.rawText || c.criterionId, c.evidenceTerms).map((segment, i) => (
+                segment.highlighted ? <mark key={i}>{segment.text}</mark> : <span key={i}>{segment.text}</span>
+              ))}
+            </div>
+            <dl className="criterion-facts">
+              <dt>Patient answer</dt>
+              <dd>{c.patientValue || 'Not answered'}</dd>
+              <dt>Match method</dt>
+              <dd>
+                {MATCH_METHOD_LABELS[c.matchMethod] || c.matchMethod || 'Unknown'}
+                {` • ${(c.confidence * 100).toFixed(0)}% confidence`}
+              </dd>
+              <dt>Decision</dt>
+              <dd>{c.getDecisionReason()}</dd>
+              {c.adjudication && (
+                <>
+                  <dt>Automatic decision</dt>
+                  <dd>{c.getAutomaticDecisionReason()}</dd>
+                  <dt>Comment</dt>
+                  <dd>{c.adjudication.comment}</dd>
+                </>
+              )}
+              {c.confidenceReason && (
+                <>
+                  <dt>Reason</dt>
+                  <dd>{c.confidenceReason}</dd>
+                </>
+              )}
+              {c.aiReasoning && (
+                <>
+                  <dt>AI reasoning</dt>
+                  <dd>{c.aiReasoning}</dd>
+                </>
+              )}
+            </dl>
+            {onAdjudicate && (
+              <CriterionAdjudicationForm
+                criterion={c}
+                onAdjudicate={(adjudication) => onAdjudicate(c.criterionId, adjudication)}
+              />
+            )}
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
+
+CriterionExplanationPanel.propTypes = {
+  criteria: PropTypes.arrayOf(PropTypes.shape({
+    criterionId: PropTypes.string.isRequired,
+    rawText: PropTypes.string,
+    patientValue: PropTypes.string,
+    confidence: PropTypes.number,
+    confidenceReason: PropTypes.string,
+    matchMethod: PropTypes.string,
+    aiReasoning: PropTypes.string,
+    evidenceTerms: PropTypes.arrayOf(PropTypes.string),
+    adjudication: PropTypes.object,
+    causesIneligibility: PropTypes.func.isRequired,
+    getDecisionReason: PropTypes.func.isRequired,
+    getAutomaticDecisionReason: PropTypes.func,
+  })),
+  onAdjudicate: PropTypes.func,
+};
+
+/**
+ * Note on a result card whose status reviewers changed by adjudicating criteria
+ * @param {Object} props
+ * @param {import('../services/matcher/results.js').TrialEligibilityResult} props.trial - Trial result
+ * @returns {JSX.Element|null}
+ */
+function AdjudicationSummary({ trial }) {
+  const count = trial.getAdjudicatedCriteria().length;
+  if (count === 0) {
+    return null;
+  }
+  return (
+    <small className="adjudication-summary">
+      {count} {count === 1 ? 'criterion' : 'criteria'} adjudicated
+      {` • automatic status: ${TRIAL_STATUS_LABELS[trial.automaticStatus] || trial.automaticStatus}`}
+    </small>
+  );
+}
+
+AdjudicationSummary.propTypes = {
+  trial: PropTypes.shape({
+    automaticStatus: PropTypes.string,
+    getAdjudicatedCriteria: PropTypes.func.isRequired,
+  }).isRequired,
+};
+
+/**
+ * "Resume where you left off" entry: resume by session code and recent session history
+ * @param {Object} props
+ * @param {string} props.lastCode - Code of the session left in progress on this browser
+ * @param {Array<Object>} props.sessions - Recent sessions of this browser
+ * @param {(code: string) => void} props.onResume - Resume a session
+ * @param {(code: string) => void} props.onDelete - Delete a session
+ * @returns {JSX.Element}
+ */
+function ResumeSessionPanel({ lastCode, sessions, onResume, onDelete }) {
+  const [code, setCode] = useState(lastCode);
+
+  useEffect(() => {
+    setCode(lastCode);
+  }, [lastCode]);
+
+  return (
+    <div className="resume-session">
+      <h3>Resume where you left off</h3>
+      <div className="input-with-button">
+        <input
+          type="text"
+          aria-label="Session code"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder="XXXX-XXXX-XXXX"
+        />
+        <button
+          type="button"
+          className="btn btn-small btn-secondary"
+          onClick={() => onResume(code)}
+          disabled={!code.trim()}
+        >
+          Resume
+        </button>
+      </div>
+
+      {sessions.length > 0 && (
+        <ul className="session-history">
+          {sessions.map((session) => (
+            <li key={session.code} className="session-entry">
+              <div>
+                <strong>{session.code}</strong>
+                <small>
+                  {' '}
+                  {session.status === 'completed' ? 'Completed' : `In progress (${session.completedClusters.length} sections done)`}
+                  {' • '}
+                  {new Date(session.updatedAt).toLocaleString()}
+                  {session.summary && ` • ${session.summary.eligible} eligible, ${session.summary.needsReview} review, ${session.summary.ineligible} ineligible`}
+                </small>
+              </div>
+              <div>
+                <button type="button" className="btn btn-small btn-secondary" onClick={() => onResume(session.code)}>
+                  Resume
+                </button>
+                <button type="button" className="btn btn-small btn-secondary" onClick={() => onDelete(session.code)}>
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+ResumeSessionPanel.propTypes = {
+  lastCode: PropTypes.string.isRequired,
+  sessions: PropTypes.arrayOf(PropTypes.shape({
+    code: PropTypes.string.isRequired,
+    status: PropTypes.string,
+    completedClusters: PropTypes.arrayOf(PropTypes.number),
+    summary: PropTypes.object,
+    updatedAt: PropTypes.string,
+  })).isRequired,
+  onResume: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+};
+
 /**
  * Generate text report with ineligibility reasons
  * @param {Object} results - Match results
@@ -148,10 +634,16 @@ function generateTextReport(results) {
   // Summary
   lines.push('MATCHING SUMMARY');
   lines.push('───────────────────────────────────────────────────────────────');
-  lines.push(`Total Trials Evaluated: ${results.eligibleTrials.length + results.needsReviewTrials.length + results.ineligibleTrials.length}`);
+  lines.push(`Total Trials Evaluated: ${results.eligibleTrials.length + results.needsReviewTrials.length + results.insufficientInformationTrials.length + results.eligibleAfterWashoutTrials.length + results.ineligibleTrials.length}`);
   lines.push(`✓ Eligible: ${results.eligibleTrials.length}`);
   lines.push(`⚠ Needs Review: ${results.needsReviewTrials.length}`);
+  lines.push(`? Insufficient Information: ${results.insufficientInformationTrials.length}`);
+  lines.push(`◷ Eligible After Washout: ${results.eligibleAfterWashoutTrials.length}`);
   lines.push(`✗ Ineligible: ${results.ineligibleTrials.length}`);
+  const adjudicatedTrials = results.getSummary ? results.getSummary().adjudicated : 0;
+  if (adjudicatedTrials > 0) {
+    lines.push(`Trials with adjudicated criteria: ${adjudicatedTrials} (statuses above include reviewer decisions)`);
+  }
   lines.push('');
   
   // Eligible Trials
@@ -161,6 +653,8 @@ function generateTextReport(results) {
     results.eligibleTrials.forEach((trial, idx) => {
       const confidence = trial.getConfidenceScore ? trial.getConfidenceScore() : 1.0;
       lines.push(`${idx + 1}. ${trial.nctId} (Overall Confidence: ${(confidence * 100).toFixed(0)}%)`);
+      appendTrialMetadata(lines, trial);
+      appendAdjudications(lines, trial);
       
       // Show confidence breakdown
       if (trial.matchedCriteria && trial.matchedCriteria.length > 0) {
@@ -203,6 +697,8 @@ function generateTextReport(results) {
     lines.push('───────────────────────────────────────────────────────────────');
     results.needsReviewTrials.forEach((trial, idx) => {
       lines.push(`${idx + 1}. ${trial.nctId}`);
+      appendTrialMetadata(lines, trial);
+      appendAdjudications(lines, trial);
       if (trial.flaggedCriteria && trial.flaggedCriteria.length > 0) {
         lines.push('   Flagged criteria:');
         trial.flaggedCriteria.forEach((c) => {
@@ -218,6 +714,40 @@ function generateTextReport(results) {
     });
   }
   
+  // Trials that depend on missing or "I don't know" answers
+  if (results.insufficientInformationTrials.length > 0) {
+    lines.push('TRIALS WITH INSUFFICIENT INFORMATION');
+    lines.push('───────────────────────────────────────────────────────────────');
+    results.insufficientInformationTrials.forEach((trial, idx) => {
+      lines.push(`${idx + 1}. ${trial.nctId}`);
+      appendTrialMetadata(lines, trial);
+      appendAdjudications(lines, trial);
+      lines.push('   Questions that would settle it:');
+      trial.getOpenQuestions().forEach((q) => {
+        const items = q.items.length > 0 ? ` (${q.items.join(', ')})` : '';
+        lines.push(`   ? ${q.question}${items} — ${q.criteria.join(', ')}`);
+      });
+      lines.push('');
+    });
+  }
+  
+  // Trials that accept the patient once time-limited exclusions have passed
+  if (results.eligibleAfterWashoutTrials.length > 0) {
+    lines.push('TRIALS ELIGIBLE AFTER WASHOUT');
+    lines.push('───────────────────────────────────────────────────────────────');
+    results.eligibleAfterWashoutTrials.forEach((trial, idx) => {
+      lines.push(`${idx + 1}. ${trial.nctId}`);
+      appendTrialMetadata(lines, trial);
+      appendAdjudications(lines, trial);
+      lines.push(`   Earliest screening: ${trial.washout.screeningDate} (baseline ${trial.washout.baselineDate})`);
+      lines.push('   Blocking until then:');
+      trial.getIneligibilityCriteria().forEach((c) => {
+        lines.push(`   ◷ ${c.rawText || c.criterionId}`);
+      });
+      lines.push('');
+    });
+  }
+  
   // Ineligible Trials with failure reasons
   if (results.ineligibleTrials.length > 0) {
     lines.push('INELIGIBLE TRIALS');
@@ -225,6 +755,8 @@ function generateTextReport(results) {
     results.ineligibleTrials.forEach((trial, idx) => {
       const confidence = trial.getConfidenceScore ? trial.getConfidenceScore() : 0;
       lines.push(`${idx + 1}. ${trial.nctId} (Confidence: ${(confidence * 100).toFixed(0)}%)`);
+      appendTrialMetadata(lines, trial);
+      appendAdjudications(lines, trial);
       
       // Get failed criteria
       const failedInclusions = trial.getFailedInclusions ? trial.getFailedInclusions() : [];
@@ -265,6 +797,10 @@ function generateTextReport(results) {
           lines.push(`     • ${reason}`);
         });
       }
+
+      if (trial.skippedCriteria?.length > 0) {
+        lines.push(`   (${trial.skippedCriteria.length} remaining criteria not evaluated)`);
+      }
       
       lines.push('');
     });
@@ -290,6 +826,16 @@ function App() {
   const [isLoading, setIsLoading] = useState(false);
   const [isAdminRoute, setIsAdminRoute] = useState(false);
   
+  // Screening session (persisted questionnaire progress)
+  const [sessionCode, setSessionCode] = useState(null);
+  const [resumeState, setResumeState] = useState(null);
+  const [adjudications, setAdjudications] = useState({});
+  const [sessionHistory, setSessionHistory] = useState([]);
+  const [lastSessionCode, setLastSessionCode] = useState(() => localStorage.getItem(SESSION_CODE_KEY) || '');
+  const saveTimer = useRef(null);
+  const latestProgress = useRef(null);
+  const adaptiveMatcher = useRef(null);
+  
   // Confidence thresholds
   const [confidenceThresholds, setConfidenceThresholds] = useState({
     exclude: 0.8,  // High confidence = exclude patient
@@ -408,6 +954,105 @@ function App() {
     });
   }, []);
 
+  // Load the sessions this browser started while on the settings screen; codes that
+  // no longer resolve (deleted, or the backend is down) are not shown
+  useEffect(() => {
+    if (stage !== STAGES.SETTINGS) {
+      return;
+    }
+    Promise.all(readSessionHistory().map((code) => backendClient.getScreeningSession(code).catch(() => null)))
+      .then((sessions) => setSessionHistory(sessions.filter(Boolean).map((session) => ({
+        code: session.code,
+        status: session.status,
+        completedClusters: session.completedClusters || [],
+        summary: session.results?.summary || null,
+        updatedAt: session.updatedAt,
+      }))));
+  }, [stage]);
+
+  /**
+   * Remember (or forget) the in-progress session code on this browser
+   * @param {string|null} code
+   */
+  const rememberSessionCode = useCallback((code) => {
+    if (code) {
+      localStorage.setItem(SESSION_CODE_KEY, code);
+    } else {
+      localStorage.removeItem(SESSION_CODE_KEY);
+    }
+    setLastSessionCode(code || '');
+  }, []);
+
+  /**
+   * Resume a stored screening session by its code
+   */
+  const handleResumeSession = useCallback(async (code) => {
+    try {
+      const session = await backendClient.getScreeningSession(code);
+      setSessionCode(session.code);
+      setResumeState({
+        answers: session.answers || {},
+        currentCluster: session.currentCluster,
+        completedClusters: session.completedClusters,
+      });
+      setAdjudications(session.adjudications || {});
+      updateSessionHistory(session.code);
+      if (session.status !== 'completed') {
+        rememberSessionCode(session.code);
+      }
+      setError(null);
+      setStage(STAGES.QUESTIONNAIRE);
+    } catch (err) {
+      setError('Could not resume session: ' + err.message);
+    }
+  }, [rememberSessionCode]);
+
+  /**
+   * Delete a stored screening session
+   */
+  const handleDeleteSession = useCallback(async (code) => {
+    try {
+      await backendClient.deleteScreeningSession(code);
+      updateSessionHistory(code, true);
+      setSessionHistory((prev) => prev.filter((session) => session.code !== code));
+      if (code === lastSessionCode) {
+        rememberSessionCode(null);
+      }
+    } catch (err) {
+      setError('Could not delete session: ' + err.message);
+    }
+  }, [lastSessionCode, rememberSessionCode]);
+
+  /**
+   * Save questionnaire progress to the session shortly after the last change
+   */
+  const handleQuestionnaireProgress = useCallback((progress) => {
+    latestProgress.current = progress;
+    if (!sessionCode) {
+      return;
+    }
+    clearTimeout(saveTimer.current);
+    saveTimer.current = setTimeout(() => {
+      backendClient.updateScreeningSession(sessionCode, progress).catch((err) => {
+        console.error('Failed to save screening session:', err);
+      });
+    }, SESSION_SAVE_DELAY);
+  }, [sessionCode]);
+
+  useEffect(() => () => clearTimeout(saveTimer.current), []);
+
+  /**
+   * Plan the next adaptive questionnaire step; rule-based only, so no AI calls are made per answer
+   */
+  const handlePlanNextQuestion = useCallback(async (patientResponse, options) => {
+    if (!adaptiveMatcher.current) {
+      const { ClinicalTrialMatcher } = await import('../services/matcher');
+      const database = await import('../data/improved_slot_filled_database.json');
+      adaptiveMatcher.current = new ClinicalTrialMatcher(database.default);
+    }
+    return adaptiveMatcher.current.planNextQuestion(patientResponse, options);
+  }, []);
+
   /**
    * Handle settings submission
    */
@@ -436,9 +1081,23 @@ function App() {
       }
     }
     
+    // Start a new screening session; without a backend the questionnaire still works unsaved
+    try {
+      const session = await backendClient.createScreeningSession();
+      setSessionCode(session.code || null);
+      rememberSessionCode(session.code || null);
+      if (session.code) {
+        updateSessionHistory(session.code);
+      }
+    } catch {
+      setSessionCode(null);
+    }
+    setResumeState(null);
+    setAdjudications({});
+    
     setError(null);
     setStage(STAGES.QUESTIONNAIRE);
-  }, [useAI, apiKey, saveApiKeyToBackend]);
+  }, [useAI, apiKey, saveApiKeyToBackend, rememberSessionCode]);
 
   /**
    * Handle questionnaire submission
@@ -453,34 +1112,81 @@ function App() {
       const { ClinicalTrialMatcher } = await import('../services/matcher');
       
       // Load the complete database with all 11 clusters (770 criteria, 75 trials)
-      // Includes: AGE, BMI, NPV, CPD, SEV, AAO, AIC, CMB, BIO, FLR, PTH
+      // Includes: AGE, BMI, NPV, CPD, SEV, AAO, AIC, CMB, BIO, FLR, PTH, REP, LAB, VAC
       const database = await import('../data/improved_slot_filled_database.json');
+      const trialMetadata = await import('../data/trial-metadata.json');
 
       const aiConfig = useAI && apiKey ? { 
         apiKey, 
         model,
         confidenceThresholds 
       } : null;
-      const matcher = new ClinicalTrialMatcher(database.default, aiConfig);
+      const matcher = new ClinicalTrialMatcher(database.default, aiConfig, {
+        trialMetadata: trialMetadata.default,
+      });
 
-      const results = await matcher.matchPatient(patientResponse);
+      // Decisions reviewers recorded on an earlier run of this session still apply
+      const results = (await matcher.matchPatient(patientResponse)).withAdjudications(adjudications);
       setMatchResults(results);
       setStage(STAGES.RESULTS);
+
+      if (sessionCode) {
+        clearTimeout(saveTimer.current);
+        backendClient.updateScreeningSession(sessionCode, {
+          response: patientResponse,
+          results: results.toJSON(),
+        }).catch((err) => console.error('Failed to save match results:', err));
+        rememberSessionCode(null);
+      }
     } catch (err) {
       console.error('Matching error:', err);
       setError(err.message);
+      // Bring the questionnaire back with the answers it was submitted with
+      setResumeState(latestProgress.current);
       setStage(STAGES.QUESTIONNAIRE);
     } finally {
       setIsLoading(false);
     }
-  }, [useAI, apiKey, model, confidenceThresholds]);
+  }, [useAI, apiKey, model, confidenceThresholds, sessionCode, rememberSessionCode, adjudications]);
+
+  /**
+   * Record (or clear) a reviewer's decision for a criterion, regroup the trials by their
+   * recomputed status and store the decisions and updated results with the session
+   */
+  const handleAdjudicate = useCallback((nctId, criterionId, adjudication) => {
+    const trialAdjudications = { ...adjudications[nctId] };
+    if (adjudication) {
+      trialAdjudications[criterionId] = adjudication;
+    } else {
+      delete trialAdjudications[criterionId];
+    }
+    const next = { ...adjudications, [nctId]: trialAdjudications };
+    if (Object.keys(trialAdjudications).length === 0) {
+      delete next[nctId];
+    }
+
+    const results = matchResults.withAdjudications(next);
+    setAdjudications(next);
+    setMatchResults(results);
+
+    if (sessionCode) {
+      backendClient.updateScreeningSession(sessionCode, {
+        adjudications: next,
+        results: results.toJSON(),
+      }).catch((err) => console.error('Failed to save adjudications:', err));
+    }
+  }, [adjudications, matchResults, sessionCode]);
 
   /**
    * Reset application state
    */
   const handleReset = useCallback(() => {
+    clearTimeout(saveTimer.current);
     setStage(STAGES.SETTINGS);
     setMatchResults(null);
+    setSessionCode(null);
+    setResumeState(null);
+    setAdjudications({});
     setError(null);
   }, []);
 
@@ -651,13 +1357,29 @@ function App() {
                 Start Questionnaire
               </button>
             </form>
+
+            <ResumeSessionPanel
+              lastCode={lastSessionCode}
+              sessions={sessionHistory}
+              onResume={handleResumeSession}
+              onDelete={handleDeleteSession}
+            />
           </section>
         )}
 
         {stage === STAGES.QUESTIONNAIRE && (
           <section className="questionnaire-panel">
+            {sessionCode && (
+              <p className="session-code-banner">
+                Session code: <strong>{sessionCode}</strong>, keep it to resume where you left off.
+              </p>
+            )}
             <ClinicalTrialEligibilityQuestionnaire 
+              key={sessionCode || 'unsaved'}
               onSubmit={handleQuestionnaireSubmit} 
+              initialState={resumeState}
+              onProgress={handleQuestionnaireProgress}
+              planNextQuestion={handlePlanNextQuestion}
             />
             <button onClick={handleReset} className="btn btn-secondary back-btn">
               ← Back to Settings
@@ -687,6 +1409,14 @@ function App() {
                 <span className="stat-value">{matchResults.needsReviewTrials.length}</span>
                 <span className="stat-label">Needs Review</span>
               </div>
+              <div className="stat insufficient">
+                <span className="stat-value">{matchResults.insufficientInformationTrials.length}</span>
+                <span className="stat-label">Insufficient Information</span>
+              </div>
+              <div className="stat washout">
+                <span className="stat-value">{matchResults.eligibleAfterWashoutTrials.length}</span>
+                <span className="stat-label">Eligible After Washout</span>
+              </div>
               <div className="stat ineligible">
                 <span className="stat-value">{matchResults.ineligibleTrials.length}</span>
                 <span className="stat-label">Ineligible</span>
@@ -707,6 +1437,8 @@ function App() {
                           Confidence: {(trial.getConfidenceScore() * 100).toFixed(0)}%
                         </span>
                       </div>
+                      <TrialMetadataSummary metadata={trial.metadata} />
+                      <AdjudicationSummary trial={trial} />
                       <div className="confidence-breakdown">
                         <small>
                           {trial.matchedCriteria?.length || 0} criteria evaluated
@@ -737,6 +1469,107 @@ function App() {
                           </div>
                         )}
                       </div>
+                      <CriterionExplanationPanel
+                        criteria={trial.matchedCriteria}
+                        onAdjudicate={(criterionId, adjudication) => handleAdjudicate(trial.nctId, criterionId, adjudication)}
+                      />
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <h3>Trials Needing Review</h3>
+              {matchResults.needsReviewTrials.length === 0 ? (
+                <p>No trials need review.</p>
+              ) : (
+                <ul>
+                  {matchResults.needsReviewTrials.map((trial) => (
+                    <li key={trial.nctId} className="trial-card review">
+                      <div className="trial-header">
+                        <strong>{trial.nctId}</strong>
+                        <span className="confidence-score">
+                          Confidence: {(trial.getConfidenceScore() * 100).toFixed(0)}%
+                        </span>
+                      </div>
+                      <TrialMetadataSummary metadata={trial.metadata} />
+                      <AdjudicationSummary trial={trial} />
+                      <div className="flagged-criteria">
+                        <small>Flagged for review:</small>
+                        <ul>
+                          {trial.flaggedCriteria.filter((c) => !c.adjudication).map((c) => (
+                            <li key={c.criterionId}>{c.rawText || c.criterionId}</li>
+                          ))}
+                        </ul>
+                      </div>
+                      <CriterionExplanationPanel
+                        criteria={trial.matchedCriteria}
+                        onAdjudicate={(criterionId, adjudication) => handleAdjudicate(trial.nctId, criterionId, adjudication)}
+                      />
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <h3>Trials Awaiting Information</h3>
+              {matchResults.insufficientInformationTrials.length === 0 ? (
+                <p>No trials depend on missing answers.</p>
+              ) : (
+                <ul>
+                  {matchResults.insufficientInformationTrials.map((trial) => (
+                    <li key={trial.nctId} className="trial-card insufficient">
+                      <div className="trial-header">
+                        <strong>{trial.nctId}</strong>
+                      </div>
+                      <TrialMetadataSummary metadata={trial.metadata} />
+                      <AdjudicationSummary trial={trial} />
+                      <div className="open-questions">
+                        <small>Answers that would settle it:</small>
+                        <ul>
+                          {trial.getOpenQuestions().map((q) => (
+                            <li key={q.question}>
+                              {q.question}
+                              {q.items.length > 0 && ` (${q.items.join(', ')})`}
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                      <CriterionExplanationPanel
+                        criteria={trial.matchedCriteria}
+                        onAdjudicate={(criterionId, adjudication) => handleAdjudicate(trial.nctId, criterionId, adjudication)}
+                      />
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <h3>Eligible After Washout</h3>
+              {matchResults.eligibleAfterWashoutTrials.length === 0 ? (
+                <p>No trials become available by waiting.</p>
+              ) : (
+                <ul>
+                  {matchResults.eligibleAfterWashoutTrials.map((trial) => (
+                    <li key={trial.nctId} className="trial-card washout">
+                      <div className="trial-header">
+                        <strong>{trial.nctId}</strong>
+                        <span className="washout-date">
+                          Screen from {trial.washout.screeningDate}
+                        </span>
+                      </div>
+                      <TrialMetadataSummary metadata={trial.metadata} />
+                      <AdjudicationSummary trial={trial} />
+                      <div className="washout-blockers">
+                        <small>Excluded until then by:</small>
+                        <ul>
+                          {trial.getIneligibilityCriteria().map((c) => (
+                            <li key={c.criterionId}>{c.rawText || c.criterionId}</li>
+                          ))}
+                        </ul>
+                        <small>Baseline / first dose from {trial.washout.baselineDate}</small>
+                      </div>
+                      <CriterionExplanationPanel
+                        criteria={trial.matchedCriteria}
+                        onAdjudicate={(criterionId, adjudication) => handleAdjudicate(trial.nctId, criterionId, adjudication)}
+                      />
                     </li>
                   ))}
                 </ul>
@@ -755,6 +1588,8 @@ function App() {
                           Confidence: {(trial.getConfidenceScore() * 100).toFixed(0)}%
                         </span>
                       </div>
+                      <TrialMetadataSummary metadata={trial.metadata} />
+                      <AdjudicationSummary trial={trial} />
                       <div className="failure-reasons">
                         {trial.getFailedInclusions && trial.getFailedInclusions().length > 0 && (
                           <div className="failed-inclusions">
@@ -792,7 +1627,16 @@ function App() {
                             </ul>
                           </div>
                         )}
+                        {trial.skippedCriteria?.length > 0 && (
+                          <small className="skipped-criteria">
+                            {trial.skippedCriteria.length} remaining criteria not evaluated
+                          </small>
+                        )}
                       </div>
+                      <CriterionExplanationPanel
+                        criteria={trial.matchedCriteria}
+                        onAdjudicate={(criterionId, adjudication) => handleAdjudicate(trial.nctId, criterionId, adjudication)}
+                      />
                     </li>
                   ))}
                 </ul>
@@ -0,0 +1,92 @@
+/**
+ * @file Body Region Picker
+ * @description Clickable body map for recording where psoriasis is, used for special-area
+ * criteria (scalp, nails, palms and soles, genitals, skin folds)
+ */
+
+import PropTypes from 'prop-types';
+import { BODY_REGIONS } from '../services/matcher/anatomicalLocation.js';
+
+/**
+ * Front-view shapes for the regions the figure can show; palms, soles, nails and skin folds
+ * are picked from the list only
+ * @type {Array<{ region: string, shape: string, props: Object }>}
+ */
+const FIGURE_SHAPES = [
+  { region: 'scalp', shape: 'ellipse', props: { cx: 100, cy: 24, rx: 22, ry: 12 } },
+  { region: 'face', shape: 'ellipse', props: { cx: 100, cy: 50, rx: 20, ry: 18 } },
+  { region: 'trunk', shape: 'rect', props: { x: 70, y: 76, width: 60, height: 112, rx: 10 } },
+  { region: 'arms', shape: 'rect', props: { x: 42, y: 80, width: 24, height: 104, rx: 10 } },
+  { region: 'arms', shape: 'rect', props: { x: 134, y: 80, width: 24, height: 104, rx: 10 } },
+  { region: 'hands', shape: 'circle', props: { cx: 54, cy: 198, r: 12 } },
+  { region: 'hands', shape: 'circle', props: { cx: 146, cy: 198, r: 12 } },
+  { region: 'genitals', shape: 'rect', props: { x: 90, y: 190, width: 20, height: 18, rx: 6 } },
+  { region: 'legs', shape: 'rect', props: { x: 72, y: 210, width: 24, height: 140, rx: 10 } },
+  { region: 'legs', shape: 'rect', props: { x: 104, y: 210, width: 24, height: 140, rx: 10 } },
+  { region: 'feet', shape: 'ellipse', props: { cx: 82, cy: 364, rx: 14, ry: 8 } },
+  { region: 'feet', shape: 'ellipse', props: { cx: 118, cy: 364, rx: 14, ry: 8 } },
+];
+
+const labelOf = (region) => BODY_REGIONS.find(r => r.key === region)?.label || region;
+
+/**
+ * BodyRegionPicker - Toggle affected body regions on a figure or from a list
+ */
+const BodyRegionPicker = ({ value, onChange, disabled = false }) => {
+  const toggle = (region) => {
+    if (disabled) {
+      return;
+    }
+    onChange(value.includes(region) ? value.filter(r => r !== region) : [...value, region]);
+  };
+
+  return (
+    <div className="body-region-picker" style={{ display: 'flex', gap: '30px', flexWrap: 'wrap', alignItems: 'flex-start' }}>
+      <svg viewBox="0 0 200 380" width="160" height="304" aria-hidden="true">
+        {FIGURE_SHAPES.map(({ region, shape: Shape, props }, idx) => (
+          <Shape
+            key={idx}
+            {...props}
+            data-region={region}
+            onClick={() => toggle(region)}
+            fill={value.includes(region) ? '#e57373' : '#e0e0e0'}
+            stroke="#999"
+            style={{ cursor: disabled ? 'not-allowed' : 'pointer' }}
+          >
+            <title>{labelOf(region)}</title>
+          </Shape>
+        ))}
+      </svg>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+        {BODY_REGIONS.map(({ key, label }) => (
+          <button
+            key={key}
+            type="button"
+            aria-pressed={value.includes(key)}
+            onClick={() => toggle(key)}
+            style={{
+              padding: '6px 12px',
+              textAlign: 'left',
+              border: '1px solid #ccc',
+              borderRadius: '4px',
+              background: value.includes(key) ? '#ffebee' : 'white',
+              fontWeight: value.includes(key) ? '600' : 'normal',
+              cursor: 'pointer'
+            }}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+BodyRegionPicker.propTypes = {
+  value: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+};
+
+export default BodyRegionPicker;
@@ -0,0 +1,44 @@
+/**
+ * @file BSA Calculator
+ * @description Body surface area estimate by the palm method (one palm, fingers included, is about 1%)
+ */
+
+import PropTypes from 'prop-types';
+import { estimateBsaFromPalms } from '../utils/severityScores.js';
+
+/**
+ * BsaCalculator - Count palms of psoriasis to estimate BSA
+ */
+const BsaCalculator = ({ value, onChange, disabled = false }) => {
+  const bsa = estimateBsaFromPalms(value);
+
+  return (
+    <div className="bsa-calculator" style={{ padding: '10px', background: '#f9f9f9', borderRadius: '4px' }}>
+      <label style={{ display: 'block', marginBottom: '6px' }}>
+        If all your patches were put together, how many of your palms (with fingers) would they cover?
+      </label>
+      <input
+        type="number"
+        min="0"
+        max="100"
+        step="0.5"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        placeholder="Number of palms"
+        style={{ width: '150px', padding: '6px' }}
+      />
+      <p style={{ margin: '8px 0 0', fontWeight: '500' }} aria-live="polite">
+        {bsa === null ? 'Each palm is about 1% of your body.' : `Estimated BSA: ${bsa}%`}
+      </p>
+    </div>
+  );
+};
+
+BsaCalculator.propTypes = {
+  value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+};
+
+export default BsaCalculator;
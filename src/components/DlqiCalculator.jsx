@@ -0,0 +1,49 @@
+/**
+ * @file DLQI Calculator
+ * @description The 10-item Dermatology Life Quality Index, answered for the last week
+ */
+
+import PropTypes from 'prop-types';
+import { DLQI_ITEMS, DLQI_ANSWERS, getDlqiOptions, calculateDlqi } from '../utils/severityScores.js';
+
+/**
+ * DlqiCalculator - Answer the DLQI items; the score is shown once it can be scored
+ */
+const DlqiCalculator = ({ value, onChange, disabled = false }) => {
+  const score = calculateDlqi(value);
+
+  return (
+    <div className="dlqi-calculator" style={{ padding: '10px', background: '#f9f9f9', borderRadius: '4px' }}>
+      <p style={{ marginTop: 0 }}>Over the last week:</p>
+      {DLQI_ITEMS.map((item, idx) => (
+        <fieldset key={item.key} style={{ border: 'none', padding: 0, margin: '0 0 12px' }}>
+          <legend style={{ marginBottom: '6px' }}>{idx + 1}. {item.text}</legend>
+          {getDlqiOptions(item).map(option => (
+            <label key={option} style={{ marginRight: '15px' }}>
+              <input
+                type="radio"
+                name={`dlqi_${item.key}`}
+                value={option}
+                checked={value[item.key] === option}
+                onChange={() => onChange({ ...value, [item.key]: option })}
+                disabled={disabled}
+              />
+              {' '}{DLQI_ANSWERS[option].label}
+            </label>
+          ))}
+        </fieldset>
+      ))}
+      <p style={{ margin: 0, fontWeight: '500' }} aria-live="polite">
+        {score === null ? 'Answer the questions to calculate DLQI.' : `Calculated DLQI: ${score}`}
+      </p>
+    </div>
+  );
+};
+
+DlqiCalculator.propTypes = {
+  value: PropTypes.objectOf(PropTypes.string).isRequired,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+};
+
+export default DlqiCalculator;
@@ -0,0 +1,65 @@
+/**
+ * @file PASI Calculator
+ * @description Guided PASI scoring from redness, thickness, scaling and area in each body region
+ */
+
+import PropTypes from 'prop-types';
+import {
+  PASI_REGIONS,
+  PASI_SIGNS,
+  PASI_SIGN_LEVELS,
+  PASI_AREA_LEVELS,
+  calculatePasi,
+} from '../utils/severityScores.js';
+
+/**
+ * PasiCalculator - Score each region; the PASI is shown once every region is scored
+ */
+const PasiCalculator = ({ value, onChange, disabled = false }) => {
+  const score = calculatePasi(value);
+
+  const setScore = (region, field, level) => {
+    onChange({ ...value, [region]: { ...value[region], [field]: level } });
+  };
+
+  const renderSelect = (region, field, label, levels) => (
+    <label key={field} style={{ display: 'inline-block', marginRight: '15px', marginBottom: '8px' }}>
+      {label}:{' '}
+      <select
+        aria-label={`${PASI_REGIONS.find(r => r.key === region).label} ${label.toLowerCase()}`}
+        value={value[region]?.[field] ?? ''}
+        onChange={(e) => setScore(region, field, e.target.value)}
+        disabled={disabled}
+        style={{ padding: '4px' }}
+      >
+        <option value="">Select</option>
+        {levels.map((level, idx) => (
+          <option key={idx} value={idx}>{idx} - {level}</option>
+        ))}
+      </select>
+    </label>
+  );
+
+  return (
+    <div className="pasi-calculator" style={{ padding: '10px', background: '#f9f9f9', borderRadius: '4px' }}>
+      {PASI_REGIONS.map(({ key, label }) => (
+        <div key={key} style={{ marginBottom: '12px' }}>
+          <div style={{ fontWeight: '500', marginBottom: '6px' }}>{label}</div>
+          {PASI_SIGNS.map(sign => renderSelect(key, sign.key, sign.label, PASI_SIGN_LEVELS))}
+          {renderSelect(key, 'area', 'Area affected', PASI_AREA_LEVELS)}
+        </div>
+      ))}
+      <p style={{ margin: 0, fontWeight: '500' }} aria-live="polite">
+        {score === null ? 'Score every region to calculate PASI.' : `Calculated PASI: ${score}`}
+      </p>
+    </div>
+  );
+};
+
+PasiCalculator.propTypes = {
+  value: PropTypes.objectOf(PropTypes.object).isRequired,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+};
+
+export default PasiCalculator;
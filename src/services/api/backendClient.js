@@ -244,6 +244,58 @@ export class BackendClient {
     return response.json();
   }
 
+  /**
+   * Get half-life and standard washout of every catalog drug
+   * @returns {Promise<{drugs: Array}>}
+   */
+  async getDrugPharmacokinetics() {
+    const response = await this._request('/api/admin/drugs/pharmacokinetics');
+
+    if (!response.ok) {
+      throw new Error('Failed to fetch drug pharmacokinetics');
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Save a drug's half-life and/or standard washout
+   * @param {string} drugName - Drug name
+   * @param {Object} values
+   * @param {number|null} values.halfLifeDays - Half-life in days (null keeps the catalog value)
+   * @param {number|null} values.washoutWeeks - Standard washout in weeks (null keeps the catalog value)
+   * @returns {Promise<{message: string, drug: Object}>}
+   */
+  async updateDrugPharmacokinetics(drugName, { halfLifeDays, washoutWeeks }) {
+    const response = await this._request(`/api/admin/drugs/${encodeURIComponent(drugName)}/pharmacokinetics`, {
+      method: 'PUT',
+      body: JSON.stringify({ halfLifeDays, washoutWeeks })
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({ error: 'Failed to save drug pharmacokinetics' }));
+      throw new Error(error.error || 'Failed to save drug pharmacokinetics');
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Reset a drug's half-life and washout to the catalog values
+   * @param {string} drugName - Drug name
+   */
+  async resetDrugPharmacokinetics(drugName) {
+    const response = await this._request(`/api/admin/drugs/${encodeURIComponent(drugName)}/pharmacokinetics`, {
+      method: 'DELETE'
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to reset drug pharmacokinetics');
+    }
+
+    return response.json();
+  }
+
   /**
    * Get pending reviews
    * @returns {Promise<{pending: Array}>}
@@ -398,6 +450,135 @@ export class BackendClient {
     return response.json();
   }
 
+  // ============================================
+  // TRIALS API
+  // ============================================
+
+  /**
+   * Get trial metadata for all registered trials
+   * @param {string} [status] - Filter by recruitment status (e.g. 'RECRUITING')
+   * @returns {Promise<{trials: Array, count: number}>}
+   */
+  async getTrials(status = null) {
+    const url = status ? `/api/trials?status=${encodeURIComponent(status)}` : '/api/trials';
+    const response = await this._request(url);
+
+    if (!response.ok) {
+      throw new Error('Failed to fetch trials');
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Get metadata for a single trial
+   * @param {string} nctId - Trial NCT ID
+   * @returns {Promise<Object>} Trial metadata
+   */
+  async getTrial(nctId) {
+    const response = await this._request(`/api/trials/${encodeURIComponent(nctId)}`);
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({ error: 'Failed to fetch trial' }));
+      throw new Error(error.error || 'Failed to fetch trial');
+    }
+
+    return response.json();
+  }
+
+  // ============================================
+  // SCREENING SESSIONS API
+  // ============================================
+
+  /**
+   * Start a new screening session
+   * @param {Object} [progress] - Initial response, answers, currentCluster, completedClusters
+   * @returns {Promise<Object>} Session with its opaque code
+   */
+  async createScreeningSession(progress = {}) {
+    const response = await this._request('/api/sessions', {
+      method: 'POST',
+      body: JSON.stringify(progress)
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({ error: 'Failed to create screening session' }));
+      throw new Error(error.error || 'Failed to create screening session');
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Load a screening session to resume it
+   * @param {string} code - Session code
+   * @returns {Promise<Object>} Session with answers, progress and last results
+   */
+  async getScreeningSession(code) {
+    const response = await this._request(`/api/sessions/${encodeURIComponent(code.trim())}`);
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({ error: 'Failed to load screening session' }));
+      throw new Error(error.error || 'Failed to load screening session');
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Save screening progress, match results or reviewer adjudications
+   * @param {string} code - Session code
+   * @param {Object} changes - Any of response, answers, currentCluster, completedClusters, results, adjudications
+   * @returns {Promise<Object>} Updated session
+   */
+  async updateScreeningSession(code, changes) {
+    const response = await this._request(`/api/sessions/${encodeURIComponent(code)}`, {
+      method: 'PUT',
+      body: JSON.stringify(changes)
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({ error: 'Failed to save screening session' }));
+      throw new Error(error.error || 'Failed to save screening session');
+    }
+
+    return response.json();
+  }
+
+  /**
+   * List screening session history (admin)
+   * @param {string} [status] - Filter by 'in_progress' or 'completed'
+   * @returns {Promise<{sessions: Array, count: number}>}
+   */
+  async getScreeningSessions(status = null) {
+    const url = status ? `/api/admin/sessions?status=${encodeURIComponent(status)}` : '/api/admin/sessions';
+    const response = await this._request(url);
+
+    if (!response.ok) {
+      throw new Error('Failed to fetch screening sessions');
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Delete a screening session
+   * @param {string} code - Session code
+   * @returns {Promise<{message: string}>}
+   */
+  async deleteScreeningSession(code) {
+    const response = await this._request(`/api/sessions/${encodeURIComponent(code)}`, {
+      method: 'DELETE'
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({ error: 'Failed to delete screening session' }));
+      throw new Error(error.error || 'Failed to delete screening session');
+    }
+
+    return response.json();
+  }
+
   /**
    * Check if user is authenticated
    * @returns {boolean}
@@ -6,6 +6,8 @@
  * - Medical synonyms
  * - Matching rules
  * - Severity levels
+ * - Lab reference ranges
+ * - Vaccine catalog (live vs inactivated)
  * - Confidence thresholds
  * 
  * Benefits of externalization:
@@ -15,10 +17,12 @@
  * - Clear separation of concerns
  */
 
-import drugClassificationData from '../../config/drug-classification.json';
-import matchingRulesData from '../../config/matching-rules.json';
-import medicalSynonymsData from '../../config/medical-synonyms.json';
-import severityLevelsData from '../../config/severity-levels.json';
+import drugClassificationData from '../../config/drug-classification.json' with { type: 'json' };
+import matchingRulesData from '../../config/matching-rules.json' with { type: 'json' };
+import medicalSynonymsData from '../../config/medical-synonyms.json' with { type: 'json' };
+import severityLevelsData from '../../config/severity-levels.json' with { type: 'json' };
+import labReferenceRangesData from '../../config/lab-reference-ranges.json' with { type: 'json' };
+import vaccineCatalogData from '../../config/vaccine-catalog.json' with { type: 'json' };
 
 /**
  * @typedef {Object} DrugInfo
@@ -27,9 +31,17 @@ import severityLevelsData from '../../config/severity-levels.json';
  * @property {string} mechanism - Mechanism of action
  * @property {boolean} isBiologic - Whether it's a biologic
  * @property {boolean} lifetimeExclusion - Whether it causes lifetime exclusion
+ * @property {number} [halfLifeDays] - Terminal elimination half-life in days
+ * @property {number} [washoutWeeks] - Standard washout before a trial baseline, in weeks
  * @property {string[]} aliases - Alternative names
  */
 
+/**
+ * @typedef {Object} DrugPharmacokinetics
+ * @property {number|null} halfLifeDays - Terminal elimination half-life in days
+ * @property {number|null} washoutWeeks - Standard washout before a trial baseline, in weeks
+ */
+
 /**
  * Cache for loaded configuration
  */
@@ -38,6 +50,11 @@ let cachedDrugClasses = null;
 let cachedMatchingRules = null;
 let cachedMedicalSynonyms = null;
 let cachedSeverityLevels = null;
+let cachedLabReferenceRanges = null;
+let cachedVaccineCatalog = null;
+
+/** Admin-edited half-life / washout values, by drug name; applied over the catalog */
+let pharmacokineticsOverrides = {};
 
 /**
  * Loads and caches drug classification data
@@ -138,6 +155,39 @@ export function getDrugClass(drugName) {
   return info?.drugClass || null;
 }
 
+/**
+ * Gets the half-life and standard washout of a drug, by name or alias.
+ * Values edited by an admin (for the drug or any of its aliases) take precedence over the catalog.
+ * @param {string} drugName - Drug name (case-insensitive)
+ * @returns {DrugPharmacokinetics|null} PK values, or null when neither source has any
+ */
+export function getDrugPharmacokinetics(drugName) {
+  if (!drugName) {
+    return null;
+  }
+  const normalizedName = drugName.toLowerCase().trim();
+  const drugs = getDrugs();
+  const [key, info] = drugs[normalizedName]
+    ? [normalizedName, drugs[normalizedName]]
+    : Object.entries(drugs).find(([, entry]) => entry.aliases.some(a => a.toLowerCase() === normalizedName)) || [normalizedName, null];
+  const names = [normalizedName, key, ...(info?.aliases || []).map(a => a.toLowerCase())];
+  const override = pharmacokineticsOverrides[names.find(name => pharmacokineticsOverrides[name])] || {};
+
+  const halfLifeDays = override.halfLifeDays ?? info?.halfLifeDays ?? null;
+  const washoutWeeks = override.washoutWeeks ?? info?.washoutWeeks ?? null;
+  return halfLifeDays === null && washoutWeeks === null ? null : { halfLifeDays, washoutWeeks };
+}
+
+/**
+ * Replaces the admin-edited PK values applied over the catalog
+ * @param {Object<string, Partial<DrugPharmacokinetics>>} overrides - Values by drug name
+ */
+export function setDrugPharmacokineticsOverrides(overrides) {
+  pharmacokineticsOverrides = Object.fromEntries(
+    Object.entries(overrides || {}).map(([name, values]) => [name.toLowerCase().trim(), values])
+  );
+}
+
 /**
  * Clears the cache (useful for testing)
  */
@@ -147,6 +197,8 @@ export function clearCache() {
   cachedMatchingRules = null;
   cachedMedicalSynonyms = null;
   cachedSeverityLevels = null;
+  cachedLabReferenceRanges = null;
+  cachedVaccineCatalog = null;
 }
 
 /**
@@ -173,6 +225,14 @@ function loadMatchingRules() {
   return cachedMatchingRules;
 }
 
+/**
+ * Replaces the matching rules, e.g. when a long-running server re-reads matching-rules.json
+ * @param {Object|null} rules - Matching rules data; null goes back to the bundled file
+ */
+export function setMatchingRules(rules) {
+  cachedMatchingRules = rules;
+}
+
 /**
  * Gets confidence thresholds
  * @returns {Object} Confidence threshold configuration
@@ -223,6 +283,24 @@ export function getMeasurementTypes(clusterId) {
   return rules.measurementTypes?.[clusterId] || [];
 }
 
+/**
+ * Gets the valid ranges of all measurement types
+ * @returns {Object<string, { min: number, max: number, label: string, regions?: string[] }>}
+ * regions lists the body-map regions a site-specific score belongs to
+ */
+export function getMeasurementRanges() {
+  return loadMatchingRules().measurementRanges || {};
+}
+
+/**
+ * Gets the valid range of a measurement type
+ * @param {string} measurementType - Measurement type (e.g., 'PASI', 'NAPSI')
+ * @returns {{ min: number, max: number, label: string, regions?: string[] }|null}
+ */
+export function getMeasurementRange(measurementType) {
+  return getMeasurementRanges()[measurementType?.toUpperCase()] || null;
+}
+
 /**
  * Gets cluster configuration
  * @param {string} clusterId - Cluster ID
@@ -370,6 +448,108 @@ export function getSeverityAliases() {
   return loadSeverityLevels().aliases || {};
 }
 
+// ============================================
+// LAB REFERENCE RANGES
+// ============================================
+
+/**
+ * Loads and caches lab reference ranges
+ * @returns {Object} Lab reference range data
+ */
+function loadLabReferenceRanges() {
+  if (cachedLabReferenceRanges === null) {
+    cachedLabReferenceRanges = labReferenceRangesData;
+  }
+  return cachedLabReferenceRanges;
+}
+
+/**
+ * Gets all configured lab analytes
+ * @returns {Object} Map of analyte code (e.g. 'ALT') to unit, reference range and conversions
+ */
+export function getLabAnalytes() {
+  return loadLabReferenceRanges().analytes || {};
+}
+
+/**
+ * Gets the configuration of one lab analyte
+ * @param {string} analyte - Analyte code (case-insensitive)
+ * @returns {Object|null} Analyte config or null if unknown
+ */
+export function getLabAnalyteConfig(analyte) {
+  if (!analyte) {
+    return null;
+  }
+  return getLabAnalytes()[analyte.toUpperCase().trim()] || null;
+}
+
+// ============================================
+// VACCINE CATALOG
+// ============================================
+
+/**
+ * @typedef {Object} VaccineInfo
+ * @property {string} key - Catalog key (e.g., 'mmr')
+ * @property {string} name - Display name
+ * @property {string} vaccineType - live_attenuated, inactivated, subunit, toxoid, mrna or viral_vector
+ * @property {boolean} isLive - Whether it is a live vaccine
+ * @property {string[]} aliases - Brand and alternative names
+ */
+
+/**
+ * Loads and caches the vaccine catalog
+ * @returns {Object} Vaccine catalog data
+ */
+function loadVaccineCatalog() {
+  if (cachedVaccineCatalog === null) {
+    cachedVaccineCatalog = vaccineCatalogData;
+  }
+  return cachedVaccineCatalog;
+}
+
+/**
+ * Gets all vaccine entries
+ * @returns {Object<string, Object>} Map of vaccine key to info
+ */
+export function getVaccines() {
+  return loadVaccineCatalog().vaccines || {};
+}
+
+/**
+ * Gets info for a vaccine by catalog key, display name or alias
+ * @param {string} vaccineName - Vaccine name (case-insensitive)
+ * @returns {VaccineInfo|null} Vaccine info or null if not in the catalog
+ */
+export function getVaccineInfo(vaccineName) {
+  if (!vaccineName) {
+    return null;
+  }
+  const normalizedName = vaccineName.toLowerCase().trim();
+  const vaccines = getVaccines();
+
+  if (vaccines[normalizedName]) {
+    return { key: normalizedName, ...vaccines[normalizedName] };
+  }
+
+  for (const [key, info] of Object.entries(vaccines)) {
+    if (info.name.toLowerCase() === normalizedName || info.aliases.some(a => a.toLowerCase() === normalizedName)) {
+      return { key, ...info };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Checks whether a vaccine is live
+ * @param {string} vaccineName - Vaccine name or alias
+ * @returns {boolean|null} True/false, or null if the vaccine is unknown
+ */
+export function isLiveVaccine(vaccineName) {
+  const info = getVaccineInfo(vaccineName);
+  return info ? info.isLive : null;
+}
+
 export default {
   // Drug classification
   getDrugClasses,
@@ -378,9 +558,12 @@ export default {
   isKnownDrug,
   getDrugsByClass,
   getDrugClass,
+  getDrugPharmacokinetics,
+  setDrugPharmacokineticsOverrides,
   getMetadata,
   
   // Matching rules
+  setMatchingRules,
   getConfidenceThresholds,
   getConfidenceByMatchType,
   getAIConfidenceSettings,
@@ -401,6 +584,15 @@ export default {
   getAllSeverityLevels,
   getSeverityAliases,
   
+  // Lab reference ranges
+  getLabAnalytes,
+  getLabAnalyteConfig,
+  
+  // Vaccine catalog
+  getVaccines,
+  getVaccineInfo,
+  isLiveVaccine,
+  
   // Cache management
   clearCache
 };
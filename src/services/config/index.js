@@ -8,6 +8,8 @@ export {
   isKnownDrug,
   getDrugsByClass,
   getDrugClass,
+  getDrugPharmacokinetics,
+  setDrugPharmacokineticsOverrides,
   clearCache,
   getMetadata
 } from './RulesLoader.js';
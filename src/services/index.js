@@ -6,3 +6,4 @@
 export * from './matcher/index.js';
 export * from './api/index.js';
 export * from './cache/index.js';
+export * from './trials/index.js';
@@ -10,11 +10,33 @@ import {
   TrialEligibilityResult,
   PatientMatchResults,
 } from './results.js';
-import { drugsMatch, drugBelongsToClass, findSynonyms, isKnownDrug, directStringMatch } from './drugDatabase.js';
+import {
+  drugsMatch,
+  drugBelongsToClass,
+  findSynonyms,
+  isKnownDrug,
+  directStringMatch,
+  getEntryPharmacokinetics,
+} from './drugDatabase.js';
 import { AIFallbackHandler } from './AIFallbackHandler.js';
+import { TrialMetadataRegistry } from '../trials/TrialMetadataRegistry.js';
+import { hasStructuredThresholds, getStructuredThresholds, MEASUREMENT_PATTERNS } from './measurementThresholds.js';
+import { hasPsaFeatures, checkPsaFeatures } from './psoriaticArthritis.js';
+import { getRequiredRegions, checkBodyRegions } from './anatomicalLocation.js';
+import { getLabThresholds, convertLabValue, normalizeLabUnit, ULN_UNIT } from './labThresholds.js';
+import { daysSinceVaccination } from './vaccinationCriteria.js';
+import { getEvidenceTerms } from './evidence.js';
+import { getLogicalOperator, checkPattern, getExceptions, findException } from './criterionLogic.js';
+import { getExclusionCondition, resolveExclusionCondition } from './conditionalExclusion.js';
+import { compileCriterionIndex, getCriterionSignature, CHEAP_CLUSTERS } from './criterionIndex.js';
+import { getPatientTimeframe, getReferenceDate } from './timeline.js';
+import { getWashoutShifts, shiftTimeline } from './washout.js';
+import { hasTreatmentOutcomeSlots, evaluateTreatmentOutcome } from './treatmentHistory.js';
+import { checkTreatmentDosing } from './treatmentDosing.js';
 import {
   arraysOverlap,
   timeframeMatches,
+  convertToWeeks,
   severityMatches,
   measurementMeetsThreshold,
 } from '../../utils/index.js';
@@ -22,6 +44,9 @@ import {
   getConfidenceThresholds,
   getConfidenceByMatchType,
   getMeasurementTypes,
+  getMeasurementRange,
+  getLabAnalyteConfig,
+  getVaccineInfo,
   isAIEnabledForCluster
 } from '../config/RulesLoader.js';
 
@@ -32,6 +57,22 @@ import {
  * @property {Object} [confidenceThresholds] - Confidence thresholds
  */
 
+/**
+ * @typedef {Object} MatcherOptions
+ * @property {Object} [trialMetadata] - Contents of trial-metadata.json
+ * @property {{ semanticMatch: Function }} [aiClient] - Ready AI client (e.g. the server ClaudeClient); takes precedence over aiConfig
+ */
+
+/**
+ * @typedef {Object} AdaptivePlan
+ * @property {string|null} nextCluster - Cluster to ask next (null = every candidate trial is decided)
+ * @property {boolean} done - Whether screening can stop
+ * @property {string[]} candidateTrials - Trials not ruled out by the answers so far
+ * @property {string[]} ruledOut - Trials the answers so far make ineligible
+ * @property {Object<string, number>} undecidedByCluster - Unknown criteria of candidate trials per unanswered cluster
+ * @property {string[]} skippedClusters - Unanswered clusters no candidate trial depends on
+ */
+
 /**
  * Get default confidence thresholds from config
  * @returns {Object} Default thresholds
@@ -45,6 +86,18 @@ function getDefaultConfidenceThresholds() {
   };
 }
 
+/**
+ * Name the match method of an evaluation that did not report one
+ * @param {Object} evalResult - Cluster evaluator result
+ * @returns {string} 'ai_fallback' for AI matches, 'exact' for exact slot matches, otherwise 'rule'
+ */
+function inferMatchMethod(evalResult) {
+  if (evalResult.requiresAI) {
+    return 'ai_fallback';
+  }
+  return evalResult.confidence === getConfidenceByMatchType('exactMatch') ? 'exact' : 'rule';
+}
+
 /**
  * Clinical Trial Matcher class
  */
@@ -54,14 +107,19 @@ export class ClinicalTrialMatcher {
   #aiFallback;
   #confidenceThresholds;
   #trialIndex;
+  #trialMetadata;
+  #clusterQuestions;
+  #signatures;
 
   /**
    * Create a Clinical Trial Matcher
    * @param {Object} database - Trial criteria database
    * @param {AIConfig|null} [aiConfig=null] - AI configuration
+   * @param {MatcherOptions} [options={}] - Additional data sources
    */
-  constructor(database, aiConfig = null) {
+  constructor(database, aiConfig = null, options = {}) {
     this.#database = database;
+    this.#trialMetadata = new TrialMetadataRegistry(options.trialMetadata || null);
     // Use externalized config with override from aiConfig
     this.#confidenceThresholds = aiConfig?.confidenceThresholds || getDefaultConfidenceThresholds();
 
@@ -69,8 +127,8 @@ export class ClinicalTrialMatcher {
     // V5: If apiKey is 'configured-on-server', AI calls go through backend, not direct
     const useDirectAI = aiConfig?.apiKey && aiConfig.apiKey !== 'configured-on-server';
     
-    if (useDirectAI) {
-      this.#aiClient = new ClaudeAPIClient(aiConfig.apiKey, aiConfig.model);
+    if (options.aiClient || useDirectAI) {
+      this.#aiClient = options.aiClient || new ClaudeAPIClient(aiConfig.apiKey, aiConfig.model);
       this.#aiFallback = new AIFallbackHandler({ 
         claudeClient: this.#aiClient, 
         enabled: true 
@@ -89,33 +147,13 @@ export class ClinicalTrialMatcher {
   }
 
   /**
-   * Build index of trials for fast criterion lookup
+   * Look up the compiled criterion index for fast criterion lookup (compiled once per database)
    */
   #buildTrialIndex() {
-    this.#trialIndex = new Map();
-
-    if (!this.#database) {
-      return;
-    }
-
-    for (const [clusterKey, cluster] of Object.entries(this.#database)) {
-      if (!clusterKey.startsWith('CLUSTER_') || !cluster.criteria) {
-        continue;
-      }
-
-      const clusterCode = cluster.cluster_code;
-
-      for (const criterion of cluster.criteria) {
-        const nctId = criterion.nct_id;
-        if (!this.#trialIndex.has(nctId)) {
-          this.#trialIndex.set(nctId, []);
-        }
-        this.#trialIndex.get(nctId).push({
-          ...criterion,
-          clusterCode,
-        });
-      }
-    }
+    const index = compileCriterionIndex(this.#database);
+    this.#trialIndex = index.trials;
+    this.#clusterQuestions = index.clusterQuestions;
+    this.#signatures = index.signatures;
   }
 
   /**
@@ -127,100 +165,124 @@ export class ClinicalTrialMatcher {
   }
 
   /**
-   * Match patient against all trials
+   * Get registered metadata for a trial
+   * @param {string} nctId - Trial NCT ID
+   * @returns {import('../trials/TrialMetadataRegistry.js').TrialMetadata|null} Metadata or null
+   */
+  getTrialMetadata(nctId) {
+    return this.#trialMetadata.get(nctId);
+  }
+
+  /**
+   * Match patient against all trials. Criteria shared by several trials are evaluated once
+   * and their result reused, so every trial keeps its full per-criterion results.
+   * Trials excluded only by time-limited exclusions are grouped as eligible after washout.
    * @param {Object} patientResponse - Patient response data
+   * @param {Object} [options]
+   * @param {boolean} [options.shortCircuit=false] - Skip the remaining criteria of trials a cheap criterion (age, BMI, ...)
+   * rules out; for callers that only need the statuses
    * @returns {Promise<PatientMatchResults>} Matching results
    */
-  async matchPatient(patientResponse) {
+  async matchPatient(patientResponse, { shortCircuit = false } = {}) {
     const trials = this.getAllTrialIds();
-    const results = {
-      eligibleTrials: [],
-      ineligibleTrials: [],
-      needsReviewTrials: [],
-    };
+    const memo = new Map();
 
     // Evaluate all trials in parallel for better performance
     const evaluationPromises = Array.from(trials).map((nctId) =>
-      this.evaluateTrial(nctId, patientResponse)
+      this.evaluateTrial(nctId, patientResponse, { memo, shortCircuit, washout: true })
     );
 
     const trialResults = await Promise.all(evaluationPromises);
 
-    // Categorize results
-    for (const result of trialResults) {
-      switch (result.status) {
-        case 'eligible':
-          results.eligibleTrials.push(result);
-          break;
-        case 'needs_review':
-          results.needsReviewTrials.push(result);
-          break;
-        default:
-          results.ineligibleTrials.push(result);
+    return PatientMatchResults.fromTrials(patientResponse, trialResults);
+  }
+
+  /**
+   * Plan the next step of adaptive screening: evaluate the candidate trials against the
+   * answers so far and pick the unanswered cluster that settles the most undecided criteria
+   * @param {Object} patientResponse - Answers so far (unanswered clusters absent)
+   * @param {Object} [options]
+   * @param {string[]|null} [options.askableClusters=null] - Clusters the questionnaire can ask, in its order (default: every cluster in the database)
+   * @param {string[]} [options.answeredClusters=[]] - Clusters already asked, including "I don't know" answers
+   * @param {string[]|null} [options.candidateTrials=null] - Trials still in play from the previous plan (default: all trials)
+   * @returns {Promise<AdaptivePlan>} Plan; ties go to the earlier cluster in askableClusters
+   */
+  async planNextQuestion(patientResponse, { askableClusters = null, answeredClusters = [], candidateTrials = null } = {}) {
+    const trialIds = candidateTrials || [...this.getAllTrialIds()];
+    const memo = new Map();
+    const results = await Promise.all(
+      trialIds.map((nctId) => this.evaluateTrial(nctId, patientResponse, { memo, shortCircuit: true }))
+    );
+    const candidates = results.filter((result) => result.status !== 'ineligible');
+
+    const clusterCodes = askableClusters
+      || [...new Set([...this.#trialIndex.values()].flat().map((criterion) => criterion.clusterCode))];
+    const open = clusterCodes.filter((code) => !answeredClusters.includes(code));
+    const undecidedByCluster = Object.fromEntries(open.map((code) => [code, 0]));
+
+    for (const trial of candidates) {
+      for (const criterion of trial.getUnknownCriteria()) {
+        if (criterion.clusterCode in undecidedByCluster) {
+          undecidedByCluster[criterion.clusterCode] += 1;
+        }
       }
     }
 
-    // Sort by confidence
-    results.eligibleTrials.sort((a, b) => b.getConfidenceScore() - a.getConfidenceScore());
-    results.needsReviewTrials.sort((a, b) => b.getConfidenceScore() - a.getConfidenceScore());
+    const nextCluster = open.reduce(
+      (best, code) => (undecidedByCluster[code] > (best ? undecidedByCluster[best] : 0) ? code : best),
+      null
+    );
 
-    return new PatientMatchResults({
-      patientResponse,
-      ...results,
-    });
+    return {
+      nextCluster,
+      done: nextCluster === null,
+      candidateTrials: candidates.map((trial) => trial.nctId),
+      ruledOut: results.filter((result) => result.status === 'ineligible').map((trial) => trial.nctId),
+      undecidedByCluster,
+      skippedClusters: open.filter((code) => undecidedByCluster[code] === 0),
+    };
   }
 
   /**
    * Evaluate patient eligibility for a single trial
    * @param {string} nctId - Trial NCT ID
    * @param {Object} patientResponse - Patient response data
+   * @param {Object} [options]
+   * @param {Map<string, Promise<Object>>|null} [options.memo=null] - Evaluations shared across trials for this patient (see evaluateCriterion)
+   * @param {boolean} [options.shortCircuit=false] - Evaluate cheap clusters first and skip the rest if one rules the trial out
+   * @param {boolean} [options.washout=false] - For an ineligible trial, look for the earliest visit dates at which its time-limited exclusions no longer apply
    * @returns {Promise<TrialEligibilityResult>} Trial eligibility result
    */
-  async evaluateTrial(nctId, patientResponse) {
+  async evaluateTrial(nctId, patientResponse, { memo = null, shortCircuit = false, washout = false } = {}) {
     const criteria = this.#trialIndex.get(nctId) || [];
     const matchedCriteria = [];
     const flaggedCriteria = [];
     const failureReasons = [];
 
-    // Evaluate all criteria for this trial in parallel
-    const evaluationPromises = criteria.map((criterion) =>
-      this.evaluateCriterion(criterion, patientResponse, criterion.clusterCode)
-    );
-
-    const results = await Promise.all(evaluationPromises);
+    const { results, skippedCriteria } = await this.#evaluateCriteria(criteria, patientResponse, { memo, shortCircuit });
 
     // Process results
     for (const result of results) {
       matchedCriteria.push(result);
 
-      if (result.requiresAI) {
+      if (result.requiresAI || result.needsConditionReview()) {
         flaggedCriteria.push(result);
       }
 
       if (result.causesIneligibility()) {
-        const reason =
-          result.exclusionStrength === 'inclusion'
-            ? `Failed inclusion: ${result.rawText || result.criterionId}`
-            : `Matched exclusion: ${result.rawText || result.criterionId}`;
-        failureReasons.push(reason);
+        failureReasons.push(result.getFailureReason());
       }
     }
 
     // Determine eligibility status
-    const hasIneligibility = matchedCriteria.some((c) => c.causesIneligibility());
-    const hasLowConfidence = flaggedCriteria.some(
-      (c) => c.confidence < this.#confidenceThresholds.review
-    );
-
-    let status;
-    if (hasIneligibility && !hasLowConfidence) {
-      status = 'ineligible';
-    } else if (hasIneligibility && hasLowConfidence) {
-      status = 'needs_review';
-    } else if (hasLowConfidence) {
-      status = 'needs_review';
-    } else {
-      status = 'eligible';
+    const reviewThreshold = this.#confidenceThresholds.review;
+    let status = TrialEligibilityResult.deriveStatus(matchedCriteria, { reviewThreshold, skippedCriteria });
+
+    const washoutPlan = status === 'ineligible' && washout
+      ? await this.#planWashout(nctId, patientResponse, matchedCriteria.filter((c) => c.causesIneligibility()))
+      : null;
+    if (washoutPlan) {
+      status = 'eligible_after_washout';
     }
 
     return new TrialEligibilityResult({
@@ -229,18 +291,85 @@ export class ClinicalTrialMatcher {
       matchedCriteria,
       flaggedCriteria,
       failureReasons,
+      metadata: this.#trialMetadata.get(nctId),
+      skippedCriteria,
+      washout: washoutPlan,
+      reviewThreshold,
     });
   }
 
+  /**
+   * Find the earliest planned visits at which an ineligible trial would accept the patient.
+   * Only trials whose every blocking criterion is a time window over dated answers qualify;
+   * the trial is re-evaluated with the visits moved to each date a dated entry leaves a
+   * window, and the earliest date at which nothing rules the patient out wins.
+   * @param {string} nctId - Trial NCT ID
+   * @param {Object} patientResponse - Patient response data
+   * @param {CriterionMatchResult[]} blocking - Criteria that make the patient ineligible
+   * @returns {Promise<import('./results.js').WashoutPlan|null>} Plan, or null when waiting does not help
+   */
+  async #planWashout(nctId, patientResponse, blocking) {
+    const criteria = this.#trialIndex.get(nctId) || [];
+    const blockingIds = blocking.map((result) => result.criterionId);
+    const blockingCriteria = criteria.filter((criterion) => blockingIds.includes(criterion.id));
+    const shifts = getWashoutShifts(blockingCriteria, patientResponse.responses, patientResponse.timeline || null);
+
+    const timelines = shifts.map((days) => shiftTimeline(patientResponse.timeline || null, days));
+    const later = await Promise.all(timelines.map((timeline) =>
+      this.evaluateTrial(nctId, { ...patientResponse, timeline }, { shortCircuit: true })
+    ));
+    const earliest = later.findIndex((result) => result.status !== 'ineligible');
+    return earliest === -1
+      ? null
+      : { ...timelines[earliest], blockingCriteria: blockingIds, statusAfterWashout: later[earliest].status };
+  }
+
+  /**
+   * Evaluate a trial's criteria in parallel. With shortCircuit, the cheap rule-based clusters
+   * go first; if one of them makes the patient ineligible the other criteria are skipped.
+   * @param {Object[]} criteria - Indexed criteria of one trial
+   * @param {Object} patientResponse - Patient response data
+   * @param {{ memo: Map|null, shortCircuit: boolean }} options
+   * @returns {Promise<{ results: CriterionMatchResult[], skippedCriteria: string[] }>}
+   * results keep the trial's criterion order; skippedCriteria lists the IDs not evaluated
+   */
+  async #evaluateCriteria(criteria, patientResponse, { memo, shortCircuit }) {
+    const evaluate = (list) => Promise.all(list.map((criterion) =>
+      this.evaluateCriterion(criterion, patientResponse, criterion.clusterCode, memo)
+    ));
+
+    if (!shortCircuit) {
+      return { results: await evaluate(criteria), skippedCriteria: [] };
+    }
+
+    const cheap = criteria.filter((criterion) => CHEAP_CLUSTERS.has(criterion.clusterCode));
+    const rest = criteria.filter((criterion) => !CHEAP_CLUSTERS.has(criterion.clusterCode));
+    const cheapResults = await evaluate(cheap);
+
+    if (cheapResults.some((result) => result.causesIneligibility())) {
+      return { results: cheapResults, skippedCriteria: rest.map((criterion) => criterion.id) };
+    }
+
+    const restResults = await evaluate(rest);
+    const byCriterion = new Map([
+      ...cheap.map((criterion, i) => [criterion, cheapResults[i]]),
+      ...rest.map((criterion, i) => [criterion, restResults[i]]),
+    ]);
+    return { results: criteria.map((criterion) => byCriterion.get(criterion)), skippedCriteria: [] };
+  }
+
   /**
    * Evaluate a single criterion against patient response
    * @param {Object} criterion - Criterion to evaluate
    * @param {Object} patientResponse - Patient response
    * @param {string} clusterCode - Cluster code (AGE, BMI, etc.)
+   * @param {Map<string, Promise<Object>>|null} [memo=null] - Per-patient evaluations by criterion signature;
+   * criteria with the same signature reuse one evaluation (only pass a memo built for this patientResponse)
    * @returns {Promise<CriterionMatchResult>} Criterion match result
    */
-  async evaluateCriterion(criterion, patientResponse, clusterCode) {
+  async evaluateCriterion(criterion, patientResponse, clusterCode, memo = null) {
     const responses = patientResponse.responses || patientResponse;
+    const timeline = patientResponse.timeline || null;
     const exclusionStrength = criterion.EXCLUSION_STRENGTH || 'exclusion';
 
     let matches = false;
@@ -252,13 +381,20 @@ export class ClinicalTrialMatcher {
     let needsAdminReview = false;
     let matchMethod = '';
     let reviewPayload = null;
+    let evidenceTerms = [];
+    let exclusionCondition = null;
+    let conditionStatus = null;
+    let unknown = false;
+    let missingInformation = [];
 
     try {
       // Route to appropriate evaluation method based on cluster
-      const evalResult = await this.#evaluateByCluster(
+      const evalResult = await this.#evaluateShared(
         clusterCode,
         criterion,
-        responses
+        responses,
+        timeline,
+        memo
       );
 
       matches = evalResult.matches;
@@ -268,8 +404,27 @@ export class ClinicalTrialMatcher {
       patientValue = evalResult.patientValue || '';
       confidenceReason = evalResult.confidenceReason || '';
       needsAdminReview = evalResult.needsAdminReview || false;
-      matchMethod = evalResult.matchMethod || '';
-      reviewPayload = evalResult.reviewPayload || null;
+      matchMethod = evalResult.matchMethod || inferMatchMethod(evalResult);
+      // A shared evaluation names the criterion it was first run for
+      reviewPayload = evalResult.reviewPayload
+        ? { ...evalResult.reviewPayload, criterionId: criterion.id, nctId: criterion.nct_id }
+        : null;
+      evidenceTerms = evalResult.evidenceTerms || getEvidenceTerms(criterion);
+      unknown = evalResult.unknown || false;
+      missingInformation = evalResult.missingInformation || [];
+      if (unknown && patientResponse.unknownAnswers?.includes(clusterCode)) {
+        patientValue = 'Patient answered "I don\'t know"';
+      }
+
+      if (exclusionStrength === 'conditional_exclude') {
+        exclusionCondition = getExclusionCondition(criterion);
+        if (matches) {
+          const resolution = resolveExclusionCondition(exclusionCondition, evalResult.matchedEntries, timeline);
+          conditionStatus = resolution.status;
+          const outcome = { met: 'met, exclusion waived', not_met: 'not met, exclusion applies', unresolved: 'cannot be settled, needs review' }[resolution.status];
+          confidenceReason = `${confidenceReason} Conditional exclusion: condition "${exclusionCondition?.text || 'not modelled'}" ${outcome} (${resolution.reason}).`.trim();
+        }
+      }
     } catch (error) {
       console.error(`Error evaluating criterion ${criterion.id}:`, error);
       matches = false;
@@ -291,40 +446,78 @@ export class ClinicalTrialMatcher {
       needsAdminReview,
       matchMethod,
       reviewPayload,
+      evidenceTerms,
+      exclusionCondition,
+      conditionStatus,
+      unknown,
+      missingInformation,
+      question: unknown ? this.#clusterQuestions.get(clusterCode) || null : null,
+      clusterCode,
     });
   }
 
+  /**
+   * Evaluate a criterion through the per-patient memo, so identical criteria of different
+   * trials share one evaluation
+   * @param {string} clusterCode - Cluster code
+   * @param {Object} criterion - Criterion data
+   * @param {Object} responses - Patient responses
+   * @param {import('./timeline.js').PatientTimeline|null} timeline - Planned visit dates
+   * @param {Map<string, Promise<Object>>|null} memo - Per-patient evaluations by signature
+   * @returns {Object|Promise<Object>} Evaluation result
+   */
+  #evaluateShared(clusterCode, criterion, responses, timeline, memo) {
+    if (!memo) {
+      return this.#evaluateByCluster(clusterCode, criterion, responses, timeline);
+    }
+
+    const signature = this.#signatures.get(criterion) || getCriterionSignature(criterion, clusterCode);
+    if (!memo.has(signature)) {
+      memo.set(signature, Promise.resolve().then(() => this.#evaluateByCluster(clusterCode, criterion, responses, timeline)));
+    }
+    return memo.get(signature);
+  }
+
   /**
    * Route evaluation to appropriate cluster handler
    * @param {string} clusterCode - Cluster code
    * @param {Object} criterion - Criterion data
    * @param {Object} responses - Patient responses
+   * @param {import('./timeline.js').PatientTimeline|null} [timeline=null] - Planned visit dates that dated answers are measured against
    * @returns {Object} Evaluation result
    */
-  #evaluateByCluster(clusterCode, criterion, responses) {
+  #evaluateByCluster(clusterCode, criterion, responses, timeline = null) {
     switch (clusterCode) {
       case 'AGE':
         return this.#evaluateAge(criterion, responses.AGE);
       case 'BMI':
         return this.#evaluateBMI(criterion, responses.BMI);
       case 'CMB':
-        return this.#evaluateComorbidity(criterion, responses.CMB);
+        return this.#evaluateComorbidity(criterion, responses.CMB, timeline);
       case 'PTH':
-        return this.#evaluateTreatmentHistory(criterion, responses.PTH);
+        return this.#evaluateTreatmentHistory(criterion, responses.PTH, timeline);
       case 'AIC':
-        return this.#evaluateInfection(criterion, responses.AIC);
+        return this.#evaluateInfection(criterion, responses.AIC, timeline);
       case 'AAO':
-        return this.#evaluateMeasurements(criterion, responses.AAO);
+        return this.#evaluateAffectedArea(criterion, responses);
       case 'SEV':
-        return this.#evaluateSeverity(criterion, responses.SEV);
+        return hasStructuredThresholds(criterion)
+          ? this.#evaluateStructuredThresholds(criterion, [responses.SEV, responses.AAO, responses.PSA])
+          : this.#evaluateSeverity(criterion, responses.SEV);
       case 'CPD':
-        return this.#evaluateDuration(criterion, responses.CPD);
+        return this.#evaluateDuration(criterion, responses.CPD, timeline);
       case 'NPV':
         return this.#evaluateVariant(criterion, responses.NPV);
       case 'BIO':
         return this.#evaluateBiomarker(criterion, responses.BIO);
       case 'FLR':
-        return this.#evaluateFlare(criterion, responses.FLR);
+        return this.#evaluateFlare(criterion, responses.FLR, timeline);
+      case 'REP':
+        return this.#evaluateReproductive(criterion, responses.REP);
+      case 'LAB':
+        return this.#evaluateLab(criterion, responses.LAB);
+      case 'VAC':
+        return this.#evaluateVaccination(criterion, responses.VAC, timeline);
       default:
         return { matches: false, confidence: getConfidenceByMatchType('unknownCluster') };
     }
@@ -338,6 +531,7 @@ export class ClinicalTrialMatcher {
       return { 
         matches: false, 
         confidence: getConfidenceByMatchType('missingData'),
+        unknown: true,
         patientValue: 'Age not provided',
         confidenceReason: 'Missing patient age data'
       };
@@ -386,6 +580,7 @@ export class ClinicalTrialMatcher {
       return { 
         matches: false, 
         confidence: getConfidenceByMatchType('missingData'),
+        unknown: true,
         patientValue: 'BMI/weight not provided',
         confidenceReason: 'Missing patient BMI data'
       };
@@ -394,11 +589,15 @@ export class ClinicalTrialMatcher {
     let matches = true;
     const patientValues = [];
     const requirements = [];
+    const unanswered = [];
 
     // Check BMI
     if (patientBMI.bmi) {
       patientValues.push(`BMI: ${patientBMI.bmi}`);
     }
+    if (!patientBMI.bmi && [criterion.BMI_MIN, criterion.BMI_MAX].some((limit) => limit !== null && limit !== undefined)) {
+      unanswered.push('BMI');
+    }
     if (criterion.BMI_MIN !== null && criterion.BMI_MIN !== undefined) {
       requirements.push(`BMI ≥${criterion.BMI_MIN}`);
       if (patientBMI.bmi < criterion.BMI_MIN) {
@@ -418,6 +617,9 @@ export class ClinicalTrialMatcher {
     if (weightValue) {
       patientValues.push(`Weight: ${weightValue}${weightUnit}`);
     }
+    if (!weightValue && [criterion.WEIGHT_MIN, criterion.WEIGHT_MAX].some((limit) => limit !== null && limit !== undefined)) {
+      unanswered.push('weight');
+    }
     if (criterion.WEIGHT_MIN !== null && criterion.WEIGHT_MIN !== undefined) {
       requirements.push(`Weight ≥${criterion.WEIGHT_MIN}kg`);
       if (weightValue < criterion.WEIGHT_MIN) {
@@ -431,6 +633,17 @@ export class ClinicalTrialMatcher {
       }
     }
 
+    if (unanswered.length > 0) {
+      return {
+        matches: false,
+        confidence: getConfidenceByMatchType('missingData'),
+        unknown: true,
+        missingInformation: unanswered,
+        patientValue: patientValues.join(', ') || 'No BMI/weight data',
+        confidenceReason: `Missing patient data for ${unanswered.join(', ')}. Required: ${requirements.join(', ')}`
+      };
+    }
+
     return { 
       matches, 
       confidence: getConfidenceByMatchType('exactMatch'),
@@ -440,71 +653,173 @@ export class ClinicalTrialMatcher {
   }
 
   /**
-   * Evaluate comorbidity criterion
+   * Check a patient entry against a criterion condition's TIMEFRAME; dated entries are
+   * measured from the planned visit the criterion refers to, and windows given in
+   * half-lives use the half-life of the entry's drug
+   * @param {Object} condition - Criterion (or one entry of its conditions array)
+   * @param {Object} entry - Patient CMB/PTH/AIC/FLR entry
+   * @param {import('./timeline.js').PatientTimeline|null} timeline - Planned visit dates
+   * @returns {boolean} True when either side gives no timeframe or the entry falls in the window
    */
-  async #evaluateComorbidity(criterion, patientComorbidities) {
-    if (!patientComorbidities || !Array.isArray(patientComorbidities)) {
-      return { 
-        matches: false, 
-        confidence: getConfidenceByMatchType('missingData'),
-        patientValue: 'No comorbidities reported',
-        confidenceReason: 'Missing patient comorbidity data'
-      };
+  #entryInWindow(condition, entry, timeline) {
+    const patientTimeframe = getPatientTimeframe(entry, condition.TIMEFRAME, timeline);
+    if (!condition.TIMEFRAME || !patientTimeframe) {
+      return true;
     }
+    return timeframeMatches(condition.TIMEFRAME, patientTimeframe, getEntryPharmacokinetics(entry));
+  }
 
+  /**
+   * Match reported conditions against a condition-style criterion (CMB, AIC, FLR),
+   * honoring LOGICAL_OPERATOR (AND needs every listed element), CONDITION_PATTERN
+   * (current vs history vs planned) and exceptions
+   * @param {Object} criterion - Criterion with CONDITION_TYPE slots (flat or in conditions)
+   * @param {Object[]} patientEntries - Patient entries with <slot>_TYPE / <slot>_PATTERN
+   * @param {string} slot - Patient slot prefix: 'CONDITION' or 'INFECTION'
+   * @param {string} [label] - Word used in the reason, e.g. 'infection'
+   * @param {import('./timeline.js').PatientTimeline|null} [timeline] - Planned visit dates for dated entries
+   * @returns {{ result: Object|null, notes: string[] }} Match result, or null with the
+   * logic notes explaining why reported conditions did not count
+   */
+  #matchConditionLogic(criterion, patientEntries, slot, label = 'condition', timeline = null) {
     const conditions = criterion.conditions || [criterion];
-    const criterionConditions = conditions.map(c => (c.CONDITION_TYPE || []).join(', ')).join('; ');
-    const patientConditions = patientComorbidities.map(c => (c.CONDITION_TYPE || []).join(', ')).join('; ');
+    const notes = [];
 
     for (const condition of conditions) {
-      for (const patientCondition of patientComorbidities) {
-        // Check condition type match
-        const conditionTypes = condition.CONDITION_TYPE || [];
-        const patientTypes = patientCondition.CONDITION_TYPE || [];
-
-        if (arraysOverlap(conditionTypes, patientTypes)) {
-          // Check pattern if specified
-          if (condition.CONDITION_PATTERN && patientCondition.CONDITION_PATTERN) {
-            if (!arraysOverlap(condition.CONDITION_PATTERN, patientCondition.CONDITION_PATTERN)) {
-              continue;
-            }
+      const conditionTypes = condition.CONDITION_TYPE || condition.INFECTION_TYPE || [];
+      const operator = getLogicalOperator(condition);
+      const exceptions = getExceptions(condition, criterion.raw_text);
+      const matched = new Map();
+      const patternNotes = new Map();
+
+      for (const entry of patientEntries) {
+        const patientTypes = entry[`${slot}_TYPE`] || entry.CONDITION_TYPE || [];
+        const patientPattern = entry[`${slot}_PATTERN`] || entry.CONDITION_PATTERN;
+
+        for (const term of conditionTypes) {
+          if (matched.has(term)) {
+            continue;
+          }
+          // Direct term match first, then synonyms of every patient term
+          const synonymOf = arraysOverlap([term], patientTypes)
+            ? null
+            : patientTypes.find(patientType => arraysOverlap([term], findSynonyms(patientType)));
+          if (synonymOf === undefined) {
+            continue;
+          }
+
+          const pattern = checkPattern(condition.CONDITION_PATTERN, patientPattern);
+          if (pattern.satisfied === false) {
+            patternNotes.set(term, `Pattern: criterion requires ${pattern.required.join('/')} "${term}", patient reports ${pattern.reported.join('/')}.`);
+            continue;
           }
 
           // Check severity if specified
-          if (condition.SEVERITY && patientCondition.SEVERITY) {
-            if (!severityMatches(condition.SEVERITY, patientCondition.SEVERITY)) {
+          if (condition.SEVERITY && entry.SEVERITY) {
+            if (!severityMatches(condition.SEVERITY, entry.SEVERITY)) {
               continue;
             }
           }
 
           // Check timeframe if specified
-          if (condition.TIMEFRAME && patientCondition.TIMEFRAME) {
-            if (!timeframeMatches(condition.TIMEFRAME, patientCondition.TIMEFRAME)) {
-              continue;
-            }
+          if (!this.#entryInWindow(condition, entry, timeline)) {
+            continue;
           }
 
-          return { 
-            matches: true, 
-            confidence: getConfidenceByMatchType('directMatch'),
-            patientValue: `Patient: ${patientTypes.join(', ')}`,
-            confidenceReason: `Direct match with criterion: ${conditionTypes.join(', ')}. High confidence due to exact term match.`
-          };
+          const exception = findException([term, ...patientTypes], exceptions);
+          if (exception) {
+            notes.push(`Exception: "${patientTypes.join(', ')}" is carved out by "${exception}".`);
+            continue;
+          }
+
+          matched.set(term, { entry, patientTypes, synonymOf, pattern });
         }
+      }
 
-        // Try synonym matching for ALL patient types, not just the first one
-        for (const patientType of patientTypes) {
-          const synonyms = findSynonyms(patientType);
-          if (arraysOverlap(conditionTypes, synonyms)) {
-            return { 
-              matches: true, 
-              confidence: getConfidenceByMatchType('synonymMatch'),
-              patientValue: `Patient: ${patientTypes.join(', ')}`,
-              confidenceReason: `Synonym match. Patient term "${patientType}" matched via synonym database to "${conditionTypes.join(', ')}". Reduced confidence due to indirect match.`
-            };
-          }
+      for (const [term, note] of patternNotes) {
+        if (!matched.has(term)) {
+          notes.push(note);
         }
       }
+
+      if (matched.size === 0) {
+        continue;
+      }
+      if (operator === 'AND' && matched.size < conditionTypes.length) {
+        const missing = conditionTypes.filter(t => !matched.has(t));
+        notes.push(`AND: patient reports ${[...matched.keys()].join(', ')} but not ${missing.join(', ')}.`);
+        continue;
+      }
+
+      const hits = [...matched.values()];
+      const viaSynonym = hits.every(hit => hit.synonymOf) ? hits[0] : null;
+      const patientTypes = [...new Set(hits.flatMap(hit => hit.patientTypes))];
+      const terms = [...matched.keys()];
+      const matchedEntries = [...new Set(hits.map(hit => hit.entry))];
+      const logic = [];
+      if (operator === 'AND' && conditionTypes.length > 1) {
+        logic.push(`AND: every listed element reported (${conditionTypes.join(', ')}).`);
+      }
+      const checkedPattern = hits.find(hit => hit.pattern.satisfied)?.pattern;
+      if (checkedPattern) {
+        logic.push(`Pattern: criterion requires ${checkedPattern.required.join('/')}, patient reports ${checkedPattern.reported.join('/')}.`);
+      }
+
+      return {
+        notes,
+        result: viaSynonym
+          ? {
+            matches: true,
+            confidence: getConfidenceByMatchType('synonymMatch'),
+            patientValue: `Patient: ${patientTypes.join(', ')}`,
+            confidenceReason: `Synonym match. Patient term "${viaSynonym.synonymOf}" matched via synonym database to "${terms.join(', ')}". ${logic.join(' ')} Reduced confidence due to indirect match.`.replace(/\s+/g, ' '),
+            evidenceTerms: terms,
+            matchedEntries
+          }
+          : {
+            matches: true,
+            confidence: getConfidenceByMatchType('directMatch'),
+            patientValue: `Patient: ${patientTypes.join(', ')}`,
+            confidenceReason: `Direct ${label} match with criterion: ${terms.join(', ')}. ${logic.join(' ')} High confidence due to exact term match.`.replace(/\s+/g, ' '),
+            evidenceTerms: terms,
+            matchedEntries
+          }
+      };
+    }
+
+    return { result: null, notes };
+  }
+
+  /**
+   * Evaluate comorbidity criterion
+   */
+  async #evaluateComorbidity(criterion, patientComorbidities, timeline) {
+    if (!patientComorbidities || !Array.isArray(patientComorbidities)) {
+      return { 
+        matches: false, 
+        confidence: getConfidenceByMatchType('missingData'),
+        unknown: true,
+        patientValue: 'No comorbidities reported',
+        confidenceReason: 'Missing patient comorbidity data'
+      };
+    }
+
+    const conditions = criterion.conditions || [criterion];
+    const criterionConditions = conditions.map(c => (c.CONDITION_TYPE || []).join(', ')).join('; ');
+    const patientConditions = patientComorbidities.map(c => (c.CONDITION_TYPE || []).join(', ')).join('; ');
+
+    const { result, notes } = this.#matchConditionLogic(criterion, patientComorbidities, 'CONDITION', 'condition', timeline);
+    if (result) {
+      return result;
+    }
+    if (notes.length > 0) {
+      // A listed condition was reported but the criterion's logic ruled it out
+      return {
+        matches: false,
+        confidence: getConfidenceByMatchType('noMatch'),
+        patientValue: `Patient conditions: ${patientConditions}`,
+        confidenceReason: `No match. ${notes.join(' ')}`
+      };
     }
 
     // Try AI matching if available and no match found
@@ -551,13 +866,15 @@ export class ClinicalTrialMatcher {
   /**
    * Evaluate treatment history criterion
    * Uses 3-step cascade: 1) Database match 2) Direct string match 3) AI fallback
-   * Unknown drugs are flagged for admin review
+   * Unknown drugs are flagged for admin review. Conditions about response, prior-drug
+   * counts or biologic status are evaluated deterministically first.
    */
-  async #evaluateTreatmentHistory(criterion, patientTreatments) {
+  async #evaluateTreatmentHistory(criterion, patientTreatments, timeline) {
     if (!patientTreatments || !Array.isArray(patientTreatments)) {
       return { 
         matches: false, 
         confidence: getConfidenceByMatchType('missingData'),
+        unknown: true,
         patientValue: 'No treatment history reported',
         confidenceReason: 'Missing patient treatment data'
       };
@@ -567,12 +884,39 @@ export class ClinicalTrialMatcher {
     const criterionDrugs = conditions.map(c => (c.TREATMENT_TYPE || []).join(', ')).join('; ');
     const patientDrugs = patientTreatments.map(t => (t.TREATMENT_TYPE || []).join(', ')).join('; ');
 
+    const outcome = this.#evaluateTreatmentOutcomes(conditions.filter(hasTreatmentOutcomeSlots), patientTreatments, timeline);
+    if (outcome && (outcome.matches || conditions.every(hasTreatmentOutcomeSlots))) {
+      return outcome;
+    }
+
     // Collect unknown drugs for potential AI fallback
     const unknownDrugsForAI = [];
+    // Why reported treatments were ruled out by the criterion's logic
+    const notes = [];
+    // Hits that depend on route or dose details the patient did not give
+    const uncertainHits = [];
 
     for (const condition of conditions) {
+      if (hasTreatmentOutcomeSlots(condition)) {
+        continue;
+      }
+      const treatmentTypes = condition.TREATMENT_TYPE || [];
+      const exceptions = getExceptions(condition, criterion.raw_text);
+
+      // AND: every listed treatment must be in the patient's history
+      if (getLogicalOperator(condition) === 'AND' && treatmentTypes.length > 1) {
+        const missing = treatmentTypes.filter(criterionDrug => !patientTreatments.some(t =>
+          (t.TREATMENT_TYPE || []).some(drug => drugsMatch(criterionDrug, drug) || directStringMatch(drug, [criterionDrug]))
+        ));
+        if (missing.length > 0) {
+          if (missing.length < treatmentTypes.length) {
+            notes.push(`AND: patient has not received ${missing.join(', ')}.`);
+          }
+          continue;
+        }
+      }
+
       for (const patientTreatment of patientTreatments) {
-        const treatmentTypes = condition.TREATMENT_TYPE || [];
         const patientTypes = patientTreatment.TREATMENT_TYPE || [];
 
         for (const patientDrug of patientTypes) {
@@ -582,10 +926,13 @@ export class ClinicalTrialMatcher {
             for (const criterionDrug of treatmentTypes) {
               if (drugsMatch(criterionDrug, patientDrug)) {
                 // Check timeframe if specified
-                if (condition.TIMEFRAME && patientTreatment.TIMEFRAME) {
-                  if (!timeframeMatches(condition.TIMEFRAME, patientTreatment.TIMEFRAME)) {
-                    continue;
-                  }
+                if (!this.#entryInWindow(condition, patientTreatment, timeline)) {
+                  continue;
+                }
+                const logic = this.#checkTreatmentLogic(condition, patientTreatment, patientDrug, [criterionDrug], exceptions);
+                if (logic.ruledOut || logic.uncertain) {
+                  (logic.ruledOut ? notes : uncertainHits).push(logic.ruledOut || logic.uncertain);
+                  continue;
                 }
                 return { 
                   matches: true, 
@@ -593,21 +940,30 @@ export class ClinicalTrialMatcher {
                   needsAdminReview: false,
                   matchMethod: 'database',
                   patientValue: `Patient drug: ${patientDrug}`,
-                  confidenceReason: `Database match. "${patientDrug}" matched to "${criterionDrug}" via drug database.`
+                  confidenceReason: `Database match. "${patientDrug}" matched to "${criterionDrug}" via drug database.${logic.reason}`,
+                  evidenceTerms: [criterionDrug],
+                  matchedEntries: [patientTreatment]
                 };
               }
             }
 
             // Check drug class match
             const drugClass = condition.TREATMENT_PATTERN?.[0] || '';
-            if (drugClass && drugBelongsToClass(patientDrug, drugClass)) {
+            const classLogic = drugClass && drugBelongsToClass(patientDrug, drugClass)
+              ? this.#checkTreatmentLogic(condition, patientTreatment, patientDrug, [drugClass], exceptions)
+              : null;
+            if (classLogic?.ruledOut || classLogic?.uncertain) {
+              (classLogic.ruledOut ? notes : uncertainHits).push(classLogic.ruledOut || classLogic.uncertain);
+            } else if (classLogic) {
               return { 
                 matches: true, 
                 confidence: getConfidenceByMatchType('classMatch'),
                 needsAdminReview: false,
                 matchMethod: 'database_class',
                 patientValue: `Patient drug: ${patientDrug}`,
-                confidenceReason: `Drug class match. "${patientDrug}" belongs to class "${drugClass}".`
+                confidenceReason: `Drug class match. "${patientDrug}" belongs to class "${drugClass}".${classLogic.reason}`,
+                evidenceTerms: [drugClass],
+                matchedEntries: [patientTreatment]
               };
             }
           } else {
@@ -615,10 +971,13 @@ export class ClinicalTrialMatcher {
             // This handles cases where criterion explicitly lists the drug name
             if (directStringMatch(patientDrug, treatmentTypes)) {
               // Check timeframe if specified
-              if (condition.TIMEFRAME && patientTreatment.TIMEFRAME) {
-                if (!timeframeMatches(condition.TIMEFRAME, patientTreatment.TIMEFRAME)) {
-                  continue;
-                }
+              if (!this.#entryInWindow(condition, patientTreatment, timeline)) {
+                continue;
+              }
+              const logic = this.#checkTreatmentLogic(condition, patientTreatment, patientDrug, treatmentTypes, exceptions);
+              if (logic.ruledOut || logic.uncertain) {
+                (logic.ruledOut ? notes : uncertainHits).push(logic.ruledOut || logic.uncertain);
+                continue;
               }
               return { 
                 matches: true, 
@@ -632,7 +991,9 @@ export class ClinicalTrialMatcher {
                   matchedWith: treatmentTypes.find(t => t.toLowerCase() === patientDrug.toLowerCase())
                 },
                 patientValue: `Patient drug: ${patientDrug}`,
-                confidenceReason: `Direct string match (unverified). "${patientDrug}" matched criterion. Drug not in database - requires admin review.`
+                confidenceReason: `Direct string match (unverified). "${patientDrug}" matched criterion.${logic.reason} Drug not in database - requires admin review.`,
+                evidenceTerms: [patientDrug],
+                matchedEntries: [patientTreatment]
               };
             }
             
@@ -668,72 +1029,139 @@ export class ClinicalTrialMatcher {
       }
     }
 
+    if (outcome?.unknown) {
+      return outcome;
+    }
+
+    if (uncertainHits.length > 0) {
+      return {
+        matches: false,
+        confidence: getConfidenceByMatchType('missingData'),
+        unknown: true,
+        needsAdminReview: false,
+        patientValue: `Patient treatments: ${patientDrugs}`,
+        confidenceReason: `Treatment dosing not reported. ${[...new Set(uncertainHits)].join(' ')}`
+      };
+    }
+
     return { 
       matches: false, 
       confidence: getConfidenceByMatchType('noMatch'),
       needsAdminReview: false,
       patientValue: `Patient treatments: ${patientDrugs || 'none'}`,
-      confidenceReason: `No match found. Criterion required: ${criterionDrugs}. High confidence in no-match.`
+      confidenceReason: notes.length > 0
+        ? `No match. ${[...new Set(notes)].join(' ')}`
+        : `No match found. Criterion required: ${criterionDrugs}. High confidence in no-match.`
+    };
+  }
+
+  /**
+   * Evaluate PTH conditions on treatment response, prior-drug counts or biologic status
+   * (any condition holding satisfies the criterion)
+   * @param {Object[]} conditions - Conditions with TREATMENT_RESPONSE / TREATMENT_COUNT / BIOLOGIC_STATUS
+   * @param {Object[]} patientTreatments - Patient PTH entries
+   * @param {import('./timeline.js').PatientTimeline|null} timeline - Planned visit dates
+   * @returns {Object|null} Evaluation result, or null when there are no such conditions
+   */
+  #evaluateTreatmentOutcomes(conditions, patientTreatments, timeline) {
+    if (conditions.length === 0) {
+      return null;
+    }
+
+    const results = conditions.map(condition =>
+      evaluateTreatmentOutcome(condition, patientTreatments, entry => this.#entryInWindow(condition, entry, timeline))
+    );
+    const matched = results.find(r => r.matches);
+    const unknown = !matched && results.find(r => r.unknown);
+    const result = matched || unknown || results[0];
+    const patientDrugs = result.matchedEntries.map(t => (t.TREATMENT_TYPE || []).join(', ')).join('; ');
+
+    return {
+      matches: Boolean(matched),
+      confidence: getConfidenceByMatchType(unknown ? 'missingData' : 'exactMatch'),
+      ...(unknown && { unknown: true }),
+      needsAdminReview: false,
+      matchMethod: 'treatment_outcome',
+      patientValue: `Qualifying treatments: ${patientDrugs || 'none'}`,
+      confidenceReason: `${unknown ? 'Treatment response not reported' : 'Deterministic treatment history check'}. ${results.map(r => r.reason).join(' | ')}`,
+      evidenceTerms: conditions.flatMap(c => c.TREATMENT_TYPE || []),
+      matchedEntries: result.matchedEntries
+    };
+  }
+
+  /**
+   * Check a treatment hit against the condition's TREATMENT_PATTERN, exceptions, and
+   * route / dose / stable-dose slots
+   * @param {Object} condition - Criterion condition
+   * @param {Object} patientTreatment - Patient PTH entry
+   * @param {string} patientDrug - Patient drug that hit
+   * @param {string[]} criterionTerms - Criterion drugs/classes it hit
+   * @param {string[]} exceptions - From getExceptions
+   * @returns {{ ruledOut: string|null, uncertain?: string, reason: string }} ruledOut explains a rejected hit,
+   * uncertain a hit that depends on dosing the patient did not report; reason is appended to the
+   * confidenceReason of an accepted one
+   */
+  #checkTreatmentLogic(condition, patientTreatment, patientDrug, criterionTerms, exceptions) {
+    const pattern = checkPattern(condition.TREATMENT_PATTERN, patientTreatment.TREATMENT_PATTERN);
+    if (pattern.satisfied === false) {
+      return {
+        ruledOut: `Pattern: criterion requires ${pattern.required.join('/')} use of "${patientDrug}", patient reports ${pattern.reported.join('/')} use.`,
+        reason: ''
+      };
+    }
+
+    const exception = findException([...criterionTerms, patientDrug], exceptions)
+      || exceptions.find(e => drugBelongsToClass(patientDrug, e))
+      || null;
+    if (exception) {
+      return { ruledOut: `Exception: "${patientDrug}" is carved out by "${exception}".`, reason: '' };
+    }
+
+    const dosing = checkTreatmentDosing(condition, patientTreatment, criterionTerms);
+    if (dosing.status === 'no_match') {
+      return { ruledOut: dosing.reason, reason: '' };
+    }
+    if (dosing.status === 'unknown') {
+      return { ruledOut: null, uncertain: `"${patientDrug}": ${dosing.reason}`, reason: '' };
+    }
+
+    return {
+      ruledOut: null,
+      reason: (pattern.satisfied
+        ? ` Pattern: criterion requires ${pattern.required.join('/')} use, patient reports ${pattern.reported.join('/')}.`
+        : '') + dosing.reason
     };
   }
 
   /**
    * Evaluate infection criterion
    */
-  #evaluateInfection(criterion, patientInfections) {
+  #evaluateInfection(criterion, patientInfections, timeline) {
     if (!patientInfections || !Array.isArray(patientInfections)) {
       return { 
         matches: false, 
         confidence: getConfidenceByMatchType('missingData'),
+        unknown: true,
         patientValue: 'No infections reported',
         confidenceReason: 'Missing patient infection data'
       };
     }
 
     const conditions = criterion.conditions || [criterion];
-    const criterionInfections = conditions.map(c => (c.INFECTION_TYPE || []).join(', ')).join('; ');
+    const criterionInfections = conditions.map(c => (c.INFECTION_TYPE || c.CONDITION_TYPE || []).join(', ')).join('; ');
     const patientInfectionTypes = patientInfections.map(i => (i.INFECTION_TYPE || []).join(', ')).join('; ');
 
-    for (const condition of conditions) {
-      for (const patientInfection of patientInfections) {
-        const infectionTypes = condition.INFECTION_TYPE || [];
-        const patientTypes = patientInfection.INFECTION_TYPE || [];
-
-        if (arraysOverlap(infectionTypes, patientTypes)) {
-          // Check severity and timeframe
-          if (condition.SEVERITY && patientInfection.SEVERITY) {
-            if (!severityMatches(condition.SEVERITY, patientInfection.SEVERITY)) {
-              continue;
-            }
-          }
-
-          if (condition.TIMEFRAME && patientInfection.TIMEFRAME) {
-            if (!timeframeMatches(condition.TIMEFRAME, patientInfection.TIMEFRAME)) {
-              continue;
-            }
-          }
-
-          return { 
-            matches: true, 
-            confidence: getConfidenceByMatchType('directMatch'),
-            patientValue: `Patient infection: ${patientTypes.join(', ')}`,
-            confidenceReason: `Direct infection match with: ${infectionTypes.join(', ')}. High confidence match.`
-          };
-        }
-
-        // Try synonym matching for ALL patient types, not just the first one
-        for (const patientType of patientTypes) {
-          const synonyms = findSynonyms(patientType);
-          if (arraysOverlap(infectionTypes, synonyms)) {
-            return { 
-              matches: true, 
-              confidence: getConfidenceByMatchType('synonymMatch'),
-              patientValue: `Patient infection: ${patientTypes.join(', ')}`,
-              confidenceReason: `Synonym match for infection type. Reduced confidence due to indirect match.`
-            };
-          }
-        }
-      }
+    const { result, notes } = this.#matchConditionLogic(criterion, patientInfections, 'INFECTION', 'infection', timeline);
+    if (result) {
+      return result;
+    }
+    if (notes.length > 0) {
+      return {
+        matches: false,
+        confidence: getConfidenceByMatchType('noMatch'),
+        patientValue: `Patient infections: ${patientInfectionTypes}`,
+        confidenceReason: `No match. ${notes.join(' ')}`
+      };
     }
 
     return { 
@@ -752,6 +1180,7 @@ export class ClinicalTrialMatcher {
       return { 
         matches: false, 
         confidence: getConfidenceByMatchType('missingData'),
+        unknown: true,
         patientValue: 'No measurements provided',
         confidenceReason: 'Missing patient measurement data'
       };
@@ -761,12 +1190,14 @@ export class ClinicalTrialMatcher {
     const measurements = getMeasurementTypes('AAO').length > 0 ? getMeasurementTypes('AAO') : ['BSA', 'PASI', 'IGA', 'DLQI', 'PGA'];
     const patientValues = [];
     const requirements = [];
+    const unanswered = [];
 
     // First try structured threshold fields
     for (const type of measurements) {
       let threshold = criterion[`${type}_THRESHOLD`] || criterion[`${type}_MIN`];
       let comparison = criterion[`${type}_COMPARISON`] || '>=';
       const patientValue = patientMeasurements[type]?.value ?? patientMeasurements[type];
+      const calculated = patientMeasurements[type]?.calculated === true;
 
       // If no structured threshold, try parsing from raw_text
       if ((threshold === null || threshold === undefined) && criterion.raw_text) {
@@ -778,11 +1209,14 @@ export class ClinicalTrialMatcher {
       }
 
       if (patientValue !== null && patientValue !== undefined) {
-        patientValues.push(`${type}: ${patientValue}`);
+        patientValues.push(`${type}: ${patientValue}${calculated ? ' (calculated)' : ''}`);
       }
       
       if (threshold !== null && threshold !== undefined) {
         requirements.push(`${type} ${comparison} ${threshold}`);
+        if (patientValue === null || patientValue === undefined) {
+          unanswered.push(type);
+        }
         
         if (patientValue !== null && patientValue !== undefined) {
           if (measurementMeetsThreshold(patientValue, threshold, comparison)) {
@@ -797,6 +1231,17 @@ export class ClinicalTrialMatcher {
       }
     }
 
+    if (requirements.length > 0 && unanswered.length === requirements.length) {
+      return {
+        matches: false,
+        confidence: getConfidenceByMatchType('missingData'),
+        unknown: true,
+        missingInformation: unanswered,
+        patientValue: patientValues.join(', ') || 'No measurements',
+        confidenceReason: `Missing patient data for ${unanswered.join(', ')}. Required: ${requirements.join(', ')}`
+      };
+    }
+
     return { 
       matches: false, 
       confidence: getConfidenceByMatchType('partialMatch'),
@@ -805,21 +1250,175 @@ export class ClinicalTrialMatcher {
     };
   }
 
+  /**
+   * Evaluate an AAO criterion: structured thresholds, PsA features (CASPAR, dactylitis,
+   * enthesitis, axial involvement) and affected body regions, falling back to raw-text
+   * measurement parsing when the criterion carries none of them
+   * @param {Object} criterion - AAO criterion
+   * @param {Object} responses - Patient responses
+   * @returns {Object} Evaluation result
+   */
+  #evaluateAffectedArea(criterion, responses) {
+    const regions = hasStructuredThresholds(criterion) ? null : getRequiredRegions(criterion);
+    const checks = [
+      ...(hasPsaFeatures(criterion) ? checkPsaFeatures(criterion, responses.PSA) : []),
+      ...(regions ? [checkBodyRegions(regions, responses.AAO?.ANATOMICAL_LOCATION)] : []),
+    ];
+    if (!hasStructuredThresholds(criterion) && checks.length === 0) {
+      // Scores asked in the severity step (site-specific scores among them) count too; AAO values come first
+      const measurements = responses.AAO || responses.SEV ? { ...responses.SEV, ...responses.AAO } : undefined;
+      return this.#evaluateMeasurements(criterion, measurements);
+    }
+    return this.#evaluateStructuredThresholds(criterion, [responses.AAO, responses.SEV, responses.PSA], checks);
+  }
+
+  /**
+   * Evaluate structured MEASUREMENT/COMPARATOR/VALUE slots (SEV and AAO)
+   * @param {Object} criterion - Criterion with MEASUREMENT slots or conditions[]
+   * @param {Array<Object|undefined>} sources - Patient SEV/AAO/PSA responses, own cluster first
+   * @param {Array<Object>} [extraChecks] - Further checks (PsA features, body regions) that must hold alongside
+   * @returns {Object} Evaluation result
+   */
+  #evaluateStructuredThresholds(criterion, sources, extraChecks = []) {
+    const thresholds = hasStructuredThresholds(criterion) ? getStructuredThresholds(criterion) : [];
+    const operator = criterion.LOGICAL_OPERATOR === 'OR' ? 'OR' : 'AND';
+    const timepoints = thresholds[0]?.TIMEPOINT ? ` at ${thresholds[0].TIMEPOINT.join(' and ')}` : '';
+
+    const checks = thresholds.map((t) => {
+      const measurement = this.#getMeasurement(sources, t.MEASUREMENT);
+      const value = measurement ? measurement.value : null;
+      return {
+        name: t.MEASUREMENT,
+        requirement: `${t.MEASUREMENT} ${t.COMPARATOR} ${t.VALUE}${t.UNIT === '%' ? '%' : ''}`,
+        threshold: `${t.COMPARATOR} ${t.VALUE}`,
+        patientValue: measurement?.calculated ? `${value} (calculated)` : value,
+        met: value === null ? null : measurementMeetsThreshold(value, t.VALUE, t.COMPARATOR),
+        matchType: 'exactMatch',
+      };
+    });
+    checks.push(...extraChecks);
+
+    return this.#combineThresholdChecks(checks, operator, timepoints);
+  }
+
+  /**
+   * Combine per-threshold checks with AND/OR semantics
+   * A single decisive check settles the result (any met for OR, any failed for AND);
+   * otherwise missing values lower confidence to partialMatch.
+   * @param {Array<{ name: string, requirement: string, threshold: string, patientValue: *, met: boolean|null, matchType: string }>} checks
+   * - met is null when the patient value is missing; matchType is 'exactMatch' or 'directMatch' (value was converted)
+   * @param {'AND'|'OR'} operator
+   * @param {string} [suffix] - Appended to reasons (e.g. timepoints)
+   * @returns {Object} Evaluation result
+   */
+  #combineThresholdChecks(checks, operator, suffix = '') {
+    const requirements = [...new Set(checks.map((c) => c.requirement))];
+    const known = checks.filter((c) => c.met !== null);
+    const missing = [...new Set(checks.filter((c) => c.met === null).map((c) => c.name))];
+    const patientValue = [...new Set(known.map((c) => `${c.name}: ${c.patientValue}`))].join(', ');
+    const method = (matchType) => (matchType === 'exactMatch' ? 'Exact numeric comparison' : 'Numeric comparison after unit conversion');
+
+    if (known.length === 0) {
+      return {
+        matches: false,
+        confidence: getConfidenceByMatchType('missingData'),
+        unknown: true,
+        missingInformation: missing,
+        patientValue: 'No measurements provided',
+        confidenceReason: `Missing patient data for ${missing.join(', ')}. Required: ${requirements.join(` ${operator} `)}${suffix}`,
+      };
+    }
+
+    const failed = known.filter((c) => !c.met);
+    const met = known.filter((c) => c.met);
+    const decisive = operator === 'OR' ? met[0] : failed[0];
+
+    if (decisive) {
+      return {
+        matches: operator === 'OR',
+        confidence: getConfidenceByMatchType(decisive.matchType),
+        patientValue,
+        confidenceReason: `${method(decisive.matchType)}. ${decisive.name} ${decisive.patientValue} ${decisive.met ? 'meets' : 'does not meet'} ${decisive.threshold}${suffix}`,
+      };
+    }
+
+    if (missing.length > 0) {
+      return {
+        matches: false,
+        confidence: getConfidenceByMatchType('partialMatch'),
+        unknown: true,
+        missingInformation: missing,
+        patientValue,
+        confidenceReason: `Missing patient data for ${missing.join(', ')}. Required: ${requirements.join(` ${operator} `)}${suffix}`,
+      };
+    }
+
+    const matchType = known.every((c) => c.matchType === 'exactMatch') ? 'exactMatch' : 'directMatch';
+    return {
+      matches: operator === 'AND',
+      confidence: getConfidenceByMatchType(matchType),
+      patientValue,
+      confidenceReason: operator === 'AND'
+        ? `${method(matchType)}. All thresholds met: ${requirements.join(' AND ')}${suffix}`
+        : `${method(matchType)}. No threshold met: ${requirements.join(' OR ')}${suffix}`,
+    };
+  }
+
+  /**
+   * Look up a patient measurement across SEV/AAO responses
+   * @param {Array<Object|undefined>} sources - Patient responses to search, in order
+   * @param {string} type - Measurement type (PASI, BSA, ...)
+   * @returns {{ value: number, calculated: boolean }|null} calculated is set for scores from the
+   * questionnaire's calculators rather than records
+   */
+  #getMeasurement(sources, type) {
+    for (const source of sources) {
+      if (!source) {
+        continue;
+      }
+      const entry = source[type] ?? source[type.toLowerCase()];
+      const raw = entry?.value ?? entry;
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof value === 'number' && !Number.isNaN(value)) {
+        return { value, calculated: entry?.calculated === true };
+      }
+    }
+    return null;
+  }
+
   /**
    * Parse threshold from raw_text for a specific measurement type
    * Examples:
    * - "BSA involvement ≥10%" → { value: 10, operator: '>=' }
    * - "PASI score ≥12" → { value: 12, operator: '>=' }
    * - "BSA covered 2% to 20%" → { value: 2, max: 20, operator: 'between' }
+   * Thresholds outside the measurement's valid range (matching-rules.json) are misreads and ignored.
    */
   #parseThresholdFromRawText(rawText, measurementType) {
+    const parsed = this.#matchThresholdInRawText(rawText, measurementType);
+    const range = parsed && getMeasurementRange(measurementType);
+    if (range && [parsed.value, parsed.max].some((v) => v !== undefined && (v < range.min || v > range.max))) {
+      return null;
+    }
+    return parsed;
+  }
+
+  /**
+   * Match a threshold written after (or, for "minimum", before) a measurement name in raw_text
+   * @param {string} rawText
+   * @param {string} measurementType
+   * @returns {{ value: number, max?: number, operator: string }|null}
+   */
+  #matchThresholdInRawText(rawText, measurementType) {
     if (!rawText || !measurementType) return null;
     
-    const text = rawText.toLowerCase();
-    const type = measurementType.toLowerCase();
+    // Known measurements are found by name and alias, so "ppPASI" is not read as "PASI"
+    // and "ss-IGA" not as "IGA"
+    const known = MEASUREMENT_PATTERNS.find((p) => p.measurement === measurementType.toUpperCase());
+    const type = known ? `(?:${known.pattern.source})` : measurementType.toLowerCase();
     
     // Check if this criterion mentions this measurement type
-    if (!text.includes(type)) return null;
+    if (!new RegExp(type, 'i').test(rawText)) return null;
     
     // Pattern: "BSA ≥10%" or "BSA involvement ≥10%" or "BSA >= 10"
     // Use [^0-9]* to match any non-digit characters between type and number
@@ -867,22 +1466,25 @@ export class ClinicalTrialMatcher {
 
   /**
    * Evaluate severity criterion
-   * Handles PASI, PGA, IGA, DLQI, PHQ-9 scores
+   * Handles the SEV measurement types in matching-rules.json: PASI, PGA, IGA, DLQI, PHQ-9 and
+   * the nail, scalp and palmoplantar scores (NAPSI, PSSI, ss-IGA, ppPASI)
    */
   #evaluateSeverity(criterion, patientSeverity) {
     if (!patientSeverity) {
       return { 
         matches: false, 
         confidence: getConfidenceByMatchType('missingData'),
+        unknown: true,
         patientValue: 'No severity data provided',
         confidenceReason: 'Missing patient severity data'
       };
     }
 
     // Check various severity score types
-    const scoreTypes = ['PASI', 'PGA', 'IGA', 'DLQI', 'PHQ'];
+    const scoreTypes = getMeasurementTypes('SEV').length > 0 ? getMeasurementTypes('SEV') : ['PASI', 'PGA', 'IGA', 'DLQI', 'PHQ'];
     const patientValues = [];
     const requirements = [];
+    const unanswered = [];
 
     for (const type of scoreTypes) {
       // Try structured field first
@@ -891,6 +1493,7 @@ export class ClinicalTrialMatcher {
       
       // Get patient value (handle both object and direct value formats)
       const patientValue = patientSeverity[type]?.value ?? patientSeverity[type] ?? patientSeverity[type.toLowerCase()]?.value ?? patientSeverity[type.toLowerCase()];
+      const calculated = (patientSeverity[type] ?? patientSeverity[type.toLowerCase()])?.calculated === true;
 
       // If no structured threshold, try parsing from raw_text
       if ((threshold === null || threshold === undefined) && criterion.raw_text) {
@@ -902,11 +1505,14 @@ export class ClinicalTrialMatcher {
       }
 
       if (patientValue !== null && patientValue !== undefined) {
-        patientValues.push(`${type}: ${patientValue}`);
+        patientValues.push(`${type}: ${patientValue}${calculated ? ' (calculated)' : ''}`);
       }
       
       if (threshold !== null && threshold !== undefined) {
         requirements.push(`${type} ${comparison} ${threshold}`);
+        if (patientValue === null || patientValue === undefined) {
+          unanswered.push(type);
+        }
         
         if (patientValue !== null && patientValue !== undefined) {
           if (measurementMeetsThreshold(patientValue, threshold, comparison)) {
@@ -934,6 +1540,17 @@ export class ClinicalTrialMatcher {
       };
     }
 
+    if (requirements.length > 0 && unanswered.length === requirements.length) {
+      return {
+        matches: false,
+        confidence: getConfidenceByMatchType('missingData'),
+        unknown: true,
+        missingInformation: unanswered,
+        patientValue: patientValues.join(', ') || 'No severity scores',
+        confidenceReason: `Missing patient data for ${unanswered.join(', ')}. Required: ${requirements.join(', ')}`
+      };
+    }
+
     return { 
       matches: false, 
       confidence: getConfidenceByMatchType('partialMatch'),
@@ -944,13 +1561,15 @@ export class ClinicalTrialMatcher {
 
   /**
    * Evaluate disease duration criterion
-   * Supports both DURATION_MIN/DURATION_UNIT and TIMEFRAME formats
+   * Supports both DURATION_MIN/DURATION_UNIT and TIMEFRAME formats, and a duration
+   * or a diagnosis date (DIAGNOSIS_DATE) from the patient
    */
-  #evaluateDuration(criterion, patientDuration) {
+  #evaluateDuration(criterion, patientDuration, timeline) {
     if (!patientDuration) {
       return { 
         matches: false, 
         confidence: getConfidenceByMatchType('missingData'),
+        unknown: true,
         patientValue: 'No duration data provided',
         confidenceReason: 'Missing patient duration data'
       };
@@ -966,8 +1585,26 @@ export class ClinicalTrialMatcher {
       minUnit = criterion.DURATION_UNIT || 'months';
     }
 
-    const patientDurationValue = patientDuration.duration;
-    const patientUnit = patientDuration.unit || 'months';
+    // A diagnosis date gives the duration at the planned visit rather than on the day of answering
+    const datedDuration = patientDuration.DIAGNOSIS_DATE
+      ? getPatientTimeframe(
+        { START_DATE: patientDuration.DIAGNOSIS_DATE },
+        { relation: 'for', reference: criterion.TIMEFRAME?.reference },
+        timeline
+      )
+      : null;
+    const patientDurationValue = datedDuration ? datedDuration.amount : patientDuration.duration;
+    const patientUnit = datedDuration ? 'days' : patientDuration.unit || 'months';
+
+    if (patientDurationValue === null || patientDurationValue === undefined || patientDurationValue === '') {
+      return {
+        matches: false,
+        confidence: getConfidenceByMatchType('missingData'),
+        unknown: true,
+        patientValue: 'No duration data provided',
+        confidenceReason: 'Missing patient duration data'
+      };
+    }
 
     if (minDuration !== null && minDuration !== undefined && patientDurationValue !== null && patientDurationValue !== undefined) {
       // Convert both to weeks for comparison using timeframeMatches
@@ -1001,6 +1638,7 @@ export class ClinicalTrialMatcher {
       return { 
         matches: false, 
         confidence: getConfidenceByMatchType('missingData'),
+        unknown: true,
         patientValue: 'No variant data provided',
         confidenceReason: 'Missing patient variant data'
       };
@@ -1034,6 +1672,7 @@ export class ClinicalTrialMatcher {
       return { 
         matches: false, 
         confidence: getConfidenceByMatchType('missingData'),
+        unknown: true,
         patientValue: 'No biomarker data provided',
         confidenceReason: 'Missing patient biomarker data'
       };
@@ -1064,6 +1703,8 @@ export class ClinicalTrialMatcher {
     return { 
       matches: false, 
       confidence: getConfidenceByMatchType('partialMatch'),
+      unknown: true,
+      missingInformation: biomarkerType ? [biomarkerType] : [],
       patientValue: `${biomarkerType || 'Biomarker'}: not available`,
       confidenceReason: `Biomarker not found in patient data. ${Math.round(getConfidenceByMatchType('partialMatch') * 100)}% due to missing data.`
     };
@@ -1072,16 +1713,35 @@ export class ClinicalTrialMatcher {
   /**
    * Evaluate flare history criterion
    */
-  #evaluateFlare(criterion, patientFlare) {
+  #evaluateFlare(criterion, patientFlare, timeline) {
     if (!patientFlare) {
       return { 
         matches: false, 
         confidence: getConfidenceByMatchType('missingData'),
+        unknown: true,
         patientValue: 'No flare history provided',
         confidenceReason: 'Missing patient flare data'
       };
     }
 
+    // Flare history reported as condition entries (triggers, prior flares, exposures)
+    // is matched on the criterion's CONDITION_TYPE logic like comorbidities
+    if (Array.isArray(patientFlare)) {
+      const { result, notes } = this.#matchConditionLogic(criterion, patientFlare, 'CONDITION', 'flare history', timeline);
+      if (result) {
+        return result;
+      }
+      const patientEntries = patientFlare.map(f => (f.CONDITION_TYPE || []).join(', ')).join('; ');
+      return {
+        matches: false,
+        confidence: getConfidenceByMatchType('noMatch'),
+        patientValue: `Patient flare history: ${patientEntries || 'none'}`,
+        confidenceReason: notes.length > 0
+          ? `No match. ${notes.join(' ')}`
+          : `No match found. Criterion required: ${(criterion.CONDITION_TYPE || []).join(', ')}. High confidence in no-match.`
+      };
+    }
+
     const flareCount = criterion.FLARE_COUNT;
     const timeframe = criterion.TIMEFRAME;
     const patientFlareCount = patientFlare.count;
@@ -1115,6 +1775,244 @@ export class ClinicalTrialMatcher {
       confidenceReason: `Flare count insufficient. Required: ≥${flareCount || 'N/A'}. ${Math.round(getConfidenceByMatchType('partialMatch') * 100)}% due to possible missing data.`
     };
   }
+
+  /**
+   * Evaluate sex, pregnancy and contraception criterion
+   * Pregnancy/breastfeeding statuses never apply to male patients; contraception
+   * requirements only apply to the sexes in CONTRACEPTION_SEX (women of childbearing potential)
+   */
+  #evaluateReproductive(criterion, patientRep) {
+    if (!patientRep?.sex) {
+      return {
+        matches: false,
+        confidence: getConfidenceByMatchType('missingData'),
+        unknown: true,
+        patientValue: 'Sex not provided',
+        confidenceReason: 'Missing patient sex and reproductive status data'
+      };
+    }
+
+    const sex = patientRep.sex;
+
+    if (criterion.SEX) {
+      const matches = criterion.SEX.includes(sex);
+      return {
+        matches,
+        confidence: getConfidenceByMatchType('exactMatch'),
+        patientValue: `Patient sex: ${sex}`,
+        confidenceReason: `Exact match. Required sex: ${criterion.SEX.join(' or ')}. Patient: ${sex}`
+      };
+    }
+
+    if (criterion.REPRODUCTIVE_STATUS) {
+      const flags = {
+        pregnant: sex === 'female' ? patientRep.pregnant : false,
+        breastfeeding: sex === 'female' ? patientRep.breastfeeding : false,
+        planning_pregnancy: patientRep.planningPregnancy,
+      };
+      const present = criterion.REPRODUCTIVE_STATUS.filter((status) => flags[status] === true);
+      const unknown = criterion.REPRODUCTIVE_STATUS.filter((status) => flags[status] === null || flags[status] === undefined);
+      const patientValue = present.length > 0 ? `Patient status: ${present.join(', ')}` : `Patient status: none reported (${sex})`;
+
+      if (present.length === 0 && unknown.length > 0) {
+        return {
+          matches: false,
+          confidence: getConfidenceByMatchType('missingData'),
+          unknown: true,
+          missingInformation: unknown,
+          patientValue,
+          confidenceReason: `Missing patient answer for: ${unknown.join(', ')}`
+        };
+      }
+
+      const hasStatus = present.length > 0;
+      return {
+        matches: criterion.STATUS_NEGATED ? !hasStatus : hasStatus,
+        confidence: getConfidenceByMatchType('exactMatch'),
+        patientValue,
+        confidenceReason: `Exact match. Criterion ${criterion.STATUS_NEGATED ? 'requires absence of' : 'concerns'}: ${criterion.REPRODUCTIVE_STATUS.join(', ')}`
+      };
+    }
+
+    if (criterion.CONTRACEPTION_REQUIRED) {
+      const applicableSexes = criterion.CONTRACEPTION_SEX || ['female', 'male'];
+      const applies = applicableSexes.includes(sex) && (sex === 'male' || patientRep.childbearingPotential !== false);
+
+      if (!applies) {
+        return {
+          matches: !criterion.CONTRACEPTION_NEGATED,
+          confidence: getConfidenceByMatchType('exactMatch'),
+          patientValue: `Patient sex: ${sex}${sex === 'female' ? ', not of childbearing potential' : ''}`,
+          confidenceReason: 'Contraception requirement does not apply to this patient'
+        };
+      }
+
+      if (patientRep.contraception === null || patientRep.contraception === undefined) {
+        return {
+          matches: false,
+          confidence: getConfidenceByMatchType('missingData'),
+          unknown: true,
+          missingInformation: ['contraception use'],
+          patientValue: `Patient sex: ${sex}`,
+          confidenceReason: 'Missing patient answer on contraception use'
+        };
+      }
+
+      return {
+        matches: criterion.CONTRACEPTION_NEGATED ? !patientRep.contraception : patientRep.contraception,
+        confidence: getConfidenceByMatchType('exactMatch'),
+        patientValue: `Patient ${patientRep.contraception ? 'uses' : 'does not use'} contraception`,
+        confidenceReason: `Exact match. Contraception required for: ${applicableSexes.join(', ')}`
+      };
+    }
+
+    return {
+      matches: false,
+      confidence: getConfidenceByMatchType('partialMatch'),
+      patientValue: `Patient sex: ${sex}`,
+      confidenceReason: 'No sex, pregnancy or contraception slots on criterion'
+    };
+  }
+
+  /**
+   * Evaluate structured lab thresholds (ANALYTE/COMPARATOR/VALUE/UNIT)
+   * Patient values are converted to the threshold unit; "× ULN" thresholds use the
+   * patient's lab-reported ULN when given, else the configured reference range.
+   * Converted comparisons are reported as directMatch rather than exactMatch.
+   */
+  #evaluateLab(criterion, patientLabs) {
+    const thresholds = getLabThresholds(criterion);
+    if (thresholds.length === 0) {
+      return {
+        matches: false,
+        confidence: getConfidenceByMatchType('partialMatch'),
+        patientValue: 'N/A',
+        confidenceReason: 'No structured lab thresholds on criterion'
+      };
+    }
+
+    const checks = thresholds.map((t) => {
+      const config = getLabAnalyteConfig(t.ANALYTE) || { unit: t.UNIT };
+      const unit = normalizeLabUnit(t.UNIT) || config.unit;
+      const entry = patientLabs?.[t.ANALYTE];
+      const rawValue = entry?.value ?? entry;
+      const value = typeof rawValue === 'string' && rawValue.trim() !== '' ? Number(rawValue) : rawValue;
+      const check = {
+        name: t.ANALYTE,
+        requirement: `${t.ANALYTE} ${t.COMPARATOR} ${t.VALUE} ${unit}`,
+        threshold: `${t.COMPARATOR} ${t.VALUE} ${unit}`,
+        patientValue: null,
+        met: null,
+        matchType: 'exactMatch',
+      };
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        return check;
+      }
+
+      const patientUnit = normalizeLabUnit(entry?.unit) || config.unit;
+      const upperLimit = entry?.upperLimit ?? null;
+      const converted = convertLabValue(value, patientUnit, unit, config, upperLimit);
+      const exact = patientUnit === unit || (unit === ULN_UNIT && upperLimit !== null);
+
+      check.patientValue = patientUnit === unit
+        ? `${value} ${unit}`
+        : `${value} ${patientUnit}${converted === null ? '' : ` (${Math.round(converted * 100) / 100} ${unit})`}`;
+      if (converted === null) {
+        check.name = `${t.ANALYTE} (no conversion from ${patientUnit} to ${unit})`;
+        return check;
+      }
+      check.met = measurementMeetsThreshold(converted, t.VALUE, t.COMPARATOR);
+      check.matchType = exact ? 'exactMatch' : 'directMatch';
+      return check;
+    });
+
+    const operator = criterion.LOGICAL_OPERATOR === 'OR' ? 'OR' : 'AND';
+    return this.#combineThresholdChecks(checks, operator);
+  }
+
+  /**
+   * Evaluate vaccination criterion ("live vaccine within 4 weeks of baseline")
+   * Vaccine types come from the vaccine catalog; the window is applied with
+   * timeframeMatches against days since the patient's vaccination date.
+   * Future (planned) vaccinations count as inside any window.
+   */
+  #evaluateVaccination(criterion, patientVaccinations, timeline) {
+    if (!patientVaccinations || !Array.isArray(patientVaccinations)) {
+      return {
+        matches: false,
+        confidence: getConfidenceByMatchType('missingData'),
+        unknown: true,
+        patientValue: 'No vaccination history provided',
+        confidenceReason: 'Missing patient vaccination data'
+      };
+    }
+
+    const live = criterion.VACCINE_TYPE === 'live';
+    const required = criterion.VACCINE_NAMES?.length
+      ? criterion.VACCINE_NAMES.join(' or ')
+      : `${live ? 'live' : 'any'} vaccine`;
+    const window = criterion.TIMEFRAME
+      ? ` within ${criterion.TIMEFRAME.amount} ${criterion.TIMEFRAME.unit}${criterion.TIMEFRAME.reference ? ` (${criterion.TIMEFRAME.reference})` : ''}`
+      : '';
+    const uncertain = [];
+
+    for (const vaccination of patientVaccinations) {
+      const name = vaccination.VACCINE_NAME;
+      const info = getVaccineInfo(name);
+      const relevant = criterion.VACCINE_NAMES?.length
+        ? info && criterion.VACCINE_NAMES.includes(info.key)
+        : !live || info?.isLive;
+
+      if (!info && (live || criterion.VACCINE_NAMES?.length)) {
+        uncertain.push(`${name} (not in vaccine catalog)`);
+        continue;
+      }
+      if (!relevant) {
+        continue;
+      }
+
+      const days = daysSinceVaccination(vaccination.VACCINE_DATE, getReferenceDate(timeline, criterion.TIMEFRAME));
+      if (days === null && criterion.TIMEFRAME) {
+        uncertain.push(`${name} (no date)`);
+        continue;
+      }
+      const patientTimeframe = { amount: Math.max(days ?? 0, 0), unit: 'days' };
+      if (criterion.TIMEFRAME && !timeframeMatches(criterion.TIMEFRAME, patientTimeframe)) {
+        continue;
+      }
+
+      let when = 'date unknown';
+      if (days !== null) {
+        when = days < 0 ? `planned in ${-days} days` : `${days} days ago (${Math.round(convertToWeeks({ amount: days, unit: 'days' }) * 10) / 10} weeks)`;
+      }
+      return {
+        matches: true,
+        confidence: getConfidenceByMatchType('exactMatch'),
+        patientValue: `Patient vaccination: ${name} (${when})`,
+        confidenceReason: `Exact match. ${info ? `${info.name} is ${info.isLive ? 'a live' : 'a non-live'} vaccine` : name}, ${when}. Criterion: ${required}${window}`
+      };
+    }
+
+    const patientValue = patientVaccinations.length > 0
+      ? `Patient vaccinations: ${patientVaccinations.map((v) => v.VACCINE_NAME).join(', ')}`
+      : 'No vaccinations reported';
+
+    if (uncertain.length > 0) {
+      return {
+        matches: false,
+        confidence: getConfidenceByMatchType('partialMatch'),
+        patientValue,
+        confidenceReason: `Cannot confirm ${required}${window} for: ${uncertain.join(', ')}`
+      };
+    }
+
+    return {
+      matches: false,
+      confidence: getConfidenceByMatchType('exactMatch'),
+      patientValue,
+      confidenceReason: `Exact match. No ${required}${window}`
+    };
+  }
 }
 
 export default ClinicalTrialMatcher;
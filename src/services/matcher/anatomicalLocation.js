@@ -0,0 +1,169 @@
+/**
+ * Anatomical Location
+ * Body regions for special-area criteria ("pustules on the palms and/or soles",
+ * "scalp psoriasis", "nail involvement") and the patient's affected regions from the body map
+ * @module services/matcher/anatomicalLocation
+ */
+
+import { getAnatomicalMappings } from '../config/RulesLoader.js';
+import { MEASUREMENT_PATTERNS } from './measurementThresholds.js';
+
+/**
+ * Regions the body map offers; keys are the anatomical mapping keys criteria resolve to
+ * @type {Array<{ key: string, label: string }>}
+ */
+export const BODY_REGIONS = [
+  { key: 'scalp', label: 'Scalp' },
+  { key: 'face', label: 'Face' },
+  { key: 'trunk', label: 'Chest, back and abdomen' },
+  { key: 'arms', label: 'Arms' },
+  { key: 'hands', label: 'Backs of hands' },
+  { key: 'palms', label: 'Palms' },
+  { key: 'legs', label: 'Legs' },
+  { key: 'feet', label: 'Tops of feet' },
+  { key: 'soles', label: 'Soles' },
+  { key: 'nails', label: 'Fingernails or toenails' },
+  { key: 'genitals', label: 'Genitals' },
+  { key: 'intertriginous', label: 'Skin folds (armpits, groin, under breasts)' },
+];
+
+/** "palms of the hands", "soles of the feet": the hands and feet are not a further region */
+const CONTAINER_PHRASE = {
+  hands: /\bpalms? of (?:the |both |his or her |their )?$/i,
+  feet: /\bsoles? of (?:the |both |his or her |their )?$/i,
+};
+
+/** Clauses naming regions a criterion leaves out ("excluding the scalp, palms, and soles") */
+const EXCLUDING_CLAUSE = /\b(?:exclud\w*|except(?: for)?|other than|apart from|not including|outside(?: of)?)\b[^.;)]*/gi;
+const EXCLUDED_PARENTHETICAL = /\([^)]*\b(?:not (?:be )?(?:counted|included)|excluded)\b[^)]*\)/gi;
+
+/** "scalp only", "limited to the palms and soles", looked for around a region mention */
+const ONLY_PATTERN = /\b(?:only|exclusively|limited to|confined to|restricted to)\b/i;
+const ONLY_WINDOW = { before: 80, after: 15 };
+
+/** Text must be about where the disease is, not e.g. nail onychomycosis */
+const DISEASE_CONTEXT = /psoria|plaques?\b|lesions?\b|pustul|\bPPP\b|involve/i;
+
+/** Region mentions beside a score ("PASI ≥10 plus facial involvement") or in a list of alternatives */
+const ALTERNATIVES_PATTERN = /(?:at least\s*|≥\s*)(?:1|one) of the following/i;
+
+/**
+ * Escape a term for use in a regular expression
+ * @param {string} term
+ * @returns {string}
+ */
+function escapeTerm(term) {
+  return term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Terms naming each body-map region, from the anatomical mappings
+ * @returns {Array<{ key: string, pattern: RegExp }>}
+ */
+function getRegionPatterns() {
+  const mappings = getAnatomicalMappings();
+  return BODY_REGIONS.map(({ key }) => {
+    const terms = [key, ...(mappings[key] || [])].map(escapeTerm).join('|');
+    return { key, pattern: new RegExp(`\\b(?:${terms})\\b`, 'gi') };
+  });
+}
+
+/**
+ * Character spans of text a criterion leaves out
+ * @param {string} text
+ * @returns {Array<[number, number]>}
+ */
+function getExcludedSpans(text) {
+  return [...text.matchAll(EXCLUDING_CLAUSE), ...text.matchAll(EXCLUDED_PARENTHETICAL)]
+    .map((match) => [match.index, match.index + match[0].length]);
+}
+
+/**
+ * Region mentions in text, leaving out regions in excluding clauses
+ * @param {string} text - Criterion raw text
+ * @returns {Array<{ key: string, index: number, length: number }>}
+ */
+function findRegionMentions(text) {
+  const excluded = getExcludedSpans(text);
+  return getRegionPatterns().flatMap(({ key, pattern }) => [...text.matchAll(pattern)]
+    .filter((match) => !excluded.some(([start, end]) => match.index >= start && match.index < end)
+      && !CONTAINER_PHRASE[key]?.test(text.slice(0, match.index)))
+    .map((match) => ({ key, index: match.index, length: match[0].length })));
+}
+
+/**
+ * Body-map regions named in text, leaving out regions in excluding clauses
+ * @param {string} text - Criterion raw text
+ * @returns {string[]} Region keys, in BODY_REGIONS order
+ */
+export function findBodyRegions(text) {
+  return text ? [...new Set(findRegionMentions(text).map((mention) => mention.key))] : [];
+}
+
+/**
+ * Resolve a location term (slot value or synonym) to a body-map region
+ * @param {string} term - e.g. "palmar", "fingernails"
+ * @returns {string|null} Region key, or null when the term is not a body-map region
+ */
+export function resolveBodyRegion(term) {
+  const match = getRegionPatterns().find(({ pattern }) => pattern.test(term || ''));
+  return match ? match.key : null;
+}
+
+/**
+ * Regions an AAO criterion requires the disease to affect. Regions are read from the raw text
+ * when there is one (ANATOMICAL_LOCATION slots otherwise); those in excluding clauses do not count.
+ * Text that also names a score, lists alternatives, or is not about the disease's location
+ * sets no region requirement, so such criteria keep their measurement evaluation.
+ * @param {Object} criterion - AAO criterion
+ * @returns {{ regions: string[], only: boolean }|null} only is set for "scalp only" wording;
+ * null when the criterion sets no region requirement
+ */
+export function getRequiredRegions(criterion) {
+  const text = criterion?.raw_text;
+  if (!text) {
+    const regions = [...new Set((criterion?.ANATOMICAL_LOCATION || []).map(resolveBodyRegion).filter(Boolean))];
+    return regions.length > 0 ? { regions, only: false } : null;
+  }
+
+  if (!DISEASE_CONTEXT.test(text) || ALTERNATIVES_PATTERN.test(text)
+    || MEASUREMENT_PATTERNS.some(({ pattern }) => text.search(pattern) >= 0)) {
+    return null;
+  }
+  const mentions = findRegionMentions(text);
+  if (mentions.length === 0) {
+    return null;
+  }
+  return {
+    regions: BODY_REGIONS.map(({ key }) => key).filter((key) => mentions.some((mention) => mention.key === key)),
+    only: mentions.some(({ index, length }) => ONLY_PATTERN.test(
+      text.slice(Math.max(0, index - ONLY_WINDOW.before), index + length + ONLY_WINDOW.after)
+    )),
+  };
+}
+
+/**
+ * Check the patient's affected regions against required regions
+ * @param {{ regions: string[], only: boolean }} required - From getRequiredRegions
+ * @param {string[]|null|undefined} patientRegions - Regions marked on the body map
+ * @returns {{ name: string, requirement: string, threshold: string, patientValue: string, met: boolean|null, matchType: string }}
+ * A check in the shape the matcher combines threshold checks in; met is null when no region was marked
+ */
+export function checkBodyRegions(required, patientRegions) {
+  const marked = Array.isArray(patientRegions) && patientRegions.length > 0 ? patientRegions : null;
+  const wording = required.regions.join(required.only ? ' and/or ' : ' or ');
+  let met = null;
+  if (marked) {
+    met = required.only
+      ? marked.every((region) => required.regions.includes(region))
+      : marked.some((region) => required.regions.includes(region));
+  }
+  return {
+    name: 'ANATOMICAL_LOCATION',
+    requirement: `psoriasis on ${wording}${required.only ? ' only' : ''}`,
+    threshold: required.only ? `only ${wording}` : wording,
+    patientValue: marked ? marked.join(', ') : 'no regions marked',
+    met,
+    matchType: 'exactMatch',
+  };
+}
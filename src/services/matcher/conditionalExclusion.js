@@ -0,0 +1,136 @@
+/**
+ * Conditional Exclusions
+ * Models the waiver condition of conditional_exclude criteria ("unless stable for
+ * 3 months", "unless approved by the investigator") and settles it from the patient's answers
+ * @module services/matcher/conditionalExclusion
+ */
+
+import { convertToWeeks } from '../../utils/index.js';
+import { getPatternClasses } from './criterionLogic.js';
+import { getPatientTimeframe, hasDates } from './timeline.js';
+
+/**
+ * @typedef {Object} ExclusionCondition
+ * @property {'stable'|'resolved'|'investigator_approval'|'treatment_exception'|'other'} type
+ * @property {string} text - Condition as worded in the criterion
+ * @property {{ relation: string, amount: number, unit: string }|null} [TIMEFRAME] - Minimum duration the condition needs
+ */
+
+/** Waiver types recognized in "unless ..." clauses, checked in this order */
+const CONDITION_TYPES = [
+  ['investigator_approval', /\b(?:approv\w*|permission|investigator|sponsor|medical monitor)\b/i],
+  ['stable', /\bstable\b/i],
+  ['resolved', /\b(?:removed|replaced|cured|resolved|recovered|no evidence of (?:recurrence|disease))\b/i],
+];
+
+/** "≥ 3 months", "for 3 months", "at least 60 days", "> 12 weeks" */
+const DURATION_PATTERN = /(?:≥|>=|>|at least|for|more than)\s*(\d+(?:\.\d+)?)\s*(day|week|month|year)s?/i;
+
+/**
+ * Parse the minimum duration a condition text asks for
+ * @param {string} text
+ * @returns {{ relation: string, amount: number, unit: string }|null}
+ */
+function parseDuration(text) {
+  const match = (text || '').match(DURATION_PATTERN);
+  return match ? { relation: 'at least', amount: parseFloat(match[1]), unit: `${match[2].toLowerCase()}s` } : null;
+}
+
+/**
+ * Waiver condition of a conditional exclusion: the EXCLUSION_CONDITION slot, an
+ * EXCEPTION_CONDITION on one of its conditions, or an "unless ..." clause of the raw text
+ * @param {Object} criterion - Criterion from the slot-filled database
+ * @returns {ExclusionCondition|null}
+ */
+export function getExclusionCondition(criterion) {
+  if (criterion?.EXCLUSION_CONDITION?.type) {
+    return {
+      TIMEFRAME: parseDuration(criterion.EXCLUSION_CONDITION.text),
+      ...criterion.EXCLUSION_CONDITION,
+    };
+  }
+
+  const exception = (criterion?.conditions || []).find(c => c.EXCEPTION_CONDITION)?.EXCEPTION_CONDITION;
+  if (exception?.treatment) {
+    return {
+      type: 'treatment_exception',
+      text: [exception.treatment, exception.condition].filter(Boolean).join(': '),
+      TIMEFRAME: null,
+    };
+  }
+
+  const clause = (criterion?.raw_text || '').match(/\bunless\s+(.+?)(?=[.;)]|$)/i);
+  if (clause) {
+    const text = clause[1].trim();
+    const type = CONDITION_TYPES.find(([, regex]) => regex.test(text))?.[0] || 'other';
+    return { type, text, TIMEFRAME: parseDuration(text) };
+  }
+
+  return null;
+}
+
+/**
+ * Compare a reported duration with the condition's minimum
+ * @param {Object|null} reported - { amount, unit }
+ * @param {ExclusionCondition} condition
+ * @param {string} what - Description used in the reason
+ * @returns {{ status: 'met'|'not_met'|'unresolved', reason: string }}
+ */
+function compareDuration(reported, condition, what) {
+  if (!reported || reported.amount === null || reported.amount === undefined) {
+    return { status: 'unresolved', reason: `${what} was not reported` };
+  }
+  if (!condition.TIMEFRAME) {
+    return { status: 'unresolved', reason: `${what} is ${reported.amount} ${reported.unit}, but the criterion gives no minimum to compare with` };
+  }
+  const met = convertToWeeks(reported) >= convertToWeeks(condition.TIMEFRAME);
+  const required = `${condition.TIMEFRAME.amount} ${condition.TIMEFRAME.unit}`;
+  return met
+    ? { status: 'met', reason: `${what} is ${reported.amount} ${reported.unit} (≥ ${required} required)` }
+    : { status: 'not_met', reason: `${what} is ${reported.amount} ${reported.unit} (< ${required} required)` };
+}
+
+/**
+ * Settle a conditional exclusion's waiver condition from the patient entries that triggered it
+ * @param {ExclusionCondition|null} condition - From getExclusionCondition
+ * @param {Object[]} [matchedEntries] - Patient entries (CMB/AIC/FLR/PTH) the criterion matched
+ * @param {import('./timeline.js').PatientTimeline|null} [timeline] - Planned visit dates; dated entries are measured from screening
+ * @returns {{ status: 'met'|'not_met'|'unresolved', reason: string }}
+ * met = exclusion waived, not_met = exclusion applies, unresolved = needs review
+ */
+export function resolveExclusionCondition(condition, matchedEntries = [], timeline = null) {
+  if (!condition) {
+    return { status: 'unresolved', reason: 'the waiver condition is not modelled for this criterion' };
+  }
+
+  switch (condition.type) {
+    case 'treatment_exception':
+      // The evaluator has already carved the excepted treatments out of the match
+      return { status: 'not_met', reason: `the matched treatment is not covered by the exception (${condition.text})` };
+
+    case 'stable': {
+      const entry = matchedEntries.find(e => e?.STABLE_DURATION);
+      return compareDuration(entry?.STABLE_DURATION || null, condition, 'Time on a stable dose');
+    }
+
+    case 'resolved': {
+      if (matchedEntries.length === 0) {
+        return { status: 'unresolved', reason: 'no patient answer shows whether it has resolved' };
+      }
+      const current = matchedEntries.find(e =>
+        getPatternClasses(e.CONDITION_PATTERN || e.INFECTION_PATTERN || e.TREATMENT_PATTERN).includes('current')
+      );
+      if (current) {
+        return { status: 'not_met', reason: 'the patient reports it as current' };
+      }
+      const entry = matchedEntries.find(e => e.TIMEFRAME || hasDates(e));
+      return compareDuration(entry ? getPatientTimeframe(entry, null, timeline) : null, condition, 'Time since the last episode');
+    }
+
+    case 'investigator_approval':
+      return { status: 'unresolved', reason: 'it needs the investigator\'s approval, which the questionnaire cannot record' };
+
+    default:
+      return { status: 'unresolved', reason: 'the patient\'s answers do not cover it' };
+  }
+}
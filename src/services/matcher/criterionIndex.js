@@ -0,0 +1,112 @@
+/**
+ * Criterion Index
+ * Precompiled, per-database index of the criteria database: criteria per trial, plus an
+ * inverted index from a criterion's evaluation signature (cluster + slot values) to every
+ * criterion sharing it, so criteria repeated across trials are evaluated once per patient
+ * @module services/matcher/criterionIndex
+ */
+
+/** Fields that identify a criterion or only matter after evaluation; left out of signatures */
+const NON_EVALUATED_FIELDS = new Set(['id', 'nct_id', 'clusterCode', 'EXCLUSION_STRENGTH', 'raw_text']);
+
+/** Clusters whose evaluators read raw_text (exception clauses, thresholds parsed from text, AI context) */
+const RAW_TEXT_CLUSTERS = new Set(['CMB', 'PTH', 'AIC', 'FLR', 'AAO', 'SEV']);
+
+/** Clusters cheap to evaluate (rule-based, never call AI), checked first so they can rule a trial out */
+export const CHEAP_CLUSTERS = new Set(['AGE', 'BMI', 'REP', 'NPV', 'CPD']);
+
+/** Compiled indexes, one per loaded database object */
+const compiledIndexes = new WeakMap();
+
+/**
+ * JSON with object keys sorted, so slot order does not change the signature
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Evaluation signature of a criterion: two criteria with the same signature get the same
+ * evaluator result for any patient
+ * @param {Object} criterion - Criterion from the slot-filled database
+ * @param {string} clusterCode - Cluster code (AGE, PTH, ...)
+ * @returns {string}
+ */
+export function getCriterionSignature(criterion, clusterCode) {
+  const slots = Object.fromEntries(
+    Object.entries(criterion).filter(([key]) => !NON_EVALUATED_FIELDS.has(key))
+  );
+  const rawText = RAW_TEXT_CLUSTERS.has(clusterCode) ? criterion.raw_text || '' : '';
+  return `${clusterCode}|${canonicalJSON(slots)}|${rawText}`;
+}
+
+/**
+ * @typedef {Object} CriterionIndex
+ * @property {Map<string, Object[]>} trials - NCT ID → criteria (each with its clusterCode)
+ * @property {Map<Object, string>} signatures - Indexed criterion → evaluation signature
+ * @property {Map<string, Object[]>} bySignature - Evaluation signature → criteria sharing it
+ * @property {Map<string, string>} clusterQuestions - Cluster code → questionnaire question
+ */
+
+/**
+ * Compile (or reuse) the index of a criteria database. The index is built once per
+ * database object and shared by every matcher created from it.
+ * @param {Object|null} database - Slot-filled criteria database
+ * @returns {CriterionIndex}
+ */
+export function compileCriterionIndex(database) {
+  if (database && compiledIndexes.has(database)) {
+    return compiledIndexes.get(database);
+  }
+
+  const index = {
+    trials: new Map(),
+    signatures: new Map(),
+    bySignature: new Map(),
+    clusterQuestions: new Map(),
+  };
+  if (!database) {
+    return index;
+  }
+
+  // Questionnaire question per cluster, named in open questions of unknown criteria
+  for (const cluster of database.metadata?.clusters || []) {
+    index.clusterQuestions.set(cluster.code, cluster.primary_question);
+  }
+
+  for (const [clusterKey, cluster] of Object.entries(database)) {
+    if (!clusterKey.startsWith('CLUSTER_') || !cluster.criteria) {
+      continue;
+    }
+
+    const clusterCode = cluster.cluster_code;
+
+    for (const criterion of cluster.criteria) {
+      const indexed = { ...criterion, clusterCode };
+      const signature = getCriterionSignature(criterion, clusterCode);
+
+      if (!index.trials.has(criterion.nct_id)) {
+        index.trials.set(criterion.nct_id, []);
+      }
+      index.trials.get(criterion.nct_id).push(indexed);
+
+      index.signatures.set(indexed, signature);
+      if (!index.bySignature.has(signature)) {
+        index.bySignature.set(signature, []);
+      }
+      index.bySignature.get(signature).push(indexed);
+    }
+  }
+
+  compiledIndexes.set(database, index);
+  return index;
+}
@@ -0,0 +1,128 @@
+/**
+ * Criterion Logic
+ * Interprets the LOGICAL_OPERATOR, EXCEPTION and CONDITION_PATTERN / TREATMENT_PATTERN
+ * slots of condition-style criteria (CMB, AIC, FLR, PTH)
+ * @module services/matcher/criterionLogic
+ */
+
+/**
+ * Temporal classes a pattern can express, checked in this order.
+ * Patterns matching none of them (e.g. "known", "use", "diagnosis") do not constrain the match.
+ */
+const PATTERN_CLASSES = [
+  ['planned', /\b(?:planned|planning|expected to|scheduled|intend(?:s|ed)? to|anticipated|during the (?:study|trial))\b/i],
+  ['current', /\b(?:current(?:ly)?|active|ongoing|present|uncontrolled|unstable|acute|chronic|persistent|taking)\b/i],
+  ['history', /\b(?:history|prior|previous(?:ly)?|past|ever|lifetime|former|received|exposure|recent|recurrent|treated)\b/i],
+];
+
+/** Phrases that introduce an exception inside a criterion's raw text */
+const EXCEPTION_TEXT_PATTERN = /\b(?:with the exception of|except(?: for)?|excluding|other than)\s+(.+?)(?=[.;]|$)/gi;
+
+/**
+ * Logical operator joining the elements of a criterion condition
+ * @param {Object} condition - Criterion (or one entry of its conditions array)
+ * @returns {'AND'|'OR'} EXCEPT and missing operators read as OR; the exception itself comes from getExceptions
+ */
+export function getLogicalOperator(condition) {
+  return String(condition?.LOGICAL_OPERATOR || '').toUpperCase() === 'AND' ? 'AND' : 'OR';
+}
+
+/**
+ * Temporal classes named by pattern values
+ * @param {string|string[]|null} patterns - CONDITION_PATTERN / TREATMENT_PATTERN / INFECTION_PATTERN values
+ * @returns {string[]} Subset of 'planned', 'current', 'history'
+ */
+export function getPatternClasses(patterns) {
+  const values = (Array.isArray(patterns) ? patterns : [patterns]).filter(p => typeof p === 'string');
+  const classes = new Set();
+  for (const value of values) {
+    const match = PATTERN_CLASSES.find(([, regex]) => regex.test(value));
+    if (match) {
+      classes.add(match[0]);
+    }
+  }
+  return [...classes];
+}
+
+/**
+ * Check a patient's reported pattern against the pattern a criterion asks for.
+ * A "history" requirement is met by current and past occurrences alike; "current"
+ * and "planned" requirements need the patient to report exactly that.
+ * @param {string|string[]|null} criterionPatterns
+ * @param {string|string[]|null} patientPatterns
+ * @returns {{ satisfied: boolean|null, required: string[], reported: string[] }}
+ * satisfied is null when either side names no recognizable pattern
+ */
+export function checkPattern(criterionPatterns, patientPatterns) {
+  const required = getPatternClasses(criterionPatterns);
+  const reported = getPatternClasses(patientPatterns);
+  if (required.length === 0 || reported.length === 0) {
+    return { satisfied: null, required, reported };
+  }
+
+  const satisfied = required.some(requirement =>
+    requirement === 'history'
+      ? reported.includes('history') || reported.includes('current')
+      : reported.includes(requirement)
+  );
+  return { satisfied, required, reported };
+}
+
+/**
+ * Exceptions that carve matches back out of a condition: the EXCEPTION slot,
+ * EXCEPTION_CONDITION entries that make the patient eligible, and "except ..." /
+ * "other than ..." clauses of the raw text
+ * @param {Object} condition - Criterion (or one entry of its conditions array)
+ * @param {string} [rawText] - Criterion raw text
+ * @returns {string[]}
+ */
+export function getExceptions(condition, rawText = '') {
+  const exceptions = [];
+
+  if (typeof condition?.EXCEPTION === 'string' && condition.EXCEPTION.trim()) {
+    exceptions.push(condition.EXCEPTION.replace(/^\s*(?:with the exception of|except(?: for)?|excluding|other than)\s+/i, '').trim());
+  }
+
+  const exceptionCondition = condition?.EXCEPTION_CONDITION;
+  if (exceptionCondition?.treatment && exceptionCondition.makes_eligible) {
+    exceptions.push(exceptionCondition.treatment);
+  }
+
+  for (const match of (rawText || '').matchAll(EXCEPTION_TEXT_PATTERN)) {
+    exceptions.push(match[1].replace(/^(?:other than|except(?: for)?)\s+/i, '').trim());
+  }
+
+  return [...new Set(exceptions.filter(Boolean))];
+}
+
+/**
+ * Escape a term for use in a regular expression
+ * @param {string} term
+ * @returns {string}
+ */
+function escapeRegExp(term) {
+  return term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find the exception that names any of the given terms as a whole word
+ * (so "melanoma" does not hit "non-melanoma skin cancer")
+ * @param {string[]} terms - Matched criterion and patient terms
+ * @param {string[]} exceptions - From getExceptions
+ * @returns {string|null} The carving exception, or null
+ */
+export function findException(terms, exceptions) {
+  for (const exception of exceptions) {
+    for (const term of terms) {
+      const needle = String(term || '').trim();
+      if (needle.length < 3) {
+        continue;
+      }
+      const pattern = new RegExp(`(?<![\\w-])${escapeRegExp(needle)}(?:e?s)?(?![\\w-])`, 'i');
+      if (pattern.test(exception)) {
+        return exception;
+      }
+    }
+  }
+  return null;
+}
@@ -17,7 +17,8 @@ import {
   isKnownDrug as configIsKnownDrug,
   getConditionSynonyms,
   findConditionSynonyms,
-  getDrugClassKeywords
+  getDrugClassKeywords,
+  getDrugPharmacokinetics as getConfigPharmacokinetics
 } from '../config/RulesLoader.js';
 
 /**
@@ -301,6 +302,45 @@ export function getDrugInfo(drugName) {
   return null;
 }
 
+/**
+ * Get a drug's half-life and standard washout by brand, generic or alias name.
+ * PK data lives in the JSON config; legacy hardcoded entries resolve through their
+ * generic/brand name and aliases.
+ * @param {string} drugName - Drug name
+ * @returns {{ halfLifeDays: number|null, washoutWeeks: number|null }|null} PK values or null if unknown
+ */
+export function getDrugPharmacokinetics(drugName) {
+  if (!drugName) {
+    return null;
+  }
+  const normalized = drugName.toLowerCase().trim();
+  const legacy = DRUG_DATABASE[normalized];
+  const names = [normalized, legacy?.generic, legacy?.brand, ...(legacy?.aliases || [])].filter(Boolean);
+
+  for (const name of names) {
+    const pharmacokinetics = getConfigPharmacokinetics(name);
+    if (pharmacokinetics) {
+      return pharmacokinetics;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the PK values of a patient treatment entry: those of the first of its drugs with PK data
+ * @param {Object|null} entry - Patient PTH entry (TREATMENT_TYPE) or any other dated entry
+ * @returns {{ halfLifeDays: number|null, washoutWeeks: number|null }|null}
+ */
+export function getEntryPharmacokinetics(entry) {
+  for (const drug of [entry?.TREATMENT_TYPE || []].flat()) {
+    const pharmacokinetics = getDrugPharmacokinetics(drug);
+    if (pharmacokinetics) {
+      return pharmacokinetics;
+    }
+  }
+  return null;
+}
+
 /**
  * Check if two drugs are the same or equivalent
  * @param {string} drug1 - First drug name
@@ -0,0 +1,99 @@
+/**
+ * Criterion Evidence
+ * Finds the parts of a criterion's raw text an evaluation relied on (condition,
+ * drug and vaccine names, numeric thresholds) so results can highlight them
+ * @module services/matcher/evidence
+ */
+
+/** Slots whose values name the thing a criterion is about */
+const TERM_SLOTS = [
+  'CONDITION_TYPE',
+  'TREATMENT_TYPE',
+  'TREATMENT_PATTERN',
+  'PSORIASIS_VARIANT',
+  'BIOMARKER_NAME',
+  'VACCINE_NAMES',
+];
+
+/** Numeric thresholds and ranges: "≥ 18 years", "PASI > 12", "18 to 75 years", "2 × ULN" */
+const THRESHOLD_PATTERN = new RegExp(
+  '(?:≥|>=|>|˃|≤|<=|<|˂|at least|more than|greater than|less than|fewer than|no more than|up to|above|below|exceeding)'
+  + '\\s*\\d+(?:[.,]\\d+)*(?:\\s*(?:%|years?|months?|weeks?|days?|kg/m2|kg/m²|kg|[x×]\\s*ULN|mg/dL|g/dL|g/L))?'
+  + '|\\d+(?:\\.\\d+)?\\s*(?:-|–|to)\\s*\\d+(?:\\.\\d+)?\\s*(?:%|years?|months?|weeks?)?',
+  'gi'
+);
+
+/**
+ * Terms of a criterion worth highlighting: slot values plus thresholds found in its text
+ * @param {Object} criterion - Criterion from the slot-filled database
+ * @returns {string[]}
+ */
+export function getEvidenceTerms(criterion) {
+  const terms = new Set();
+  for (const source of [criterion, ...(criterion?.conditions || [])]) {
+    for (const slot of TERM_SLOTS) {
+      const value = source?.[slot];
+      for (const term of Array.isArray(value) ? value : [value]) {
+        if (typeof term === 'string' && term.trim().length > 1) {
+          terms.add(term.trim());
+        }
+      }
+    }
+  }
+  for (const match of (criterion?.raw_text || '').matchAll(THRESHOLD_PATTERN)) {
+    terms.add(match[0].trim());
+  }
+  return [...terms];
+}
+
+/**
+ * Split text into plain and highlighted segments for the given terms (case-insensitive)
+ * @param {string} text - Criterion raw text
+ * @param {string[]} terms - Terms to highlight
+ * @returns {Array<{ text: string, highlighted: boolean }>} Segments in order; joined they give back the text
+ */
+export function findEvidenceSpans(text, terms = []) {
+  if (!text) {
+    return [];
+  }
+
+  const lower = text.toLowerCase();
+  const ranges = [];
+  for (const term of terms) {
+    const needle = String(term || '').toLowerCase();
+    if (needle.length < 2) {
+      continue;
+    }
+    let start = lower.indexOf(needle);
+    while (start !== -1) {
+      ranges.push([start, start + needle.length]);
+      start = lower.indexOf(needle, start + needle.length);
+    }
+  }
+
+  // Merge overlapping ranges
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  }
+
+  const segments = [];
+  let position = 0;
+  for (const [start, end] of merged) {
+    if (start > position) {
+      segments.push({ text: text.slice(position, start), highlighted: false });
+    }
+    segments.push({ text: text.slice(start, end), highlighted: true });
+    position = end;
+  }
+  if (position < text.length) {
+    segments.push({ text: text.slice(position), highlighted: false });
+  }
+  return segments;
+}
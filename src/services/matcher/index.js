@@ -4,7 +4,7 @@
  */
 
 export { ClinicalTrialMatcher, default } from './ClinicalTrialMatcher.js';
-export { CriterionMatchResult, TrialEligibilityResult, PatientMatchResults } from './results.js';
+export { CriterionMatchResult, TrialEligibilityResult, PatientMatchResults, ADJUDICATION_DECISIONS } from './results.js';
 export {
   DRUG_DATABASE,
   MEDICAL_SYNONYMS,
@@ -14,5 +14,39 @@ export {
   findSynonyms,
   isKnownDrug,
   directStringMatch,
+  getDrugPharmacokinetics,
+  getEntryPharmacokinetics,
 } from './drugDatabase.js';
 export { AIFallbackHandler } from './AIFallbackHandler.js';
+export { getEvidenceTerms, findEvidenceSpans } from './evidence.js';
+export { getLogicalOperator, getPatternClasses, checkPattern, getExceptions, findException } from './criterionLogic.js';
+export { getExclusionCondition, resolveExclusionCondition } from './conditionalExclusion.js';
+export { compileCriterionIndex, getCriterionSignature, CHEAP_CLUSTERS } from './criterionIndex.js';
+export { parseDate, daysBetween, getReferenceDate, hasDates, getPatientTimeframe } from './timeline.js';
+export { WASHOUT_CLUSTERS, getCriterionWindows, isTimeLimited, getEntryEndDate, getWashoutShifts, shiftTimeline } from './washout.js';
+export {
+  TREATMENT_OUTCOMES,
+  getTreatmentOutcomes,
+  summarizeTreatmentHistory,
+  extractTreatmentOutcomeSlots,
+  hasTreatmentOutcomeSlots,
+  evaluateTreatmentOutcome,
+} from './treatmentHistory.js';
+export {
+  TREATMENT_ROUTES,
+  findRoutes,
+  getWeeklyDose,
+  doseMatches,
+  extractDosingSlots,
+  checkTreatmentDosing,
+} from './treatmentDosing.js';
+export {
+  CASPAR_ITEMS,
+  PSA_FEATURES,
+  scoreCaspar,
+  extractPsaSlots,
+  isPsaCriterion,
+  hasPsaFeatures,
+  getPsaFeature,
+  checkPsaFeatures,
+} from './psoriaticArthritis.js';
@@ -0,0 +1,243 @@
+/**
+ * Lab Thresholds
+ * Parses laboratory criteria ("ALT > 2× ULN", "hemoglobin < 10 g/dL", "eGFR < 60")
+ * into structured ANALYTE / COMPARATOR / VALUE / UNIT slots and converts patient
+ * lab values between units, including multiples of the upper limit of normal
+ * @module services/matcher/labThresholds
+ */
+
+import { normalizeComparator } from './measurementThresholds.js';
+
+/** Unit for thresholds expressed as a multiple of the upper limit of normal */
+export const ULN_UNIT = 'xULN';
+
+/**
+ * Analyte name patterns, most specific first so "hemoglobin A1c" is not read as hemoglobin
+ * @type {Array<{ analyte: string, pattern: RegExp }>}
+ */
+export const LAB_ANALYTE_PATTERNS = [
+  { analyte: 'HBA1C', pattern: /\bHbA1c\b|\bh(?:a)?emoglobin A1c\b|\bglycated h(?:a)?emoglobin\b/gi },
+  { analyte: 'CRCL', pattern: /\bcreatinine clearance\b|\bCrCl\b/gi },
+  { analyte: 'EGFR', pattern: /\beGFR\b|\bestimated glomerular filtration rate\b/gi },
+  { analyte: 'CREATININE', pattern: /\b(?:serum )?creatinine\b/gi },
+  { analyte: 'ALT', pattern: /\bALT\b|\balanine (?:amino)?transferase\b|\bSGPT\b/gi },
+  { analyte: 'AST', pattern: /\bAST\b|\baspartate (?:amino)?transferase\b|\bSGOT\b/gi },
+  { analyte: 'BILIRUBIN', pattern: /\b(?:total )?bilirubin\b/gi },
+  { analyte: 'HEMOGLOBIN', pattern: /\bh(?:a)?emoglobin\b|\bHgb\b|\bHb\b/gi },
+  { analyte: 'PLATELETS', pattern: /\bplatelets?(?: count)?\b|\bPLT\b/gi },
+  { analyte: 'NEUTROPHILS', pattern: /\babsolute neutrophil count\b|\bANC\b|\bneutrophils?(?: count)?\b/gi },
+  { analyte: 'LYMPHOCYTES', pattern: /\babsolute lymphocyte count\b|\bALC\b|\blymphocytes?(?: count)?\b/gi },
+  { analyte: 'WBC', pattern: /\bWBC\b|\bwhite blood cells?(?: count)?\b|\bleukocytes?(?: count)?\b/gi },
+];
+
+/**
+ * Unit spellings mapped to the canonical unit names used in lab-reference-ranges.json
+ * @type {Array<[RegExp, string]>}
+ */
+const UNIT_ALIASES = [
+  [/^(?:[x×*]|times)\s*(?:the\s+)?(?:ULN|upper limit of normal(?: \(ULN\))?)$/i, ULN_UNIT],
+  [/^(?:ULN|upper limit of normal)$/i, ULN_UNIT],
+  [/^mg\/dl$/i, 'mg/dL'],
+  [/^[uµμ]mol\/l$/i, 'umol/L'],
+  [/^g\/dl$/i, 'g/dL'],
+  [/^g\/l$/i, 'g/L'],
+  [/^mmol\/l$/i, 'mmol/L'],
+  [/^ml\/min\/1\.73\s*m(?:2|²)$/i, 'mL/min/1.73m2'],
+  [/^ml\/min$/i, 'mL/min'],
+  [/^(?:[x×]\s*)?10(?:\^9|⁹|9)\/l$/i, '10^9/L'],
+  [/^(?:cells\s*)?\/(?:mm3|mm³|[uµμ]l)$/i, '/mm3'],
+  [/^(?:i?u)\/l$/i, 'U/L'],
+  [/^%$/, '%'],
+];
+
+const NUM = '(\\d{1,3}(?:,\\d{3})+|\\d+(?:\\.\\d+)?)';
+const OP = '(≥|>=|>|˃|≤|<=|<|˂|=|at least|greater than or equal to|more than|greater than|above|exceeding|less than or equal to|less than|below|no more than)';
+const UNIT = '((?:[x×*]|times)\\s*(?:the\\s+)?(?:ULN|upper limit of normal)|ULN|mg\\/dL|[uµμ]mol\\/L|g\\/dL|g\\/L|mmol\\/L|mL\\/min\\/1\\.73\\s*m(?:2|²)|mL\\/min|(?:[x×]\\s*)?10(?:\\^9|⁹)\\/L|(?:cells\\s*)?\\/(?:mm3|mm³|[uµμ]L)|I?U\\/L|%)?';
+
+/**
+ * Map a unit spelling to its canonical name
+ * @param {string|null} unit
+ * @returns {string|null} Canonical unit, or the trimmed input when unknown
+ */
+export function normalizeLabUnit(unit) {
+  if (!unit) {
+    return null;
+  }
+  const trimmed = unit.trim().replace(/\s+/g, ' ');
+  const alias = UNIT_ALIASES.find(([pattern]) => pattern.test(trimmed));
+  return alias ? alias[1] : trimmed;
+}
+
+/**
+ * Find analyte mentions in text
+ * @param {string} text
+ * @returns {Array<{ analyte: string, start: number, end: number }>}
+ */
+function findAnalytes(text) {
+  const mentions = [];
+  const taken = new Array(text.length).fill(false);
+
+  for (const { analyte, pattern } of LAB_ANALYTE_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (taken.slice(start, end).some(Boolean)) {
+        continue;
+      }
+      taken.fill(true, start, end);
+      mentions.push({ analyte, start, end });
+    }
+  }
+
+  return mentions.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Check whether criterion text states a lab threshold (analyte plus comparator)
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isLabCriterion(text) {
+  if (!text || findAnalytes(text).length === 0) {
+    return false;
+  }
+  return new RegExp(`${OP}\\s*${NUM}`, 'i').test(text);
+}
+
+/**
+ * Parse lab thresholds from criterion text
+ * "ALT or AST > 2 × ULN" shares one threshold between both analytes.
+ * Comma-separated lists ("Hb < 9 g/dL, platelets < 100,000/mm3") only combine
+ * when the caller says how: exclusion lists exclude on any value, inclusion lists need all.
+ * @param {string} rawText - Criterion raw text
+ * @param {{ listOperator?: 'AND'|'OR' }} [options]
+ * @returns {{ slots: Object|null, reason: string|null }} Structured slots, or null with the reason parsing failed
+ */
+export function parseLabSlots(rawText, { listOperator = null } = {}) {
+  if (!rawText) {
+    return { slots: null, reason: 'Empty criterion text' };
+  }
+
+  const mentions = findAnalytes(rawText);
+  if (mentions.length === 0) {
+    return { slots: null, reason: 'No known lab analyte mentioned' };
+  }
+
+  const conditions = [];
+  const operators = new Set();
+  let waiting = [];
+  let previousEnd = null;
+
+  for (let i = 0; i < mentions.length; i++) {
+    const mention = mentions[i];
+    const nextStart = i + 1 < mentions.length ? mentions[i + 1].start : rawText.length;
+    const after = rawText.slice(mention.end, nextStart);
+    const match = after.match(new RegExp(`^[^\\d≥≤<>˃˂=]{0,30}?${OP}\\s*${NUM}\\s*${UNIT}`, 'i'));
+
+    if (previousEnd !== null) {
+      const connector = rawText.slice(previousEnd, mention.start);
+      if (/\bor\b|\//i.test(connector)) {
+        operators.add('OR');
+      } else if (/^\s*(?:,\s*)?and\s*$/i.test(connector)) {
+        operators.add('AND');
+      } else if (/^[\s,;]*$/.test(connector)) {
+        operators.add(listOperator);
+      } else {
+        operators.add(null);
+      }
+    }
+
+    if (!match) {
+      // "ALT or AST > 2 × ULN": the first analyte takes the next analyte's threshold
+      if (i + 1 < mentions.length && /^\s*(?:or|and|\/|,)\s*$/i.test(after)) {
+        waiting.push(mention);
+        previousEnd = mention.end;
+        continue;
+      }
+      return { slots: null, reason: `No threshold found for ${mention.analyte}` };
+    }
+
+    for (const { analyte } of [...waiting, mention]) {
+      conditions.push({
+        ANALYTE: analyte,
+        COMPARATOR: normalizeComparator(match[1]),
+        VALUE: parseFloat(match[2].replace(/,/g, '')),
+        UNIT: normalizeLabUnit(match[3] || null),
+      });
+    }
+    waiting = [];
+    previousEnd = mention.end + match[0].length;
+  }
+
+  if (operators.has(null) || (operators.has('AND') && operators.has('OR'))) {
+    return { slots: null, reason: 'Ambiguous combination of lab thresholds' };
+  }
+  if (conditions.length === 1) {
+    return { slots: conditions[0], reason: null };
+  }
+  return {
+    slots: { conditions, LOGICAL_OPERATOR: operators.has('OR') ? 'OR' : 'AND' },
+    reason: null,
+  };
+}
+
+/**
+ * Get structured lab thresholds of a criterion as a list
+ * @param {Object} criterion
+ * @returns {Array<{ ANALYTE: string, COMPARATOR: string, VALUE: number, UNIT: string|null }>}
+ */
+export function getLabThresholds(criterion) {
+  if (criterion?.ANALYTE) {
+    return [{
+      ANALYTE: criterion.ANALYTE,
+      COMPARATOR: criterion.COMPARATOR,
+      VALUE: criterion.VALUE,
+      UNIT: criterion.UNIT ?? null,
+    }];
+  }
+  return (criterion?.conditions || []).filter((c) => c.ANALYTE);
+}
+
+/**
+ * Convert a lab value between units of one analyte
+ * @param {number} value - Value to convert
+ * @param {string|null} fromUnit - Unit of value (null = analyte base unit)
+ * @param {string|null} toUnit - Target unit (null = analyte base unit)
+ * @param {{ unit: string, referenceRange?: { high: number|null }, conversions?: Object<string, number> }} analyteConfig
+ * @param {number|null} [upperLimit] - Patient's lab-reported ULN in fromUnit (falls back to the configured range)
+ * @returns {number|null} Converted value, or null when no conversion is known
+ */
+export function convertLabValue(value, fromUnit, toUnit, analyteConfig, upperLimit = null) {
+  const base = analyteConfig.unit;
+  const from = normalizeLabUnit(fromUnit) || base;
+  const to = normalizeLabUnit(toUnit) || base;
+
+  if (from === to) {
+    return value;
+  }
+
+  const factor = (unit) => (unit === base ? 1 : analyteConfig.conversions?.[unit] ?? null);
+  const uln = () => {
+    if (upperLimit !== null && upperLimit !== undefined && from !== ULN_UNIT) {
+      return upperLimit / factor(from);
+    }
+    return analyteConfig.referenceRange?.high ?? null;
+  };
+
+  let inBase;
+  if (from === ULN_UNIT) {
+    const limit = uln();
+    inBase = limit === null ? null : value * limit;
+  } else {
+    inBase = factor(from) === null ? null : value / factor(from);
+  }
+  if (inBase === null || Number.isNaN(inBase)) {
+    return null;
+  }
+
+  if (to === ULN_UNIT) {
+    const limit = uln();
+    return limit ? inBase / limit : null;
+  }
+  return factor(to) === null ? null : inBase * factor(to);
+}
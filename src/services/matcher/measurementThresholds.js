@@ -0,0 +1,372 @@
+/**
+ * Measurement Thresholds
+ * Parses SEV/AAO criterion text ("PASI ≥ 12 and BSA ≥ 10%") into structured
+ * MEASUREMENT / COMPARATOR / VALUE / UNIT / TIMEPOINT slots
+ * @module services/matcher/measurementThresholds
+ */
+
+/**
+ * Measurement name patterns, most specific first so "PPPASI" is not read as "PASI"
+ * @type {Array<{ measurement: string, pattern: RegExp, unit: string|null }>}
+ */
+export const MEASUREMENT_PATTERNS = [
+  { measurement: 'PPPASI', pattern: /\bPPPASI\b|\bpp-?PASI\b|Palmo-?plantar (?:Pustulosis |Psoriasis )?Area (?:and )?Severity Index/gi, unit: null },
+  { measurement: 'PPP_IGA', pattern: /\bPPP-IGA\b/gi, unit: null },
+  { measurement: 'SS_IGA', pattern: /\bss-?IGA\b|\bscalp[- ]specific (?:IGA|Investigator'?s? Global Assessment)/gi, unit: null },
+  { measurement: 'NAPSI', pattern: /\b(?:m|f-?)?NAPSI\b|Nail Psoriasis Severity Index/gi, unit: null },
+  { measurement: 'PSSI', pattern: /\bPSSI\b|Psoriasis Scalp Severity Index/gi, unit: null },
+  { measurement: 'GPPGA', pattern: /\bGPPGA\b|Generalized Pustular Psoriasis Physician Global Assessment/gi, unit: null },
+  { measurement: 'CDAPSA', pattern: /\bc?DAPSA\b/gi, unit: null },
+  { measurement: 'CASPAR', pattern: /\bCASPAR\s+(?:score|points?)\b/gi, unit: null },
+  { measurement: 'ENTHESITIS', pattern: /\bLEI\b|Leeds Enthesitis Index|\benthesitis (?:count|index)\b/gi, unit: null },
+  { measurement: 'DACTYLITIS', pattern: /\bdactylitis count\b|\bdactylitic digits?\b/gi, unit: 'digits' },
+  { measurement: 'PASI', pattern: /\bPASI\b|(?<!Palmo-?plantar )Psoriasis Area (?:and )?Severity Index/gi, unit: null },
+  { measurement: 'PGA', pattern: /\bs?PGA\b|(?:Static )?Physician'?s? (?:Global|overall) Assessment/gi, unit: null },
+  { measurement: 'IGA', pattern: /(?<!-)\bIGA\b|Investigator'?s? Global Assessment/gi, unit: null },
+  { measurement: 'DLQI', pattern: /\bDLQI\b|Dermatology Life Quality Index/gi, unit: null },
+  { measurement: 'PHQ', pattern: /\bPHQ(?:-9)?\b/gi, unit: null },
+  { measurement: 'BSA', pattern: /\bBSA\b|body surface area/gi, unit: '%' },
+  { measurement: 'TJC', pattern: /\bTJC\d*\b|\btender(?: joints?)?\b/gi, unit: 'joints' },
+  { measurement: 'SJC', pattern: /\bSJC\d*\b|\bswollen(?: joints?)?\b/gi, unit: 'joints' },
+];
+
+const TIMEPOINT_PATTERNS = [
+  ['screening', /\bscreening\b/i],
+  ['baseline', /\bbaseline\b/i],
+  ['day 1', /\bday 1\b/i],
+  ['randomization', /\brandomi[sz]ation\b/i],
+];
+
+/** Thresholds that only count together with a free-text finding ("PASI ≥ 10 plus at least one of the following") */
+const QUALITATIVE_REQUIREMENT = /\bat least (?:one|1) of the following\b/i;
+
+const NUM = '(\\d+(?:\\.\\d+)?)';
+const OP = '(≥|>=|>|˃|≤|<=|<|˂|=)';
+const WORD_OP = '(at least|of at least|greater than or equal to|more than|greater than|less than or equal to|less than|no more than|up to|minimum of|a minimum of)';
+const PCT = '\\s*(?:%|percent)?';
+
+/**
+ * Normalize a symbolic or worded comparator
+ * @param {string} op
+ * @returns {string} One of >=, >, <=, <, =
+ */
+export function normalizeComparator(op) {
+  const lower = op.toLowerCase();
+  const map = {
+    '≥': '>=', '>=': '>=', '>': '>', '˃': '>',
+    '≤': '<=', '<=': '<=', '<': '<', '˂': '<', '=': '=',
+    'at least': '>=', 'of at least': '>=', 'greater than or equal to': '>=', 'minimum of': '>=', 'a minimum of': '>=',
+    'more than': '>', 'greater than': '>', 'above': '>', 'exceeding': '>',
+    'less than or equal to': '<=', 'no more than': '<=', 'up to': '<=',
+    'less than': '<', 'below': '<',
+  };
+  return map[lower];
+}
+
+/**
+ * Find all measurement mentions, merging adjacent aliases ("Body Surface Area (BSA)")
+ * @param {string} text
+ * @returns {Array<{ measurement: string, unit: string|null, start: number, end: number }>}
+ */
+function findMentions(text) {
+  const mentions = [];
+  const taken = new Array(text.length).fill(false);
+
+  for (const { measurement, pattern, unit } of MEASUREMENT_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (taken.slice(start, end).some(Boolean)) {
+        continue;
+      }
+      taken.fill(true, start, end);
+      mentions.push({ measurement, unit, start, end });
+    }
+  }
+
+  mentions.sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  for (const mention of mentions) {
+    const previous = merged[merged.length - 1];
+    const between = previous ? text.slice(previous.end, mention.start) : '';
+    if (previous && previous.measurement === mention.measurement && /^[\s()[\]]*(?:(?:count|in)\s*[[(]?)?$/i.test(between)) {
+      previous.end = mention.end;
+    } else {
+      merged.push({ ...mention });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Parse thresholds written after a mention ("PASI score ≥ 12", "BSA 2-15%")
+ * @param {string} after - Text between this mention and the next one
+ * @returns {{ thresholds: Array<{ COMPARATOR: string, VALUE: number }>, length: number }|null}
+ */
+function parseAfter(after) {
+  const filler = '^[^\\d≥≤<>˃˂=]{0,45}?';
+
+  const range = after.match(new RegExp(`${filler}(?:between\\s+)?${NUM}${PCT}\\s*(?:-|–|to|and)\\s*${NUM}${PCT}`, 'i'));
+  const bounded = after.match(new RegExp(`${filler}${OP}\\s*${NUM}${PCT}(?:\\s*\\([^)]*\\))?\\s*(?:and|to)\\s*${OP}\\s*${NUM}${PCT}`, 'i'));
+  const symbolic = after.match(new RegExp(`${filler}${OP}\\s*${NUM}${PCT}`, 'i'));
+  const worded = after.match(new RegExp(`${filler}${WORD_OP}\\s*${NUM}${PCT}`, 'i'));
+  const orGreater = after.match(new RegExp(`${filler}${NUM}${PCT}\\s*(?:points?\\s*)?or\\s+(greater|more|higher|above|less|lower|fewer)`, 'i'));
+
+  if (bounded) {
+    return {
+      thresholds: [
+        { COMPARATOR: normalizeComparator(bounded[1]), VALUE: parseFloat(bounded[2]) },
+        { COMPARATOR: normalizeComparator(bounded[3]), VALUE: parseFloat(bounded[4]) },
+      ],
+      length: bounded[0].length,
+    };
+  }
+  if (symbolic) {
+    return {
+      thresholds: [{ COMPARATOR: normalizeComparator(symbolic[1]), VALUE: parseFloat(symbolic[2]) }],
+      length: symbolic[0].length,
+    };
+  }
+  if (worded) {
+    return {
+      thresholds: [{ COMPARATOR: normalizeComparator(worded[1]), VALUE: parseFloat(worded[2]) }],
+      length: worded[0].length,
+    };
+  }
+  if (orGreater) {
+    const upward = /greater|more|higher|above/i.test(orGreater[2]);
+    return {
+      thresholds: [{ COMPARATOR: upward ? '>=' : '<=', VALUE: parseFloat(orGreater[1]) }],
+      length: orGreater[0].length,
+    };
+  }
+  if (range) {
+    return {
+      thresholds: [
+        { COMPARATOR: '>=', VALUE: parseFloat(range[1]) },
+        { COMPARATOR: '<=', VALUE: parseFloat(range[2]) },
+      ],
+      length: range[0].length,
+    };
+  }
+  return null;
+}
+
+/**
+ * Parse thresholds written before a mention ("at least 10% of BSA", "3 ≤ PASI")
+ * @param {string} before - Unclaimed text between the previous match and this mention
+ * @returns {{ thresholds: Array<{ COMPARATOR: string, VALUE: number }>, length: number }|null}
+ */
+function parseBefore(before) {
+  const tail = `${PCT}(?:\\s*\\(%\\))?\\s*(?:(?:of|covered with|with)\\s+(?:[a-z'-]+\\s+){0,4})?(?:total\\s+)?$`;
+
+  const range = before.match(new RegExp(`${NUM}${PCT}\\s*(?:-|–|to)\\s*${NUM}${tail}`, 'i'));
+  const symbolic = before.match(new RegExp(`${OP}\\s*${NUM}${tail}`, 'i'));
+  const worded = before.match(new RegExp(`${WORD_OP}\\s*${NUM}${tail}`, 'i'));
+
+  if (range) {
+    return {
+      thresholds: [
+        { COMPARATOR: '>=', VALUE: parseFloat(range[1]) },
+        { COMPARATOR: '<=', VALUE: parseFloat(range[2]) },
+      ],
+      length: range[0].length,
+    };
+  }
+  if (symbolic) {
+    return {
+      thresholds: [{ COMPARATOR: normalizeComparator(symbolic[1]), VALUE: parseFloat(symbolic[2]) }],
+      length: symbolic[0].length,
+    };
+  }
+  if (worded) {
+    return {
+      thresholds: [{ COMPARATOR: normalizeComparator(worded[1]), VALUE: parseFloat(worded[2]) }],
+      length: worded[0].length,
+    };
+  }
+  return null;
+}
+
+/**
+ * Parse "3 ≤ PASI ≤ 20" style double bounds around a mention
+ * @param {string} before
+ * @param {string} after
+ * @returns {{ thresholds: Array, beforeLength: number, afterLength: number }|null}
+ */
+function parseSandwich(before, after) {
+  const lower = before.match(new RegExp(`${NUM}${PCT}\\s*(≤|<=|<)\\s*$`));
+  const upper = after.match(new RegExp(`^\\s*(≤|<=|<)\\s*${NUM}${PCT}`));
+  if (!lower || !upper) {
+    return null;
+  }
+  return {
+    thresholds: [
+      { COMPARATOR: lower[2] === '<' ? '>' : '>=', VALUE: parseFloat(lower[1]) },
+      { COMPARATOR: normalizeComparator(upper[1]), VALUE: parseFloat(upper[2]) },
+    ],
+    beforeLength: lower[0].length,
+    afterLength: upper[0].length,
+  };
+}
+
+/**
+ * Decide how two adjacent measurement clauses combine
+ * @param {string} connector - Text between the clauses
+ * @returns {'AND'|'OR'|null} null when the connector is not a plain conjunction
+ */
+function connectorOperator(connector) {
+  const words = connector
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter((w) => w.length > 1);
+  if (words.includes('or')) {
+    return 'OR';
+  }
+  const neutral = new Set([
+    'and', 'the', 'an', 'points', 'point', 'score', 'scores', 'plus', 'at', 'both', 'screening', 'baseline',
+    'visit', 'visits', 'day', 'involvement', 'affected', 'by', 'psoriasis', 'joints', 'joint', 'count', 'out', 'of',
+  ]);
+  return words.every((w) => neutral.has(w)) ? 'AND' : null;
+}
+
+/**
+ * Detect the visits a measurement must be assessed at
+ * @param {string} text
+ * @returns {string[]|null}
+ */
+export function parseTimepoints(text) {
+  const timepoints = TIMEPOINT_PATTERNS.filter(([, pattern]) => pattern.test(text)).map(([name]) => name);
+  return timepoints.length > 0 ? timepoints : null;
+}
+
+/**
+ * Parse measurement thresholds from criterion text
+ * @param {string} rawText - Criterion raw text
+ * @returns {{ slots: Object|null, reason: string|null }} Structured slots, or null with the reason parsing failed
+ */
+export function parseMeasurementSlots(rawText) {
+  if (!rawText) {
+    return { slots: null, reason: 'Empty criterion text' };
+  }
+
+  const mentions = findMentions(rawText);
+  if (mentions.length === 0) {
+    return { slots: null, reason: 'No known measurement mentioned' };
+  }
+  if (QUALITATIVE_REQUIREMENT.test(rawText)) {
+    return { slots: null, reason: 'Thresholds combined with a qualitative requirement' };
+  }
+
+  const conditions = [];
+  const operators = new Set();
+  const parsedMeasurements = new Set();
+  let claimedUntil = 0;
+  let previousClauseEnd = null;
+
+  mentions.forEach((mention, i) => {
+    const nextStart = i + 1 < mentions.length ? mentions[i + 1].start : rawText.length;
+    const before = rawText.slice(claimedUntil, mention.start);
+    const after = rawText.slice(mention.end, nextStart);
+
+    let thresholds = null;
+    let clauseStart = mention.start;
+    let clauseEnd = mention.end;
+
+    // Unclaimed text right before a mention ("≥ 3 tender joints") binds tighter than text after it
+    const sandwich = parseSandwich(before, after);
+    const parsedBefore = sandwich ? null : parseBefore(before);
+    const parsedAfter = sandwich || parsedBefore ? null : parseAfter(after);
+
+    if (sandwich) {
+      thresholds = sandwich.thresholds;
+      clauseStart -= sandwich.beforeLength;
+      clauseEnd += sandwich.afterLength;
+    } else if (parsedBefore) {
+      thresholds = parsedBefore.thresholds;
+      clauseStart -= parsedBefore.length;
+    } else if (parsedAfter) {
+      thresholds = parsedAfter.thresholds;
+      clauseEnd += parsedAfter.length;
+    }
+
+    if (!thresholds) {
+      return;
+    }
+
+    if (previousClauseEnd !== null) {
+      operators.add(connectorOperator(rawText.slice(previousClauseEnd, clauseStart)));
+    }
+    if (thresholds.length > 1) {
+      operators.add('AND');
+    }
+
+    for (const threshold of thresholds) {
+      conditions.push({
+        MEASUREMENT: mention.measurement,
+        COMPARATOR: threshold.COMPARATOR,
+        VALUE: threshold.VALUE,
+        UNIT: mention.unit,
+      });
+    }
+    parsedMeasurements.add(mention.measurement);
+    claimedUntil = clauseEnd;
+    previousClauseEnd = clauseEnd;
+  });
+
+  const missing = [...new Set(mentions.map((m) => m.measurement))].filter((m) => !parsedMeasurements.has(m));
+  if (missing.length > 0) {
+    return { slots: null, reason: `No threshold found for ${missing.join(', ')}` };
+  }
+  if (operators.has(null) || (operators.has('AND') && operators.has('OR'))) {
+    return { slots: null, reason: 'Ambiguous combination of thresholds' };
+  }
+
+  const timepoint = parseTimepoints(rawText);
+
+  if (conditions.length === 1) {
+    return { slots: { ...conditions[0], TIMEPOINT: timepoint }, reason: null };
+  }
+
+  return {
+    slots: {
+      conditions: conditions.map((c) => ({ ...c, TIMEPOINT: timepoint })),
+      LOGICAL_OPERATOR: operators.has('OR') ? 'OR' : 'AND',
+    },
+    reason: null,
+  };
+}
+
+/**
+ * Check whether a criterion carries structured measurement slots
+ * @param {Object} criterion
+ * @returns {boolean}
+ */
+export function hasStructuredThresholds(criterion) {
+  if (criterion?.MEASUREMENT) {
+    return true;
+  }
+  return Array.isArray(criterion?.conditions) && criterion.conditions.length > 0 &&
+    criterion.conditions.every((c) => c.MEASUREMENT);
+}
+
+/**
+ * Get structured thresholds of a criterion as a list
+ * @param {Object} criterion
+ * @returns {Array<{ MEASUREMENT: string, COMPARATOR: string, VALUE: number, UNIT: string|null, TIMEPOINT: string[]|null }>}
+ */
+export function getStructuredThresholds(criterion) {
+  if (criterion.MEASUREMENT) {
+    return [{
+      MEASUREMENT: criterion.MEASUREMENT,
+      COMPARATOR: criterion.COMPARATOR,
+      VALUE: criterion.VALUE,
+      UNIT: criterion.UNIT ?? null,
+      TIMEPOINT: criterion.TIMEPOINT ?? null,
+    }];
+  }
+  return criterion.conditions;
+}
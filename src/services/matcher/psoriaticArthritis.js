@@ -0,0 +1,187 @@
+/**
+ * Psoriatic Arthritis
+ * CASPAR classification and PsA features (dactylitis, enthesitis, axial involvement) for
+ * criteria such as "fulfils CASPAR criteria", "presence of dactylitis or enthesitis" or
+ * "no axial involvement"
+ * @module services/matcher/psoriaticArthritis
+ */
+
+/**
+ * CASPAR items and their points. The psoriasis items are alternatives: current psoriasis
+ * scores 2, otherwise a personal or family history scores 1.
+ * @type {Object<string, { label: string, points: number }>}
+ */
+export const CASPAR_ITEMS = {
+  currentPsoriasis: { label: 'Psoriasis now', points: 2 },
+  psoriasisHistory: { label: 'Past psoriasis', points: 1 },
+  familyHistory: { label: 'Psoriasis in a parent, sibling or child', points: 1 },
+  nailDystrophy: { label: 'Psoriatic nail changes (pitting, onycholysis, hyperkeratosis)', points: 1 },
+  negativeRF: { label: 'Negative rheumatoid factor', points: 1 },
+  dactylitis: { label: 'Dactylitis (whole swollen finger or toe), now or in the past', points: 1 },
+  juxtaArticularBone: { label: 'New bone formation near a joint on hand or foot X-ray', points: 1 },
+};
+
+/** Features a criterion can require (keys of the patient's PSA response), with how reasons name them */
+const FEATURE_WORDING = {
+  CASPAR: 'CASPAR criteria met',
+  DACTYLITIS: 'dactylitis',
+  ENTHESITIS: 'enthesitis',
+  AXIAL: 'axial involvement',
+};
+
+export const PSA_FEATURES = Object.keys(FEATURE_WORDING);
+
+const PSORIASIS_ITEMS = ['currentPsoriasis', 'psoriasisHistory', 'familyHistory'];
+
+const FEATURE_PATTERNS = {
+  CASPAR: /\bCASPAR\b(?!\s+(?:score|points?)\b)|\bClassification Criteria for Psoriatic Arthritis\b/i,
+  DACTYLITIS: /\bdactylitis\b(?!\s+count\b)/i,
+  ENTHESITIS: /\benthesitis\b(?!\s+(?:count|index)\b)/i,
+  AXIAL: /\baxial\s+(?:involvement|disease|PsA|psoriatic arthritis|spondyl\w*|symptoms)\b|\bspondylitis\b|\bsacroiliitis\b/i,
+};
+
+/** Joint counts and PsA indices ("≥3 tender and ≥3 swollen joints", "LEI ≥ 1") */
+const PSA_MEASUREMENT_PATTERN = /\b(?:TJC|SJC)\d*\b|\b(?:tender|swollen)\b[^.;]{0,30}\bjoints?\b|\bdactylitis count\b|\bLEI\b|Leeds Enthesitis Index/i;
+
+const NEGATION = /\b(?:no|without|absence of|free of|not (?:have|meet|fulfil+)\w*|neither|nor)\b[^.;,]{0,40}$/i;
+
+/**
+ * Score the CASPAR classification criteria
+ * @param {Object<string, boolean|null>|null} items - CASPAR item answers, plus inflammatoryArticularDisease
+ * (the entry requirement: inflammatory joint, spine or entheseal disease)
+ * @returns {{ score: number, maxScore: number, met: boolean|null }|null} met is null while unanswered
+ * items could change it; null when no item was answered
+ */
+export function scoreCaspar(items) {
+  if (!items || Object.values(items).every((answer) => answer === null || answer === undefined)) {
+    return null;
+  }
+
+  const known = (key) => items[key] === true;
+  const possible = (key) => items[key] !== false;
+  const psoriasisPoints = (has) => Math.max(0, ...PSORIASIS_ITEMS.filter(has).map((key) => CASPAR_ITEMS[key].points));
+  const otherPoints = (has) => Object.keys(CASPAR_ITEMS)
+    .filter((key) => !PSORIASIS_ITEMS.includes(key) && has(key))
+    .reduce((sum, key) => sum + CASPAR_ITEMS[key].points, 0);
+
+  const score = psoriasisPoints(known) + otherPoints(known);
+  const maxScore = psoriasisPoints(possible) + otherPoints(possible);
+
+  let met = null;
+  if (items.inflammatoryArticularDisease === false || maxScore < 3) {
+    met = false;
+  } else if (items.inflammatoryArticularDisease === true && score >= 3) {
+    met = true;
+  }
+  return { score, maxScore, met };
+}
+
+/**
+ * Extract PsA feature slots from AAO criterion text
+ * @param {string} text - Criterion raw text
+ * @returns {{ PSA_FEATURES: Object<string, boolean>, PSA_FEATURES_OPERATOR?: 'OR' }|null}
+ * Features map to true when required and false when excluded; null when the text names none
+ */
+export function extractPsaSlots(text) {
+  if (!text) {
+    return null;
+  }
+
+  const mentions = PSA_FEATURES
+    .map((feature) => ({ feature, match: text.match(FEATURE_PATTERNS[feature]) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => a.match.index - b.match.index);
+  if (mentions.length === 0) {
+    return null;
+  }
+
+  const features = {};
+  for (const { feature, match } of mentions) {
+    features[feature] = !NEGATION.test(text.slice(0, match.index));
+  }
+
+  // "dactylitis or enthesitis": any one of the named features will do ("no dactylitis or
+  // enthesitis" still excludes both)
+  const first = mentions[0].match;
+  const last = mentions[mentions.length - 1].match;
+  const between = text.slice(first.index + first[0].length, last.index);
+  const slots = { PSA_FEATURES: features };
+  const required = Object.values(features).every(Boolean);
+  if (mentions.length > 1 && required && /\bor\b/i.test(between) && !/\band\b/i.test(between)) {
+    slots.PSA_FEATURES_OPERATOR = 'OR';
+  }
+  return slots;
+}
+
+/**
+ * Check whether criterion text is about psoriatic arthritis joints, classification or features
+ * @param {string} text - Criterion raw text
+ * @returns {boolean}
+ */
+export function isPsaCriterion(text) {
+  return PSA_MEASUREMENT_PATTERN.test(text || '')
+    || PSA_FEATURES.some((feature) => FEATURE_PATTERNS[feature].test(text || ''));
+}
+
+/**
+ * Check whether a criterion carries PsA feature slots
+ * @param {Object} criterion
+ * @returns {boolean}
+ */
+export function hasPsaFeatures(criterion) {
+  return Boolean(criterion?.PSA_FEATURES && Object.keys(criterion.PSA_FEATURES).length > 0);
+}
+
+/**
+ * Patient's answer for a PsA feature
+ * @param {Object|undefined} psa - Patient PSA response
+ * @param {string} feature - One of PSA_FEATURES
+ * @returns {boolean|null} Null when not answered
+ */
+export function getPsaFeature(psa, feature) {
+  const entry = psa?.[feature];
+  if (!entry) {
+    return null;
+  }
+  if (feature === 'CASPAR') {
+    return entry.met ?? null;
+  }
+  if (typeof entry.present === 'boolean') {
+    return entry.present;
+  }
+  return typeof entry.value === 'number' ? entry.value > 0 : null;
+}
+
+/**
+ * Check a patient's PsA features against a criterion's PSA_FEATURES
+ * @param {Object} criterion - Criterion with PSA_FEATURES (and PSA_FEATURES_OPERATOR)
+ * @param {Object|undefined} psa - Patient PSA response
+ * @returns {Array<{ name: string, requirement: string, threshold: string, patientValue: string, met: boolean|null, matchType: string }>}
+ * Checks in the shape the matcher combines threshold checks in, all of which must hold:
+ * one per feature, or a single check when any one of the features will do
+ */
+export function checkPsaFeatures(criterion, psa) {
+  const checks = Object.entries(criterion.PSA_FEATURES).map(([feature, required]) => {
+    const present = getPsaFeature(psa, feature);
+    return {
+      name: feature,
+      requirement: `${required ? '' : 'no '}${FEATURE_WORDING[feature]}`,
+      threshold: required ? 'present' : 'absent',
+      patientValue: present === null ? 'not reported' : present ? 'present' : 'absent',
+      met: present === null ? null : present === required,
+      matchType: 'exactMatch',
+    };
+  });
+
+  if (criterion.PSA_FEATURES_OPERATOR !== 'OR' || checks.length < 2) {
+    return checks;
+  }
+  return [{
+    name: checks.map((check) => check.name).join('/'),
+    requirement: checks.map((check) => check.requirement).join(' or '),
+    threshold: 'any present',
+    patientValue: checks.map((check) => `${check.requirement} ${check.patientValue}`).join(', '),
+    met: checks.some((check) => check.met === true) ? true : checks.every((check) => check.met === false) ? false : null,
+    matchType: 'exactMatch',
+  }];
+}
@@ -0,0 +1,108 @@
+/**
+ * Reproductive Criteria
+ * Extracts REP cluster slots (sex, pregnancy/breastfeeding status, contraception)
+ * from criterion text such as "Pregnant or breastfeeding women" or
+ * "Women of childbearing potential must use highly effective contraception"
+ * @module services/matcher/reproductiveCriteria
+ */
+
+/**
+ * Reproductive statuses and the phrases that name them
+ * @type {Array<[string, RegExp]>}
+ */
+const STATUS_PATTERNS = [
+  ['planning_pregnancy', /\b(?:plan(?:s|ning)?|intend(?:s|ing)?|wish(?:es|ing)?)\b[^.;]{0,40}\b(?:pregnan\w*|conceive|father a child)/i],
+  ['pregnant', /\bpregnan(?:t|cy)\b/i],
+  ['breastfeeding', /\b(?:breast-?\s?feeding|lactating|lactation|nursing)\b/i],
+];
+
+const CONTRACEPTION_PATTERN = /\b(?:contracept\w*|birth control|condoms?)\b/i;
+
+/** "Not willing to use contraception" — criterion describes patients who do not use it */
+const NEGATED_CONTRACEPTION_PATTERN = /\b(?:not|unwilling|unable|refus\w*|without|fail\w*)\b[^.;]{0,40}\b(?:contracept\w*|birth control|condoms?)/i;
+
+/** "Negative pregnancy test", "must not be pregnant" — criterion is met when the status is absent */
+const NEGATED_STATUS_PATTERN = /\bnegative\b[^.;]{0,30}\bpregnancy test\b|\b(?:not|neither|nor)\s+(?:be\s+)?(?:pregnant|breast-?\s?feeding|lactating)\b/i;
+
+const FEMALE_PATTERN = /\b(?:female|females|women|woman|WOCBP|childbearing potential|child-bearing potential)\b/i;
+const MALE_PATTERN = /\b(?:male|males|men|man)\b/i;
+
+/**
+ * Sex a contraception requirement applies to
+ * @param {string} text
+ * @returns {string[]}
+ */
+function contraceptionSex(text) {
+  const female = FEMALE_PATTERN.test(text);
+  const male = MALE_PATTERN.test(text.replace(/\bfemales?\b/gi, ''));
+  if (female && !male) {
+    return ['female'];
+  }
+  if (male && !female) {
+    return ['male'];
+  }
+  return ['female', 'male'];
+}
+
+/**
+ * Sex restriction in a bullet that names one sex only ("Male aged 18 to 55 years")
+ * @param {string} text
+ * @returns {string[]|null}
+ */
+function sexRestriction(text) {
+  const leading = text.match(/^\W*(?:\d+\.\s*)?(female|women|male|men)\b/i);
+  if (!leading) {
+    return null;
+  }
+  const female = /^(?:female|women)$/i.test(leading[1]);
+  const otherSex = female ? /\b(?:male|men)\b/i : /\b(?:female|women)\b/i;
+  if (otherSex.test(text)) {
+    return null;
+  }
+  return [female ? 'female' : 'male'];
+}
+
+/**
+ * Check whether criterion text is about sex, pregnancy or contraception
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isReproductiveCriterion(text) {
+  return extractReproductiveSlots(text) !== null;
+}
+
+/**
+ * Extract REP slots from criterion text
+ * @param {string} text - Criterion raw text
+ * @returns {{ SEX?: string[], REPRODUCTIVE_STATUS?: string[], STATUS_NEGATED?: boolean, CONTRACEPTION_REQUIRED?: boolean, CONTRACEPTION_SEX?: string[], CONTRACEPTION_NEGATED?: boolean }|null}
+ * Slots, or null when the text is not a reproductive criterion
+ */
+export function extractReproductiveSlots(text) {
+  if (!text) {
+    return null;
+  }
+
+  const slots = {};
+  const statuses = STATUS_PATTERNS.filter(([, pattern]) => pattern.test(text)).map(([status]) => status);
+  const contraception = CONTRACEPTION_PATTERN.test(text);
+
+  if (contraception) {
+    slots.CONTRACEPTION_REQUIRED = true;
+    slots.CONTRACEPTION_SEX = contraceptionSex(text);
+    if (NEGATED_CONTRACEPTION_PATTERN.test(text)) {
+      slots.CONTRACEPTION_NEGATED = true;
+    }
+  } else if (statuses.length > 0) {
+    slots.REPRODUCTIVE_STATUS = statuses;
+    if (NEGATED_STATUS_PATTERN.test(text)) {
+      slots.STATUS_NEGATED = true;
+    }
+  } else {
+    const sex = sexRestriction(text);
+    if (sex) {
+      slots.SEX = sex;
+    }
+  }
+
+  return Object.keys(slots).length > 0 ? slots : null;
+}
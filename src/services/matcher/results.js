@@ -3,6 +3,27 @@
  * @module services/matcher/results
  */
 
+/**
+ * Decisions a reviewer can record for a criterion, with their labels
+ * @type {Object<string, string>}
+ */
+export const ADJUDICATION_DECISIONS = {
+  met: 'Met',
+  not_met: 'Not met',
+  not_applicable: 'Not applicable',
+};
+
+/**
+ * @typedef {Object} Adjudication
+ * @property {'met'|'not_met'|'not_applicable'} decision - Reviewer's decision; for an exclusion, met means the exclusion applies
+ * @property {string} comment - Why (e.g. what the chart shows)
+ * @property {string} reviewer - Reviewer's name
+ * @property {string} adjudicatedAt - ISO timestamp
+ */
+
+/** AI matches below this confidence send the trial to review (the matcher passes its configured threshold) */
+const DEFAULT_REVIEW_THRESHOLD = 0.5;
+
 /**
  * Result of matching a patient against a single criterion
  */
@@ -22,6 +43,14 @@ export class CriterionMatchResult {
    * @param {boolean} [params.needsAdminReview=false] - Whether this needs admin review
    * @param {string} [params.matchMethod=''] - How match was made (database, direct_unverified, ai_fallback)
    * @param {Object|null} [params.reviewPayload=null] - Data for admin review
+   * @param {string[]} [params.evidenceTerms=[]] - Parts of rawText the evaluation relied on (for highlighting)
+   * @param {Object|null} [params.exclusionCondition=null] - Waiver condition of a conditional_exclude criterion ({ type, text })
+   * @param {'met'|'not_met'|'unresolved'|null} [params.conditionStatus=null] - Whether the patient's answers meet the waiver condition
+   * @param {boolean} [params.unknown=false] - Whether the patient's answers cannot settle this criterion (missing or "I don't know")
+   * @param {string[]} [params.missingInformation=[]] - Specific answers that would settle it (e.g. lab analytes)
+   * @param {string|null} [params.question=null] - Questionnaire question that collects the missing answer
+   * @param {string} [params.clusterCode=''] - Cluster of the criterion (AGE, PTH, ...)
+   * @param {Adjudication|null} [params.adjudication=null] - Reviewer's decision, which overrides the automatic one
    */
   constructor({
     criterionId,
@@ -37,6 +66,14 @@ export class CriterionMatchResult {
     needsAdminReview = false,
     matchMethod = '',
     reviewPayload = null,
+    evidenceTerms = [],
+    exclusionCondition = null,
+    conditionStatus = null,
+    unknown = false,
+    missingInformation = [],
+    question = null,
+    clusterCode = '',
+    adjudication = null,
   }) {
     this.criterionId = criterionId;
     this.nctId = nctId;
@@ -51,6 +88,61 @@ export class CriterionMatchResult {
     this.needsAdminReview = needsAdminReview;
     this.matchMethod = matchMethod;
     this.reviewPayload = reviewPayload;
+    this.evidenceTerms = evidenceTerms;
+    this.exclusionCondition = exclusionCondition;
+    this.conditionStatus = conditionStatus;
+    this.unknown = unknown;
+    this.missingInformation = missingInformation;
+    this.question = question;
+    this.clusterCode = clusterCode;
+    this.adjudication = adjudication;
+  }
+
+  /**
+   * Record a reviewer's decision for this criterion
+   * @param {Object} params
+   * @param {'met'|'not_met'|'not_applicable'} params.decision - For an exclusion, met means the exclusion applies
+   * @param {string} params.reviewer - Reviewer's name
+   * @param {string} [params.comment='']
+   * @param {string} [params.adjudicatedAt] - ISO timestamp (default: now)
+   * @throws {Error} If the decision is not one of ADJUDICATION_DECISIONS
+   */
+  adjudicate({ decision, reviewer, comment = '', adjudicatedAt = new Date().toISOString() }) {
+    if (!(decision in ADJUDICATION_DECISIONS)) {
+      throw new Error(`Unknown adjudication decision: ${decision}`);
+    }
+    this.adjudication = { decision, comment, reviewer, adjudicatedAt };
+  }
+
+  /**
+   * Drop the reviewer's decision and fall back to the automatic one
+   */
+  clearAdjudication() {
+    this.adjudication = null;
+  }
+
+  /**
+   * Check if a reviewer has decided this criterion
+   * @returns {boolean}
+   */
+  isAdjudicated() {
+    return this.adjudication !== null;
+  }
+
+  /**
+   * Check if the criterion is still open because of a missing answer (a reviewer's decision settles it)
+   * @returns {boolean}
+   */
+  isUnknown() {
+    return this.unknown && !this.isAdjudicated();
+  }
+
+  /**
+   * Check if this is a conditional exclusion the patient matched
+   * @returns {boolean}
+   */
+  #isTriggeredConditional() {
+    return this.exclusionStrength === 'conditional_exclude' && this.matches;
   }
 
   /**
@@ -58,10 +150,34 @@ export class CriterionMatchResult {
    * @returns {boolean} True if criterion makes patient ineligible
    */
   causesIneligibility() {
+    if (this.isAdjudicated()) {
+      // Not applicable never blocks; a met exclusion or an unmet inclusion does
+      return this.adjudication.decision === (this.exclusionStrength === 'inclusion' ? 'not_met' : 'met');
+    }
+    if (this.unknown) {
+      return false; // Cannot be decided until the missing answer is known
+    }
     if (this.exclusionStrength === 'inclusion') {
       return !this.matches; // Failed inclusion = ineligible
     }
-    return this.matches; // Matched exclusion = ineligible
+    // Matched exclusion = ineligible, unless a conditional one is waived or still unsettled
+    return this.matches && !this.isWaived() && !this.needsConditionReview();
+  }
+
+  /**
+   * Check if this is a matched conditional exclusion whose condition the answers cannot settle
+   * @returns {boolean} True if the trial needs review because of this criterion
+   */
+  needsConditionReview() {
+    return this.#isTriggeredConditional() && this.conditionStatus === 'unresolved';
+  }
+
+  /**
+   * Check if this is a matched conditional exclusion waived because its condition is met
+   * @returns {boolean}
+   */
+  isWaived() {
+    return this.#isTriggeredConditional() && this.conditionStatus === 'met';
   }
 
   /**
@@ -69,12 +185,91 @@ export class CriterionMatchResult {
    * @returns {string} Status description
    */
   getStatus() {
+    if (this.isAdjudicated()) {
+      return `Adjudicated: ${ADJUDICATION_DECISIONS[this.adjudication.decision].toLowerCase()}`;
+    }
+    if (this.unknown) {
+      return 'Unknown: answer missing';
+    }
     if (this.exclusionStrength === 'inclusion') {
       return this.matches ? 'Meets inclusion requirement' : 'Fails inclusion requirement';
     }
+    if (this.isWaived()) {
+      return 'Exclusion waived';
+    }
+    if (this.needsConditionReview()) {
+      return 'Conditional exclusion needs review';
+    }
     return this.matches ? 'Matches exclusion criterion' : 'Does not match exclusion';
   }
 
+  /**
+   * Explain how this criterion affects eligibility, the reviewer's decision taking precedence
+   * @returns {string} Decision explanation
+   */
+  getDecisionReason() {
+    return this.getAdjudicatedDecisionReason() || this.getAutomaticDecisionReason();
+  }
+
+  /**
+   * Explain the reviewer's decision
+   * @returns {string|null} Decision explanation, or null when the criterion is not adjudicated
+   */
+  getAdjudicatedDecisionReason() {
+    if (!this.isAdjudicated()) {
+      return null;
+    }
+    const { decision, reviewer } = this.adjudication;
+    const by = `Adjudicated ${ADJUDICATION_DECISIONS[decision].toLowerCase()}${reviewer ? ` by ${reviewer}` : ''}`;
+    if (decision === 'not_applicable') {
+      return `${by}: the criterion does not apply to this patient and does not block eligibility`;
+    }
+    if (this.exclusionStrength === 'inclusion') {
+      return decision === 'met'
+        ? `${by}: inclusion requirement met, does not block eligibility`
+        : `${by}: inclusion requirement not satisfied, so the trial is ineligible`;
+    }
+    return decision === 'met'
+      ? `${by}: the patient meets this exclusion criterion, so the trial is ineligible`
+      : `${by}: the patient does not meet this exclusion criterion, so it does not block eligibility`;
+  }
+
+  /**
+   * Explain the matcher's own decision, ignoring any adjudication
+   * @returns {string} Decision explanation
+   */
+  getAutomaticDecisionReason() {
+    if (this.unknown) {
+      return `Unknown: the patient's answers cannot settle this criterion${this.question ? ` until they answer "${this.question}"` : ''}`;
+    }
+    if (this.exclusionStrength === 'inclusion') {
+      return this.matches
+        ? 'Inclusion requirement met: does not block eligibility'
+        : 'Inclusion failure: the patient answer does not satisfy this required criterion, so the trial is ineligible';
+    }
+    const condition = this.exclusionCondition?.text ? ` ("${this.exclusionCondition.text}")` : '';
+    if (this.isWaived()) {
+      return `Exclusion waived: the patient answer matches this conditional exclusion, but its condition${condition} is met`;
+    }
+    if (this.needsConditionReview()) {
+      return `Needs review: the patient answer matches this conditional exclusion, and its condition${condition} cannot be settled from the answers`;
+    }
+    const kind = this.exclusionStrength === 'conditional_exclude' ? 'conditional exclusion' : 'exclusion';
+    return this.matches
+      ? `Exclusion hit: the patient answer matches this ${kind} criterion, so the trial is ineligible`
+      : `Exclusion not triggered: the patient answer does not match this ${kind} criterion`;
+  }
+
+  /**
+   * Failure reason line for a criterion that causes ineligibility
+   * @returns {string}
+   */
+  getFailureReason() {
+    return this.exclusionStrength === 'inclusion'
+      ? `Failed inclusion: ${this.rawText || this.criterionId}`
+      : `Matched exclusion: ${this.rawText || this.criterionId}`;
+  }
+
   /**
    * Convert to plain object
    * @returns {Object} Plain object representation
@@ -92,13 +287,31 @@ export class CriterionMatchResult {
       patientValue: this.patientValue,
       confidenceReason: this.confidenceReason,
       causesIneligibility: this.causesIneligibility(),
+      decision: this.getDecisionReason(),
+      automaticDecision: this.getAutomaticDecisionReason(),
+      adjudication: this.adjudication,
       needsAdminReview: this.needsAdminReview,
       matchMethod: this.matchMethod,
       reviewPayload: this.reviewPayload,
+      evidenceTerms: this.evidenceTerms,
+      exclusionCondition: this.exclusionCondition,
+      conditionStatus: this.conditionStatus,
+      unknown: this.unknown,
+      missingInformation: this.missingInformation,
+      question: this.question,
+      clusterCode: this.clusterCode,
     };
   }
 }
 
+/**
+ * @typedef {Object} WashoutPlan
+ * @property {string} screeningDate - Earliest screening visit at which the time-limited exclusions no longer apply (YYYY-MM-DD)
+ * @property {string} baselineDate - Matching baseline / first dose visit (YYYY-MM-DD)
+ * @property {string[]} blockingCriteria - IDs of the time-limited exclusions that rule the patient out today
+ * @property {string} statusAfterWashout - Trial status at the later visits (eligible, needs_review, insufficient_information)
+ */
+
 /**
  * Result of evaluating a patient against a single trial
  */
@@ -106,10 +319,14 @@ export class TrialEligibilityResult {
   /**
    * @param {Object} params
    * @param {string} params.nctId - Trial NCT ID
-   * @param {'eligible'|'ineligible'|'needs_review'} params.status - Eligibility status
+   * @param {'eligible'|'ineligible'|'needs_review'|'insufficient_information'|'eligible_after_washout'} params.status - Eligibility status
    * @param {CriterionMatchResult[]} [params.matchedCriteria=[]] - All evaluated criteria
    * @param {CriterionMatchResult[]} [params.flaggedCriteria=[]] - Criteria needing review
    * @param {string[]} [params.failureReasons=[]] - Reasons for ineligibility
+   * @param {Object|null} [params.metadata=null] - Trial metadata (title, phase, sponsor, sites)
+   * @param {string[]} [params.skippedCriteria=[]] - IDs of criteria not evaluated because a cheap criterion already ruled the trial out
+   * @param {WashoutPlan|null} [params.washout=null] - When the trial accepts the patient at later visits (eligible_after_washout)
+   * @param {number} [params.reviewThreshold=0.5] - AI matches below this confidence send the trial to review
    */
   constructor({
     nctId,
@@ -117,12 +334,137 @@ export class TrialEligibilityResult {
     matchedCriteria = [],
     flaggedCriteria = [],
     failureReasons = [],
+    metadata = null,
+    skippedCriteria = [],
+    washout = null,
+    reviewThreshold = DEFAULT_REVIEW_THRESHOLD,
   }) {
     this.nctId = nctId;
     this.status = status;
+    this.automaticStatus = status;
     this.matchedCriteria = matchedCriteria;
     this.flaggedCriteria = flaggedCriteria;
     this.failureReasons = failureReasons;
+    this.metadata = metadata;
+    this.skippedCriteria = skippedCriteria;
+    this.washout = washout;
+    this.reviewThreshold = reviewThreshold;
+  }
+
+  /**
+   * Derive a trial's status from its evaluated criteria, reviewer decisions included
+   * @param {CriterionMatchResult[]} criteria - Evaluated criteria
+   * @param {Object} [options]
+   * @param {number} [options.reviewThreshold=0.5] - AI matches below this confidence send the trial to review
+   * @param {WashoutPlan|null} [options.washout=null] - Washout plan; an ineligible trial blocked only by its
+   * blocking criteria is eligible after washout
+   * @param {string[]} [options.skippedCriteria=[]] - Criteria short-circuiting left unevaluated; once nothing
+   * blocks the trial, they have to be evaluated before it can be called eligible, so it needs review
+   * @returns {'eligible'|'ineligible'|'needs_review'|'insufficient_information'|'eligible_after_washout'}
+   */
+  static deriveStatus(criteria, { reviewThreshold = DEFAULT_REVIEW_THRESHOLD, washout = null, skippedCriteria = [] } = {}) {
+    const blocking = criteria.filter((c) => c.causesIneligibility());
+    // AI matches a reviewer has not yet decided
+    const hasLowConfidence = criteria.some(
+      (c) => c.requiresAI && !c.isAdjudicated() && c.confidence < reviewThreshold
+    );
+    // Matched conditional exclusions whose condition the answers cannot settle
+    const hasUnresolvedCondition = criteria.some((c) => !c.isAdjudicated() && c.needsConditionReview());
+    // Criteria left open by missing or "I don't know" answers
+    const hasUnknown = criteria.some((c) => c.isUnknown());
+
+    if (blocking.length > 0) {
+      if (hasLowConfidence) {
+        return 'needs_review';
+      }
+      const waitable = washout && blocking.every((c) => washout.blockingCriteria.includes(c.criterionId));
+      return waitable ? 'eligible_after_washout' : 'ineligible';
+    }
+    if (skippedCriteria.length > 0) {
+      return 'needs_review';
+    }
+    if (hasUnknown) {
+      return 'insufficient_information';
+    }
+    return hasLowConfidence || hasUnresolvedCondition ? 'needs_review' : 'eligible';
+  }
+
+  /**
+   * Record (or, with null, clear) a reviewer's decision for one criterion and recompute the status
+   * @param {string} criterionId
+   * @param {Omit<Adjudication, 'adjudicatedAt'> & { adjudicatedAt?: string }|null} adjudication
+   * @returns {boolean} False when the trial has no evaluated criterion with this ID
+   */
+  adjudicate(criterionId, adjudication) {
+    const criterion = this.matchedCriteria.find((c) => c.criterionId === criterionId);
+    if (!criterion) {
+      return false;
+    }
+    if (adjudication) {
+      criterion.adjudicate(adjudication);
+    } else {
+      criterion.clearAdjudication();
+    }
+    this.#recompute();
+    return true;
+  }
+
+  /**
+   * Replace all reviewer decisions (e.g. those stored with a screening session) and recompute the status.
+   * Criteria not listed fall back to their automatic decision.
+   * @param {Object<string, Adjudication>} adjudications - By criterion ID
+   */
+  setAdjudications(adjudications) {
+    let changed = false;
+    for (const criterion of this.matchedCriteria) {
+      const adjudication = adjudications[criterion.criterionId] || null;
+      if (adjudication) {
+        criterion.adjudicate(adjudication);
+        changed = true;
+      } else if (criterion.isAdjudicated()) {
+        criterion.clearAdjudication();
+        changed = true;
+      }
+    }
+    if (changed) {
+      this.#recompute();
+    }
+  }
+
+  /**
+   * Recompute status and failure reasons after the reviewer decisions changed
+   */
+  #recompute() {
+    this.status = TrialEligibilityResult.deriveStatus(this.matchedCriteria, {
+      reviewThreshold: this.reviewThreshold,
+      washout: this.washout,
+      skippedCriteria: this.skippedCriteria,
+    });
+    this.failureReasons = this.getIneligibilityCriteria().map((c) => c.getFailureReason());
+  }
+
+  /**
+   * Get criteria a reviewer has decided
+   * @returns {CriterionMatchResult[]} Adjudicated criteria
+   */
+  getAdjudicatedCriteria() {
+    return this.matchedCriteria.filter((c) => c.isAdjudicated());
+  }
+
+  /**
+   * Get the reviewer decisions by criterion ID
+   * @returns {Object<string, Adjudication>}
+   */
+  getAdjudications() {
+    return Object.fromEntries(this.getAdjudicatedCriteria().map((c) => [c.criterionId, c.adjudication]));
+  }
+
+  /**
+   * Get trial title, falling back to the NCT ID
+   * @returns {string} Trial title
+   */
+  getTitle() {
+    return this.metadata?.title || this.nctId;
   }
 
   /**
@@ -151,7 +493,7 @@ export class TrialEligibilityResult {
    */
   getFailedInclusions() {
     return this.matchedCriteria.filter(
-      (c) => c.exclusionStrength === 'inclusion' && !c.matches
+      (c) => c.exclusionStrength === 'inclusion' && (c.isAdjudicated() ? c.causesIneligibility() : !c.matches)
     );
   }
 
@@ -161,10 +503,41 @@ export class TrialEligibilityResult {
    */
   getMatchedExclusions() {
     return this.matchedCriteria.filter(
-      (c) => c.exclusionStrength !== 'inclusion' && c.matches
+      (c) => c.exclusionStrength !== 'inclusion' && c.causesIneligibility()
     );
   }
 
+  /**
+   * Get criteria the patient's answers cannot settle
+   * @returns {CriterionMatchResult[]} Unknown criteria
+   */
+  getUnknownCriteria() {
+    return this.matchedCriteria.filter((c) => c.isUnknown());
+  }
+
+  /**
+   * Get the questions whose answers would settle the unknown criteria, one entry per question
+   * @returns {Array<{ question: string, items: string[], criteria: string[] }>}
+   * items lists the specific answers asked for (e.g. lab analytes), criteria the criterion IDs
+   */
+  getOpenQuestions() {
+    const questions = new Map();
+    for (const criterion of this.getUnknownCriteria()) {
+      const question = criterion.question || 'Additional information needed';
+      if (!questions.has(question)) {
+        questions.set(question, { question, items: [], criteria: [] });
+      }
+      const entry = questions.get(question);
+      for (const item of criterion.missingInformation) {
+        if (!entry.items.includes(item)) {
+          entry.items.push(item);
+        }
+      }
+      entry.criteria.push(criterion.criterionId);
+    }
+    return [...questions.values()];
+  }
+
   /**
    * Convert to plain object
    * @returns {Object} Plain object representation
@@ -173,12 +546,19 @@ export class TrialEligibilityResult {
     return {
       nctId: this.nctId,
       status: this.status,
+      automaticStatus: this.automaticStatus,
       confidence: this.getConfidenceScore(),
       totalCriteria: this.matchedCriteria.length,
       flaggedCount: this.flaggedCriteria.length,
+      flaggedCriteria: this.flaggedCriteria.map((c) => c.toJSON()),
       failedInclusions: this.getFailedInclusions().map((c) => c.toJSON()),
       matchedExclusions: this.getMatchedExclusions().map((c) => c.toJSON()),
       failureReasons: this.failureReasons,
+      openQuestions: this.getOpenQuestions(),
+      adjudicatedCriteria: this.getAdjudicatedCriteria().map((c) => c.toJSON()),
+      skippedCriteria: this.skippedCriteria,
+      washout: this.washout,
+      metadata: this.metadata,
     };
   }
 }
@@ -193,18 +573,111 @@ export class PatientMatchResults {
    * @param {TrialEligibilityResult[]} [params.eligibleTrials=[]] - Eligible trials
    * @param {TrialEligibilityResult[]} [params.ineligibleTrials=[]] - Ineligible trials
    * @param {TrialEligibilityResult[]} [params.needsReviewTrials=[]] - Trials needing review
+   * @param {TrialEligibilityResult[]} [params.insufficientInformationTrials=[]] - Trials that depend on missing answers
+   * @param {TrialEligibilityResult[]} [params.eligibleAfterWashoutTrials=[]] - Trials that accept the patient once time-limited exclusions have passed
    */
   constructor({
     patientResponse,
     eligibleTrials = [],
     ineligibleTrials = [],
     needsReviewTrials = [],
+    insufficientInformationTrials = [],
+    eligibleAfterWashoutTrials = [],
   }) {
     this.timestamp = new Date().toISOString();
     this.patientResponse = patientResponse;
     this.eligibleTrials = eligibleTrials;
     this.ineligibleTrials = ineligibleTrials;
     this.needsReviewTrials = needsReviewTrials;
+    this.insufficientInformationTrials = insufficientInformationTrials;
+    this.eligibleAfterWashoutTrials = eligibleAfterWashoutTrials;
+  }
+
+  /**
+   * Group trial results by status: eligible and needs-review trials by confidence,
+   * eligible-after-washout trials by earliest screening date
+   * @param {Object} patientResponse - Original patient response
+   * @param {TrialEligibilityResult[]} trials - Trial results in any order
+   * @returns {PatientMatchResults}
+   */
+  static fromTrials(patientResponse, trials) {
+    const groups = {
+      eligibleTrials: [],
+      ineligibleTrials: [],
+      needsReviewTrials: [],
+      insufficientInformationTrials: [],
+      eligibleAfterWashoutTrials: [],
+    };
+
+    for (const trial of trials) {
+      switch (trial.status) {
+        case 'eligible':
+          groups.eligibleTrials.push(trial);
+          break;
+        case 'needs_review':
+          groups.needsReviewTrials.push(trial);
+          break;
+        case 'insufficient_information':
+          groups.insufficientInformationTrials.push(trial);
+          break;
+        case 'eligible_after_washout':
+          groups.eligibleAfterWashoutTrials.push(trial);
+          break;
+        default:
+          groups.ineligibleTrials.push(trial);
+      }
+    }
+
+    groups.eligibleTrials.sort((a, b) => b.getConfidenceScore() - a.getConfidenceScore());
+    groups.needsReviewTrials.sort((a, b) => b.getConfidenceScore() - a.getConfidenceScore());
+    groups.eligibleAfterWashoutTrials.sort((a, b) => a.washout.screeningDate.localeCompare(b.washout.screeningDate));
+
+    return new PatientMatchResults({ patientResponse, ...groups });
+  }
+
+  /**
+   * Get every trial result, whatever its status
+   * @returns {TrialEligibilityResult[]}
+   */
+  getAllTrials() {
+    return [
+      ...this.eligibleTrials,
+      ...this.needsReviewTrials,
+      ...this.insufficientInformationTrials,
+      ...this.eligibleAfterWashoutTrials,
+      ...this.ineligibleTrials,
+    ];
+  }
+
+  /**
+   * Get the reviewer decisions of all trials, for storing with the screening
+   * @returns {Object<string, Object<string, Adjudication>>} By NCT ID, then criterion ID (trials without any left out)
+   */
+  getAdjudications() {
+    const adjudications = {};
+    for (const trial of this.getAllTrials()) {
+      const decisions = trial.getAdjudications();
+      if (Object.keys(decisions).length > 0) {
+        adjudications[trial.nctId] = decisions;
+      }
+    }
+    return adjudications;
+  }
+
+  /**
+   * Apply reviewer decisions and regroup the trials by their recomputed status.
+   * The trial results are updated in place; criteria not listed fall back to their automatic decision.
+   * @param {Object<string, Object<string, Adjudication>>} adjudications - By NCT ID, then criterion ID
+   * @returns {PatientMatchResults} New results with the same timestamp
+   */
+  withAdjudications(adjudications) {
+    const trials = this.getAllTrials();
+    for (const trial of trials) {
+      trial.setAdjudications(adjudications[trial.nctId] || {});
+    }
+    const results = PatientMatchResults.fromTrials(this.patientResponse, trials);
+    results.timestamp = this.timestamp;
+    return results;
   }
 
   /**
@@ -212,7 +685,8 @@ export class PatientMatchResults {
    * @returns {number} Total trials
    */
   getTotalTrialsEvaluated() {
-    return this.eligibleTrials.length + this.ineligibleTrials.length + this.needsReviewTrials.length;
+    return this.eligibleTrials.length + this.ineligibleTrials.length + this.needsReviewTrials.length
+      + this.insufficientInformationTrials.length + this.eligibleAfterWashoutTrials.length;
   }
 
   /**
@@ -226,6 +700,9 @@ export class PatientMatchResults {
       eligible: this.eligibleTrials.length,
       ineligible: this.ineligibleTrials.length,
       needsReview: this.needsReviewTrials.length,
+      insufficientInformation: this.insufficientInformationTrials.length,
+      eligibleAfterWashout: this.eligibleAfterWashoutTrials.length,
+      adjudicated: this.getAllTrials().filter((t) => t.getAdjudicatedCriteria().length > 0).length,
       eligibilityRate: this.getTotalTrialsEvaluated() > 0
         ? ((this.eligibleTrials.length / this.getTotalTrialsEvaluated()) * 100).toFixed(1)
         : 0,
@@ -240,8 +717,11 @@ export class PatientMatchResults {
     return {
       timestamp: this.timestamp,
       summary: this.getSummary(),
+      adjudications: this.getAdjudications(),
       eligibleTrials: this.eligibleTrials.map((t) => t.toJSON()),
       needsReviewTrials: this.needsReviewTrials.map((t) => t.toJSON()),
+      insufficientInformationTrials: this.insufficientInformationTrials.map((t) => t.toJSON()),
+      eligibleAfterWashoutTrials: this.eligibleAfterWashoutTrials.map((t) => t.toJSON()),
       ineligibleTrials: this.ineligibleTrials.map((t) => t.toJSON()),
     };
   }
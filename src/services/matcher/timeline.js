@@ -0,0 +1,102 @@
+/**
+ * Patient Timeline
+ * Anchors dated patient answers (treatment, infection, flare and diagnosis start/stop dates)
+ * to the planned screening and baseline visits, so a criterion window such as "within
+ * 12 weeks prior to first dose" is measured from the visit, not from the day the form was filled in
+ * @module services/matcher/timeline
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/** Criterion references counted from the baseline visit; anything else counts from screening */
+const BASELINE_REFERENCE = /\b(?:baseline|first dos\w*|dosing|day 1|randomi[sz]\w*|administration|enrol\w*|study (?:drug|treatment))\b/i;
+
+/**
+ * @typedef {Object} PatientTimeline
+ * @property {string|null} [screeningDate] - Planned screening visit (YYYY-MM-DD)
+ * @property {string|null} [baselineDate] - Planned baseline / first dose visit (YYYY-MM-DD); defaults to screeningDate
+ */
+
+/**
+ * Parse a date answer
+ * @param {string|Date|null} value - ISO date string or Date
+ * @returns {Date|null} Date, or null when missing or invalid
+ */
+export function parseDate(value) {
+  if (!value) {
+    return null;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Whole days from one date to another (negative when `to` is earlier)
+ * @param {string|Date} from
+ * @param {string|Date} to
+ * @returns {number|null} Days, or null when either date is missing or invalid
+ */
+export function daysBetween(from, to) {
+  const start = parseDate(from);
+  const end = parseDate(to);
+  if (!start || !end) {
+    return null;
+  }
+  return Math.floor((end.getTime() - start.getTime()) / MS_PER_DAY);
+}
+
+/**
+ * Date a criterion's window is counted from: the baseline visit for "first dose", "Day 1",
+ * "randomization" and similar references, otherwise the screening visit
+ * @param {PatientTimeline|null} timeline - Planned visit dates from the questionnaire
+ * @param {Object|null} [criterionTimeframe] - Criterion TIMEFRAME ({ relation, amount, unit, reference })
+ * @returns {Date} Reference date (today when the questionnaire gave no visit dates)
+ */
+export function getReferenceDate(timeline, criterionTimeframe = null) {
+  const screening = parseDate(timeline?.screeningDate);
+  const baseline = parseDate(timeline?.baselineDate) || screening;
+  const reference = String(criterionTimeframe?.reference || '');
+  const date = BASELINE_REFERENCE.test(reference) ? baseline : screening || baseline;
+  return date || new Date();
+}
+
+/**
+ * Check whether a patient entry carries start or stop dates
+ * @param {Object|null} entry - Patient CMB/PTH/AIC/FLR entry
+ * @returns {boolean}
+ */
+export function hasDates(entry) {
+  return Boolean(parseDate(entry?.START_DATE) || parseDate(entry?.STOP_DATE));
+}
+
+/**
+ * Patient timeframe of an entry, measured against a criterion's window.
+ * Dated entries are converted to days counted from the criterion's reference visit:
+ * a "for" relation (duration) gets how long it lasted up to the visit, all other
+ * relations how long before the visit it ended (0 when ongoing at the visit).
+ * Undated entries keep their relative TIMEFRAME answer.
+ * @param {Object|null} entry - Patient entry with START_DATE / STOP_DATE or TIMEFRAME
+ * @param {Object|null} criterionTimeframe - Criterion TIMEFRAME
+ * @param {PatientTimeline|null} timeline - Planned visit dates
+ * @returns {{ relation: string, amount: number, unit: string, reference: string }|Object|null}
+ * Timeframe for timeframeMatches, or null when the entry gives none
+ */
+export function getPatientTimeframe(entry, criterionTimeframe, timeline) {
+  if (!hasDates(entry)) {
+    return entry?.TIMEFRAME || null;
+  }
+
+  const referenceDate = getReferenceDate(timeline, criterionTimeframe);
+  const stop = parseDate(entry.STOP_DATE);
+  const end = stop && stop < referenceDate ? stop : referenceDate;
+
+  if (criterionTimeframe?.relation === 'for') {
+    const start = parseDate(entry.START_DATE);
+    if (!start) {
+      return null;
+    }
+    return { relation: 'for', amount: Math.max(daysBetween(start, end), 0), unit: 'days', reference: 'visit' };
+  }
+
+  return { relation: 'within', amount: Math.max(daysBetween(end, referenceDate), 0), unit: 'days', reference: 'visit' };
+}
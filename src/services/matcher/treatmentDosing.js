@@ -0,0 +1,269 @@
+/**
+ * Treatment Dosing
+ * Route, dose and stable-dose checks for PTH criteria such as "systemic corticosteroids
+ * (topical permitted)" or "stable dose of MTX ≤ 25 mg/week for 8 weeks"
+ * @module services/matcher/treatmentDosing
+ */
+
+import { convertToWeeks } from '../../utils/index.js';
+import { getPatternClasses } from './criterionLogic.js';
+
+/** Routes a patient can report */
+export const TREATMENT_ROUTES = ['topical', 'oral', 'subcutaneous', 'intravenous', 'intramuscular', 'inhaled', 'intra-articular'];
+
+/** Route words used by criteria, and the reported routes each covers */
+const ROUTE_CATEGORIES = {
+  systemic: ['oral', 'subcutaneous', 'intravenous', 'intramuscular'],
+  injectable: ['subcutaneous', 'intravenous', 'intramuscular'],
+  topical: ['topical'],
+  oral: ['oral'],
+  subcutaneous: ['subcutaneous'],
+  intravenous: ['intravenous'],
+  intramuscular: ['intramuscular'],
+  inhaled: ['inhaled'],
+  'intra-articular': ['intra-articular'],
+};
+
+const ROUTE_WORDS = [
+  ['systemic', /\bsystemic(?:ally)?\b/i],
+  ['topical', /\btopical(?:ly)?\b|\b(?:cream|ointment|lotion|gel)s?\b/i],
+  ['oral', /\boral(?:ly)?\b/i],
+  ['injectable', /\binject(?:ed|able|ion)s?\b/i],
+  ['intravenous', /\bintravenous(?:ly)?\b/i],
+  ['inhaled', /\binhal(?:ed|ation)\b|\bintranasal\b/i],
+  ['intra-articular', /\bintra-?articular\b/i],
+];
+
+/** "(topical permitted)", "inhaled steroids are allowed" */
+const PERMITTED_ROUTE_PATTERN = /\b(topical\w*|inhal\w*|intranasal|intra-?articular)\b[^.;)]{0,60}?\b(?:permitted|allowed|acceptable)\b/i;
+
+/** Administrations per week for each reported frequency */
+const DOSES_PER_WEEK = {
+  daily: 7,
+  twice_daily: 14,
+  weekly: 1,
+  twice_weekly: 2,
+  every_2_weeks: 0.5,
+  every_4_weeks: 0.25,
+  every_8_weeks: 0.125,
+  every_12_weeks: 1 / 12,
+};
+
+const DOSE_OPERATORS = {
+  '≤': '<=', '<=': '<=', 'no more than': '<=', 'up to': '<=', 'maximum of': '<=', 'not to exceed': '<=', 'not exceeding': '<=',
+  '<': '<', 'less than': '<', 'below': '<',
+  '≥': '>=', '>=': '>=', 'at least': '>=',
+  '>': '>', 'more than': '>', 'greater than': '>', 'above': '>',
+};
+
+const DOSE_PATTERN = /(≤|<=|<|≥|>=|>|no more than|up to|maximum of|not to exceed|not exceeding|less than|below|at least|more than|greater than|above)?\s*(?:the )?(?:equivalent of\s*)?(\d+(?:\.\d+)?)\s*mg\b(?:\s*(?:\/|per|a|each)\s*(day|d|week|wk))?/i;
+
+const STABLE_PATTERN = /\bstable\b[^.;]{0,60}?(?:for|≥|>=|>)\s*(?:at least\s*|≥\s*|>\s*)?(\d+(?:\.\d+)?)\s*(day|week|month|year)s?/i;
+
+/**
+ * Reported routes a criterion route word covers
+ * @param {string} route - Criterion route (systemic, topical, oral, ...)
+ * @returns {string[]}
+ */
+function expandRoute(route) {
+  return ROUTE_CATEGORIES[route?.toLowerCase()] || [route?.toLowerCase()];
+}
+
+/**
+ * Route words named in text
+ * @param {string} text
+ * @returns {string[]} Criterion route words (systemic, topical, ...)
+ */
+export function findRoutes(text) {
+  return ROUTE_WORDS.filter(([, pattern]) => pattern.test(text || '')).map(([route]) => route);
+}
+
+/**
+ * Weekly dose of a patient's treatment
+ * @param {Object} entry - Patient PTH entry with DOSE ({ amount, unit }) and FREQUENCY
+ * @returns {number|null} mg per week, or null when dose or frequency was not reported
+ */
+export function getWeeklyDose(entry) {
+  const amount = parseFloat(entry?.DOSE?.amount);
+  const perWeek = DOSES_PER_WEEK[entry?.FREQUENCY];
+  if (Number.isNaN(amount) || !perWeek || (entry.DOSE.unit && entry.DOSE.unit !== 'mg')) {
+    return null;
+  }
+  return amount * perWeek;
+}
+
+/**
+ * Compare a patient's dose with a criterion dose
+ * @param {Object} entry - Patient PTH entry
+ * @param {{ comparator: string, value: number, unit: string }} dose - 'mg/week', 'mg/day' or 'mg' (per administration)
+ * @returns {boolean|null} Null when the patient's dose cannot be worked out
+ */
+export function doseMatches(entry, dose) {
+  let reported;
+  if (dose.unit === 'mg') {
+    reported = entry?.DOSE?.amount === null || entry?.DOSE?.amount === undefined ? null : parseFloat(entry.DOSE.amount);
+  } else {
+    const weekly = getWeeklyDose(entry);
+    reported = weekly === null ? null : weekly / (dose.unit === 'mg/day' ? 7 : 1);
+  }
+  if (reported === null || Number.isNaN(reported)) {
+    return null;
+  }
+
+  switch (dose.comparator) {
+    case '<': return reported < dose.value;
+    case '>=': return reported >= dose.value;
+    case '>': return reported > dose.value;
+    case '=': return Math.abs(reported - dose.value) < 0.01;
+    default: return reported <= dose.value;
+  }
+}
+
+/**
+ * Check a patient's time on a stable dose against a minimum; only ongoing treatments qualify
+ * @param {Object} entry - Patient PTH entry
+ * @param {{ amount: number, unit: string }} minimum
+ * @returns {boolean|null} Null when the time on a stable dose was not reported
+ */
+function stableFor(entry, minimum) {
+  if (entry.ONGOING === false || (entry.ONGOING !== true && !getPatternClasses(entry.TREATMENT_PATTERN).includes('current'))) {
+    return false;
+  }
+  if (!entry.STABLE_DURATION) {
+    return null;
+  }
+  return convertToWeeks(entry.STABLE_DURATION) >= convertToWeeks(minimum);
+}
+
+/**
+ * Extract ROUTE, DOSE, STABLE_DURATION and PERMITTED slots from PTH criterion text.
+ * Dose and stability named in a "permitted"/"allowed" clause describe use the criterion lets
+ * through (PERMITTED); otherwise they describe the use it is about.
+ * @param {string} text - Criterion raw text
+ * @returns {Object|null} Slots, or null when the text states none
+ */
+export function extractDosingSlots(text) {
+  if (!text) {
+    return null;
+  }
+
+  const slots = {};
+  const permittedRoute = text.match(PERMITTED_ROUTE_PATTERN);
+  const permittedText = permittedRoute ? text.replace(permittedRoute[0], '') : text;
+  const routes = findRoutes(permittedText);
+  if (routes.length > 0) {
+    slots.ROUTE = routes;
+  }
+
+  const dosing = {};
+  const dose = text.match(DOSE_PATTERN);
+  if (dose) {
+    const per = dose[3]?.toLowerCase();
+    dosing.DOSE = {
+      comparator: DOSE_OPERATORS[dose[1]?.toLowerCase()] || '<=',
+      value: parseFloat(dose[2]),
+      unit: per ? `mg/${per.startsWith('d') ? 'day' : 'week'}` : 'mg',
+    };
+  }
+  const stable = text.match(STABLE_PATTERN);
+  if (stable) {
+    dosing.STABLE_DURATION = { relation: 'at least', amount: parseFloat(stable[1]), unit: `${stable[2].toLowerCase()}s` };
+  }
+
+  // "unless ..." waivers stay with the conditional-exclusion logic
+  const permitted = /\b(?:permitted|allowed|acceptable|except)\b/i.test(text);
+  if (permitted && Object.keys(dosing).length > 0) {
+    slots.PERMITTED = dosing;
+  } else {
+    Object.assign(slots, dosing);
+  }
+  if (permittedRoute) {
+    slots.PERMITTED = { ...slots.PERMITTED, ROUTE: findRoutes(permittedRoute[1]) };
+  }
+
+  return Object.keys(slots).length > 0 ? slots : null;
+}
+
+/**
+ * Check a patient's dosing against a dosing description
+ * @param {Object} entry - Patient PTH entry
+ * @param {{ ROUTE?: string[], DOSE?: Object, STABLE_DURATION?: Object }} dosing
+ * @returns {{ met: boolean|null, failed: string|null, missing: string|null }}
+ * met is null when a reported answer is missing; failed/missing name the part that decided it
+ */
+function checkDosingParts(entry, dosing) {
+  const checks = [];
+  if (dosing.ROUTE?.length) {
+    const route = entry.ROUTE?.toLowerCase();
+    checks.push(['route', route ? dosing.ROUTE.some((r) => expandRoute(r).includes(route)) : null,
+      `${dosing.ROUTE.join('/')} use`]);
+  }
+  if (dosing.DOSE) {
+    checks.push(['dose', doseMatches(entry, dosing.DOSE), `dose ${dosing.DOSE.comparator} ${dosing.DOSE.value} ${dosing.DOSE.unit}`]);
+  }
+  if (dosing.STABLE_DURATION) {
+    checks.push(['stable dose', stableFor(entry, dosing.STABLE_DURATION),
+      `stable dose for ${dosing.STABLE_DURATION.amount} ${dosing.STABLE_DURATION.unit}`]);
+  }
+
+  const failed = checks.find(([, result]) => result === false);
+  const missing = checks.find(([, result]) => result === null);
+  return {
+    met: failed ? false : missing ? null : true,
+    failed: failed ? failed[2] : null,
+    missing: missing ? missing[0] : null,
+  };
+}
+
+/**
+ * Describe a patient's dosing for reasons
+ * @param {Object} entry
+ * @returns {string}
+ */
+function describeDosing(entry) {
+  const dose = entry.DOSE?.amount ? `${entry.DOSE.amount} ${entry.DOSE.unit || 'mg'}` : null;
+  return [entry.ROUTE, dose, entry.FREQUENCY?.replace(/_/g, ' ')].filter(Boolean).join(' ') || 'no dosing details';
+}
+
+/**
+ * Check a treatment hit against the route, dose and stable-dose parts of a PTH condition.
+ * Routes come from the ROUTE slot or from the matched criterion term ("topical corticosteroids").
+ * A patient who has not reported a route is not ruled out by it.
+ * @param {Object} condition - Criterion condition
+ * @param {Object} entry - Patient PTH entry that hit
+ * @param {string[]} criterionTerms - Criterion drugs/classes the entry hit
+ * @returns {{ status: 'match'|'no_match'|'unknown', reason: string }}
+ */
+export function checkTreatmentDosing(condition, entry, criterionTerms = []) {
+  const routes = condition.ROUTE?.length ? condition.ROUTE : findRoutes(criterionTerms.join(' '));
+  const required = {
+    ROUTE: entry.ROUTE ? routes : [],
+    DOSE: condition.DOSE,
+    STABLE_DURATION: condition.STABLE_DURATION,
+  };
+
+  const requirement = checkDosingParts(entry, required);
+  if (requirement.met === false) {
+    return { status: 'no_match', reason: `Dosing: criterion concerns ${requirement.failed}, patient reports ${describeDosing(entry)}.` };
+  }
+
+  if (condition.PERMITTED) {
+    const permitted = checkDosingParts(entry, condition.PERMITTED);
+    if (permitted.met === true) {
+      return { status: 'no_match', reason: `Permitted: ${describeDosing(entry)} is allowed by the criterion.` };
+    }
+    if (permitted.met === null) {
+      return { status: 'unknown', reason: `Permitted use depends on the ${permitted.missing}, which was not reported.` };
+    }
+  }
+
+  if (requirement.met === null) {
+    return { status: 'unknown', reason: `Criterion depends on the ${requirement.missing}, which was not reported.` };
+  }
+  return {
+    status: 'match',
+    reason: required.ROUTE.length || required.DOSE || required.STABLE_DURATION
+      ? ` Dosing: ${describeDosing(entry)}.`
+      : '',
+  };
+}
@@ -0,0 +1,245 @@
+/**
+ * Treatment History
+ * Reads how prior treatments went (response and stop reason), counts prior drugs per class,
+ * and evaluates PTH criteria such as "inadequate response to at least one TNF inhibitor",
+ * "no more than 2 prior biologics" or "biologic-naive"
+ * @module services/matcher/treatmentHistory
+ */
+
+import { getDrugClass } from '../config/RulesLoader.js';
+import { getDrugInfo, drugsMatch, drugBelongsToClass, directStringMatch } from './drugDatabase.js';
+
+/** Outcomes a criterion can require of a prior treatment */
+export const TREATMENT_OUTCOMES = ['inadequate_response', 'loss_of_response', 'intolerance'];
+
+/** Questionnaire answers ("How did you respond?" / "Why did you stop?") to outcomes */
+const RESPONSE_OUTCOMES = {
+  good_response: [],
+  partial_response: ['inadequate_response'],
+  no_response: ['inadequate_response'],
+  lost_response: ['inadequate_response', 'loss_of_response'],
+  intolerant: ['intolerance'],
+};
+
+const STOP_REASON_OUTCOMES = {
+  lack_of_efficacy: ['inadequate_response'],
+  loss_of_response: ['inadequate_response', 'loss_of_response'],
+  side_effects: ['intolerance'],
+  other: [],
+};
+
+const INADEQUATE_PATTERN = /\b(?:inadequate(?:ly)?|insufficient|suboptimal|partial)\s+respon\w*|\bnon-?respon\w*|\bunresponsive\b|\bfail(?:ed|ure|ing)?\b|\brefractory\b/i;
+const LOSS_PATTERN = /\b(?:lost|loss of)\s+(?:response|efficacy)\b|\bsecondary\s+(?:failure|non-?response)\b/i;
+const INTOLERANCE_PATTERN = /\bintoleran\w*|\b(?:unable to|could not|cannot|did not|not)\s+tolerat\w*/i;
+
+const NAIVE_PATTERN = /\bbiologic(?:al)?[- ]na[iï]ve\b|\bna[iï]ve to (?:all |any )?biologic|\bno (?:prior|previous) (?:exposure to |treatment with )?(?:any )?biologic/i;
+const EXPERIENCED_PATTERN = /\bbiologic(?:al)?[- ]experienced\b/i;
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6 };
+const COUNT_PATTERN = new RegExp(
+  '(at least|a minimum of|minimum of|no more than|not more than|a maximum of|maximum of|up to|more than|fewer than|less than|≥|>=|≤|<=|>|<)?\\s*'
+  + `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})\\s+`
+  + '(or more|or fewer|or less)?\\s*'
+  + '(?:prior|previous|different|distinct|approved)?\\s*'
+  + '(?:systemic\\s+)?(?:biologic|TNF|IL-?\\d+|anti-|agents?\\b|therap|treatments?\\b|drugs?\\b|inhibitors?\\b|courses?\\b)',
+  'i'
+);
+
+const COMPARATORS = {
+  'at least': '>=', 'a minimum of': '>=', 'minimum of': '>=', '≥': '>=', '>=': '>=', 'or more': '>=',
+  'no more than': '<=', 'not more than': '<=', 'a maximum of': '<=', 'maximum of': '<=', 'up to': '<=',
+  '≤': '<=', '<=': '<=', 'or fewer': '<=', 'or less': '<=',
+  'more than': '>', '>': '>',
+  'fewer than': '<', 'less than': '<', '<': '<',
+};
+
+/**
+ * Outcomes of a patient's treatment, from their response and stop reason answers
+ * @param {Object} entry - Patient PTH entry
+ * @returns {string[]|null} Outcomes (empty for a good response), or null when neither was answered
+ */
+export function getTreatmentOutcomes(entry) {
+  const fromResponse = RESPONSE_OUTCOMES[entry?.TREATMENT_RESPONSE];
+  const fromStop = STOP_REASON_OUTCOMES[entry?.STOP_REASON];
+  if (!fromResponse && !fromStop) {
+    return null;
+  }
+  return [...new Set([...(fromResponse || []), ...(fromStop || [])])];
+}
+
+/**
+ * Check whether two reported drug names are the same drug (brand, generic or alias)
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function sameDrug(a, b) {
+  if (drugsMatch(a, b)) {
+    return true;
+  }
+  const aliases = (name) => (getDrugInfo(name)?.aliases || []).map((alias) => alias.toLowerCase());
+  return aliases(a).includes(b.toLowerCase()) || aliases(b).includes(a.toLowerCase());
+}
+
+/**
+ * Distinct drugs across patient entries
+ * @param {Object[]} entries - Patient PTH entries
+ * @param {(drug: string) => boolean} [filter] - Which drugs to count
+ * @returns {string[]} One reported name per distinct drug
+ */
+function distinctDrugs(entries, filter = () => true) {
+  return entries
+    .flatMap((entry) => entry.TREATMENT_TYPE || [])
+    .filter(filter)
+    .reduce((drugs, drug) => (drugs.some((seen) => sameDrug(seen, drug)) ? drugs : [...drugs, drug]), []);
+}
+
+/**
+ * Check whether a reported drug is one of the criterion's drugs or classes
+ * @param {string} drug - Patient drug
+ * @param {string[]} terms - Criterion TREATMENT_TYPE
+ * @returns {boolean}
+ */
+function matchesTreatmentTerm(drug, terms) {
+  return terms.length === 0
+    || terms.some((term) => drugsMatch(term, drug) || drugBelongsToClass(drug, term))
+    || directStringMatch(drug, terms);
+}
+
+/**
+ * Count a patient's prior drugs per class and whether they have had a biologic
+ * @param {Object[]|null} entries - Patient PTH entries (null when the question was not answered)
+ * @returns {{ byClass: Object<string, number>, biologicCount: number, biologicStatus: 'naive'|'experienced'|null }}
+ * Drugs the catalog does not classify are counted under "unclassified"; biologicStatus is null when unanswered
+ */
+export function summarizeTreatmentHistory(entries) {
+  if (!Array.isArray(entries)) {
+    return { byClass: {}, biologicCount: 0, biologicStatus: null };
+  }
+
+  const byClass = {};
+  for (const drug of distinctDrugs(entries)) {
+    const drugClass = getDrugClass(drug) || getDrugInfo(drug)?.class || 'unclassified';
+    byClass[drugClass] = (byClass[drugClass] || 0) + 1;
+  }
+  const biologicCount = distinctDrugs(entries, (drug) => Boolean(getDrugInfo(drug)?.isBiologic)).length;
+  return { byClass, biologicCount, biologicStatus: biologicCount > 0 ? 'experienced' : 'naive' };
+}
+
+/**
+ * Extract outcome, count and biologic-status slots from PTH criterion text
+ * @param {string} text - Criterion raw text
+ * @returns {{ TREATMENT_RESPONSE?: string[], TREATMENT_COUNT?: { comparator: string, value: number },
+ *   BIOLOGIC_STATUS?: 'naive'|'experienced' }|null} Slots, or null when the text states none
+ */
+export function extractTreatmentOutcomeSlots(text) {
+  if (!text) {
+    return null;
+  }
+
+  const slots = {};
+  const outcomes = [
+    INADEQUATE_PATTERN.test(text) && 'inadequate_response',
+    LOSS_PATTERN.test(text) && 'loss_of_response',
+    INTOLERANCE_PATTERN.test(text) && 'intolerance',
+  ].filter(Boolean);
+  if (outcomes.length > 0) {
+    // "Lost response" is a kind of inadequate response; keep the narrower requirement alone
+    slots.TREATMENT_RESPONSE = outcomes.includes('loss_of_response') && !/\binadequate|\bnon-?respon|\bfail/i.test(text)
+      ? outcomes.filter((o) => o !== 'inadequate_response')
+      : outcomes;
+  }
+
+  const count = text.match(COUNT_PATTERN);
+  if (count) {
+    const value = NUMBER_WORDS[count[2].toLowerCase()] ?? parseInt(count[2], 10);
+    const operator = (count[1] || count[3] || '').toLowerCase();
+    slots.TREATMENT_COUNT = { comparator: COMPARATORS[operator] || '>=', value };
+  }
+
+  if (NAIVE_PATTERN.test(text)) {
+    slots.BIOLOGIC_STATUS = 'naive';
+  } else if (EXPERIENCED_PATTERN.test(text)) {
+    slots.BIOLOGIC_STATUS = 'experienced';
+  }
+
+  return Object.keys(slots).length > 0 ? slots : null;
+}
+
+/**
+ * Check whether a PTH condition is about outcomes, counts or biologic status
+ * rather than simple exposure
+ * @param {Object} condition - Criterion condition
+ * @returns {boolean}
+ */
+export function hasTreatmentOutcomeSlots(condition) {
+  return Boolean(condition?.TREATMENT_RESPONSE?.length || condition?.TREATMENT_COUNT || condition?.BIOLOGIC_STATUS);
+}
+
+/**
+ * @param {number} count
+ * @param {{ comparator: string, value: number }} requirement
+ * @returns {boolean}
+ */
+function compareCount(count, { comparator, value }) {
+  switch (comparator) {
+    case '>': return count > value;
+    case '<': return count < value;
+    case '<=': return count <= value;
+    case '=': return count === value;
+    default: return count >= value;
+  }
+}
+
+/**
+ * Evaluate a PTH condition with TREATMENT_RESPONSE, TREATMENT_COUNT and/or BIOLOGIC_STATUS
+ * (all present slots must hold). Treatments whose outcome was not answered leave the result
+ * unknown when they could change it.
+ * @param {Object} condition - Criterion condition
+ * @param {Object[]} entries - Patient PTH entries
+ * @param {(entry: Object) => boolean} [inWindow] - Whether an entry falls in the condition's TIMEFRAME
+ * @returns {{ matches: boolean, unknown: boolean, count: number, matchedEntries: Object[], reason: string }}
+ */
+export function evaluateTreatmentOutcome(condition, entries, inWindow = () => true) {
+  const terms = condition.TREATMENT_TYPE || [];
+  const required = condition.TREATMENT_RESPONSE || [];
+  const candidates = entries.filter((entry) => inWindow(entry)
+    && (entry.TREATMENT_TYPE || []).some((drug) => matchesTreatmentTerm(drug, terms)));
+  const qualifying = required.length === 0
+    ? candidates
+    : candidates.filter((entry) => (getTreatmentOutcomes(entry) || []).some((o) => required.includes(o)));
+  const unanswered = required.length === 0 ? [] : candidates.filter((entry) => getTreatmentOutcomes(entry) === null);
+
+  const inTerms = (drug) => matchesTreatmentTerm(drug, terms);
+  const count = distinctDrugs(qualifying, inTerms).length;
+  const maxCount = distinctDrugs([...qualifying, ...unanswered], inTerms).length;
+  const subject = `${terms.join('/') || 'prior treatment'}${required.length > 0 ? ` with ${required.join('/')}` : ''}`;
+
+  const checks = [];
+  const countRequirement = condition.TREATMENT_COUNT || (required.length > 0 ? { comparator: '>=', value: 1 } : null);
+  if (countRequirement) {
+    const atLeast = compareCount(count, countRequirement);
+    const atMost = compareCount(maxCount, countRequirement);
+    checks.push({
+      result: atLeast === atMost ? atLeast : null,
+      reason: `${count} ${subject} (requires ${countRequirement.comparator} ${countRequirement.value})`
+        + (unanswered.length > 0 ? `; response not reported for ${unanswered.length}` : ''),
+    });
+  }
+  if (condition.BIOLOGIC_STATUS) {
+    const { biologicStatus, biologicCount } = summarizeTreatmentHistory(entries);
+    checks.push({
+      result: biologicStatus === condition.BIOLOGIC_STATUS,
+      reason: `biologic-${biologicStatus} (${biologicCount} prior biologic${biologicCount === 1 ? '' : 's'}, requires biologic-${condition.BIOLOGIC_STATUS})`,
+    });
+  }
+
+  const failed = checks.some((check) => check.result === false);
+  return {
+    matches: !failed && checks.every((check) => check.result === true),
+    unknown: !failed && checks.some((check) => check.result === null),
+    count,
+    matchedEntries: qualifying,
+    reason: checks.map((check) => check.reason).join('; '),
+  };
+}
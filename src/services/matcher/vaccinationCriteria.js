@@ -0,0 +1,81 @@
+/**
+ * Vaccination Criteria
+ * Extracts VAC cluster slots from criterion text such as
+ * "Live vaccine within 4 weeks of baseline" or "BCG vaccination within 12 months"
+ * and computes how long ago a patient's vaccination was given
+ * @module services/matcher/vaccinationCriteria
+ */
+
+const VACCINE_PATTERN = /\bvaccin(?:e|es|ation|ations|ated)\b|\bimmuni[sz]ations?\b/i;
+
+const LIVE_PATTERN = /\blive(?:[- ]attenuated)?\b[^.;]{0,30}\b(?:vaccin\w*|immuni[sz]ations?)\b/i;
+
+/** "Planned vaccination during the study", "expected to need a live vaccine" */
+const PLANNED_PATTERN = /\b(?:plan\w*|intend\w*|expect\w*|anticipat\w*|need\w*)\b[^.;]{0,40}\b(?:vaccin\w*|immuni[sz]ations?)\b|\b(?:vaccin\w*|immuni[sz]ations?)\b[^.;]{0,40}\bduring (?:the )?(?:study|trial)\b/i;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Find catalog vaccines named in text (whole-word key or alias match)
+ * @param {string} text
+ * @param {Object<string, { aliases?: string[] }>} vaccines - Vaccine catalog entries by key
+ * @returns {string[]} Catalog keys
+ */
+function findNamedVaccines(text, vaccines) {
+  const lower = text.toLowerCase();
+  return Object.entries(vaccines)
+    .filter(([key, info]) => [key, ...(info.aliases || [])].some((name) => {
+      const escaped = name.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`(^|[^a-z])${escaped}([^a-z]|$)`).test(lower);
+    }))
+    .map(([key]) => key);
+}
+
+/**
+ * Check whether criterion text is about vaccination
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isVaccinationCriterion(text) {
+  return Boolean(text) && VACCINE_PATTERN.test(text);
+}
+
+/**
+ * Extract VAC slots from criterion text (TIMEFRAME is added by the caller's timeframe parser)
+ * @param {string} text - Criterion raw text
+ * @param {Object<string, Object>} [vaccines] - Vaccine catalog entries; enables VACCINE_NAMES
+ * @returns {{ VACCINE_TYPE: 'live'|'any', VACCINE_NAMES?: string[], PLANNED_DURING_STUDY?: boolean }|null}
+ * Slots, or null when the text is not a vaccination criterion
+ */
+export function extractVaccinationSlots(text, vaccines = {}) {
+  if (!isVaccinationCriterion(text)) {
+    return null;
+  }
+
+  const slots = { VACCINE_TYPE: LIVE_PATTERN.test(text) ? 'live' : 'any' };
+  const named = findNamedVaccines(text, vaccines);
+  if (named.length > 0) {
+    slots.VACCINE_NAMES = named;
+  }
+  if (PLANNED_PATTERN.test(text)) {
+    slots.PLANNED_DURING_STUDY = true;
+  }
+  return slots;
+}
+
+/**
+ * Days between a vaccination date and the reference date (negative = planned, in the future)
+ * @param {string|Date} date - Vaccination date (ISO string or Date)
+ * @param {Date} [referenceDate] - Date to count from (default: today)
+ * @returns {number|null} Whole days, or null when the date is missing or invalid
+ */
+export function daysSinceVaccination(date, referenceDate = new Date()) {
+  if (!date) {
+    return null;
+  }
+  const time = new Date(date).getTime();
+  if (Number.isNaN(time)) {
+    return null;
+  }
+  return Math.floor((referenceDate.getTime() - time) / MS_PER_DAY);
+}
@@ -0,0 +1,104 @@
+/**
+ * Washout Calculator
+ * Works out when time-limited exclusions ("no systemic therapy within 4 weeks of baseline",
+ * "live vaccine within 12 weeks of screening") stop applying to a patient's dated answers,
+ * so a trial the patient is excluded from today can be rescheduled instead of discarded
+ * @module services/matcher/washout
+ */
+
+import { convertToWeeks, resolveTimeframe } from '../../utils/index.js';
+import { parseDate, getReferenceDate } from './timeline.js';
+import { getEntryPharmacokinetics } from './drugDatabase.js';
+
+/** Clusters whose dated patient entries can age out of a criterion window */
+export const WASHOUT_CLUSTERS = ['PTH', 'CMB', 'AIC', 'FLR', 'VAC'];
+
+/** Window relations an entry clears by moving further into the past */
+const WINDOW_RELATIONS = ['within', 'before', 'less than'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Criterion windows an entry can age out of, from the criterion and its conditions
+ * @param {Object} criterion - Indexed criterion
+ * @returns {Object[]} TIMEFRAMEs with a within/before/less than relation and an amount
+ */
+export function getCriterionWindows(criterion) {
+  const conditions = criterion?.conditions || [criterion];
+  return conditions
+    .flatMap((condition) => [condition?.TIMEFRAME].flat())
+    .filter((timeframe) => timeframe && typeof timeframe === 'object'
+      && WINDOW_RELATIONS.includes(timeframe.relation)
+      && timeframe.amount !== null && timeframe.amount !== undefined);
+}
+
+/**
+ * Check whether a criterion only applies within a time window of a dated answer
+ * @param {Object} criterion - Indexed criterion (with clusterCode)
+ * @returns {boolean}
+ */
+export function isTimeLimited(criterion) {
+  return WASHOUT_CLUSTERS.includes(criterion?.clusterCode) && getCriterionWindows(criterion).length > 0;
+}
+
+/**
+ * Last day a patient entry counts against a window: its stop date, or the vaccination date
+ * @param {Object} entry - Patient PTH/CMB/AIC/FLR/VAC entry
+ * @returns {Date|null} Null when the entry is undated or still ongoing
+ */
+export function getEntryEndDate(entry) {
+  return parseDate(entry?.STOP_DATE) || parseDate(entry?.VACCINE_DATE);
+}
+
+/**
+ * Days the planned visits would have to move for each dated entry to clear each window of
+ * the blocking criteria. A criterion with no window, or outside the dated clusters, cannot be
+ * waited out, and then no shifts are returned.
+ * @param {Object[]} criteria - Indexed criteria that currently make the patient ineligible
+ * @param {Object} responses - Patient responses by cluster
+ * @param {import('./timeline.js').PatientTimeline|null} timeline - Planned visit dates
+ * @returns {number[]} Candidate shifts in days, ascending and positive
+ */
+export function getWashoutShifts(criteria, responses, timeline) {
+  if (criteria.length === 0 || !criteria.every(isTimeLimited)) {
+    return [];
+  }
+
+  const shifts = new Set();
+  for (const criterion of criteria) {
+    const entries = [responses?.[criterion.clusterCode] || []].flat();
+    for (const window of getCriterionWindows(criterion)) {
+      const referenceDate = getReferenceDate(timeline, window);
+      for (const entry of entries) {
+        const end = getEntryEndDate(entry);
+        // Half-life windows depend on the entry's drug
+        const resolved = resolveTimeframe(window, getEntryPharmacokinetics(entry));
+        if (!end || !resolved) {
+          continue;
+        }
+        // The entry counts while it ended at most windowDays before the visit
+        const windowDays = Math.floor(convertToWeeks(resolved) * 7);
+        const clearDate = end.getTime() + (windowDays + 1) * MS_PER_DAY;
+        const shift = Math.ceil((clearDate - referenceDate.getTime()) / MS_PER_DAY);
+        if (shift > 0) {
+          shifts.add(shift);
+        }
+      }
+    }
+  }
+  return [...shifts].sort((a, b) => a - b);
+}
+
+/**
+ * Move both planned visits later by the same number of days
+ * @param {import('./timeline.js').PatientTimeline|null} timeline - Planned visit dates (today when missing)
+ * @param {number} days - Days to move the visits by
+ * @returns {{ screeningDate: string, baselineDate: string }} Shifted visit dates (YYYY-MM-DD)
+ */
+export function shiftTimeline(timeline, days) {
+  const shift = (date) => new Date(date.getTime() + days * MS_PER_DAY).toISOString().slice(0, 10);
+  return {
+    screeningDate: shift(getReferenceDate(timeline)),
+    baselineDate: shift(getReferenceDate(timeline, { reference: 'baseline' })),
+  };
+}
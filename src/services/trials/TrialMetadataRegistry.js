@@ -0,0 +1,128 @@
+/**
+ * Trial Metadata Registry
+ * Trial-level descriptive data (title, phase, sponsor, sites) keyed by NCT ID
+ * @module services/trials/TrialMetadataRegistry
+ */
+
+/**
+ * @typedef {Object} TrialSite
+ * @property {string|null} facility - Site / facility name
+ * @property {string|null} city - City
+ * @property {string|null} country - Country
+ */
+
+/**
+ * @typedef {Object} TrialMetadata
+ * @property {string} nctId - Trial NCT ID
+ * @property {string|null} title - Brief title
+ * @property {string|null} phase - Trial phase (e.g. 'PHASE3')
+ * @property {string|null} sponsor - Lead sponsor
+ * @property {string|null} recruitmentStatus - Recruitment status (e.g. 'RECRUITING')
+ * @property {string|null} condition - Studied condition
+ * @property {number|null} targetEnrollment - Target enrollment count
+ * @property {TrialSite[]} sites - Trial sites
+ */
+
+/**
+ * Normalize a raw registry entry (snake_case JSON) to a TrialMetadata object
+ * @param {string} nctId - Trial NCT ID
+ * @param {Object} entry - Raw registry entry
+ * @returns {TrialMetadata} Normalized metadata
+ */
+function normalizeEntry(nctId, entry) {
+  return {
+    nctId,
+    title: entry.title ?? null,
+    phase: entry.phase ?? null,
+    sponsor: entry.sponsor ?? null,
+    recruitmentStatus: entry.recruitment_status ?? null,
+    condition: entry.condition ?? null,
+    targetEnrollment: entry.target_enrollment ?? null,
+    sites: (entry.sites || []).map((site) => ({
+      facility: site.facility ?? null,
+      city: site.city ?? null,
+      country: site.country ?? null,
+    })),
+  };
+}
+
+/**
+ * Lookup of trial metadata by NCT ID
+ */
+export class TrialMetadataRegistry {
+  #trials;
+
+  /**
+   * @param {Object|null} [registryData=null] - Contents of trial-metadata.json
+   */
+  constructor(registryData = null) {
+    this.#trials = new Map();
+
+    for (const [nctId, entry] of Object.entries(registryData?.trials || {})) {
+      this.#trials.set(nctId, normalizeEntry(nctId, entry));
+    }
+  }
+
+  /**
+   * Get metadata for a trial
+   * @param {string} nctId - Trial NCT ID
+   * @returns {TrialMetadata|null} Metadata or null if the trial is not registered
+   */
+  get(nctId) {
+    return this.#trials.get(nctId) || null;
+  }
+
+  /**
+   * Check if a trial is registered
+   * @param {string} nctId - Trial NCT ID
+   * @returns {boolean} True if registered
+   */
+  has(nctId) {
+    return this.#trials.has(nctId);
+  }
+
+  /**
+   * Get all registered trials
+   * @returns {TrialMetadata[]} All trial metadata, sorted by NCT ID
+   */
+  getAll() {
+    return Array.from(this.#trials.values()).sort((a, b) => a.nctId.localeCompare(b.nctId));
+  }
+
+  /**
+   * Number of registered trials
+   * @returns {number} Trial count
+   */
+  get size() {
+    return this.#trials.size;
+  }
+}
+
+/**
+ * Build a short human-readable label for a trial
+ * Falls back to the bare NCT ID when no title is registered
+ * @param {TrialMetadata|null} metadata - Trial metadata
+ * @param {string} nctId - Trial NCT ID
+ * @returns {string} Display label
+ */
+export function formatTrialLabel(metadata, nctId) {
+  if (!metadata?.title) {
+    return nctId;
+  }
+  const details = [metadata.phase, metadata.sponsor].filter(Boolean).join(', ');
+  return details ? `${metadata.title} (${details})` : metadata.title;
+}
+
+/**
+ * Format trial sites as "City, Country" strings (deduplicated)
+ * @param {TrialMetadata|null} metadata - Trial metadata
+ * @returns {string[]} Site locations
+ */
+export function formatTrialSites(metadata) {
+  const locations = (metadata?.sites || [])
+    .map((site) => [site.city, site.country].filter(Boolean).join(', '))
+    .filter(Boolean);
+  return [...new Set(locations)];
+}
+
+export default TrialMetadataRegistry;
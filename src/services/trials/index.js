@@ -0,0 +1,10 @@
+/**
+ * Trial services barrel export
+ * @module services/trials
+ */
+
+export {
+  TrialMetadataRegistry,
+  formatTrialLabel,
+  formatTrialSites,
+} from './TrialMetadataRegistry.js';
@@ -6,3 +6,4 @@
 export * from './string.js';
 export * from './array.js';
 export * from './medical.js';
+export * from './severityScores.js';
@@ -46,13 +46,77 @@ export function convertToWeeks(timeframe) {
   return conversions[unit] ?? amount;
 }
 
+const HALF_LIFE_PATTERN = /(\d+(?:\.\d+)?)\s*half[- ]?li(?:fe|ves)/i;
+const FIXED_WINDOW_PATTERN = /(\d+(?:\.\d+)?)\s*(days?|weeks?|months?|years?)\b/i;
+
+/**
+ * Read a half-life multiple from a criterion timeframe, e.g. amount "12 weeks OR 5 half-lives",
+ * amount "less than 5 half-lives", or amount 4 weeks with alternative "5 half-lives, whichever is longer"
+ * @param {Object} timeframe - Criterion TIMEFRAME
+ * @returns {{ halfLives: number, fixed: { amount: number, unit: string }|null, shorter: boolean }|null}
+ * Half-life count, the fixed window it is combined with, and whether the shorter of the two applies;
+ * null when the timeframe names no half-lives
+ */
+export function parseHalfLifeTimeframe(timeframe) {
+  const texts = [timeframe?.amount, timeframe?.alternative, timeframe?.comparison]
+    .filter((value) => typeof value === 'string');
+  const halfLifeText = texts.find((text) => HALF_LIFE_PATTERN.test(text));
+  if (!halfLifeText) {
+    return null;
+  }
+
+  const fixedMatch = texts.map((text) => text.match(FIXED_WINDOW_PATTERN)).find(Boolean);
+  const fixed = typeof timeframe.amount === 'number'
+    ? { amount: timeframe.amount, unit: timeframe.unit || 'weeks' }
+    : fixedMatch && { amount: parseFloat(fixedMatch[1]), unit: fixedMatch[2].toLowerCase() };
+
+  return {
+    halfLives: parseFloat(halfLifeText.match(HALF_LIFE_PATTERN)[1]),
+    fixed: fixed || null,
+    shorter: texts.some((text) => /whichever is shorter/i.test(text)),
+  };
+}
+
+/**
+ * Turn a criterion timeframe into a fixed window. Half-life multiples are worked out from the
+ * drug's half-life, or its standard washout when the half-life is unknown, and combined with the
+ * fixed window ("whichever is longer" unless the criterion says shorter).
+ * @param {Object} criterionTimeframe - Criterion TIMEFRAME
+ * @param {{ halfLifeDays: number|null, washoutWeeks: number|null }|null} [pharmacokinetics] - PK values of the patient's drug
+ * @returns {Object|null} Timeframe with a numeric amount (unchanged when it names no half-lives),
+ * or null when neither the drug nor the criterion gives a window
+ */
+export function resolveTimeframe(criterionTimeframe, pharmacokinetics = null) {
+  const halfLife = parseHalfLifeTimeframe(criterionTimeframe);
+  if (!halfLife) {
+    return criterionTimeframe;
+  }
+
+  const halfLifeWeeks = pharmacokinetics?.halfLifeDays !== null && pharmacokinetics?.halfLifeDays !== undefined
+    ? (halfLife.halfLives * pharmacokinetics.halfLifeDays) / 7
+    : pharmacokinetics?.washoutWeeks ?? null;
+  const windows = [halfLifeWeeks, halfLife.fixed ? convertToWeeks(halfLife.fixed) : null]
+    .filter((weeks) => weeks !== null);
+  if (windows.length === 0) {
+    return null;
+  }
+
+  return {
+    ...criterionTimeframe,
+    amount: halfLife.shorter ? Math.min(...windows) : Math.max(...windows),
+    unit: 'weeks',
+  };
+}
+
 /**
  * Check if patient's timeframe matches criterion's timeframe requirement
  * @param {Object} criterionTimeframe - Required timeframe from criterion
  * @param {Object} patientTimeframe - Patient's actual timeframe
+ * @param {{ halfLifeDays: number|null, washoutWeeks: number|null }|null} [pharmacokinetics] - PK values of the
+ * patient's drug, for windows given in half-lives
  * @returns {boolean} True if timeframe matches
  */
-export function timeframeMatches(criterionTimeframe, patientTimeframe) {
+export function timeframeMatches(criterionTimeframe, patientTimeframe, pharmacokinetics = null) {
   if (!criterionTimeframe && !patientTimeframe) {
     return true;
   }
@@ -63,11 +127,17 @@ export function timeframeMatches(criterionTimeframe, patientTimeframe) {
     return false; // Patient didn't provide required timeframe
   }
 
-  const criterionWeeks = convertToWeeks(criterionTimeframe);
+  const window = resolveTimeframe(criterionTimeframe, pharmacokinetics);
+  if (!window) {
+    return false; // Half-life window of a drug without PK data
+  }
+
+  const criterionWeeks = convertToWeeks(window);
   const patientWeeks = convertToWeeks(patientTimeframe);
 
   switch (criterionTimeframe.relation) {
     case 'within':
+    case 'less than':
       return patientWeeks <= criterionWeeks;
     case 'after':
       return patientWeeks >= criterionWeeks;
@@ -0,0 +1,140 @@
+/**
+ * Severity score calculators: PASI from per-region scores, BSA by the palm method and the
+ * 10-item DLQI, for patients who do not have a recorded value
+ * @module utils/severityScores
+ */
+
+/**
+ * PASI body regions and their weights
+ * @type {Array<{ key: string, label: string, weight: number }>}
+ */
+export const PASI_REGIONS = [
+  { key: 'head', label: 'Head and neck', weight: 0.1 },
+  { key: 'upperLimbs', label: 'Arms and hands', weight: 0.2 },
+  { key: 'trunk', label: 'Chest, back and abdomen', weight: 0.3 },
+  { key: 'lowerLimbs', label: 'Legs, feet and buttocks', weight: 0.4 },
+];
+
+/** Erythema, induration and scaling are each scored 0 (none) to 4 (very severe) */
+export const PASI_SIGNS = [
+  { key: 'erythema', label: 'Redness' },
+  { key: 'induration', label: 'Thickness' },
+  { key: 'scaling', label: 'Scaling' },
+];
+
+export const PASI_SIGN_LEVELS = ['None', 'Slight', 'Moderate', 'Severe', 'Very severe'];
+
+/** Area score 0-6 for the share of a region affected */
+export const PASI_AREA_LEVELS = ['0%', '1-9%', '10-29%', '30-49%', '50-69%', '70-89%', '90-100%'];
+
+/** A patient's palm, fingers included, is about 1% of their body surface */
+const PALM_BSA_PERCENT = 1;
+
+/**
+ * DLQI items, answered for the last week. Items 3-10 can be "not relevant" (scored 0);
+ * item 7 asks first whether the skin prevented work or study (scored 3)
+ * @type {Array<{ key: string, text: string, notRelevant: boolean, preventedWork?: boolean }>}
+ */
+export const DLQI_ITEMS = [
+  { key: 'symptoms', text: 'How itchy, sore, painful or stinging has your skin been?', notRelevant: false },
+  { key: 'embarrassment', text: 'How embarrassed or self conscious have you been because of your skin?', notRelevant: false },
+  { key: 'shopping', text: 'How much has your skin interfered with you going shopping or looking after your home or garden?', notRelevant: true },
+  { key: 'clothes', text: 'How much has your skin influenced the clothes you wear?', notRelevant: true },
+  { key: 'social', text: 'How much has your skin affected any social or leisure activities?', notRelevant: true },
+  { key: 'sport', text: 'How much has your skin made it difficult for you to do any sport?', notRelevant: true },
+  { key: 'work', text: 'Has your skin prevented you from working or studying? If not, how much has it been a problem at work or studying?', notRelevant: true, preventedWork: true },
+  { key: 'relationships', text: 'How much has your skin created problems with your partner or any of your close friends or relatives?', notRelevant: true },
+  { key: 'sexual', text: 'How much has your skin caused any sexual difficulties?', notRelevant: true },
+  { key: 'treatment', text: 'How much of a problem has the treatment for your skin been, for example by making your home messy, or by taking up time?', notRelevant: true },
+];
+
+/**
+ * DLQI answers and their scores
+ * @type {Object<string, { label: string, score: number }>}
+ */
+export const DLQI_ANSWERS = {
+  prevented: { label: 'Yes, it prevented me', score: 3 },
+  very_much: { label: 'Very much', score: 3 },
+  a_lot: { label: 'A lot', score: 2 },
+  a_little: { label: 'A little', score: 1 },
+  not_at_all: { label: 'Not at all', score: 0 },
+  not_relevant: { label: 'Not relevant', score: 0 },
+};
+
+/**
+ * Answers offered for a DLQI item
+ * @param {{ notRelevant: boolean, preventedWork?: boolean }} item
+ * @returns {string[]} Keys of DLQI_ANSWERS
+ */
+export function getDlqiOptions(item) {
+  return [
+    item.preventedWork ? 'prevented' : 'very_much',
+    'a_lot',
+    'a_little',
+    'not_at_all',
+    ...(item.notRelevant ? ['not_relevant'] : []),
+  ];
+}
+
+/**
+ * Read a score entry as a whole number within a range
+ * @param {*} value
+ * @param {number} max
+ * @returns {number|null}
+ */
+function readScore(value, max) {
+  if (value === '' || value === null || value === undefined) {
+    return null;
+  }
+  const score = Number(value);
+  return Number.isInteger(score) && score >= 0 && score <= max ? score : null;
+}
+
+/**
+ * Calculate PASI: for each region, (erythema + induration + scaling) × area score × weight
+ * @param {Object<string, { erythema: number, induration: number, scaling: number, area: number }>} regions
+ * - Scores by PASI_REGIONS key
+ * @returns {number|null} PASI 0-72 to one decimal, or null until every region is scored
+ */
+export function calculatePasi(regions) {
+  let total = 0;
+  for (const { key, weight } of PASI_REGIONS) {
+    const region = regions?.[key] || {};
+    const area = readScore(region.area, 6);
+    const signs = PASI_SIGNS.map((sign) => readScore(region[sign.key], 4));
+    if (area === null || signs.includes(null)) {
+      return null;
+    }
+    total += signs.reduce((sum, score) => sum + score, 0) * area * weight;
+  }
+  return Math.round(total * 10) / 10;
+}
+
+/**
+ * Estimate BSA by the palm method
+ * @param {number|string} palms - Number of the patient's palms (fingers included) the psoriasis would cover
+ * @returns {number|null} BSA % (at most 100), or null when no palm count was given
+ */
+export function estimateBsaFromPalms(palms) {
+  if (palms === '' || palms === null || palms === undefined) {
+    return null;
+  }
+  const count = Number(palms);
+  if (Number.isNaN(count) || count < 0) {
+    return null;
+  }
+  return Math.min(100, Math.round(count * PALM_BSA_PERCENT * 10) / 10);
+}
+
+/**
+ * Calculate DLQI. One unanswered item scores 0; with two or more unanswered the DLQI is not scored.
+ * @param {Object<string, string>} answers - DLQI_ANSWERS key by DLQI_ITEMS key
+ * @returns {number|null} DLQI 0-30, or null when it cannot be scored
+ */
+export function calculateDlqi(answers) {
+  const scores = DLQI_ITEMS.map(({ key }) => DLQI_ANSWERS[answers?.[key]]?.score ?? null);
+  if (scores.filter((score) => score === null).length > 1) {
+    return null;
+  }
+  return scores.reduce((sum, score) => sum + (score ?? 0), 0);
+}